@@ -1,15 +1,76 @@
-from flask import Flask, render_template
+from flask import Flask, render_template, request, abort
+from flask_sock import Sock
+from urllib.parse import urlparse
+import json
 import os
+import queue
+
+from feature_hub import FeatureHub
+from osc_relay import OscRelay, parse_targets
 
 app = Flask(__name__)
+app.config['SOCK_SERVER_OPTIONS'] = {'max_message_size': 1 << 20}
+sock = Sock(app)
+
+# OSC destinations for /ws/features, e.g. OSC_TARGETS=127.0.0.1:7000,127.0.0.1:7400
+osc_relay = OscRelay(
+  parse_targets(os.getenv('OSC_TARGETS', '127.0.0.1:7000')),
+  prefix=os.getenv('OSC_PREFIX', '/musicolors'),
+)
+
+# Displays subscribed to /ws/stream
+feature_hub = FeatureHub()
+
+LOOPBACK_HOSTS = {'127.0.0.1', '::1', '::ffff:127.0.0.1', 'localhost'}
 
 
 ## 필요한 함수 선언 
 
+def is_local_request():
+  """Only this machine may publish features: loopback client, and a local page (if sent from a browser)"""
+  if request.remote_addr not in LOOPBACK_HOSTS:
+    return False
+  origin = request.headers.get('Origin')
+  return origin is None or urlparse(origin).hostname in LOOPBACK_HOSTS
+
+
 @app.route('/')
 def main():
   return render_template('index.html')
 
 
+@app.before_request
+def restrict_feature_socket():
+  if request.path == '/ws/features' and not is_local_request():
+    abort(403)
+
+
+@sock.route('/ws/features')
+def features(ws):
+  """Relay JSON frames from FeatureBroadcaster to the OSC targets and the displays"""
+  while True:
+    message = ws.receive()
+    try:
+      payload = json.loads(message)
+    except (TypeError, ValueError):
+      continue
+    osc_relay.send(payload)
+    feature_hub.publish(message if isinstance(message, str) else json.dumps(payload))
+
+
+@sock.route('/ws/stream')
+def stream(ws):
+  """Send everything published on /ws/features to a display (RemoteAudioSource); open to the network"""
+  messages = feature_hub.subscribe()
+  try:
+    while ws.connected:
+      try:
+        ws.send(messages.get(timeout=1))
+      except queue.Empty:
+        pass
+  finally:
+    feature_hub.unsubscribe(messages)
+
+
 if __name__ == '__main__':
-  app.run(host=os.getenv('IP', '0.0.0.0'), port=int(os.getenv('PORT', 8000)), debug=True, use_reloader=False)
\ No newline at end of file
+  app.run(host=os.getenv('IP', '0.0.0.0'), port=int(os.getenv('PORT', 8000)), debug=True, use_reloader=False)
@@ -0,0 +1,44 @@
+"""Fan-out of feature messages from the publishing page to subscribed displays."""
+
+import queue
+import threading
+
+
+class FeatureHub:
+  """Pass every published message on to every subscriber.
+
+  Each subscriber gets its own bounded queue. When a display can't keep up, its
+  oldest messages are dropped, so it never falls behind and never slows the
+  publisher or the other displays down.
+  """
+
+  def __init__(self, max_queued=32):
+    self.max_queued = max_queued
+    self._subscribers = set()
+    self._lock = threading.Lock()
+
+  def subscribe(self):
+    """Register a subscriber; returns the queue its messages arrive on."""
+    messages = queue.Queue(self.max_queued)
+    with self._lock:
+      self._subscribers.add(messages)
+    return messages
+
+  def unsubscribe(self, messages):
+    with self._lock:
+      self._subscribers.discard(messages)
+
+  def publish(self, message):
+    """Queue one message (JSON text) for every subscriber."""
+    with self._lock:
+      subscribers = list(self._subscribers)
+    for messages in subscribers:
+      while True:
+        try:
+          messages.put_nowait(message)
+          break
+        except queue.Full:
+          try:
+            messages.get_nowait()
+          except queue.Empty:
+            pass
@@ -0,0 +1,117 @@
+"""OSC relay for feature frames published by visualizer pages.
+
+Encodes OSC 1.0 messages with the standard library only and sends them over UDP
+to one or more local tools (TouchDesigner, Resolume, Max, ...).
+"""
+
+import re
+import socket
+import struct
+
+# Characters allowed in one OSC address part (feature names, band names, event names)
+_ADDRESS_PART = re.compile(r'^[A-Za-z0-9_.-]+$')
+
+
+def _pad(data):
+  """Null-terminate and pad to a multiple of 4 bytes, as OSC strings and blobs require."""
+  return data + b'\0' * (4 - len(data) % 4)
+
+
+def encode_message(address, args):
+  """Encode one OSC message.
+
+  Numbers (and booleans) are sent as float32, strings as OSC strings.
+  """
+  tags = ','
+  payload = b''
+  for arg in args:
+    if isinstance(arg, str):
+      tags += 's'
+      payload += _pad(arg.encode('utf-8'))
+    else:
+      tags += 'f'
+      payload += struct.pack('>f', float(arg))
+  return _pad(address.encode('utf-8')) + _pad(tags.encode('ascii')) + payload
+
+
+def _is_scalar(value):
+  return isinstance(value, (bool, int, float, str))
+
+
+def flatten(prefix, value, messages):
+  """Append (address, args) pairs for a JSON value.
+
+  - numbers, booleans and strings: one message with one argument
+  - lists of numbers/strings: one message with one argument per item
+  - objects: one address level per key (e.g. /musicolors/bands/bass)
+  - null values and keys that aren't valid OSC address parts are skipped
+  """
+  if value is None:
+    return messages
+  if _is_scalar(value):
+    messages.append((prefix, [value]))
+  elif isinstance(value, list):
+    if all(_is_scalar(item) for item in value):
+      messages.append((prefix, value))
+  elif isinstance(value, dict):
+    for key, item in value.items():
+      if _ADDRESS_PART.match(key):
+        flatten(f'{prefix}/{key}', item, messages)
+  return messages
+
+
+def parse_targets(targets):
+  """Parse 'host:port,host:port' into [(host, port), ...]."""
+  parsed = []
+  for target in targets.split(','):
+    target = target.strip()
+    if not target:
+      continue
+    host, _, port = target.rpartition(':')
+    parsed.append((host or '127.0.0.1', int(port)))
+  return parsed
+
+
+class OscRelay:
+  """Send feature frames and events from the browser as OSC over UDP.
+
+  Frames ({ "type": "frame", "features": {...} }) become one message per feature,
+  e.g. /musicolors/energy 0.42 or /musicolors/chroma <12 floats>.
+  Events ({ "type": "event", "name": "beat", "args": [...] }) become one message,
+  e.g. /musicolors/beat <beatInBar> <bpm> <downbeat>.
+  """
+
+  def __init__(self, targets, prefix='/musicolors'):
+    self.targets = targets
+    self.prefix = prefix.rstrip('/')
+    self._socket = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
+
+  def send(self, payload):
+    """Relay one decoded JSON payload; returns the number of OSC messages sent."""
+    if not isinstance(payload, dict):
+      return 0
+
+    messages = []
+    if payload.get('type') == 'frame' and isinstance(payload.get('features'), dict):
+      flatten(self.prefix, payload['features'], messages)
+    elif payload.get('type') == 'event' and _ADDRESS_PART.match(str(payload.get('name', ''))):
+      args = payload.get('args') or []
+      if isinstance(args, list) and all(_is_scalar(arg) for arg in args):
+        messages.append((f"{self.prefix}/{payload['name']}", args))
+
+    sent = 0
+    for address, args in messages:
+      try:
+        packet = encode_message(address, args)
+      except (OverflowError, ValueError):
+        continue  # Beyond float32 (e.g. 1e39 or a huge int); skip it rather than drop the WebSocket
+      sent += 1
+      for target in self.targets:
+        try:
+          self._socket.sendto(packet, target)
+        except OSError:
+          pass  # Nothing listening is fine for UDP; don't drop the WebSocket over it
+    return sent
+
+  def close(self):
+    self._socket.close()
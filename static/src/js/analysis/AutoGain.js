@@ -0,0 +1,149 @@
+import { LOUDNESS_FLOOR } from './LoudnessMeter.js';
+
+/**
+ * AutoGain - Adaptive gain that maps loudness to consistent 0-1 levels
+ *
+ * Tracks the short-term loudness of the input and derives the gain that would bring
+ * it to targetLoudness. The gain falls within attackTime when the input gets louder
+ * and recovers within releaseTime when it gets quieter; silence (below the gate)
+ * holds the gain instead of winding it up. Smoothing is time-based, so results don't
+ * depend on how often frames arrive.
+ *
+ * Outputs:
+ * - gain: applied gain in dB
+ * - level: fast loudness (LoudnessMeter fastLoudness, falling back to momentary)
+ *   after gain; 1 at `headroom` dB above the target and 0 at `range` dB below that,
+ *   so input sitting at the target reads 0.75 by default
+ * - bassLevel: bassEnergy after gain (see applyToDecibelScale())
+ *
+ * @example
+ * const autoGain = new AutoGain({ releaseTime: 10 });
+ * const { level } = autoGain.process(meter.getState(), time);
+ */
+export class AutoGain {
+  /**
+   * @param {Object} options
+   * @param {number} [options.targetLoudness=-18] - Loudness the gain aims for (LUFS)
+   * @param {number} [options.attackTime=0.5] - Time constant when the input gets louder (seconds)
+   * @param {number} [options.releaseTime=5] - Time constant when the input gets quieter (seconds)
+   * @param {number} [options.range=24] - Loudness span mapped onto level 0-1 (dB)
+   * @param {number} [options.headroom=6] - Level 1 sits this far above the target (dB)
+   * @param {number} [options.maxGain=30] - Largest boost (dB)
+   * @param {number} [options.minGain=-20] - Largest cut (dB, negative)
+   * @param {number} [options.gate=-60] - Short-term loudness below which the gain holds (LUFS)
+   */
+  constructor(options = {}) {
+    this._targetLoudness = options.targetLoudness ?? -18;
+    this._range = options.range ?? 24;
+    this._headroom = options.headroom ?? 6;
+    this._maxGain = options.maxGain ?? 30;
+    this._minGain = options.minGain ?? -20;
+    this._gate = options.gate ?? -60;
+
+    if (!(this._range > 0)) {
+      throw new Error('range must be a positive number');
+    }
+
+    this.setAdaptation(options.attackTime ?? 0.5, options.releaseTime ?? 5);
+
+    this._state = {
+      gain: 0,
+      level: 0,
+      bassLevel: 0,
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Change how quickly the gain adapts
+   * @param {number} attackTime - Time constant when the input gets louder (seconds, 0 = instant)
+   * @param {number} releaseTime - Time constant when the input gets quieter (seconds, 0 = instant)
+   */
+  setAdaptation(attackTime, releaseTime) {
+    if (!(attackTime >= 0) || !(releaseTime >= 0)) {
+      throw new Error('attackTime and releaseTime must be non-negative numbers');
+    }
+    this._attackTime = attackTime;
+    this._releaseTime = releaseTime;
+  }
+
+  /**
+   * Update the gain and levels for one frame
+   * @param {Object} loudness - LoudnessMeter readings
+   * @param {number} loudness.momentaryLoudness - LUFS
+   * @param {number} loudness.shortTermLoudness - LUFS
+   * @param {number} [loudness.fastLoudness] - LUFS (momentaryLoudness is used when missing)
+   * @param {number} time - Frame time in seconds
+   * @param {number} [bassEnergy=0] - Bass peak from byte frequency data (0-1)
+   * @param {number} [decibelRange=70] - dB span of the byte data (analyser maxDecibels - minDecibels)
+   * @returns {{gain: number, level: number, bassLevel: number}} State object (reused between calls)
+   */
+  process({ momentaryLoudness, shortTermLoudness, fastLoudness }, time, bassEnergy = 0, decibelRange = 70) {
+    const first = this._lastTime === null;
+    const dt = first ? 0 : Math.max(0, Math.min(time - this._lastTime, 1));
+    this._lastTime = time;
+
+    if (shortTermLoudness > this._gate) {
+      if (this._reference === null) {
+        // Lock straight onto the first sound instead of fading in from silence
+        this._reference = shortTermLoudness;
+      } else {
+        const timeConstant = shortTermLoudness > this._reference ? this._attackTime : this._releaseTime;
+        const alpha = timeConstant > 0 ? 1 - Math.exp(-dt / timeConstant) : 1;
+        this._reference += (shortTermLoudness - this._reference) * alpha;
+      }
+    }
+
+    const state = this._state;
+    state.gain = this._reference === null
+      ? 0
+      : clamp(this._targetLoudness - this._reference, this._minGain, this._maxGain);
+
+    const loudness = fastLoudness ?? momentaryLoudness;
+    const ceiling = this._targetLoudness + this._headroom;
+    state.level = loudness > LOUDNESS_FLOOR
+      ? clamp((loudness + state.gain - ceiling + this._range) / this._range, 0, 1)
+      : 0;
+    state.bassLevel = this.applyToDecibelScale(bassEnergy, decibelRange);
+    return state;
+  }
+
+  /**
+   * Apply the current gain to a value from byte frequency data
+   * Byte frequency data is linear in dB, so the gain becomes an offset.
+   * @param {number} value - 0-1 value (byte / 255)
+   * @param {number} [decibelRange=70] - dB span of the byte data (analyser maxDecibels - minDecibels)
+   * @returns {number} 0-1 (values at 0 stay 0)
+   */
+  applyToDecibelScale(value, decibelRange = 70) {
+    if (!(value > 0)) return 0;
+    return clamp(value + this._state.gain / decibelRange, 0, 1);
+  }
+
+  /**
+   * Get the latest state without updating
+   * @returns {{gain: number, level: number, bassLevel: number}}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Forget the tracked loudness (the next sound sets the gain directly)
+   */
+  reset() {
+    this._reference = null;
+    this._lastTime = null;
+    this._state.gain = 0;
+    this._state.level = 0;
+    this._state.bassLevel = 0;
+  }
+}
+
+/**
+ * @private
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,323 @@
+/**
+ * Default named bands (Hz)
+ */
+export const DEFAULT_BANDS = {
+  sub: [20, 60],
+  bass: [60, 250],
+  lowMid: [250, 500],
+  mid: [500, 2000],
+  high: [2000, 6000],
+  air: [6000, 20000],
+};
+
+// Frequency <-> scale conversions for evenly spaced bins
+const SCALES = {
+  log: {
+    toScale: (f) => Math.log(f),
+    fromScale: (v) => Math.exp(v),
+  },
+  mel: {
+    toScale: (f) => 2595 * Math.log10(1 + f / 700),
+    fromScale: (v) => 700 * (Math.pow(10, v / 2595) - 1),
+  },
+  // Traunmüller's approximation of the Bark scale
+  bark: {
+    toScale: (f) => (26.81 * f) / (1960 + f) - 0.53,
+    fromScale: (v) => (1960 * (v + 0.53)) / (26.28 - v),
+  },
+};
+
+// State keys that can't be used as band names
+const RESERVED_NAMES = new Set(['peaks', 'bins', 'binPeaks']);
+
+/**
+ * BandAnalyzer - Energy in named frequency bands and in evenly spaced scale bins
+ *
+ * Works on byte frequency data (AnalyserNode layout), so it runs on live spectra,
+ * recorded spectra and offline analysis alike. Each value is the mean (or max)
+ * byte level across the band, 0-1. Every band and bin also has a peak that holds
+ * for holdTime and then falls at decayRate per second. Timing is based on frame
+ * times, so results don't depend on how often frames arrive.
+ *
+ * State shape:
+ * - one 0-1 value per named band, e.g. state.bass
+ * - peaks - peak-hold value per named band
+ * - bins - Float32Array(binCount) spanning minFrequency-maxFrequency on the chosen scale
+ * - binPeaks - peak-hold value per bin
+ *
+ * @example
+ * const bands = new BandAnalyzer({ bands: { ...BandAnalyzer.defaultBands, kick: [40, 100] }, scale: 'mel' });
+ * const { kick, peaks, bins } = bands.process(frequencyData, 44100, time);
+ */
+export class BandAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {Object<string, number[]>} [options.bands=DEFAULT_BANDS] - Band name to [minHz, maxHz]
+   * @param {number} [options.binCount=32] - Number of scale bins (0 = none)
+   * @param {string} [options.scale='log'] - Bin spacing: 'log', 'mel' or 'bark'
+   * @param {number} [options.minFrequency=20] - Lowest bin edge (Hz)
+   * @param {number} [options.maxFrequency=20000] - Highest bin edge (Hz, capped at Nyquist)
+   * @param {string} [options.aggregate='mean'] - How bins are combined: 'mean' or 'max'
+   * @param {number} [options.holdTime=0.5] - Seconds a peak holds before falling
+   * @param {number} [options.decayRate=1] - Peak fall speed (level per second)
+   */
+  constructor(options = {}) {
+    this._state = {
+      peaks: {},
+      bins: null,
+      binPeaks: null,
+    };
+    this._bandNames = [];
+
+    this.configure({
+      bands: DEFAULT_BANDS,
+      binCount: 32,
+      scale: 'log',
+      minFrequency: 20,
+      maxFrequency: 20000,
+      aggregate: 'mean',
+      holdTime: 0.5,
+      decayRate: 1,
+      ...options,
+    });
+  }
+
+  /**
+   * Change bands or settings (options missing here keep their current value)
+   * Values and peaks restart from 0.
+   * @param {Object} options - Same options as the constructor
+   */
+  configure(options) {
+    if (options.scale !== undefined && !SCALES[options.scale]) {
+      throw new Error(`Unknown scale: ${options.scale}. Expected one of: ${Object.keys(SCALES).join(', ')}`);
+    }
+    if (options.aggregate !== undefined && options.aggregate !== 'mean' && options.aggregate !== 'max') {
+      throw new Error(`Unknown aggregate: ${options.aggregate}. Expected 'mean' or 'max'`);
+    }
+    if (options.binCount !== undefined && !(Number.isInteger(options.binCount) && options.binCount >= 0)) {
+      throw new Error('binCount must be a non-negative integer');
+    }
+    if (options.bands !== undefined) {
+      validateBands(options.bands);
+    }
+
+    this._scale = options.scale ?? this._scale;
+    this._aggregate = options.aggregate ?? this._aggregate;
+    this._binCount = options.binCount ?? this._binCount;
+    this._minFrequency = options.minFrequency ?? this._minFrequency;
+    this._maxFrequency = options.maxFrequency ?? this._maxFrequency;
+    this._holdTime = options.holdTime ?? this._holdTime;
+    this._decayRate = options.decayRate ?? this._decayRate;
+
+    if (options.bands !== undefined) {
+      this._bands = Object.keys(options.bands).map((name) => ({
+        name,
+        min: options.bands[name][0],
+        max: options.bands[name][1],
+      }));
+    }
+
+    this._rebuildState();
+  }
+
+  /**
+   * The default named bands, e.g. to extend with your own
+   * @returns {Object<string, number[]>}
+   */
+  static get defaultBands() {
+    const bands = {};
+    Object.keys(DEFAULT_BANDS).forEach((name) => {
+      bands[name] = DEFAULT_BANDS[name].slice();
+    });
+    return bands;
+  }
+
+  /**
+   * Names of the configured bands
+   * @returns {string[]}
+   */
+  get bandNames() {
+    return this._bandNames.slice();
+  }
+
+  /**
+   * Analyse one spectrum frame
+   * @param {Uint8Array} frequencyData - Byte frequency data (bins spanning 0 to sampleRate / 2)
+   * @param {number} sampleRate - Sample rate of the analysed audio
+   * @param {number} time - Frame time in seconds
+   * @returns {Object} Band state (same object every call - copy if you need to keep it)
+   */
+  process(frequencyData, sampleRate, time) {
+    // Time going backwards (seek, loop) restarts peak timing
+    if (this._lastTime !== null && time < this._lastTime) {
+      this.reset();
+    }
+    const first = this._lastTime === null;
+    const dt = first ? 0 : Math.min(time - this._lastTime, 1);
+    this._lastTime = time;
+
+    const map = this._getBinMap(frequencyData.length, sampleRate);
+    const state = this._state;
+
+    for (let b = 0; b < this._bands.length; b++) {
+      const value = this._aggregateRange(frequencyData, map.bands[2 * b], map.bands[2 * b + 1]);
+      state[this._bands[b].name] = value;
+      this._bandPeaks[b] = this._updatePeak(this._bandPeaks, this._bandHolds, b, value, time, dt);
+      state.peaks[this._bands[b].name] = this._bandPeaks[b];
+    }
+
+    for (let i = 0; i < this._binCount; i++) {
+      const value = this._aggregateRange(frequencyData, map.bins[2 * i], map.bins[2 * i + 1]);
+      state.bins[i] = value;
+      state.binPeaks[i] = this._updatePeak(state.binPeaks, this._binHolds, i, value, time, dt);
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the current band state
+   * @returns {Object}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Zero all values and peaks
+   */
+  reset() {
+    this._lastTime = null;
+    this._bandPeaks.fill(0);
+    this._bandHolds.fill(-Infinity);
+    this._binHolds.fill(-Infinity);
+
+    const state = this._state;
+    this._bandNames.forEach((name) => {
+      state[name] = 0;
+      state.peaks[name] = 0;
+    });
+    state.bins.fill(0);
+    state.binPeaks.fill(0);
+  }
+
+  /**
+   * Re-create the state object's band keys and bin arrays after configure()
+   * @private
+   */
+  _rebuildState() {
+    const state = this._state;
+    this._bandNames.forEach((name) => {
+      delete state[name];
+    });
+    state.peaks = {};
+
+    this._bandNames = this._bands.map((band) => band.name);
+    this._bandPeaks = new Float32Array(this._bands.length);
+    this._bandHolds = new Float64Array(this._bands.length);
+    this._binHolds = new Float64Array(this._binCount);
+    state.bins = new Float32Array(this._binCount);
+    state.binPeaks = new Float32Array(this._binCount);
+
+    this._binMap = null;
+    this.reset();
+  }
+
+  /**
+   * Mean or max of frequencyData[start..end] as 0-1
+   * @private
+   */
+  _aggregateRange(frequencyData, start, end) {
+    if (end < start) return 0;
+
+    if (this._aggregate === 'max') {
+      let max = 0;
+      for (let k = start; k <= end; k++) {
+        if (frequencyData[k] > max) max = frequencyData[k];
+      }
+      return max / 255;
+    }
+
+    let sum = 0;
+    for (let k = start; k <= end; k++) {
+      sum += frequencyData[k];
+    }
+    return sum / (end - start + 1) / 255;
+  }
+
+  /**
+   * Peak-hold with time-based decay
+   * @private
+   * @returns {number} New peak value
+   */
+  _updatePeak(peaks, holds, index, value, time, dt) {
+    if (value >= peaks[index]) {
+      holds[index] = time + this._holdTime;
+      return value;
+    }
+    if (time < holds[index]) {
+      return peaks[index];
+    }
+    return Math.max(value, peaks[index] - this._decayRate * dt);
+  }
+
+  /**
+   * First/last FFT bin of every band and scale bin
+   * Ranges narrower than one FFT bin use the bin nearest their center.
+   * @private
+   */
+  _getBinMap(binCount, sampleRate) {
+    if (this._binMap && this._binMap.binCount === binCount && this._binMap.sampleRate === sampleRate) {
+      return this._binMap;
+    }
+
+    const nyquist = sampleRate / 2;
+    const binWidth = nyquist / binCount;
+    const toRange = (min, max, target, i) => {
+      const low = Math.max(0, Math.min(min, nyquist));
+      const high = Math.max(0, Math.min(max, nyquist));
+      let start = Math.ceil(low / binWidth);
+      let end = Math.min(binCount - 1, Math.floor(high / binWidth));
+      if (end < start && high > low) {
+        start = end = Math.min(binCount - 1, Math.round((low + high) / 2 / binWidth));
+      }
+      target[2 * i] = start;
+      target[2 * i + 1] = end;
+    };
+
+    const bands = new Int32Array(this._bands.length * 2);
+    this._bands.forEach((band, i) => toRange(band.min, band.max, bands, i));
+
+    const bins = new Int32Array(this._binCount * 2);
+    if (this._binCount > 0) {
+      const scale = SCALES[this._scale];
+      const lowest = scale.toScale(Math.max(this._minFrequency, 1));
+      const highest = scale.toScale(Math.min(this._maxFrequency, nyquist));
+      const step = (highest - lowest) / this._binCount;
+      for (let i = 0; i < this._binCount; i++) {
+        toRange(scale.fromScale(lowest + i * step), scale.fromScale(lowest + (i + 1) * step), bins, i);
+      }
+    }
+
+    this._binMap = { binCount, sampleRate, bands, bins };
+    return this._binMap;
+  }
+}
+
+/**
+ * @private
+ */
+function validateBands(bands) {
+  if (!bands || typeof bands !== 'object' || Array.isArray(bands)) {
+    throw new Error('bands must be an object mapping band names to [minHz, maxHz]');
+  }
+  Object.keys(bands).forEach((name) => {
+    if (RESERVED_NAMES.has(name)) {
+      throw new Error(`"${name}" can't be used as a band name`);
+    }
+    const range = bands[name];
+    if (!Array.isArray(range) || range.length !== 2 || !(range[0] >= 0) || !(range[1] > range[0])) {
+      throw new Error(`Band "${name}" must be [minHz, maxHz] with minHz < maxHz`);
+    }
+  });
+}
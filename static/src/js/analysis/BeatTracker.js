@@ -0,0 +1,429 @@
+/**
+ * BeatTracker - Real-time onset detection and tempo/beat tracking
+ *
+ * Consumes an onset detection function (e.g. spectral flux) one frame at a time:
+ * - Onsets: adaptive threshold (local mean + k * std) with a refractory period
+ * - Tempo: autocorrelation of the onset history, weighted by a log-tempo prior
+ * - Beats: phase-locked predictor aligned to the onset history with a comb filter
+ * - Downbeats: the bar position that accumulates the strongest onsets
+ *
+ * Works from timestamps, so frames may arrive at a variable rate (e.g. rAF polling).
+ */
+export class BeatTracker {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.frameRate=86] - Internal onset history rate (Hz)
+   * @param {number} [options.minBpm=60] - Lowest tempo considered
+   * @param {number} [options.maxBpm=180] - Highest tempo considered
+   * @param {number} [options.preferredBpm=120] - Centre of the tempo prior
+   * @param {number} [options.beatsPerBar=4] - Beats per bar for downbeat tracking
+   * @param {number} [options.historySeconds=6] - Onset history used for tempo estimation
+   * @param {number} [options.onsetSensitivity=1.5] - Std deviations above the local mean for an onset
+   * @param {number} [options.tempoUpdateInterval=0.5] - Seconds between tempo re-estimations
+   */
+  constructor(options = {}) {
+    this.frameRate = options.frameRate ?? 86;
+    this.minBpm = options.minBpm ?? 60;
+    this.maxBpm = options.maxBpm ?? 180;
+    this.preferredBpm = options.preferredBpm ?? 120;
+    this.beatsPerBar = options.beatsPerBar ?? 4;
+
+    this._historySeconds = options.historySeconds ?? 6;
+    this._onsetSensitivity = options.onsetSensitivity ?? 1.5;
+    this._tempoUpdateInterval = options.tempoUpdateInterval ?? 0.5;
+    this._minOnsetInterval = 0.1;    // Refractory period between onsets (s)
+    this._thresholdWindow = 1;       // Window for the adaptive onset threshold (s)
+    this._minConfidence = 0.1;       // Below this the tempo lock is dropped
+    this._phaseCorrection = 0.5;     // Fraction of phase error corrected per estimate
+
+    const length = Math.ceil(this._historySeconds * this.frameRate);
+    this._history = new Float32Array(length);
+    this._linear = new Float32Array(length);
+    this._scores = new Float32Array(length);
+
+    // Reused result object to avoid per-frame allocations
+    this._state = {
+      onset: false,
+      beat: false,
+      downbeat: false,
+      bpm: 0,
+      beatPhase: 0,
+      beatCount: 0,
+      beatInBar: 0,
+      confidence: 0,
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear all history and tempo state
+   */
+  reset() {
+    this._history.fill(0);
+    this._writeIndex = 0;
+    this._filled = 0;
+    this._lastSlot = -1;
+    this._lastTime = 0;
+
+    this._lastOnsetTime = -Infinity;
+    this._nextTempoUpdate = 0;
+    this._candidateBpm = 0;
+
+    this._period = 0;
+    this._nextBeatTime = null;
+    this._lastBeatTime = 0;
+    this._barAccents = new Float32Array(this.beatsPerBar);
+    this._downbeatPosition = 0;
+
+    Object.assign(this._state, {
+      onset: false,
+      beat: false,
+      downbeat: false,
+      bpm: 0,
+      beatPhase: 0,
+      beatCount: 0,
+      beatInBar: 0,
+      confidence: 0,
+    });
+  }
+
+  /**
+   * Feed one onset-strength frame
+   * @param {number} value - Onset strength (non-negative, any scale)
+   * @param {number} time - Frame time in seconds (monotonic clock)
+   * @returns {Object} Current state: onset, beat, downbeat, bpm, beatPhase, beatCount, beatInBar, confidence
+   */
+  process(value, time) {
+    const state = this._state;
+    state.onset = false;
+    state.beat = false;
+    state.downbeat = false;
+
+    if (!isFinite(value) || value < 0) value = 0;
+
+    // Clock jumped backwards (seek / new context) - start over
+    if (time < this._lastTime) {
+      this.reset();
+    }
+    this._lastTime = time;
+
+    this._pushHistory(value, time);
+
+    // Onset: adaptive threshold over the recent window
+    const { mean, std } = this._localStatistics();
+    if (value > mean + this._onsetSensitivity * std && value > 1e-6 &&
+        time - this._lastOnsetTime >= this._minOnsetInterval) {
+      state.onset = true;
+      this._lastOnsetTime = time;
+      this._accumulateAccent(value, time);
+    }
+
+    if (time >= this._nextTempoUpdate) {
+      this._nextTempoUpdate = time + this._tempoUpdateInterval;
+      this._estimateTempo(time);
+    }
+
+    // Fire predicted beats
+    if (this._period > 0 && this._nextBeatTime !== null && time >= this._nextBeatTime) {
+      this._lastBeatTime = this._nextBeatTime;
+      while (this._nextBeatTime <= time) {
+        this._nextBeatTime += this._period;
+      }
+
+      state.beatInBar = state.beatCount % this.beatsPerBar;
+      state.beatCount++;
+      state.beat = true;
+      state.downbeat = state.beatInBar === this._downbeatPosition;
+    }
+
+    state.beatPhase = this._period > 0
+      ? Math.min(Math.max((time - this._lastBeatTime) / this._period, 0), 0.999)
+      : 0;
+
+    return state;
+  }
+
+  /**
+   * Current tracking state (same object returned by process())
+   * @returns {Object}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Write a value into the fixed-rate onset history
+   * @private
+   */
+  _pushHistory(value, time) {
+    const history = this._history;
+    const size = history.length;
+    const slot = Math.floor(time * this.frameRate);
+
+    if (this._lastSlot >= 0 && slot <= this._lastSlot) {
+      // Several frames in one slot - keep the strongest
+      const index = (this._writeIndex - 1 + size) % size;
+      history[index] = Math.max(history[index], value);
+      return;
+    }
+
+    // Fill skipped slots with silence
+    const gap = this._lastSlot >= 0 ? Math.min(slot - this._lastSlot - 1, size) : 0;
+    for (let i = 0; i < gap; i++) {
+      history[this._writeIndex] = 0;
+      this._writeIndex = (this._writeIndex + 1) % size;
+    }
+
+    history[this._writeIndex] = value;
+    this._writeIndex = (this._writeIndex + 1) % size;
+    this._filled = Math.min(this._filled + gap + 1, size);
+    this._lastSlot = slot;
+  }
+
+  /**
+   * Mean and standard deviation of the most recent threshold window
+   * @private
+   */
+  _localStatistics() {
+    const history = this._history;
+    const size = history.length;
+    const count = Math.min(this._filled, Math.round(this._thresholdWindow * this.frameRate));
+    if (count === 0) return { mean: 0, std: 0 };
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 1; i <= count; i++) {
+      const v = history[(this._writeIndex - i + size) % size];
+      sum += v;
+      sumSquares += v * v;
+    }
+    const mean = sum / count;
+    const variance = Math.max(sumSquares / count - mean * mean, 0);
+    return { mean, std: Math.sqrt(variance) };
+  }
+
+  /**
+   * Copy the history oldest-first into the linear scratch buffer
+   * @private
+   */
+  _linearizeHistory() {
+    const history = this._history;
+    const size = history.length;
+    const count = this._filled;
+    const start = (this._writeIndex - count + size) % size;
+    for (let i = 0; i < count; i++) {
+      this._linear[i] = history[(start + i) % size];
+    }
+    return count;
+  }
+
+  /**
+   * Estimate tempo and beat phase from the onset history
+   * @private
+   */
+  _estimateTempo(time) {
+    const state = this._state;
+    const fr = this.frameRate;
+    const n = this._linearizeHistory();
+    const x = this._linear;
+
+    const minLag = Math.max(1, Math.floor((60 * fr) / this.maxBpm));
+    const maxLag = Math.min(Math.ceil((60 * fr) / this.minBpm), Math.floor(n / 2));
+
+    // Need at least two periods of the slowest tempo
+    if (maxLag <= minLag + 2) return;
+
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += x[i];
+    mean /= n;
+
+    let energy = 0;
+    for (let i = 0; i < n; i++) {
+      const v = x[i] - mean;
+      energy += v * v;
+    }
+    if (energy <= 1e-12) {
+      this._loseLock();
+      return;
+    }
+    energy /= n;
+
+    // Autocorrelation with second-harmonic reinforcement and log-tempo prior
+    const scores = this._scores;
+    let bestLag = -1;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let acf = this._autocorrelation(x, n, mean, lag) / energy;
+      if (lag * 2 < n) {
+        acf += 0.5 * this._autocorrelation(x, n, mean, lag * 2) / energy;
+      }
+
+      const bpm = (60 * fr) / lag;
+      const octaves = Math.log2(bpm / this.preferredBpm);
+      const score = acf * Math.exp(-0.5 * octaves * octaves);
+      scores[lag] = score;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    const confidence = Math.min(bestScore / 1.5, 1);
+    state.confidence = confidence;
+    if (bestLag < 0 || confidence < this._minConfidence) {
+      this._loseLock();
+      return;
+    }
+
+    // Parabolic refinement of the peak lag
+    let lag = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+      const y0 = scores[bestLag - 1];
+      const y1 = scores[bestLag];
+      const y2 = scores[bestLag + 1];
+      const denominator = y0 - 2 * y1 + y2;
+      if (denominator < 0) {
+        lag += (0.5 * (y0 - y2)) / denominator;
+      }
+    }
+
+    this._updateTempo((60 * fr) / lag);
+    this._updatePhase(x, n, time);
+  }
+
+  /**
+   * Mean-removed autocorrelation at one lag
+   * @private
+   */
+  _autocorrelation(x, n, mean, lag) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) {
+      sum += (x[i] - mean) * (x[i + lag] - mean);
+    }
+    return sum / (n - lag);
+  }
+
+  /**
+   * Apply a new tempo estimate with hysteresis against jumps and octave errors
+   * @private
+   */
+  _updateTempo(bpm) {
+    const state = this._state;
+    const current = state.bpm;
+
+    if (current === 0) {
+      state.bpm = bpm;
+    } else {
+      const ratio = bpm / current;
+      if (Math.abs(ratio - 1) < 0.04) {
+        // Same tempo - gently track drift
+        state.bpm = current + (bpm - current) * 0.2;
+      } else if (Math.abs(ratio - 2) < 0.08 || Math.abs(ratio - 0.5) < 0.04) {
+        // Octave error - keep the current tempo
+        return;
+      } else if (this._candidateBpm > 0 && Math.abs(bpm / this._candidateBpm - 1) < 0.04) {
+        // New tempo confirmed by two consecutive estimates
+        state.bpm = bpm;
+        this._candidateBpm = 0;
+      } else {
+        this._candidateBpm = bpm;
+        return;
+      }
+    }
+
+    this._period = 60 / state.bpm;
+  }
+
+  /**
+   * Align the beat predictor to the onset history with a comb filter
+   * @private
+   */
+  _updatePhase(x, n, time) {
+    const fr = this.frameRate;
+    const periodSlots = this._period * fr;
+    const offsets = Math.max(1, Math.round(periodSlots));
+    const pulses = Math.max(1, Math.floor((n - 1) / periodSlots));
+
+    let bestOffset = 0;
+    let bestScore = -Infinity;
+    for (let offset = 0; offset < offsets; offset++) {
+      let score = 0;
+      for (let k = 0; k < pulses; k++) {
+        const index = n - 1 - offset - Math.round(k * periodSlots);
+        if (index < 0) break;
+        // Recent pulses count more
+        score += x[index] * (1 - k / (pulses + 1));
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestOffset = offset;
+      }
+    }
+
+    // Most recent beat according to the history, projected forward
+    const latestBeat = time - bestOffset / fr;
+    let predicted = latestBeat + this._period;
+    while (predicted <= time) predicted += this._period;
+
+    if (this._nextBeatTime === null) {
+      this._nextBeatTime = predicted;
+      this._lastBeatTime = latestBeat;
+      return;
+    }
+
+    // Wrap the error into [-period/2, period/2] and correct part of it
+    let error = predicted - this._nextBeatTime;
+    error -= Math.round(error / this._period) * this._period;
+    const corrected = this._nextBeatTime + error * this._phaseCorrection;
+
+    // Never schedule a beat too soon after the last one (avoids double beats)
+    this._nextBeatTime = Math.max(corrected, this._lastBeatTime + this._period * 0.5);
+  }
+
+  /**
+   * Credit an onset to the nearest beat position in the bar (downbeat tracking)
+   * @private
+   */
+  _accumulateAccent(value, time) {
+    if (this._period <= 0 || this._state.beatCount === 0) return;
+
+    const phase = (time - this._lastBeatTime) / this._period;
+    let beatIndex;
+    if (phase < 0.25) {
+      beatIndex = this._state.beatCount - 1;   // Belongs to the beat that just fired
+    } else if (phase > 0.75) {
+      beatIndex = this._state.beatCount;       // Slightly ahead of the next beat
+    } else {
+      return;                                  // Off-beat onset
+    }
+
+    const position = beatIndex % this.beatsPerBar;
+    const accents = this._barAccents;
+    for (let i = 0; i < accents.length; i++) {
+      accents[i] *= 0.98;
+    }
+    accents[position] += value;
+
+    let strongest = 0;
+    for (let i = 1; i < accents.length; i++) {
+      if (accents[i] > accents[strongest]) strongest = i;
+    }
+    this._downbeatPosition = strongest;
+  }
+
+  /**
+   * Drop the tempo lock (silence or no periodicity)
+   * @private
+   */
+  _loseLock() {
+    const state = this._state;
+    state.bpm = 0;
+    state.confidence = 0;
+    state.beatPhase = 0;
+    this._period = 0;
+    this._nextBeatTime = null;
+    this._candidateBpm = 0;
+  }
+}
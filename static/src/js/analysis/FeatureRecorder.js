@@ -0,0 +1,168 @@
+import { FeatureTimeline } from './FeatureTimeline.js';
+
+/**
+ * FeatureRecorder - Capture the audio data stream of a live source
+ *
+ * Listens to a source's 'frame' events and stores every analysis update with its
+ * timestamp. stop() returns a FeatureTimeline that can be serialized with toJSON()
+ * and played back with ReplayAudioSource - no audio or audio hardware needed.
+ *
+ * @example
+ * const recorder = new FeatureRecorder(audioSource, { frequencyBins: 128 });
+ * recorder.start();
+ * // ... later
+ * const timeline = recorder.stop();
+ * localStorage.setItem('session', JSON.stringify(timeline));
+ */
+export class FeatureRecorder {
+  /**
+   * @param {FeatureSource} source - AudioSource (or any source emitting 'frame' events)
+   * @param {Object} options - Configuration options
+   * @param {number} [options.frequencyBins=0] - Decimate and store frequencyData with this many bins (0 = don't store)
+   * @param {number} [options.maxDuration=Infinity] - Stop recording automatically after this many seconds
+   */
+  constructor(source, options = {}) {
+    if (!source || typeof source.on !== 'function') {
+      throw new Error('source must be an AudioSource or other FeatureSource');
+    }
+
+    this.source = source;
+    this._frequencyBins = options.frequencyBins ?? 0;
+    this._maxDuration = options.maxDuration ?? Infinity;
+
+    this._unsubscribe = null;
+    this._timeline = null;   // Growable buffer, trimmed on stop()
+    this._times = null;
+    this._frameCount = 0;
+    this._startTime = null;
+  }
+
+  /**
+   * Whether frames are currently being captured
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this._unsubscribe !== null;
+  }
+
+  /**
+   * Number of frames captured so far
+   * @returns {number}
+   */
+  get frameCount() {
+    return this._frameCount;
+  }
+
+  /**
+   * Seconds captured so far
+   * @returns {number}
+   */
+  get duration() {
+    return this._frameCount > 0 ? this._times[this._frameCount - 1] : 0;
+  }
+
+  /**
+   * Start capturing (discards any previous unfinished recording)
+   */
+  start() {
+    if (this.isRecording) {
+      console.warn('FeatureRecorder already recording');
+      return;
+    }
+
+    this._frameCount = 0;
+    this._startTime = null;
+    this._allocate(1024);
+    this._unsubscribe = this.source.on('frame', (frame) => this._onFrame(frame));
+  }
+
+  /**
+   * Stop capturing
+   * @returns {FeatureTimeline} Recorded frames, timestamped from 0
+   */
+  stop() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (!this._timeline) {
+      throw new Error('FeatureRecorder was not started');
+    }
+
+    const length = this._frameCount;
+    const fields = {};
+    FeatureTimeline.fieldNames.forEach((name) => {
+      fields[name] = this._timeline.fields[name].slice(0, length);
+    });
+
+    const bins = this._frequencyBins;
+    const timeline = new FeatureTimeline({
+      length,
+      sampleRate: this.source.audioContext?.sampleRate ?? null,
+      fields,
+      times: this._times.slice(0, length),
+      chroma: this._timeline.chroma.slice(0, length * 12),
+      frequencyBins: bins,
+      frequencyData: bins > 0 ? this._timeline.frequencyData.slice(0, length * bins) : null,
+    });
+
+    this._timeline = null;
+    this._times = null;
+    this._frameCount = 0;
+    return timeline;
+  }
+
+  /**
+   * Store one frame published by the source
+   * @private
+   */
+  _onFrame({ time, audioData }) {
+    if (this._startTime === null) this._startTime = time;
+
+    const elapsed = time - this._startTime;
+    if (elapsed > this._maxDuration) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+      return;
+    }
+
+    // Clocks can stall between polls; keep timestamps ascending
+    const index = this._frameCount;
+    const previous = index > 0 ? this._times[index - 1] : 0;
+
+    if (index >= this._timeline.length) {
+      this._allocate(this._timeline.length * 2);
+    }
+
+    this._times[index] = Math.max(elapsed, previous);
+    this._timeline.setFrame(index, audioData);
+    this._frameCount++;
+  }
+
+  /**
+   * (Re)allocate the capture buffer, keeping frames captured so far
+   * @private
+   */
+  _allocate(capacity) {
+    const previous = this._timeline;
+    const previousTimes = this._times;
+
+    this._timeline = new FeatureTimeline({
+      length: capacity,
+      frameRate: 60,   // Placeholder - frames are timestamped
+      frequencyBins: this._frequencyBins,
+    });
+    this._times = new Float64Array(capacity);
+
+    if (previous) {
+      FeatureTimeline.fieldNames.forEach((name) => {
+        this._timeline.fields[name].set(previous.fields[name]);
+      });
+      this._timeline.chroma.set(previous.chroma);
+      if (previous.frequencyData) {
+        this._timeline.frequencyData.set(previous.frequencyData);
+      }
+      this._times.set(previousTimes);
+    }
+  }
+}
@@ -0,0 +1,411 @@
+import FrequencyMap from 'note-frequency-map';
+import { encodeKey, decodeKey, encodeChord, decodeChord } from './HarmonyAnalyzer.js';
+import { LOUDNESS_FLOOR } from './LoudnessMeter.js';
+
+/**
+ * Timeline fields and how they are sampled between frames
+ * - 'linear': interpolated between neighbouring frames
+ * - 'hold': value of the frame at or before the requested time
+ */
+const FIELD_SAMPLING = {
+  energy: 'linear',
+  roughness: 'linear',
+  warmth: 'linear',
+  richness: 'linear',
+  sharpness: 'linear',
+  kurtosis: 'linear',
+  pitchFrequency: 'hold',     // Hz, 0 when no pitch was detected
+  dominantFrequency: 'hold',
+  dominantBin: 'hold',
+  bassFrequency: 'hold',
+  bassEnergy: 'linear',
+  onset: 'hold',
+  beat: 'hold',
+  downbeat: 'hold',
+  bpm: 'hold',
+  beatPhase: 'hold',
+  beatCount: 'hold',
+  beatInBar: 'hold',
+  keyIndex: 'hold',           // encodeKey(key, mode), -1 when no key
+  keyConfidence: 'linear',
+  chordIndex: 'hold',         // encodeChord(chord), -1 when no chord
+  chordConfidence: 'linear',
+  momentaryLoudness: 'linear',  // LUFS
+  shortTermLoudness: 'linear',  // LUFS
+  truePeak: 'linear',           // dBTP
+  gain: 'linear',               // auto-gain in dB
+  level: 'linear',
+  bassLevel: 'linear',
+};
+
+const BOOLEAN_FIELDS = new Set(['onset', 'beat', 'downbeat']);
+
+// Columns holding encoded labels rather than audio data values
+const ENCODED_FIELDS = {
+  keyIndex: (audioData) => encodeKey(audioData.key, audioData.mode),
+  chordIndex: (audioData) => encodeChord(audioData.chord),
+};
+
+// Idle values for fields that aren't 0 when there is no data
+// (also used for columns missing from older recordings)
+const FIELD_DEFAULTS = {
+  keyIndex: -1,
+  chordIndex: -1,
+  momentaryLoudness: LOUDNESS_FLOOR,
+  shortTermLoudness: LOUDNESS_FLOOR,
+  truePeak: LOUDNESS_FLOOR,
+};
+
+// Bumped when toJSON() output changes incompatibly
+const FORMAT_VERSION = 1;
+
+/**
+ * FeatureTimeline - Time-indexed track of audio features
+ *
+ * Stores each feature as a column (Float32Array) so long tracks stay compact.
+ * Frames are either evenly spaced at frameRate (offline analysis) or carry their
+ * own timestamps (recordings of a live source). The chroma is kept as a 12-wide
+ * column, and an optional spectrum column holds frequencyData decimated to a
+ * fixed number of bins.
+ * Frames can be read back in the same shape as AudioSource.getAudioData(),
+ * either by index or at an arbitrary time.
+ */
+export class FeatureTimeline {
+  /**
+   * @param {Object} options
+   * @param {number} options.length - Number of frames
+   * @param {number} [options.frameRate] - Frames per second (derived from times if omitted)
+   * @param {number} [options.startTime=0] - Time of the first frame (seconds, ignored with times)
+   * @param {number} [options.sampleRate] - Sample rate of the analysed audio (informational)
+   * @param {Object<string, Float32Array>} [options.fields] - Existing columns (allocated if missing)
+   * @param {Float64Array} [options.times] - Per-frame timestamps in seconds (ascending)
+   * @param {Float32Array} [options.chroma] - Existing chroma column (length * 12)
+   * @param {number} [options.frequencyBins=0] - Bins stored per frame for frequencyData (0 = none)
+   * @param {Uint8Array} [options.frequencyData] - Existing spectrum column (length * frequencyBins)
+   */
+  constructor({
+    length,
+    frameRate,
+    startTime = 0,
+    sampleRate = null,
+    fields = {},
+    times = null,
+    chroma = null,
+    frequencyBins = 0,
+    frequencyData = null,
+  }) {
+    if (times && times.length !== length) {
+      throw new Error('times must have one entry per frame');
+    }
+    if (times && frameRate === undefined) {
+      frameRate = length > 1 && times[length - 1] > times[0]
+        ? (length - 1) / (times[length - 1] - times[0])
+        : 60;
+    }
+    if (!(frameRate > 0)) {
+      throw new Error('frameRate must be a positive number');
+    }
+
+    this.length = length;
+    this.frameRate = frameRate;      // Nominal rate when frames carry timestamps
+    this.times = times;
+    this.startTime = times ? (length > 0 ? times[0] : 0) : startTime;
+    this.sampleRate = sampleRate;
+
+    this.fields = {};
+    Object.keys(FIELD_SAMPLING).forEach((name) => {
+      this.fields[name] = fields[name] || new Float32Array(length).fill(FIELD_DEFAULTS[name] ?? 0);
+    });
+
+    this.chroma = chroma || new Float32Array(length * 12);
+
+    this.frequencyBins = frequencyBins;
+    this.frequencyData = frequencyBins > 0
+      ? (frequencyData || new Uint8Array(length * frequencyBins))
+      : null;
+  }
+
+  /**
+   * Names of all stored fields
+   * @returns {string[]}
+   */
+  static get fieldNames() {
+    return Object.keys(FIELD_SAMPLING);
+  }
+
+  /**
+   * Duration covered by the timeline in seconds
+   * @returns {number}
+   */
+  get duration() {
+    if (this.length === 0) return 0;
+    return this.timeAt(this.length - 1) - this.startTime + 1 / this.frameRate;
+  }
+
+  /**
+   * Time of a frame in seconds
+   * @param {number} index - Frame index
+   * @returns {number}
+   */
+  timeAt(index) {
+    if (this.times) {
+      return this.times[Math.max(0, Math.min(this.length - 1, index))];
+    }
+    return this.startTime + index / this.frameRate;
+  }
+
+  /**
+   * Index of the frame at or before a time (clamped to the timeline)
+   * @param {number} time - Time in seconds
+   * @returns {number}
+   */
+  indexAt(time) {
+    if (this.times) {
+      // Binary search for the last frame at or before time
+      let low = 0;
+      let high = this.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (this.times[mid] <= time) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return low;
+    }
+
+    const index = Math.floor((time - this.startTime) * this.frameRate);
+    return Math.max(0, Math.min(this.length - 1, index));
+  }
+
+  /**
+   * Write a frame from an audio-data shaped object
+   * frequencyData is decimated to frequencyBins when the timeline stores spectra.
+   * @param {number} index - Frame index
+   * @param {Object} audioData - Object with the fields of AudioSource.getAudioData()
+   */
+  setFrame(index, audioData) {
+    Object.keys(FIELD_SAMPLING).forEach((name) => {
+      const value = ENCODED_FIELDS[name] ? ENCODED_FIELDS[name](audioData) : audioData[name];
+      if (value === undefined || value === null) {
+        this.fields[name][index] = FIELD_DEFAULTS[name] ?? 0;
+      } else {
+        this.fields[name][index] = typeof value === 'boolean' ? (value ? 1 : 0) : (value || 0);
+      }
+    });
+
+    const chromaRow = this.chroma.subarray(index * 12, (index + 1) * 12);
+    if (audioData.chroma) {
+      chromaRow.set(audioData.chroma);
+    } else {
+      chromaRow.fill(0);
+    }
+
+    if (this.frequencyData) {
+      const bins = this.frequencyBins;
+      const row = this.frequencyData.subarray(index * bins, (index + 1) * bins);
+      if (audioData.frequencyData) {
+        decimateSpectrum(audioData.frequencyData, row);
+      } else {
+        row.fill(0);
+      }
+    }
+  }
+
+  /**
+   * Read a frame by index
+   * @param {number} index - Frame index
+   * @param {Object} [target] - Object to write into (avoids allocation)
+   * @returns {Object} Audio data in the shape of AudioSource.getAudioData()
+   */
+  getFrame(index, target = {}) {
+    const i = Math.max(0, Math.min(this.length - 1, index));
+    Object.keys(FIELD_SAMPLING).forEach((name) => {
+      if (!ENCODED_FIELDS[name]) target[name] = this._readValue(name, i);
+    });
+    return this._finishFrame(target, i);
+  }
+
+  /**
+   * Read the frame at a time, interpolating continuous features
+   * @param {number} time - Time in seconds
+   * @param {Object} [target] - Object to write into (avoids allocation)
+   * @returns {Object} Audio data in the shape of AudioSource.getAudioData()
+   */
+  getFrameAt(time, target = {}) {
+    if (this.length === 0) return this._finishFrame(target, -1);
+
+    let index;
+    let t;
+    if (this.times) {
+      index = this.indexAt(time);
+      const span = index + 1 < this.length ? this.times[index + 1] - this.times[index] : 0;
+      t = span > 0 ? Math.max(0, Math.min((time - this.times[index]) / span, 1)) : 0;
+    } else {
+      const position = Math.max(0, (time - this.startTime) * this.frameRate);
+      index = Math.min(this.length - 1, Math.floor(position));
+      t = Math.min(position - index, 1);
+    }
+    const next = Math.min(this.length - 1, index + 1);
+
+    Object.keys(FIELD_SAMPLING).forEach((name) => {
+      if (ENCODED_FIELDS[name]) return;
+      if (FIELD_SAMPLING[name] === 'linear' && next !== index) {
+        const column = this.fields[name];
+        target[name] = column[index] + (column[next] - column[index]) * t;
+      } else {
+        target[name] = this._readValue(name, index);
+      }
+    });
+    return this._finishFrame(target, index);
+  }
+
+  /**
+   * Serialize to a plain JSON-compatible object
+   * Columns are stored as base64-encoded little-endian typed arrays to keep files small.
+   * @returns {Object}
+   */
+  toJSON() {
+    const fields = {};
+    Object.keys(this.fields).forEach((name) => {
+      fields[name] = encodeTypedArray(this.fields[name]);
+    });
+
+    return {
+      version: FORMAT_VERSION,
+      length: this.length,
+      frameRate: this.frameRate,
+      startTime: this.startTime,
+      sampleRate: this.sampleRate,
+      fields,
+      times: this.times ? encodeTypedArray(this.times) : null,
+      chroma: encodeTypedArray(this.chroma),
+      frequencyBins: this.frequencyBins,
+      frequencyData: this.frequencyData ? encodeTypedArray(this.frequencyData) : null,
+    };
+  }
+
+  /**
+   * Restore a timeline produced by toJSON()
+   * Also accepts columns stored as plain number arrays.
+   * @param {Object|string} json - Object or JSON string
+   * @returns {FeatureTimeline}
+   */
+  static fromJSON(json) {
+    if (typeof json === 'string') json = JSON.parse(json);
+    if (!json || typeof json.length !== 'number') {
+      throw new Error('Invalid feature timeline data');
+    }
+    if (json.version > FORMAT_VERSION) {
+      throw new Error(`Unsupported feature timeline version: ${json.version}`);
+    }
+
+    const fields = {};
+    Object.keys(json.fields || {}).forEach((name) => {
+      fields[name] = decodeTypedArray(json.fields[name], Float32Array);
+    });
+
+    return new FeatureTimeline({
+      length: json.length,
+      frameRate: json.frameRate ?? undefined,
+      startTime: json.startTime,
+      sampleRate: json.sampleRate,
+      fields,
+      times: json.times ? decodeTypedArray(json.times, Float64Array) : null,
+      chroma: json.chroma ? decodeTypedArray(json.chroma, Float32Array) : null,
+      frequencyBins: json.frequencyBins || 0,
+      frequencyData: json.frequencyData ? decodeTypedArray(json.frequencyData, Uint8Array) : null,
+    });
+  }
+
+  /**
+   * Read one stored value, converting booleans back
+   * @private
+   */
+  _readValue(name, index) {
+    const value = this.fields[name][index];
+    return BOOLEAN_FIELDS.has(name) ? value > 0 : value;
+  }
+
+  /**
+   * Derive pitch/octave, key and chord, and fill fields not stored in the timeline
+   * @private
+   * @param {Object} target - Frame being read
+   * @param {number} index - Frame whose spectrum to expose (-1 for none)
+   */
+  _finishFrame(target, index) {
+    if (target.pitchFrequency > 0) {
+      const note = FrequencyMap.noteFromFreq(target.pitchFrequency);
+      target.pitch = note.name;
+      target.octave = note.octave;
+    } else {
+      target.pitch = null;
+      target.octave = null;
+    }
+
+    const { key, mode } = decodeKey(index >= 0 ? this.fields.keyIndex[index] : -1);
+    target.key = key;
+    target.mode = mode;
+    target.chord = decodeChord(index >= 0 ? this.fields.chordIndex[index] : -1);
+    target.chroma = index >= 0 ? this.chroma.subarray(index * 12, (index + 1) * 12) : null;
+
+    if (this.frequencyData && index >= 0) {
+      // View into the spectrum column - copy it if you need to keep it
+      const bins = this.frequencyBins;
+      target.frequencyData = this.frequencyData.subarray(index * bins, (index + 1) * bins);
+    } else if (target.frequencyData === undefined) {
+      target.frequencyData = null;
+    }
+    if (target.timeDomainData === undefined) target.timeDomainData = null;
+    if (target.timeDomainLeft === undefined) target.timeDomainLeft = null;
+    if (target.timeDomainRight === undefined) target.timeDomainRight = null;
+    return target;
+  }
+}
+
+/**
+ * Reduce a spectrum to target.length bins, keeping the loudest bin in each group
+ * @private
+ */
+function decimateSpectrum(source, target) {
+  const ratio = source.length / target.length;
+  for (let i = 0; i < target.length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let peak = 0;
+    for (let j = start; j < end && j < source.length; j++) {
+      if (source[j] > peak) peak = source[j];
+    }
+    target[i] = peak;
+  }
+}
+
+/**
+ * Encode a typed array's bytes as base64
+ * @private
+ */
+function encodeTypedArray(array) {
+  const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  let binary = '';
+  // Chunked so String.fromCharCode doesn't exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a column from base64 (or a plain number array)
+ * @private
+ */
+function decodeTypedArray(value, Type) {
+  if (typeof value !== 'string') return Type.from(value);
+
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Type(bytes.buffer);
+}
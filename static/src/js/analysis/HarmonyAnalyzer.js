@@ -0,0 +1,408 @@
+/**
+ * Pitch class names, matching note-frequency-map's sharps-only naming
+ */
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Chord qualities recognised by the template matcher (intervals in semitones from the root)
+ */
+export const CHORD_QUALITIES = [
+  { suffix: '', intervals: [0, 4, 7] },          // major
+  { suffix: 'm', intervals: [0, 3, 7] },         // minor
+  { suffix: 'dim', intervals: [0, 3, 6] },
+  { suffix: 'aug', intervals: [0, 4, 8] },
+  { suffix: '7', intervals: [0, 4, 7, 10] },
+  { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { suffix: 'm7', intervals: [0, 3, 7, 10] },
+];
+
+// Krumhansl-Kessler key profiles (tonic first)
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Chord labels indexed by root * CHORD_QUALITIES.length + quality
+const CHORD_LABELS = [];
+PITCH_CLASSES.forEach((root) => {
+  CHORD_QUALITIES.forEach((quality) => CHORD_LABELS.push(root + quality.suffix));
+});
+
+// Unit-length chord templates, same order as CHORD_LABELS
+const CHORD_TEMPLATES = [];
+PITCH_CLASSES.forEach((_, root) => {
+  CHORD_QUALITIES.forEach(({ intervals }) => {
+    const template = new Float32Array(12);
+    const value = 1 / Math.sqrt(intervals.length);
+    intervals.forEach((interval) => {
+      template[(root + interval) % 12] = value;
+    });
+    CHORD_TEMPLATES.push(template);
+  });
+});
+
+// Mean-centred key profiles for Pearson correlation: 0-11 major, 12-23 minor
+const KEY_PROFILES = [];
+[MAJOR_PROFILE, MINOR_PROFILE].forEach((profile) => {
+  const mean = profile.reduce((sum, value) => sum + value, 0) / 12;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const centred = new Float32Array(12);
+    let norm = 0;
+    for (let i = 0; i < 12; i++) {
+      const value = profile[(i - tonic + 12) % 12] - mean;
+      centred[i] = value;
+      norm += value * value;
+    }
+    const scale = 1 / Math.sqrt(norm);
+    for (let i = 0; i < 12; i++) centred[i] *= scale;
+    KEY_PROFILES.push(centred);
+  }
+});
+
+/**
+ * Encode a key as a number (0-11 major, 12-23 minor, -1 for none)
+ * @param {string|null} key - Tonic pitch class, e.g. 'F#'
+ * @param {string|null} mode - 'major' or 'minor'
+ * @returns {number}
+ */
+export function encodeKey(key, mode) {
+  const tonic = PITCH_CLASSES.indexOf(key);
+  if (tonic === -1) return -1;
+  return mode === 'minor' ? tonic + 12 : tonic;
+}
+
+/**
+ * Decode a key produced by encodeKey()
+ * @param {number} index
+ * @returns {{key: string|null, mode: string|null}}
+ */
+export function decodeKey(index) {
+  const i = Math.round(index);
+  if (!(i >= 0 && i < 24)) return { key: null, mode: null };
+  return { key: PITCH_CLASSES[i % 12], mode: i < 12 ? 'major' : 'minor' };
+}
+
+/**
+ * Encode a chord label as a number (-1 for none or unknown labels)
+ * @param {string|null} chord - Label such as 'Am' or 'G7'
+ * @returns {number}
+ */
+export function encodeChord(chord) {
+  return chord ? CHORD_LABELS.indexOf(chord) : -1;
+}
+
+/**
+ * Decode a chord produced by encodeChord()
+ * @param {number} index
+ * @returns {string|null}
+ */
+export function decodeChord(index) {
+  const i = Math.round(index);
+  return i >= 0 && i < CHORD_LABELS.length ? CHORD_LABELS[i] : null;
+}
+
+/**
+ * HarmonyAnalyzer - Chromagram, key and chord estimation from a magnitude spectrum
+ *
+ * Works on AnalyserNode-style byte frequency data (getByteFrequencyData()), so it
+ * uses the same high-resolution spectrum as the bass peak finder. Spectral peaks
+ * are folded into 12 pitch classes; the chroma is smoothed over a short window for
+ * chord matching and accumulated over a long window for key estimation
+ * (Krumhansl-Kessler profiles). Smoothing is time-based, so results don't depend
+ * on how often frames arrive.
+ */
+export class HarmonyAnalyzer {
+  /**
+   * @param {Object} options
+   * @param {number} [options.minFrequency=60] - Lowest frequency folded into the chroma (Hz)
+   * @param {number} [options.maxFrequency=4000] - Highest frequency folded into the chroma (Hz)
+   * @param {number} [options.chromaSmoothing=0.15] - Chroma/chord time constant (seconds)
+   * @param {number} [options.keyWindow=8] - Key estimation time constant (seconds)
+   * @param {number} [options.minKeyTime=2] - Seconds of sound needed before a key is reported
+   * @param {number} [options.chordThreshold=0.65] - Minimum template match for a chord label (0-1)
+   * @param {number} [options.silenceDecibels=-70] - Level below which frames count as silence
+   */
+  constructor(options = {}) {
+    this._minFrequency = options.minFrequency ?? 60;
+    this._maxFrequency = options.maxFrequency ?? 4000;
+    this._chromaSmoothing = options.chromaSmoothing ?? 0.15;
+    this._keyWindow = options.keyWindow ?? 8;
+    this._minKeyTime = options.minKeyTime ?? 2;
+    this._chordThreshold = options.chordThreshold ?? 0.65;
+    this._silenceLevel = Math.pow(10, (options.silenceDecibels ?? -70) / 20);
+
+    this._frame = new Float32Array(12);
+    this._shortTerm = new Float32Array(12);
+    this._longTerm = new Float32Array(12);
+
+    this._binMap = null;
+    this._amplitudeTable = null;
+
+    this._state = {
+      chroma: new Float32Array(12),
+      key: null,
+      mode: null,
+      keyConfidence: 0,
+      chord: null,
+      chordConfidence: 0,
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear all accumulated harmony
+   */
+  reset() {
+    this._frame.fill(0);
+    this._shortTerm.fill(0);
+    this._longTerm.fill(0);
+    this._lastTime = null;
+    this._soundTime = 0;
+    this._keyIndex = -1;
+    this._chordIndex = -1;
+
+    const state = this._state;
+    state.chroma.fill(0);
+    state.key = null;
+    state.mode = null;
+    state.keyConfidence = 0;
+    state.chord = null;
+    state.chordConfidence = 0;
+  }
+
+  /**
+   * Analyse one spectrum frame
+   * @param {Uint8Array} frequencyData - Byte frequency data (bins spanning 0 to sampleRate / 2)
+   * @param {number} sampleRate - Sample rate of the analysed audio
+   * @param {number} time - Frame time in seconds
+   * @param {Object} [range] - Decibel range of the byte data (AnalyserNode minDecibels/maxDecibels)
+   * @returns {Object} Harmony state (same object every call - copy if you need to keep it)
+   */
+  process(frequencyData, sampleRate, time, { minDecibels = -100, maxDecibels = -30 } = {}) {
+    const first = this._lastTime === null;
+    const dt = first ? 0 : Math.max(0, Math.min(time - this._lastTime, 1));
+    this._lastTime = time;
+
+    const total = this._computeFrameChroma(frequencyData, sampleRate, minDecibels, maxDecibels);
+    const active = total > this._silenceLevel;
+
+    // First frame is taken as-is, later frames are blended in over chromaSmoothing
+    const shortAlpha = first ? 1 : 1 - Math.exp(-dt / this._chromaSmoothing);
+    const frame = this._frame;
+    const shortTerm = this._shortTerm;
+    for (let i = 0; i < 12; i++) {
+      shortTerm[i] += ((active ? frame[i] : 0) - shortTerm[i]) * shortAlpha;
+    }
+
+    if (active) {
+      // Each sounding frame contributes a normalised pitch-class distribution
+      const longAlpha = first ? 1 : 1 - Math.exp(-dt / this._keyWindow);
+      const longTerm = this._longTerm;
+      for (let i = 0; i < 12; i++) {
+        longTerm[i] += (frame[i] / total - longTerm[i]) * longAlpha;
+      }
+      this._soundTime += dt;
+    }
+
+    this._updateChroma();
+    this._updateChord();
+    this._updateKey();
+    return this._state;
+  }
+
+  /**
+   * Get the current harmony state
+   * @returns {Object}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Fold spectral peaks into this._frame
+   * @private
+   * @returns {number} Sum of the frame's chroma
+   */
+  _computeFrameChroma(frequencyData, sampleRate, minDecibels, maxDecibels) {
+    const map = this._getBinMap(frequencyData.length, sampleRate);
+    const amplitudes = this._getAmplitudeTable(minDecibels, maxDecibels);
+    const frame = this._frame;
+    frame.fill(0);
+
+    const last = Math.min(map.end, frequencyData.length - 2);
+    for (let k = map.start; k <= last; k++) {
+      const value = frequencyData[k];
+      // Only count local maxima so window leakage doesn't smear into neighbouring semitones
+      if (value === 0 || value < frequencyData[k - 1] || value < frequencyData[k + 1]) continue;
+      frame[map.pitchClass[k]] += amplitudes[value] * map.weight[k];
+    }
+
+    let total = 0;
+    for (let i = 0; i < 12; i++) total += frame[i];
+    return total;
+  }
+
+  /**
+   * Publish the short-term chroma normalised to a maximum of 1
+   * @private
+   */
+  _updateChroma() {
+    const chroma = this._state.chroma;
+    let max = 0;
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+      if (this._shortTerm[i] > max) max = this._shortTerm[i];
+      sum += this._shortTerm[i];
+    }
+
+    // Don't blow the fading tail of a sound back up to full scale
+    if (sum <= this._silenceLevel) max = 0;
+
+    for (let i = 0; i < 12; i++) {
+      chroma[i] = max > 0 ? this._shortTerm[i] / max : 0;
+    }
+  }
+
+  /**
+   * Match the short-term chroma against the chord templates
+   * @private
+   */
+  _updateChord() {
+    const state = this._state;
+    const shortTerm = this._shortTerm;
+
+    let sum = 0;
+    let norm = 0;
+    for (let i = 0; i < 12; i++) {
+      sum += shortTerm[i];
+      norm += shortTerm[i] * shortTerm[i];
+    }
+    if (sum <= this._silenceLevel || norm === 0) {
+      this._chordIndex = -1;
+      state.chord = null;
+      state.chordConfidence = 0;
+      return;
+    }
+
+    norm = Math.sqrt(norm);
+    let best = -1;
+    let bestScore = 0;
+    let currentScore = 0;
+    for (let c = 0; c < CHORD_TEMPLATES.length; c++) {
+      const template = CHORD_TEMPLATES[c];
+      let dot = 0;
+      for (let i = 0; i < 12; i++) dot += template[i] * shortTerm[i];
+      const score = dot / norm;
+      if (score > bestScore) {
+        bestScore = score;
+        best = c;
+      }
+      if (c === this._chordIndex) currentScore = score;
+    }
+
+    // Hysteresis: keep the current chord unless another is clearly better
+    if (this._chordIndex !== -1 && currentScore >= this._chordThreshold && currentScore >= bestScore - 0.03) {
+      best = this._chordIndex;
+      bestScore = currentScore;
+    }
+
+    if (bestScore < this._chordThreshold) {
+      best = -1;
+    }
+
+    this._chordIndex = best;
+    state.chord = decodeChord(best);
+    state.chordConfidence = best === -1 ? 0 : bestScore;
+  }
+
+  /**
+   * Correlate the long-term chroma with the 24 key profiles
+   * @private
+   */
+  _updateKey() {
+    const state = this._state;
+    if (this._soundTime < this._minKeyTime) return;
+
+    const longTerm = this._longTerm;
+    let mean = 0;
+    for (let i = 0; i < 12; i++) mean += longTerm[i];
+    mean /= 12;
+
+    let norm = 0;
+    for (let i = 0; i < 12; i++) norm += (longTerm[i] - mean) * (longTerm[i] - mean);
+    if (norm === 0) return;
+    norm = Math.sqrt(norm);
+
+    let best = -1;
+    let bestScore = -Infinity;
+    let currentScore = -Infinity;
+    for (let k = 0; k < KEY_PROFILES.length; k++) {
+      const profile = KEY_PROFILES[k];
+      let dot = 0;
+      for (let i = 0; i < 12; i++) dot += profile[i] * (longTerm[i] - mean);
+      const score = dot / norm;
+      if (score > bestScore) {
+        bestScore = score;
+        best = k;
+      }
+      if (k === this._keyIndex) currentScore = score;
+    }
+
+    // Hysteresis: a modulation has to win clearly before the key changes
+    if (this._keyIndex !== -1 && currentScore >= bestScore - 0.02) {
+      best = this._keyIndex;
+      bestScore = currentScore;
+    }
+
+    this._keyIndex = best;
+    const { key, mode } = decodeKey(best);
+    state.key = key;
+    state.mode = mode;
+    state.keyConfidence = Math.max(0, Math.min(1, bestScore));
+  }
+
+  /**
+   * Pitch class and weight of every bin in the analysed range
+   * @private
+   */
+  _getBinMap(binCount, sampleRate) {
+    if (this._binMap && this._binMap.binCount === binCount && this._binMap.sampleRate === sampleRate) {
+      return this._binMap;
+    }
+
+    const binWidth = sampleRate / 2 / binCount;
+    const start = Math.max(1, Math.ceil(this._minFrequency / binWidth));
+    const end = Math.min(binCount - 1, Math.floor(this._maxFrequency / binWidth));
+    const pitchClass = new Uint8Array(binCount);
+    const weight = new Float32Array(binCount);
+
+    for (let k = start; k <= end; k++) {
+      const midi = 12 * Math.log2((k * binWidth) / 440) + 69;
+      const nearest = Math.round(midi);
+      const deviation = midi - nearest;
+      pitchClass[k] = ((nearest % 12) + 12) % 12;
+      // Bins between two semitones count less
+      weight[k] = Math.exp(-0.5 * (deviation / 0.25) * (deviation / 0.25));
+    }
+
+    this._binMap = { binCount, sampleRate, start, end, pitchClass, weight };
+    return this._binMap;
+  }
+
+  /**
+   * Linear amplitude for each byte value
+   * @private
+   */
+  _getAmplitudeTable(minDecibels, maxDecibels) {
+    const table = this._amplitudeTable;
+    if (table && table.minDecibels === minDecibels && table.maxDecibels === maxDecibels) {
+      return table.values;
+    }
+
+    const values = new Float32Array(256);
+    for (let b = 1; b < 256; b++) {
+      values[b] = Math.pow(10, (minDecibels + (b / 255) * (maxDecibels - minDecibels)) / 20);
+    }
+    this._amplitudeTable = { minDecibels, maxDecibels, values };
+    return values;
+  }
+}
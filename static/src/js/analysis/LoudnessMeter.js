@@ -0,0 +1,209 @@
+import { createFeatureKernel } from './featureKernel.js';
+
+/**
+ * Lowest reported loudness/true peak (LUFS / dBTP) - the BS.1770 absolute gate.
+ * Silence and anything quieter read as this value.
+ */
+export const LOUDNESS_FLOOR = -70;
+
+/**
+ * LoudnessMeter - ITU-R BS.1770 momentary/short-term loudness and true peak
+ *
+ * Loudness is the K-weighted mean square over a sliding window: 400 ms for
+ * momentary and 3 s for short-term loudness (EBU R128 meter ballistics). True peak
+ * is the highest 4x-oversampled sample magnitude within the short-term window.
+ * A third, much shorter window (fastLoudness, not part of BS.1770) follows
+ * transients for auto-gained levels.
+ *
+ * Samples can be measured here with process(), or on another thread with the
+ * feature kernel's measureLoudness() and handed over with addMeasurement() (this is
+ * what the analysis worklet does).
+ *
+ * @example
+ * const meter = new LoudnessMeter();
+ * const { momentaryLoudness, truePeak } = meter.process([left, right], 48000);
+ */
+export class LoudnessMeter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.momentaryWindow=0.4] - Momentary loudness window (seconds)
+   * @param {number} [options.shortTermWindow=3] - Short-term loudness and true peak window (seconds)
+   * @param {number} [options.fastWindow=0.05] - Fast loudness window (seconds)
+   */
+  constructor(options = {}) {
+    this._momentaryWindow = options.momentaryWindow ?? 0.4;
+    this._shortTermWindow = options.shortTermWindow ?? 3;
+    this._fastWindow = options.fastWindow ?? 0.05;
+
+    if (!(this._momentaryWindow > 0) || !(this._fastWindow > 0) ||
+        !(this._shortTermWindow >= Math.max(this._momentaryWindow, this._fastWindow))) {
+      throw new Error('Loudness windows must be positive, with shortTermWindow the longest');
+    }
+
+    this._kernel = null;        // Created on first process() call
+    this._measurement = null;   // Kernel filter state for process()
+    this._measurementRate = 0;
+
+    this._state = {
+      momentaryLoudness: LOUDNESS_FLOOR,
+      shortTermLoudness: LOUDNESS_FLOOR,
+      fastLoudness: LOUDNESS_FLOOR,
+      truePeak: LOUDNESS_FLOOR,
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Measure a block of samples on this thread
+   * Filters keep their state between calls, so pass consecutive blocks of one stream.
+   * @param {Float32Array[]} channels - One array per channel
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} [start=0] - First sample index
+   * @param {number} [end] - Index after the last sample (default: channel length)
+   * @returns {{momentaryLoudness: number, shortTermLoudness: number, fastLoudness: number, truePeak: number}}
+   */
+  process(channels, sampleRate, start = 0, end = channels[0].length) {
+    if (!this._kernel) {
+      this._kernel = createFeatureKernel();
+    }
+    if (!this._measurement || this._measurementRate !== sampleRate) {
+      this._measurement = this._kernel.createLoudnessState(sampleRate);
+      this._measurementRate = sampleRate;
+    }
+
+    const measurement = this._measurement;
+    measurement.energy = 0;
+    measurement.samples = 0;
+    measurement.peak = 0;
+    this._kernel.measureLoudness(channels, start, end, measurement);
+
+    return this.addMeasurement(measurement.energy, measurement.samples, measurement.peak, sampleRate);
+  }
+
+  /**
+   * Add a block measured elsewhere (see the feature kernel's measureLoudness())
+   * @param {number} energy - Sum of channel-weighted K-weighted squares
+   * @param {number} samples - Samples per channel in the block
+   * @param {number} peak - Highest true-peak magnitude in the block (linear)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {{momentaryLoudness: number, shortTermLoudness: number, fastLoudness: number, truePeak: number}}
+   */
+  addMeasurement(energy, samples, peak, sampleRate) {
+    if (!(samples > 0)) return this._state;
+
+    this._push(energy, samples, peak);
+
+    // Drop blocks that fell out of the short-term window
+    const shortTermSamples = this._shortTermWindow * sampleRate;
+    while (this._size > 1 && this._totalSamples - this._samples[this._head] >= shortTermSamples) {
+      this._totalSamples -= this._samples[this._head];
+      this._head = (this._head + 1) % this._capacity;
+      this._size--;
+    }
+
+    // Newest to oldest: the shorter windows are suffixes of the short-term one
+    const momentarySamples = this._momentaryWindow * sampleRate;
+    const fastSamples = this._fastWindow * sampleRate;
+    let momentaryEnergy = 0;
+    let momentaryCount = 0;
+    let fastEnergy = 0;
+    let fastCount = 0;
+    let shortTermEnergy = 0;
+    let shortTermCount = 0;
+    let maxPeak = 0;
+
+    for (let n = this._size - 1; n >= 0; n--) {
+      const index = (this._head + n) % this._capacity;
+      const blockSamples = this._samples[index];
+
+      if (momentaryCount === 0 || momentaryCount + blockSamples <= momentarySamples) {
+        momentaryEnergy += this._energy[index];
+        momentaryCount += blockSamples;
+      }
+      if (fastCount === 0 || fastCount + blockSamples <= fastSamples) {
+        fastEnergy += this._energy[index];
+        fastCount += blockSamples;
+      }
+      shortTermEnergy += this._energy[index];
+      shortTermCount += blockSamples;
+      if (this._peaks[index] > maxPeak) maxPeak = this._peaks[index];
+    }
+
+    this._state.momentaryLoudness = toLoudness(momentaryEnergy / momentaryCount);
+    this._state.shortTermLoudness = toLoudness(shortTermEnergy / shortTermCount);
+    this._state.fastLoudness = toLoudness(fastEnergy / fastCount);
+    this._state.truePeak = maxPeak > 0
+      ? Math.max(20 * Math.log10(maxPeak), LOUDNESS_FLOOR)
+      : LOUDNESS_FLOOR;
+    return this._state;
+  }
+
+  /**
+   * Get the latest readings without measuring
+   * @returns {{momentaryLoudness: number, shortTermLoudness: number, fastLoudness: number, truePeak: number}}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Clear the windows and filter state
+   */
+  reset() {
+    this._capacity = 64;
+    this._energy = new Float64Array(this._capacity);
+    this._samples = new Float64Array(this._capacity);
+    this._peaks = new Float32Array(this._capacity);
+    this._head = 0;
+    this._size = 0;
+    this._totalSamples = 0;
+    this._measurement = null;
+
+    this._state.momentaryLoudness = LOUDNESS_FLOOR;
+    this._state.shortTermLoudness = LOUDNESS_FLOOR;
+    this._state.fastLoudness = LOUDNESS_FLOOR;
+    this._state.truePeak = LOUDNESS_FLOOR;
+  }
+
+  /**
+   * Append a block to the ring, growing it when full
+   * @private
+   */
+  _push(energy, samples, peak) {
+    if (this._size === this._capacity) {
+      const capacity = this._capacity * 2;
+      const energies = new Float64Array(capacity);
+      const counts = new Float64Array(capacity);
+      const peaks = new Float32Array(capacity);
+      for (let n = 0; n < this._size; n++) {
+        const index = (this._head + n) % this._capacity;
+        energies[n] = this._energy[index];
+        counts[n] = this._samples[index];
+        peaks[n] = this._peaks[index];
+      }
+      this._energy = energies;
+      this._samples = counts;
+      this._peaks = peaks;
+      this._capacity = capacity;
+      this._head = 0;
+    }
+
+    const index = (this._head + this._size) % this._capacity;
+    this._energy[index] = energy;
+    this._samples[index] = samples;
+    this._peaks[index] = peak;
+    this._size++;
+    this._totalSamples += samples;
+  }
+}
+
+/**
+ * Mean square of K-weighted samples to LUFS, clamped at the floor
+ * @private
+ */
+function toLoudness(meanSquare) {
+  return meanSquare > 0
+    ? Math.max(-0.691 + 10 * Math.log10(meanSquare), LOUDNESS_FLOOR)
+    : LOUDNESS_FLOOR;
+}
@@ -0,0 +1,473 @@
+import { PITCH_CLASSES } from './HarmonyAnalyzer.js';
+
+// Harmonic neighbourhood half-width, as a fraction of the harmonic's frequency (~half a semitone)
+const HARMONIC_TOLERANCE = 0.029;
+
+// Weight of each successive harmonic in a candidate's salience
+const HARMONIC_DECAY = 0.84;
+
+// Detections within this many semitones of an existing note continue it (vibrato, drift)
+const CONTINUITY_SEMITONES = 0.7;
+
+/**
+ * NoteTracker - Polyphonic note detection with note-on/note-off tracking
+ *
+ * Every frame, fundamentals are picked from the spectrum by harmonic salience: each
+ * spectral peak in the note range is scored by the weighted energy at its harmonics,
+ * the best one is taken and its harmonics are removed, and this repeats up to
+ * maxPolyphony. A monophonic pitch estimate (e.g. McLeod) can be passed as the lead
+ * candidate; without a spectrum it is the only one, which makes the tracker
+ * monophonic.
+ *
+ * Detections are joined into notes over time: a note starts once it has been heard
+ * for minDuration and ends after it has been missing for releaseTime. Octaves
+ * sounding together share partials, so the upper note of an octave is usually
+ * absorbed by the lower one; conversely a sound whose upper partial is much louder
+ * than its fundamental (e.g. a strong vocal formant) can add a note at that partial.
+ *
+ * Note objects: { id, midi, pitch, octave, name, frequency, cents, velocity,
+ * startTime, duration, active }. A note object keeps updating (frequency, cents,
+ * duration) until it ends.
+ *
+ * Works from timestamps, so frames may arrive at a variable rate.
+ */
+export class NoteTracker {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.minFrequency=50] - Lowest fundamental (Hz)
+   * @param {number} [options.maxFrequency=2000] - Highest fundamental (Hz)
+   * @param {number} [options.maxPolyphony=4] - Most notes detected at once (1 = monophonic)
+   * @param {number} [options.harmonics=8] - Harmonics scored per candidate
+   * @param {number} [options.threshold=0.2] - Salience relative to the strongest note needed for another note
+   * @param {number} [options.minLevel=-70] - Peaks quieter than this are ignored (dB)
+   * @param {number} [options.minDuration=0.06] - Seconds a pitch must be heard before note-on
+   * @param {number} [options.releaseTime=0.08] - Seconds a note may be missing before note-off
+   * @param {number} [options.frequencySmoothing=0.05] - Time constant of a note's frequency readout (seconds)
+   */
+  constructor(options = {}) {
+    this._minFrequency = options.minFrequency ?? 50;
+    this._maxFrequency = options.maxFrequency ?? 2000;
+    this._maxPolyphony = options.maxPolyphony ?? 4;
+    this._harmonics = options.harmonics ?? 8;
+    this._threshold = options.threshold ?? 0.2;
+    this._minLevel = options.minLevel ?? -70;
+    this._minDuration = options.minDuration ?? 0.06;
+    this._releaseTime = options.releaseTime ?? 0.08;
+    this._frequencySmoothing = options.frequencySmoothing ?? 0.05;
+
+    if (!(Number.isInteger(this._maxPolyphony) && this._maxPolyphony >= 1)) {
+      throw new Error('maxPolyphony must be a positive integer');
+    }
+
+    this._work = null;            // Linear amplitudes, harmonics removed as notes are picked
+    this._partials = new Float32Array(this._harmonics);
+    this._amplitudeTable = null;
+    this._detections = [];        // This frame's pitches: { frequency, salience, level }
+    this._tracks = [];            // Pending and active notes
+    this._nextId = 1;
+
+    // Reused result object
+    this._state = {
+      notes: [],     // Active notes, lowest first
+      started: [],   // Notes that started this frame
+      ended: [],     // Notes that ended this frame
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear all notes (without emitting note-offs)
+   */
+  reset() {
+    this._tracks.length = 0;
+    this._detections.length = 0;
+    this._lastTime = null;
+    this._state.notes.length = 0;
+    this._state.started.length = 0;
+    this._state.ended.length = 0;
+  }
+
+  /**
+   * Analyse one frame
+   * @param {Uint8Array|null} frequencyData - Byte frequency data (null for pitch-only tracking)
+   * @param {number} sampleRate - Sample rate of the analysed audio
+   * @param {number} time - Frame time in seconds
+   * @param {Object} [options]
+   * @param {number} [options.pitch=0] - Monophonic pitch estimate in Hz (0 = none)
+   * @param {number} [options.level=1] - Velocity for the pitch estimate when there is no spectrum (0-1)
+   * @param {number} [options.minDecibels=-100] - Decibel range of the byte data (AnalyserNode minDecibels)
+   * @param {number} [options.maxDecibels=-30] - Decibel range of the byte data (AnalyserNode maxDecibels)
+   * @returns {{notes: Object[], started: Object[], ended: Object[]}} State (same object every call)
+   */
+  process(frequencyData, sampleRate, time, { pitch = 0, level = 1, minDecibels = -100, maxDecibels = -30 } = {}) {
+    // Time going backwards (seek, loop) ends every note
+    if (this._lastTime !== null && time < this._lastTime) {
+      this._endAll(this._lastTime);
+    } else {
+      this._state.started.length = 0;
+      this._state.ended.length = 0;
+    }
+    const dt = this._lastTime === null ? 0 : Math.max(0, Math.min(time - this._lastTime, 1));
+    this._lastTime = time;
+
+    this._detect(frequencyData, sampleRate, pitch, level, minDecibels, maxDecibels);
+    this._track(time, dt);
+    return this._state;
+  }
+
+  /**
+   * Get the current state without processing
+   * @returns {{notes: Object[], started: Object[], ended: Object[]}}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * End every active note now (e.g. when the input goes away)
+   * @param {number} [time] - End time in seconds (defaults to the last frame's time)
+   * @returns {{notes: Object[], started: Object[], ended: Object[]}} State with the ended notes
+   */
+  flush(time = this._lastTime ?? 0) {
+    this._state.started.length = 0;
+    this._state.ended.length = 0;
+    this._endAll(time);
+    this._lastTime = null;
+    return this._state;
+  }
+
+  /**
+   * Pick this frame's pitches into this._detections
+   * @private
+   */
+  _detect(frequencyData, sampleRate, pitch, level, minDecibels, maxDecibels) {
+    const detections = this._detections;
+    detections.length = 0;
+
+    if (!frequencyData) {
+      if (pitch > 0) {
+        detections.push({ frequency: pitch, salience: 1, level });
+      }
+      return;
+    }
+
+    const binCount = frequencyData.length;
+    const binWidth = sampleRate / 2 / binCount;
+    const amplitudes = this._getAmplitudeTable(minDecibels, maxDecibels);
+    const minByte = Math.max(1, Math.ceil(((this._minLevel - minDecibels) / (maxDecibels - minDecibels)) * 255));
+
+    if (!this._work || this._work.length !== binCount) {
+      this._work = new Float32Array(binCount);
+    }
+    const work = this._work;
+    for (let k = 0; k < binCount; k++) {
+      work[k] = frequencyData[k] >= minByte ? amplitudes[frequencyData[k]] : 0;
+    }
+
+    // Candidate fundamentals: interpolated spectral peaks in the note range
+    const candidates = [];
+    const first = Math.max(1, Math.floor(this._minFrequency / binWidth));
+    const last = Math.min(binCount - 2, Math.ceil(this._maxFrequency / binWidth));
+    for (let k = first; k <= last; k++) {
+      const value = frequencyData[k];
+      if (value < minByte || value < frequencyData[k - 1] || value < frequencyData[k + 1]) continue;
+      const frequency = interpolatePeak(frequencyData, k) * binWidth;
+      if (frequency >= this._minFrequency && frequency <= this._maxFrequency) {
+        candidates.push({ frequency, bin: k });
+      }
+    }
+
+    let reference = 0;
+    if (pitch > 0) {
+      const salience = this._measureHarmonics(pitch, binWidth);
+      detections.push({ frequency: pitch, salience, level: this._harmonicLevel(frequencyData, pitch, binWidth) });
+      reference = salience;
+      this._removeHarmonics(pitch, binWidth);
+    }
+
+    while (detections.length < this._maxPolyphony) {
+      let best = null;
+      let bestSalience = 0;
+      for (let i = 0; i < candidates.length; i++) {
+        const candidate = candidates[i];
+        if (work[candidate.bin] <= 0) continue;   // Absorbed by an earlier note
+        const salience = this._measureHarmonics(candidate.frequency, binWidth);
+        if (salience > bestSalience) {
+          bestSalience = salience;
+          best = candidate;
+        }
+      }
+
+      if (!best || bestSalience < this._threshold * reference) break;
+
+      this._measureHarmonics(best.frequency, binWidth);
+      detections.push({
+        frequency: this._refineFrequency(frequencyData, best.frequency, binWidth),
+        salience: bestSalience,
+        level: this._harmonicLevel(frequencyData, best.frequency, binWidth),
+      });
+      reference = Math.max(reference, bestSalience);
+      this._removeHarmonics(best.frequency, binWidth);
+    }
+  }
+
+  /**
+   * Join detections to notes, starting and ending notes as needed
+   * @private
+   */
+  _track(time, dt) {
+    const tracks = this._tracks;
+    const state = this._state;
+    const smoothing = dt > 0 ? 1 - Math.exp(-dt / this._frequencySmoothing) : 1;
+
+    tracks.forEach((track) => {
+      track.matched = false;
+    });
+
+    // Strongest detections claim the nearest note first
+    this._detections.sort((a, b) => b.salience - a.salience);
+    this._detections.forEach((detection) => {
+      const midi = frequencyToMidi(detection.frequency);
+
+      let track = null;
+      let distance = CONTINUITY_SEMITONES;
+      tracks.forEach((candidate) => {
+        const d = Math.abs(frequencyToMidi(candidate.note.frequency) - midi);
+        if (!candidate.matched && d < distance) {
+          distance = d;
+          track = candidate;
+        }
+      });
+
+      if (!track) {
+        track = { note: this._createNote(detection.frequency, time), lastSeen: time, matched: false };
+        tracks.push(track);
+      } else {
+        const note = track.note;
+        note.frequency += (detection.frequency - note.frequency) * smoothing;
+        note.cents = 100 * (frequencyToMidi(note.frequency) - note.midi);
+      }
+
+      track.matched = true;
+      track.lastSeen = time;
+      const note = track.note;
+      // Velocity is the loudest level heard up to note-on
+      if (!note.active) note.velocity = Math.max(note.velocity, detection.level);
+    });
+
+    for (let i = tracks.length - 1; i >= 0; i--) {
+      const track = tracks[i];
+      const note = track.note;
+
+      if (!track.matched && time - track.lastSeen > this._releaseTime) {
+        tracks.splice(i, 1);
+        if (note.active) {
+          note.active = false;
+          note.duration = track.lastSeen - note.startTime;
+          state.ended.push(note);
+        }
+        continue;
+      }
+
+      if (note.active) {
+        note.duration = time - note.startTime;
+      } else if (track.matched && time - note.startTime >= this._minDuration) {
+        note.active = true;
+        note.id = this._nextId++;
+        note.duration = time - note.startTime;
+        state.started.push(note);
+      }
+    }
+
+    state.notes.length = 0;
+    tracks.forEach((track) => {
+      if (track.note.active) state.notes.push(track.note);
+    });
+    state.notes.sort((a, b) => a.frequency - b.frequency);
+  }
+
+  /**
+   * End all notes at a time
+   * @private
+   */
+  _endAll(time) {
+    this._tracks.forEach(({ note, lastSeen }) => {
+      if (note.active) {
+        note.active = false;
+        note.duration = Math.max(0, Math.min(lastSeen, time) - note.startTime);
+        this._state.ended.push(note);
+      }
+    });
+    this._tracks.length = 0;
+    this._state.notes.length = 0;
+  }
+
+  /**
+   * @private
+   */
+  _createNote(frequency, time) {
+    const midi = Math.round(frequencyToMidi(frequency));
+    const pitch = PITCH_CLASSES[((midi % 12) + 12) % 12];
+    const octave = Math.floor(midi / 12) - 1;
+    return {
+      id: 0,                // Assigned at note-on
+      midi,
+      pitch,
+      octave,
+      name: `${pitch}${octave}`,
+      frequency,
+      cents: 100 * (frequencyToMidi(frequency) - midi),
+      velocity: 0,
+      startTime: time,
+      duration: 0,
+      active: false,
+    };
+  }
+
+  /**
+   * Measure a fundamental's partials in this._work into this._partials and return
+   * their weighted sum. A partial louder than both its neighbours' average and a 1/h
+   * roll-off from the fundamental is capped at the larger of the two, so a partial
+   * shared with another note only counts the share this note likely contributes
+   * (while odd-harmonic tones such as clarinets keep their strong partials).
+   * @private
+   */
+  _measureHarmonics(frequency, binWidth) {
+    const work = this._work;
+    const partials = this._partials;
+    let count = 0;
+    for (let h = 1; h <= this._harmonics; h++) {
+      const [start, end] = harmonicRange(frequency * h, binWidth, work.length);
+      if (start > end) break;
+      let peak = 0;
+      for (let k = start; k <= end; k++) {
+        if (work[k] > peak) peak = work[k];
+      }
+      partials[count++] = peak;
+    }
+    partials.fill(0, count);
+
+    let salience = 0;
+    let weight = 1;
+    let previous = partials[0];
+    for (let i = 0; i < count; i++) {
+      const raw = partials[i];
+      if (i > 0) {
+        const average = i + 1 < count ? (previous + partials[i + 1]) / 2 : previous;
+        partials[i] = Math.min(raw, Math.max(average, partials[0] / (i + 1)));
+      }
+      previous = raw;
+      salience += weight * partials[i];
+      weight *= HARMONIC_DECAY;
+    }
+    return salience;
+  }
+
+  /**
+   * Subtract the partials from the last _measureHarmonics() call from this._work
+   * @private
+   */
+  _removeHarmonics(frequency, binWidth) {
+    const work = this._work;
+    for (let h = 1; h <= this._harmonics; h++) {
+      const [start, end] = harmonicRange(frequency * h, binWidth, work.length);
+      if (start > end) break;
+      const amount = this._partials[h - 1];
+      for (let k = start; k <= end; k++) {
+        work[k] = Math.max(0, work[k] - amount);
+      }
+    }
+  }
+
+  /**
+   * Sharpen a fundamental estimate with its partials (frequency / harmonic number,
+   * weighted by the partial's measured share)
+   * @private
+   */
+  _refineFrequency(frequencyData, frequency, binWidth) {
+    let sum = 0;
+    let total = 0;
+    for (let h = 1; h <= this._harmonics; h++) {
+      const weight = this._partials[h - 1];
+      const [start, end] = harmonicRange(frequency * h, binWidth, frequencyData.length - 1);
+      if (start > end) break;
+      if (!(weight > 0)) continue;
+
+      let k = start;
+      for (let i = start + 1; i <= end; i++) {
+        if (frequencyData[i] > frequencyData[k]) k = i;
+      }
+      sum += (weight * interpolatePeak(frequencyData, k) * binWidth) / h;
+      total += weight;
+    }
+    return total > 0 ? sum / total : frequency;
+  }
+
+  /**
+   * Loudest byte level (0-1) among a fundamental's harmonics
+   * @private
+   */
+  _harmonicLevel(frequencyData, frequency, binWidth) {
+    let peak = 0;
+    for (let h = 1; h <= this._harmonics; h++) {
+      const [start, end] = harmonicRange(frequency * h, binWidth, frequencyData.length);
+      if (start > end) break;
+      for (let k = start; k <= end; k++) {
+        if (frequencyData[k] > peak) peak = frequencyData[k];
+      }
+    }
+    return peak / 255;
+  }
+
+  /**
+   * Linear amplitude for each byte value
+   * @private
+   */
+  _getAmplitudeTable(minDecibels, maxDecibels) {
+    const table = this._amplitudeTable;
+    if (table && table.minDecibels === minDecibels && table.maxDecibels === maxDecibels) {
+      return table.values;
+    }
+
+    const values = new Float32Array(256);
+    for (let b = 1; b < 256; b++) {
+      values[b] = Math.pow(10, (minDecibels + (b / 255) * (maxDecibels - minDecibels)) / 20);
+    }
+    this._amplitudeTable = { minDecibels, maxDecibels, values };
+    return values;
+  }
+}
+
+/**
+ * Fractional MIDI note number (A4 = 69)
+ * @private
+ */
+function frequencyToMidi(frequency) {
+  return 12 * Math.log2(frequency / 440) + 69;
+}
+
+/**
+ * Fractional bin of the peak at bin k (parabolic interpolation)
+ * Byte data is logarithmic, so a parabola through it fits the peak shape well.
+ * @private
+ */
+function interpolatePeak(data, k) {
+  const a = data[k - 1];
+  const b = data[k];
+  const c = data[k + 1];
+  const curvature = a - 2 * b + c;
+  return curvature < 0 ? k + (0.5 * (a - c)) / curvature : k;
+}
+
+/**
+ * Bins within HARMONIC_TOLERANCE of a frequency (at least the nearest bin and its neighbours)
+ * @private
+ * @returns {number[]} [start, end] - start > end when the frequency is past the last bin
+ */
+function harmonicRange(frequency, binWidth, binCount) {
+  const center = Math.round(frequency / binWidth);
+  const start = Math.max(1, Math.min(center - 1, Math.floor((frequency * (1 - HARMONIC_TOLERANCE)) / binWidth)));
+  const end = Math.min(binCount - 1, Math.max(center + 1, Math.ceil((frequency * (1 + HARMONIC_TOLERANCE)) / binWidth)));
+  return [start, end];
+}
@@ -0,0 +1,298 @@
+import { createFeatureKernel, findBassPeak } from './featureKernel.js';
+import { BeatTracker } from './BeatTracker.js';
+import { HarmonyAnalyzer } from './HarmonyAnalyzer.js';
+import { LoudnessMeter } from './LoudnessMeter.js';
+import { AutoGain } from './AutoGain.js';
+import { FeatureTimeline } from './FeatureTimeline.js';
+
+/**
+ * OfflineAnalyzer - Precompute a feature timeline from decoded audio
+ *
+ * Runs the same feature kernel, pitch detector, bass peak finder, beat tracker,
+ * harmony analyzer, loudness meter and auto-gain as the live AudioSource, frame by
+ * frame over a whole buffer, and returns a FeatureTimeline whose frames match what
+ * getAudioData() would have reported.
+ *
+ * @example
+ * const analyzer = new OfflineAnalyzer();
+ * const timeline = await analyzer.analyzeFile(file, { onProgress: (p) => console.log(p) });
+ * const frame = timeline.getFrameAt(12.5); // { energy, roughness, pitch, bpm, ... }
+ */
+export class OfflineAnalyzer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.hopSize=512] - Samples between frames
+   * @param {number} [options.featureBufferSize=512] - Window for spectral features
+   * @param {number} [options.pitchBufferSize=4096] - Window for pitch detection
+   * @param {number} [options.pitchHopSize=2048] - Samples between pitch estimates
+   * @param {number} [options.fftSize=8192] - Window for the bass peak and harmony (matches AudioSource's analyser)
+   * @param {number} [options.bassHopSize=2048] - Samples between bass peak and harmony estimates
+   * @param {number} [options.smoothingFactor=0.8] - Same smoothing as AudioSource (0 disables)
+   * @param {number} [options.clarityThreshold=0.9] - Pitch clarity threshold
+   * @param {number} [options.minFrequency=20] - Min pitch frequency (Hz)
+   * @param {number} [options.maxFrequency=4000] - Max pitch frequency (Hz)
+   * @param {Object} [options.beatOptions] - Options passed to BeatTracker
+   * @param {Object} [options.harmonyOptions] - Options passed to HarmonyAnalyzer
+   * @param {Object} [options.loudnessOptions] - Options passed to LoudnessMeter
+   * @param {Object} [options.autoGainOptions] - Options passed to AutoGain
+   * @param {number} [options.sampleRate=44100] - Sample rate files are decoded to
+   * @param {number} [options.yieldEvery=500] - Frames between yields to the event loop
+   * @param {number} [options.frequencyBins=0] - Decimate and store frequencyData with this many bins (0 = don't store),
+   *   for spectrum visualizers and band levels on replay
+   */
+  constructor(options = {}) {
+    this._hopSize = options.hopSize ?? 512;
+    this._featureBufferSize = options.featureBufferSize ?? 512;
+    this._pitchBufferSize = options.pitchBufferSize ?? 4096;
+    this._pitchHopSize = options.pitchHopSize ?? 2048;
+    this._fftSize = options.fftSize ?? 8192;
+    this._bassHopSize = options.bassHopSize ?? 2048;
+    this._smoothingFactor = options.smoothingFactor ?? 0.8;
+    this._sampleRate = options.sampleRate ?? 44100;
+    this._yieldEvery = options.yieldEvery ?? 500;
+    this._frequencyBins = options.frequencyBins ?? 0;
+    this._beatOptions = options.beatOptions || {};
+    this._harmonyOptions = options.harmonyOptions || {};
+    this._loudnessOptions = options.loudnessOptions || {};
+    this._autoGainOptions = options.autoGainOptions || {};
+
+    this._pitchConfig = {
+      clarityThreshold: options.clarityThreshold ?? 0.9,
+      minFrequency: options.minFrequency ?? 20,
+      maxFrequency: options.maxFrequency ?? 4000,
+    };
+
+    this._kernel = createFeatureKernel();
+  }
+
+  /**
+   * Decode audio into an AudioBuffer
+   * @param {AudioBuffer|ArrayBuffer|Blob|string} input - Buffer, encoded bytes, File/Blob, or URL
+   * @param {number} [sampleRate=44100] - Sample rate to decode to
+   * @returns {Promise<AudioBuffer>}
+   */
+  static async decode(input, sampleRate = 44100) {
+    if (isAudioBufferLike(input)) return input;
+
+    let arrayBuffer = input;
+    if (typeof input === 'string') {
+      const response = await fetch(input);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch audio: ${response.status} ${response.statusText}`);
+      }
+      arrayBuffer = await response.arrayBuffer();
+    } else if (typeof Blob !== 'undefined' && input instanceof Blob) {
+      arrayBuffer = await input.arrayBuffer();
+    }
+
+    if (!(arrayBuffer instanceof ArrayBuffer)) {
+      throw new Error('input must be an AudioBuffer, ArrayBuffer, Blob/File or URL');
+    }
+
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineContext) {
+      throw new Error('OfflineAudioContext not supported in this browser');
+    }
+
+    // decodeAudioData resamples to the context's rate
+    const context = new OfflineContext(1, 1, sampleRate);
+    return context.decodeAudioData(arrayBuffer);
+  }
+
+  /**
+   * Decode and analyse a file
+   * @param {AudioBuffer|ArrayBuffer|Blob|string} input - See decode()
+   * @param {Object} [options] - See analyze()
+   * @returns {Promise<FeatureTimeline>}
+   */
+  async analyzeFile(input, options = {}) {
+    const audioBuffer = await OfflineAnalyzer.decode(input, this._sampleRate);
+    return this.analyze(audioBuffer, options);
+  }
+
+  /**
+   * Analyse a decoded buffer
+   * @param {AudioBuffer} audioBuffer - AudioBuffer or any object with sampleRate, length,
+   *   numberOfChannels and getChannelData()
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with progress (0-1)
+   * @param {AbortSignal} [options.signal] - Abort the analysis (rejects with signal.reason, like fetch())
+   * @returns {Promise<FeatureTimeline>}
+   */
+  async analyze(audioBuffer, { onProgress, signal } = {}) {
+    if (!isAudioBufferLike(audioBuffer)) {
+      throw new Error('audioBuffer must be an AudioBuffer');
+    }
+
+    const kernel = this._kernel;
+    const channels = getChannels(audioBuffer);
+    const samples = mixToMono(audioBuffer);
+    const sampleRate = audioBuffer.sampleRate;
+    const hop = this._hopSize;
+    const frameCount = Math.floor(samples.length / hop);
+
+    const timeline = new FeatureTimeline({
+      length: frameCount,
+      frameRate: sampleRate / hop,
+      startTime: hop / sampleRate,   // Frames are stamped at the end of their hop, like the worklet
+      sampleRate,
+      frequencyBins: this._frequencyBins,
+    });
+
+    const featureFrame = new Float32Array(this._featureBufferSize);
+    const pitchFrame = new Float32Array(this._pitchBufferSize);
+    const bassFrame = new Float32Array(this._fftSize);
+    const ampSpectrum = new Float32Array(this._featureBufferSize / 2);
+    const previousSpectrum = new Float32Array(this._featureBufferSize / 2);
+    const byteSpectrum = new Uint8Array(this._fftSize / 2);
+
+    const beatTracker = new BeatTracker({ ...this._beatOptions, frameRate: sampleRate / hop });
+    const harmonyAnalyzer = new HarmonyAnalyzer(this._harmonyOptions);
+    const loudnessMeter = new LoudnessMeter(this._loudnessOptions);
+    const autoGain = new AutoGain(this._autoGainOptions);
+    const smoothed = { energy: 0, warmth: 0, richness: 0, sharpness: 0 };
+    const frame = { frequencyData: byteSpectrum };   // Stored decimated when frequencyBins > 0
+    let pitch = 0;
+    let clarity = 0;
+    let samplesSincePitch = 0;
+    let samplesSinceBass = this._bassHopSize;
+
+    for (let f = 0; f < frameCount; f++) {
+      if (signal?.aborted) {
+        throw signal.reason ?? new DOMException('Analysis aborted', 'AbortError');
+      }
+
+      const end = (f + 1) * hop;
+      const time = end / sampleRate;
+
+      // Spectral features and onset strength
+      copyWindow(samples, end, featureFrame);
+      kernel.computeAmplitudeSpectrum(featureFrame, ampSpectrum);
+      const features = kernel.extractSpectralFeatures(featureFrame, sampleRate, ampSpectrum);
+      const flux = kernel.computeSpectralFlux(ampSpectrum, previousSpectrum);
+      previousSpectrum.set(ampSpectrum);
+
+      // Pitch at the worklet's pitch rate
+      samplesSincePitch += hop;
+      if (samplesSincePitch >= this._pitchHopSize) {
+        samplesSincePitch = 0;
+        copyWindow(samples, end, pitchFrame);
+        [pitch, clarity] = kernel.detectPitch(pitchFrame, sampleRate);
+      }
+
+      // Bass peak and harmony from AnalyserNode-style byte data (the 8192 window changes slowly)
+      samplesSinceBass += hop;
+      if (samplesSinceBass >= this._bassHopSize) {
+        samplesSinceBass = 0;
+        copyWindow(samples, end, bassFrame);
+        kernel.computeByteFrequencyData(bassFrame, byteSpectrum);
+        findBassPeak(byteSpectrum, sampleRate, frame);
+        Object.assign(frame, harmonyAnalyzer.process(byteSpectrum, sampleRate, time));
+      }
+
+      // Same mapping and smoothing as AudioSource._updateFeatures()
+      smoothed.energy = this._smooth(smoothed.energy, features.energy || 0);
+      smoothed.warmth = this._smooth(smoothed.warmth, features.spectralCentroid || 0);
+      smoothed.richness = this._smooth(smoothed.richness, features.perceptualSpread || 0);
+      smoothed.sharpness = this._smooth(smoothed.sharpness, features.perceptualSharpness || 0);
+
+      frame.energy = smoothed.energy;
+      frame.roughness = features.spectralFlatness || 0;
+      frame.warmth = smoothed.warmth;
+      frame.richness = smoothed.richness;
+      frame.sharpness = smoothed.sharpness;
+      frame.kurtosis = features.spectralKurtosis || 0;
+      frame.pitchFrequency = this._acceptPitch(pitch, clarity) ? pitch : 0;
+
+      Object.assign(frame, beatTracker.process(flux, time));
+
+      // Loudness over every channel (BS.1770 sums channels, so no mono mix here)
+      const loudness = loudnessMeter.process(channels, sampleRate, end - hop, end);
+      Object.assign(frame, loudness, autoGain.process(loudness, time, frame.bassEnergy));
+
+      timeline.setFrame(f, frame);
+
+      if (this._yieldEvery > 0 && f > 0 && f % this._yieldEvery === 0) {
+        onProgress?.(f / frameCount);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+
+    onProgress?.(1);
+    return timeline;
+  }
+
+  /**
+   * Pitch gate - same rules as AudioSource._applyPitch()
+   * @private
+   */
+  _acceptPitch(pitch, clarity) {
+    return clarity > this._pitchConfig.clarityThreshold &&
+      pitch > this._pitchConfig.minFrequency &&
+      pitch < this._pitchConfig.maxFrequency;
+  }
+
+  /**
+   * Apply smoothing to a value
+   * @private
+   */
+  _smooth(oldValue, newValue) {
+    return oldValue * this._smoothingFactor + newValue * (1 - this._smoothingFactor);
+  }
+}
+
+/**
+ * Duck-type check so plain objects can stand in for AudioBuffer (e.g. in tests)
+ * @private
+ */
+function isAudioBufferLike(value) {
+  return !!value &&
+    typeof value.getChannelData === 'function' &&
+    typeof value.sampleRate === 'number' &&
+    typeof value.numberOfChannels === 'number';
+}
+
+/**
+ * Channel data arrays of a buffer
+ * @private
+ */
+function getChannels(audioBuffer) {
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  return channels;
+}
+
+/**
+ * Average all channels into one Float32Array
+ * @private
+ */
+function mixToMono(audioBuffer) {
+  const channels = audioBuffer.numberOfChannels;
+  if (channels === 1) return audioBuffer.getChannelData(0);
+
+  const length = audioBuffer.length ?? audioBuffer.getChannelData(0).length;
+  const mono = new Float32Array(length);
+  for (let c = 0; c < channels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < length; i++) {
+      mono[i] += data[i] / channels;
+    }
+  }
+  return mono;
+}
+
+/**
+ * Copy the target.length samples ending at `end`, zero-padding before the start
+ * @private
+ */
+function copyWindow(samples, end, target) {
+  const start = end - target.length;
+  if (start >= 0) {
+    target.set(samples.subarray(start, end));
+    return;
+  }
+  target.fill(0, 0, -start);
+  target.set(samples.subarray(0, end), -start);
+}
@@ -0,0 +1,271 @@
+/**
+ * Section changes reported by SectionDetector
+ */
+export const SECTION_CHANGES = ['rise', 'fall', 'drop', 'breakdown', 'silence', 'resume'];
+
+/**
+ * SectionDetector - Spot structural changes in a track from the audio data stream
+ *
+ * Follows loudness (level) and bass (bassLevel) with fast and slow moving averages:
+ * - 'rise' / 'fall' - level stays well above / below its long-term average for shiftTime
+ * - 'drop' - bass slams back in well above its recent average (e.g. after a build-up)
+ * - 'breakdown' - bass falls away while the music carries on
+ * - 'silence' / 'resume' - level stays under silenceLevel for silenceTime / comes back
+ *
+ * After each change the averages follow the new section for settleTime before the
+ * next change can be reported, so one transition is reported once. Frames below
+ * silenceLevel never start a section other than 'silence'.
+ *
+ * Also counts bars from the beat tracker's downbeats and marks phrase boundaries
+ * every phraseBars bars. Drops usually land on the first bar of a phrase, so the
+ * phrase grid is re-aligned to the bar of each drop.
+ *
+ * Works from timestamps, so frames may arrive at a variable rate.
+ *
+ * @example
+ * const sections = new SectionDetector({ phraseBars: 8 });
+ * source.on('frame', ({ time, audioData }) => {
+ *   const { change, phraseStart } = sections.process(audioData, time);
+ *   if (change) console.log(change, 'at', time);
+ * });
+ */
+export class SectionDetector {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.shortTime=2] - Time constant of the fast level average (s)
+   * @param {number} [options.longTime=16] - Time constant of the slow level average (s)
+   * @param {number} [options.shiftThreshold=0.2] - Level difference (0-1) for a rise or fall
+   * @param {number} [options.shiftTime=4] - How long the difference must last (s)
+   * @param {number} [options.dropThreshold=0.25] - Bass jump (0-1) for a drop
+   * @param {number} [options.breakdownThreshold=0.2] - Bass fall (0-1) for a breakdown
+   * @param {number} [options.settleTime=4] - Seconds after a change before the next can be reported
+   * @param {number} [options.silenceLevel=0.03] - Level (0-1) below which the input counts as silent
+   * @param {number} [options.silenceTime=2] - How long it must stay silent (s)
+   * @param {number} [options.phraseBars=8] - Bars per phrase
+   */
+  constructor(options = {}) {
+    if (options.phraseBars !== undefined && !(Number.isInteger(options.phraseBars) && options.phraseBars > 0)) {
+      throw new Error('phraseBars must be a positive integer');
+    }
+
+    this.phraseBars = options.phraseBars ?? 8;
+
+    this._shortTime = options.shortTime ?? 2;
+    this._longTime = options.longTime ?? 16;
+    this._shiftThreshold = options.shiftThreshold ?? 0.2;
+    this._shiftTime = options.shiftTime ?? 4;
+    this._dropThreshold = options.dropThreshold ?? 0.25;
+    this._breakdownThreshold = options.breakdownThreshold ?? 0.2;
+    this._settleTime = options.settleTime ?? 4;
+    this._silenceLevel = options.silenceLevel ?? 0.03;
+    this._silenceTime = options.silenceTime ?? 2;
+    this._bassFastTime = 0.5;     // Fast bass average (s) - reacts within a beat or two
+    this._bassSlowTime = 8;       // Slow bass average (s)
+
+    // Reused result object to avoid per-frame allocations
+    this._state = {
+      change: null,          // One of SECTION_CHANGES on the frame it is detected, else null
+      section: 0,            // Changes so far (excluding silence/resume)
+      sectionStart: 0,       // Time of the latest change (s)
+      silent: false,
+      energy: 0,             // Fast level average (0-1)
+      baseline: 0,           // Slow level average (0-1)
+      bar: 0,                // Bars counted since tracking started
+      phraseBar: 0,          // Bar within the phrase (0 = first bar)
+      phraseStart: false,    // True on the downbeat that starts a phrase
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Clear all averages and counters
+   */
+  reset() {
+    this._lastTime = null;
+    this._bassFast = 0;
+    this._bassSlow = 0;
+    this._shiftFor = 0;
+    this._quietFor = 0;
+    this._settleFor = 0;
+    this._lastBeatCount = null;
+    this._phraseOrigin = 0;       // Bar that starts the phrase grid
+    this._primed = false;         // Averages start at the first frame's values
+
+    Object.assign(this._state, {
+      change: null,
+      section: 0,
+      sectionStart: 0,
+      silent: false,
+      energy: 0,
+      baseline: 0,
+      bar: 0,
+      phraseBar: 0,
+      phraseStart: false,
+    });
+  }
+
+  /**
+   * Feed one audio data frame
+   * @param {Object} audioData - Audio data (level, bassLevel, bpm, beatCount, beatInBar)
+   * @param {number} time - Frame time in seconds
+   * @returns {Object} Current state: change, section, sectionStart, silent, energy, baseline, bar, phraseBar, phraseStart
+   */
+  process(audioData, time) {
+    const state = this._state;
+    state.change = null;
+    state.phraseStart = false;
+
+    // Clock jumped backwards (seek / new source) - start over
+    if (this._lastTime !== null && time < this._lastTime) {
+      this.reset();
+    }
+    const dt = this._lastTime === null ? 0 : Math.min(time - this._lastTime, 1);
+    this._lastTime = time;
+
+    const level = finiteOr(audioData.level, 0);
+    const bass = finiteOr(audioData.bassLevel, 0);
+
+    if (!this._primed) {
+      state.energy = state.baseline = level;
+      this._bassFast = this._bassSlow = bass;
+      this._primed = true;
+    } else {
+      state.energy += (level - state.energy) * smoothing(dt, this._shortTime);
+      state.baseline += (level - state.baseline) * smoothing(dt, this._longTime);
+      this._bassFast += (bass - this._bassFast) * smoothing(dt, this._bassFastTime);
+      this._bassSlow += (bass - this._bassSlow) * smoothing(dt, this._bassSlowTime);
+    }
+
+    this._countBars(audioData);
+    this._detectChange(level, dt, time);
+    return state;
+  }
+
+  /**
+   * Current state (same object returned by process())
+   * @returns {Object}
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Count downbeats and mark phrase boundaries
+   * @private
+   */
+  _countBars(audioData) {
+    const state = this._state;
+    if (!(audioData.bpm > 0)) {
+      this._lastBeatCount = null;
+      return;
+    }
+
+    const beatCount = audioData.beatCount;
+    const isNewBeat = this._lastBeatCount !== null && beatCount !== this._lastBeatCount;
+    this._lastBeatCount = beatCount;
+
+    if (isNewBeat && audioData.beatInBar === 0) {
+      state.bar++;
+      state.phraseBar = mod(state.bar - this._phraseOrigin, this.phraseBars);
+      state.phraseStart = state.phraseBar === 0;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _detectChange(level, dt, time) {
+    const state = this._state;
+
+    // Silence (with hysteresis so a fade-out doesn't flicker)
+    this._quietFor = level < this._silenceLevel ? this._quietFor + dt : 0;
+    if (!state.silent && this._quietFor >= this._silenceTime) {
+      state.silent = true;
+      this._report('silence', time, false);
+      return;
+    }
+    if (state.silent) {
+      if (level >= this._silenceLevel * 2) {
+        state.silent = false;
+        this._rebase();
+        this._report('resume', time, false);
+      }
+      return;
+    }
+
+    // Let the averages catch up with the section that just started
+    if (this._settleFor > 0) {
+      this._settleFor -= dt;
+      this._rebase();
+      return;
+    }
+    if (level < this._silenceLevel) return;
+
+    if (this._bassFast - this._bassSlow > this._dropThreshold) {
+      this._rebase();
+      // The drop starts a phrase: re-align the grid to the bar it landed in
+      this._phraseOrigin = state.bar;
+      state.phraseBar = 0;
+      this._report('drop', time, true);
+      return;
+    }
+
+    if (this._bassSlow - this._bassFast > this._breakdownThreshold) {
+      this._rebase();
+      this._report('breakdown', time, true);
+      return;
+    }
+
+    const shift = state.energy - state.baseline;
+    this._shiftFor = Math.abs(shift) > this._shiftThreshold ? this._shiftFor + dt : 0;
+    if (this._shiftFor >= this._shiftTime) {
+      this._rebase();
+      this._report(shift > 0 ? 'rise' : 'fall', time, true);
+    }
+  }
+
+  /**
+   * Restart the slow averages from the current fast ones
+   * @private
+   */
+  _rebase() {
+    this._state.baseline = this._state.energy;
+    this._bassSlow = this._bassFast;
+    this._shiftFor = 0;
+  }
+
+  /**
+   * @private
+   */
+  _report(change, time, newSection) {
+    const state = this._state;
+    this._settleFor = this._settleTime;
+    state.change = change;
+    state.sectionStart = time;
+    if (newSection) state.section++;
+  }
+}
+
+/**
+ * Exponential smoothing coefficient for a time step and time constant
+ * @private
+ */
+function smoothing(dt, timeConstant) {
+  return timeConstant > 0 ? 1 - Math.exp(-dt / timeConstant) : 1;
+}
+
+/**
+ * @private
+ */
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Non-negative remainder
+ * @private
+ */
+function mod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
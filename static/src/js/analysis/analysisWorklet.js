@@ -0,0 +1,207 @@
+/**
+ * Analysis Worklet - AudioWorklet processor that extracts features on the audio thread
+ *
+ * The processor buffers incoming render quanta, runs the shared feature kernel
+ * every `featureBufferSize` samples (pitch every `pitchHopSize` samples) and posts
+ * one frame per hop to the main thread, timestamped with the audio clock.
+ * Loudness is measured on every sample of every channel (before the mono downmix)
+ * and posted as raw sums for the main thread's LoudnessMeter.
+ *
+ * The worklet module is built from source at runtime and loaded from a Blob URL,
+ * so it works from both the ESM sources and the UMD bundle without extra
+ * bundler configuration.
+ */
+
+import { createFeatureKernel } from './featureKernel.js';
+
+export const ANALYSIS_PROCESSOR_NAME = 'musicolors-analysis';
+
+/**
+ * Default processor options
+ */
+export const DEFAULT_WORKLET_OPTIONS = {
+  featureBufferSize: 512,   // Matches the Meyda bufferSize used by the fallback path
+  pitchBufferSize: 4096,
+  pitchHopSize: 2048,       // Matches the old ScriptProcessor block size
+};
+
+/**
+ * Processor definition - serialized into the worklet module.
+ * Like createFeatureKernel(), this must only reference its arguments and
+ * AudioWorkletGlobalScope globals.
+ * @private
+ */
+function defineAnalysisProcessor(kernel, processorName, defaults) {
+  class AnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+
+      const config = Object.assign({}, defaults, options?.processorOptions);
+      this._featureBufferSize = config.featureBufferSize;
+      this._pitchBufferSize = config.pitchBufferSize;
+      this._pitchHopSize = config.pitchHopSize;
+
+      this._ring = new Float32Array(Math.max(this._featureBufferSize, this._pitchBufferSize));
+      this._writeIndex = 0;
+      this._samplesSinceFeatures = 0;
+      this._samplesSincePitch = 0;
+
+      this._featureFrame = new Float32Array(this._featureBufferSize);
+      this._pitchFrame = new Float32Array(this._pitchBufferSize);
+      this._ampSpectrum = new Float32Array(this._featureBufferSize / 2);
+      this._previousSpectrum = new Float32Array(this._featureBufferSize / 2);
+      this._pitch = 0;
+      this._clarity = 0;
+      this._loudness = kernel.createLoudnessState(sampleRate);
+
+      this._active = true;
+      this.port.onmessage = (event) => {
+        if (event.data?.type === 'stop') {
+          this._active = false;
+        }
+      };
+    }
+
+    /**
+     * Copy the most recent target.length samples from the ring buffer, oldest first
+     */
+    _readLatest(target) {
+      const ring = this._ring;
+      const size = ring.length;
+      let index = (this._writeIndex - target.length + size) % size;
+      for (let i = 0; i < target.length; i++) {
+        target[i] = ring[index];
+        index = index + 1 === size ? 0 : index + 1;
+      }
+    }
+
+    process(inputs) {
+      if (!this._active) return false;
+
+      const channels = inputs[0];
+      if (!channels || channels.length === 0) return true;
+
+      const frameLength = channels[0].length;
+      kernel.measureLoudness(channels, 0, frameLength, this._loudness);
+
+      // Downmix to mono into the ring buffer
+      const channelCount = channels.length;
+      const ring = this._ring;
+      for (let i = 0; i < frameLength; i++) {
+        let sample = 0;
+        for (let c = 0; c < channelCount; c++) {
+          sample += channels[c][i];
+        }
+        ring[this._writeIndex] = sample / channelCount;
+        this._writeIndex = this._writeIndex + 1 === ring.length ? 0 : this._writeIndex + 1;
+      }
+
+      this._samplesSinceFeatures += frameLength;
+      this._samplesSincePitch += frameLength;
+
+      if (this._samplesSincePitch >= this._pitchHopSize) {
+        this._samplesSincePitch = 0;
+        this._readLatest(this._pitchFrame);
+        const result = kernel.detectPitch(this._pitchFrame, sampleRate);
+        this._pitch = result[0];
+        this._clarity = result[1];
+      }
+
+      if (this._samplesSinceFeatures >= this._featureBufferSize) {
+        this._samplesSinceFeatures = 0;
+        this._readLatest(this._featureFrame);
+        kernel.computeAmplitudeSpectrum(this._featureFrame, this._ampSpectrum);
+        const features = kernel.extractSpectralFeatures(this._featureFrame, sampleRate, this._ampSpectrum);
+        features.spectralFlux = kernel.computeSpectralFlux(this._ampSpectrum, this._previousSpectrum);
+        this._previousSpectrum.set(this._ampSpectrum);
+
+        features.type = 'frame';
+        features.time = currentTime + frameLength / sampleRate;
+        features.pitch = this._pitch;
+        features.clarity = this._clarity;
+        features.loudnessEnergy = this._loudness.energy;
+        features.loudnessSamples = this._loudness.samples;
+        features.truePeak = this._loudness.peak;
+        this._loudness.energy = 0;
+        this._loudness.samples = 0;
+        this._loudness.peak = 0;
+        this.port.postMessage(features);
+      }
+
+      return true;
+    }
+  }
+
+  registerProcessor(processorName, AnalysisProcessor);
+}
+
+let moduleURL = null;
+const loadedContexts = new WeakMap();
+
+/**
+ * Build (once) the Blob URL for the worklet module
+ * @private
+ */
+function getModuleURL() {
+  if (!moduleURL) {
+    const source = [
+      `const createFeatureKernel = ${createFeatureKernel.toString()};`,
+      `(${defineAnalysisProcessor.toString()})(`,
+      `  createFeatureKernel(),`,
+      `  ${JSON.stringify(ANALYSIS_PROCESSOR_NAME)},`,
+      `  ${JSON.stringify(DEFAULT_WORKLET_OPTIONS)}`,
+      `);`,
+    ].join('\n');
+    moduleURL = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+  }
+  return moduleURL;
+}
+
+/**
+ * Check whether an AudioContext can host the analysis worklet
+ * @param {BaseAudioContext} audioContext
+ * @returns {boolean}
+ */
+export function isAnalysisWorkletSupported(audioContext) {
+  return !!audioContext?.audioWorklet &&
+    typeof AudioWorkletNode !== 'undefined' &&
+    typeof Blob !== 'undefined' &&
+    typeof URL !== 'undefined' &&
+    typeof URL.createObjectURL === 'function';
+}
+
+/**
+ * Register the analysis processor on an AudioContext (once per context)
+ * @param {BaseAudioContext} audioContext
+ * @returns {Promise<void>}
+ */
+export function loadAnalysisWorklet(audioContext) {
+  if (!isAnalysisWorkletSupported(audioContext)) {
+    return Promise.reject(new Error('AudioWorklet not supported in this browser'));
+  }
+
+  let promise = loadedContexts.get(audioContext);
+  if (!promise) {
+    promise = audioContext.audioWorklet.addModule(getModuleURL());
+    loadedContexts.set(audioContext, promise);
+    // Allow a retry if loading failed (e.g. blocked by CSP)
+    promise.catch(() => loadedContexts.delete(audioContext));
+  }
+  return promise;
+}
+
+/**
+ * Create an analysis node on a context that has the worklet loaded.
+ * The node has no outputs, so it taps the graph without affecting playback.
+ *
+ * @param {BaseAudioContext} audioContext
+ * @param {Object} [options] - Overrides for DEFAULT_WORKLET_OPTIONS
+ * @returns {AudioWorkletNode}
+ */
+export function createAnalysisNode(audioContext, options = {}) {
+  return new AudioWorkletNode(audioContext, ANALYSIS_PROCESSOR_NAME, {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: { ...DEFAULT_WORKLET_OPTIONS, ...options },
+  });
+}
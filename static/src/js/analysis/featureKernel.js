@@ -0,0 +1,681 @@
+/**
+ * Feature Kernel - dependency-free audio feature extractors
+ *
+ * Implements the Meyda features used by AudioSource (energy, spectral flatness,
+ * centroid, kurtosis, perceptual spread/sharpness), McLeod pitch detection
+ * (same method as pitchy) and BS.1770 loudness/true-peak measurement in plain
+ * JavaScript, so the exact same code can run on the main thread, inside an
+ * AudioWorklet, or over an offline buffer.
+ *
+ * IMPORTANT: createFeatureKernel() is serialized with Function.prototype.toString()
+ * and evaluated inside the AudioWorkletGlobalScope. It must stay fully
+ * self-contained: no imports and no references to module-level identifiers.
+ */
+
+/**
+ * Create a set of feature extractors with their own internal buffer caches
+ * @returns {Object} Kernel with computeAmplitudeSpectrum, computeByteFrequencyData,
+ *   extractSpectralFeatures, computeSpectralFlux, detectPitch, createLoudnessState,
+ *   measureLoudness and fft
+ */
+export function createFeatureKernel() {
+  const NUM_BARK_BANDS = 24;
+
+  // Fraction of the highest NSDF key maximum a peak must reach to be picked (MPM "k")
+  const KEY_MAXIMUM_CUTOFF = 0.9;
+
+  // True-peak interpolator: 4x oversampling, 12 taps per phase (ITU-R BS.1770 Annex 2)
+  const TRUE_PEAK_PHASES = 4;
+  const TRUE_PEAK_TAPS = 12;
+
+  // Per-size caches so repeated calls don't allocate in the audio thread
+  const windowCache = new Map();
+  const blackmanCache = new Map();
+  const twiddleCache = new Map();
+  const barkCache = new Map();
+  const scratchCache = new Map();
+  const kWeightingCache = new Map();
+  let truePeakFilter = null;
+
+  /**
+   * Hann window matching Meyda's "hanning" windowing function
+   */
+  function getHannWindow(size) {
+    let window = windowCache.get(size);
+    if (!window) {
+      window = new Float32Array(size);
+      for (let i = 0; i < size; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+      }
+      windowCache.set(size, window);
+    }
+    return window;
+  }
+
+  /**
+   * Blackman window as used by AnalyserNode (alpha = 0.16)
+   */
+  function getBlackmanWindow(size) {
+    let window = blackmanCache.get(size);
+    if (!window) {
+      window = new Float32Array(size);
+      for (let i = 0; i < size; i++) {
+        const phase = (2 * Math.PI * i) / size;
+        window[i] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+      }
+      blackmanCache.set(size, window);
+    }
+    return window;
+  }
+
+  /**
+   * Get reusable scratch buffers for a transform size
+   */
+  function getScratch(size) {
+    let scratch = scratchCache.get(size);
+    if (!scratch) {
+      scratch = {
+        real: new Float64Array(size),
+        imag: new Float64Array(size),
+        nsdf: new Float64Array(size),
+      };
+      scratchCache.set(size, scratch);
+    }
+    return scratch;
+  }
+
+  function getTwiddles(size) {
+    let twiddles = twiddleCache.get(size);
+    if (!twiddles) {
+      const half = size / 2;
+      twiddles = { cos: new Float64Array(half), sin: new Float64Array(half) };
+      for (let i = 0; i < half; i++) {
+        twiddles.cos[i] = Math.cos((-2 * Math.PI * i) / size);
+        twiddles.sin[i] = Math.sin((-2 * Math.PI * i) / size);
+      }
+      twiddleCache.set(size, twiddles);
+    }
+    return twiddles;
+  }
+
+  /**
+   * In-place iterative radix-2 complex FFT
+   * @param {Float64Array} real - Real part (length must be a power of two)
+   * @param {Float64Array} imag - Imaginary part
+   */
+  function fft(real, imag) {
+    const n = real.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+        tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+      }
+    }
+
+    const { cos, sin } = getTwiddles(n);
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const step = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = real[b] * wr - imag[b] * wi;
+          const ti = real[b] * wi + imag[b] * wr;
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+  }
+
+  /**
+   * Hann-windowed amplitude spectrum (first N/2 bins), as Meyda's ampSpectrum
+   * @param {ArrayLike<number>} signal - Time-domain frame (power-of-two length)
+   * @param {Float32Array} [output] - Optional output buffer of length N/2
+   * @returns {Float32Array}
+   */
+  function computeAmplitudeSpectrum(signal, output) {
+    const n = signal.length;
+    const window = getHannWindow(n);
+    const { real, imag } = getScratch(n);
+
+    for (let i = 0; i < n; i++) {
+      real[i] = signal[i] * window[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+
+    const bins = n / 2;
+    const amp = output && output.length === bins ? output : new Float32Array(bins);
+    for (let i = 0; i < bins; i++) {
+      amp[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+    }
+    return amp;
+  }
+
+  /**
+   * Byte frequency data as AnalyserNode.getByteFrequencyData() produces it
+   * (Blackman window, no smoothing, dB scaled between minDecibels and maxDecibels).
+   * When only a few low bins are needed, pass maxBin to skip the rest
+   * (very small ranges are evaluated with Goertzel instead of a full FFT).
+   *
+   * @param {ArrayLike<number>} signal - Time-domain frame (power-of-two length = fftSize)
+   * @param {Uint8Array} [output] - Output buffer of length N/2
+   * @param {Object} [options]
+   * @param {number} [options.minDecibels=-100]
+   * @param {number} [options.maxDecibels=-30]
+   * @param {number} [options.maxBin] - Highest bin to compute (others are left at 0)
+   * @returns {Uint8Array}
+   */
+  function computeByteFrequencyData(signal, output, options = {}) {
+    const n = signal.length;
+    const bins = n / 2;
+    const minDecibels = options.minDecibels ?? -100;
+    const maxDecibels = options.maxDecibels ?? -30;
+    const maxBin = Math.min(options.maxBin ?? bins - 1, bins - 1);
+    const window = getBlackmanWindow(n);
+    const bytes = output && output.length === bins ? output : new Uint8Array(bins);
+    const range = maxDecibels - minDecibels;
+
+    const toByte = (powerSum) => {
+      const magnitude = Math.sqrt(powerSum) / n;
+      const db = magnitude > 0 ? 20 * Math.log10(magnitude) : -Infinity;
+      const scaled = Math.floor((255 / range) * (db - minDecibels));
+      return scaled < 0 ? 0 : scaled > 255 ? 255 : scaled;
+    };
+
+    if (maxBin + 1 < Math.log2(n)) {
+      // Goertzel for a handful of bins is cheaper than a full FFT
+      for (let k = 0; k <= maxBin; k++) {
+        const coeff = 2 * Math.cos((2 * Math.PI * k) / n);
+        let s1 = 0;
+        let s2 = 0;
+        for (let i = 0; i < n; i++) {
+          const s0 = signal[i] * window[i] + coeff * s1 - s2;
+          s2 = s1;
+          s1 = s0;
+        }
+        bytes[k] = toByte(s1 * s1 + s2 * s2 - coeff * s1 * s2);
+      }
+      return bytes;
+    }
+
+    const { real, imag } = getScratch(n);
+    for (let i = 0; i < n; i++) {
+      real[i] = signal[i] * window[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+    for (let k = 0; k <= maxBin; k++) {
+      bytes[k] = toByte(real[k] * real[k] + imag[k] * imag[k]);
+    }
+    return bytes;
+  }
+
+  /**
+   * Bark band limits for a spectrum size (Meyda loudness)
+   */
+  function getBarkLimits(binCount, bufferSize, sampleRate) {
+    const key = `${binCount}:${bufferSize}:${sampleRate}`;
+    let limits = barkCache.get(key);
+    if (limits) return limits;
+
+    const barkScale = new Float32Array(binCount);
+    for (let i = 0; i < binCount; i++) {
+      const hz = (i * sampleRate) / bufferSize;
+      barkScale[i] = 13 * Math.atan(hz / 1315.8) + 3.5 * Math.atan(Math.pow(hz / 7518, 2));
+    }
+
+    limits = new Int32Array(NUM_BARK_BANDS + 1);
+    const maxBark = barkScale[binCount - 1];
+    let currentBandEnd = maxBark / NUM_BARK_BANDS;
+    let currentBand = 1;
+    for (let i = 0; i < binCount; i++) {
+      while (barkScale[i] > currentBandEnd && currentBand < NUM_BARK_BANDS) {
+        limits[currentBand++] = i;
+        currentBandEnd = (currentBand * maxBark) / NUM_BARK_BANDS;
+      }
+    }
+    limits[NUM_BARK_BANDS] = binCount - 1;
+
+    barkCache.set(key, limits);
+    return limits;
+  }
+
+  /**
+   * Spectral moment as defined by Meyda's mu()
+   */
+  function spectralMoment(order, amp, ampSum) {
+    let numerator = 0;
+    for (let k = 0; k < amp.length; k++) {
+      numerator += Math.pow(k, order) * Math.abs(amp[k]);
+    }
+    return numerator / ampSum;
+  }
+
+  /**
+   * Extract the spectral feature set AudioSource consumes
+   * Keys and value ranges match Meyda's feature extractors of the same name.
+   *
+   * @param {ArrayLike<number>} signal - Time-domain frame (power-of-two length)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Float32Array} [ampSpectrum] - Precomputed amplitude spectrum of the frame
+   * @returns {{energy: number, spectralFlatness: number, spectralCentroid: number,
+   *   spectralKurtosis: number, perceptualSpread: number, perceptualSharpness: number}}
+   */
+  function extractSpectralFeatures(signal, sampleRate, ampSpectrum) {
+    const amp = ampSpectrum || computeAmplitudeSpectrum(signal);
+    const bins = amp.length;
+
+    // Meyda computes energy on the windowed signal
+    const window = getHannWindow(signal.length);
+    let energy = 0;
+    for (let i = 0; i < signal.length; i++) {
+      const sample = signal[i] * window[i];
+      energy += sample * sample;
+    }
+
+    let ampSum = 0;
+    let logSum = 0;
+    for (let i = 0; i < bins; i++) {
+      ampSum += amp[i];
+      logSum += Math.log(amp[i]);
+    }
+
+    if (!(ampSum > 0)) {
+      return {
+        energy,
+        spectralFlatness: 0,
+        spectralCentroid: 0,
+        spectralKurtosis: 0,
+        perceptualSpread: 0,
+        perceptualSharpness: 0,
+      };
+    }
+
+    const spectralFlatness = (Math.exp(logSum / bins) * bins) / ampSum;
+
+    const mu1 = spectralMoment(1, amp, ampSum);
+    const mu2 = spectralMoment(2, amp, ampSum);
+    const mu3 = spectralMoment(3, amp, ampSum);
+    const mu4 = spectralMoment(4, amp, ampSum);
+    const kurtosisNumerator = -3 * Math.pow(mu1, 4) + 6 * mu1 * mu2 - 4 * mu1 * mu3 + mu4;
+    const kurtosisDenominator = Math.pow(Math.sqrt(mu2 - mu1 * mu1), 4);
+    const spectralKurtosis = kurtosisDenominator > 0 ? kurtosisNumerator / kurtosisDenominator : 0;
+
+    // Perceptual loudness per Bark band
+    const limits = getBarkLimits(bins, signal.length, sampleRate);
+    const specific = new Float32Array(NUM_BARK_BANDS);
+    let total = 0;
+    let maxSpecific = 0;
+    for (let b = 0; b < NUM_BARK_BANDS; b++) {
+      let sum = 0;
+      for (let j = limits[b]; j < limits[b + 1]; j++) {
+        sum += amp[j];
+      }
+      specific[b] = Math.pow(sum, 0.23);
+      total += specific[b];
+      if (specific[b] > maxSpecific) maxSpecific = specific[b];
+    }
+
+    let perceptualSpread = 0;
+    let perceptualSharpness = 0;
+    if (total > 0) {
+      perceptualSpread = Math.pow((total - maxSpecific) / total, 2);
+
+      let sharpness = 0;
+      for (let b = 0; b < NUM_BARK_BANDS; b++) {
+        sharpness += b < 15
+          ? (b + 1) * (specific[b + 1] || 0)
+          : 0.066 * Math.exp(0.171 * (b + 1));
+      }
+      perceptualSharpness = (sharpness * 0.11) / total;
+    }
+
+    return {
+      energy,
+      spectralFlatness: isFinite(spectralFlatness) ? spectralFlatness : 0,
+      spectralCentroid: mu1,
+      spectralKurtosis: isFinite(spectralKurtosis) ? spectralKurtosis : 0,
+      perceptualSpread,
+      perceptualSharpness,
+    };
+  }
+
+  /**
+   * Log-compressed, half-wave rectified spectral flux between two amplitude spectra
+   * Used as the onset detection function for beat tracking.
+   *
+   * @param {ArrayLike<number>} ampSpectrum - Current amplitude spectrum
+   * @param {ArrayLike<number>} previousSpectrum - Previous amplitude spectrum (same length)
+   * @returns {number}
+   */
+  function computeSpectralFlux(ampSpectrum, previousSpectrum) {
+    let flux = 0;
+    for (let i = 0; i < ampSpectrum.length; i++) {
+      const diff = Math.log1p(ampSpectrum[i]) - Math.log1p(previousSpectrum[i]);
+      if (diff > 0) flux += diff;
+    }
+    return flux;
+  }
+
+  /**
+   * ITU-R BS.1770 K-weighting coefficients for a sample rate
+   * Stage 1 is the head-related high shelf, stage 2 the RLB high-pass. The analog
+   * prototypes are re-derived per rate (as in libebur128) rather than hard-coding 48 kHz.
+   * @returns {Float64Array} [b0, b1, b2, a1, a2] for stage 1 followed by stage 2
+   */
+  function getKWeightingCoefficients(sampleRate) {
+    if (kWeightingCache.has(sampleRate)) return kWeightingCache.get(sampleRate);
+
+    const coefficients = new Float64Array(10);
+
+    // Stage 1: high shelf, +4 dB above ~1.7 kHz
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    coefficients[0] = (Vh + Vb * K / Q + K * K) / a0;
+    coefficients[1] = 2 * (K * K - Vh) / a0;
+    coefficients[2] = (Vh - Vb * K / Q + K * K) / a0;
+    coefficients[3] = 2 * (K * K - 1) / a0;
+    coefficients[4] = (1 - K / Q + K * K) / a0;
+
+    // Stage 2: high-pass at ~38 Hz
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    coefficients[5] = 1;
+    coefficients[6] = -2;
+    coefficients[7] = 1;
+    coefficients[8] = 2 * (K * K - 1) / a0;
+    coefficients[9] = (1 - K / Q + K * K) / a0;
+
+    kWeightingCache.set(sampleRate, coefficients);
+    return coefficients;
+  }
+
+  /**
+   * Polyphase interpolation filter for true-peak detection (Hann-windowed sinc)
+   * Phase p holds the taps that estimate the signal p/4 of a sample after the
+   * center tap; each phase is normalized to unity gain at DC. Phase 0 is the
+   * original sample, so only phases 1-3 are used.
+   * @returns {Float32Array} TRUE_PEAK_PHASES * TRUE_PEAK_TAPS coefficients
+   */
+  function getTruePeakFilter() {
+    if (truePeakFilter) return truePeakFilter;
+
+    const length = TRUE_PEAK_PHASES * TRUE_PEAK_TAPS;
+    const center = length / 2;
+    truePeakFilter = new Float32Array(length);
+
+    for (let p = 0; p < TRUE_PEAK_PHASES; p++) {
+      let sum = 0;
+      for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+        const n = p + TRUE_PEAK_PHASES * j;
+        const x = (n - center) / TRUE_PEAK_PHASES;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * n) / length);
+        truePeakFilter[p * TRUE_PEAK_TAPS + j] = sinc * window;
+        sum += sinc * window;
+      }
+      for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+        truePeakFilter[p * TRUE_PEAK_TAPS + j] /= sum;
+      }
+    }
+
+    return truePeakFilter;
+  }
+
+  /**
+   * Create the filter state and accumulators used by measureLoudness()
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {{energy: number, samples: number, peak: number}} State; the three accumulators
+   *   may be read and reset to 0 by the caller between measurements
+   */
+  function createLoudnessState(sampleRate) {
+    return {
+      coefficients: getKWeightingCoefficients(sampleRate),
+      channels: [],
+      energy: 0,    // Sum of channel-weighted K-weighted squares
+      samples: 0,   // Samples per channel measured
+      peak: 0,      // Highest true-peak sample magnitude (linear)
+    };
+  }
+
+  /**
+   * K-weight and true-peak scan a block of samples
+   * Filter state carries over between calls, so consecutive blocks measure as one
+   * continuous signal. Channel weights follow BS.1770 for 5.1 (LFE ignored,
+   * surrounds +1.5 dB); other layouts weight every channel equally.
+   * @param {Float32Array[]} channels - One array per channel
+   * @param {number} start - First sample index
+   * @param {number} end - Index after the last sample
+   * @param {Object} state - From createLoudnessState(); accumulators are updated in place
+   */
+  function measureLoudness(channels, start, end, state) {
+    const k = state.coefficients;
+    const filter = getTruePeakFilter();
+    const surround = channels.length === 6;
+    let energy = 0;
+    let peak = state.peak;
+
+    for (let c = 0; c < channels.length; c++) {
+      const weight = surround ? (c === 3 ? 0 : c >= 4 ? 1.41 : 1) : 1;
+
+      let channel = state.channels[c];
+      if (!channel) {
+        channel = state.channels[c] = {
+          filter: new Float64Array(4),
+          history: new Float32Array(TRUE_PEAK_TAPS),
+          position: 0,
+        };
+      }
+
+      const data = channels[c];
+      const history = channel.history;
+      const z = channel.filter;
+      let z1 = z[0];
+      let z2 = z[1];
+      let z3 = z[2];
+      let z4 = z[3];
+      let position = channel.position;
+      let channelEnergy = 0;
+
+      for (let i = start; i < end; i++) {
+        const x = data[i];
+
+        // Two biquads, transposed direct form II
+        const y1 = k[0] * x + z1;
+        z1 = k[1] * x - k[3] * y1 + z2;
+        z2 = k[2] * x - k[4] * y1;
+        const y2 = k[5] * y1 + z3;
+        z3 = k[6] * y1 - k[8] * y2 + z4;
+        z4 = k[7] * y1 - k[9] * y2;
+        channelEnergy += y2 * y2;
+
+        // Sample peak, then the interpolated points between samples
+        history[position] = x;
+        const magnitude = x < 0 ? -x : x;
+        if (magnitude > peak) peak = magnitude;
+
+        for (let p = 1; p < TRUE_PEAK_PHASES; p++) {
+          let sum = 0;
+          let index = position;
+          const offset = p * TRUE_PEAK_TAPS;
+          for (let j = 0; j < TRUE_PEAK_TAPS; j++) {
+            sum += filter[offset + j] * history[index];
+            index = index === 0 ? TRUE_PEAK_TAPS - 1 : index - 1;
+          }
+          if (sum > peak) peak = sum;
+          else if (-sum > peak) peak = -sum;
+        }
+
+        position = position + 1 === TRUE_PEAK_TAPS ? 0 : position + 1;
+      }
+
+      z[0] = z1;
+      z[1] = z2;
+      z[2] = z3;
+      z[3] = z4;
+      channel.position = position;
+      energy += weight * channelEnergy;
+    }
+
+    state.energy += energy;
+    state.samples += end - start;
+    state.peak = peak;
+  }
+
+  /**
+   * Detect pitch with the McLeod Pitch Method (NSDF + key maxima)
+   * @param {ArrayLike<number>} signal - Time-domain frame
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {[number, number]} Detected pitch in Hz and clarity (0-1)
+   */
+  function detectPitch(signal, sampleRate) {
+    const n = signal.length;
+    let fftSize = 1;
+    while (fftSize < n * 2) fftSize <<= 1;
+
+    const { real, imag, nsdf } = getScratch(fftSize);
+
+    // Autocorrelation via FFT: r = IFFT(|FFT(x)|^2)
+    for (let i = 0; i < fftSize; i++) {
+      real[i] = i < n ? signal[i] : 0;
+      imag[i] = 0;
+    }
+    fft(real, imag);
+    for (let i = 0; i < fftSize; i++) {
+      real[i] = real[i] * real[i] + imag[i] * imag[i];
+      imag[i] = 0;
+    }
+    // Power spectrum is real and symmetric, so a forward FFT is the inverse up to scale
+    fft(real, imag);
+
+    // NSDF: n'(tau) = 2r'(tau) / m'(tau), with m' updated incrementally
+    let m = (2 * real[0]) / fftSize;
+    let tau = 0;
+    for (; tau < n && m > 0; tau++) {
+      nsdf[tau] = (2 * real[tau]) / fftSize / m;
+      m -= signal[tau] * signal[tau] + signal[n - tau - 1] * signal[n - tau - 1];
+    }
+    for (; tau < n; tau++) {
+      nsdf[tau] = 0;
+    }
+
+    // Key maxima: highest peak between each positive and negative zero crossing
+    let bestIndex = -1;
+    let highest = -Infinity;
+    const keyIndices = [];
+    let lookingForMaximum = false;
+    let max = -Infinity;
+    let maxIndex = -1;
+    for (let i = 1; i < n - 1; i++) {
+      if (nsdf[i - 1] <= 0 && nsdf[i] > 0) {
+        lookingForMaximum = true;
+        maxIndex = i;
+        max = nsdf[i];
+      } else if (nsdf[i - 1] > 0 && nsdf[i] <= 0) {
+        lookingForMaximum = false;
+        if (maxIndex !== -1) {
+          keyIndices.push(maxIndex);
+          if (nsdf[maxIndex] > highest) highest = nsdf[maxIndex];
+        }
+      } else if (lookingForMaximum && nsdf[i] > max) {
+        max = nsdf[i];
+        maxIndex = i;
+      }
+    }
+
+    if (keyIndices.length === 0) return [0, 0];
+
+    for (let i = 0; i < keyIndices.length; i++) {
+      if (nsdf[keyIndices[i]] >= KEY_MAXIMUM_CUTOFF * highest) {
+        bestIndex = keyIndices[i];
+        break;
+      }
+    }
+
+    // Parabolic interpolation around the chosen peak
+    const y0 = nsdf[bestIndex - 1];
+    const y1 = nsdf[bestIndex];
+    const y2 = nsdf[bestIndex + 1];
+    const a = y0 / 2 - y1 + y2 / 2;
+    const b = (y2 - y0) / 2;
+    const offset = a !== 0 ? -b / (2 * a) : 0;
+    const refinedIndex = bestIndex + offset;
+    const clarity = a !== 0 ? y1 - (b * b) / (4 * a) : y1;
+
+    return [sampleRate / refinedIndex, Math.min(clarity, 1)];
+  }
+
+  return {
+    fft,
+    getHannWindow,
+    computeAmplitudeSpectrum,
+    computeByteFrequencyData,
+    extractSpectralFeatures,
+    computeSpectralFlux,
+    detectPitch,
+    createLoudnessState,
+    measureLoudness,
+  };
+}
+
+/**
+ * Find the loudest bin in the bass range of byte frequency data and map it to a hue
+ * Shared by AudioSource (live) and OfflineAnalyzer. Main-thread only.
+ *
+ * @param {Uint8Array} freqData - Byte frequency data (AnalyserNode layout)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [target] - Object to write the result into
+ * @returns {{dominantFrequency: number, dominantBin: number, bassFrequency: number, bassEnergy: number}}
+ */
+export function findBassPeak(freqData, sampleRate, target = {}) {
+  const binCount = freqData.length;
+  const nyquist = sampleRate / 2;
+  const binSize = nyquist / binCount;
+
+  // Find loudest frequency in BASS range only (20-120Hz)
+  // Map that frequency directly to hue - NO smoothing
+  const minBassHz = 20;
+  const maxBassHz = 120;
+  const minBassBin = Math.floor(minBassHz / binSize);
+  const maxBassBin = Math.ceil(maxBassHz / binSize);
+
+  let maxVal = 0;
+  let peakBin = minBassBin;
+
+  for (let i = minBassBin; i <= Math.min(maxBassBin, binCount - 1); i++) {
+    if (freqData[i] > maxVal) {
+      maxVal = freqData[i];
+      peakBin = i;
+    }
+  }
+
+  // Convert bin to frequency
+  const peakFreq = peakBin * binSize;
+
+  // Map 20-120Hz to hue 0-360 (linear, simple)
+  const normalized = (peakFreq - minBassHz) / (maxBassHz - minBassHz);
+
+  target.dominantFrequency = peakFreq;
+  target.dominantBin = peakBin;
+  target.bassFrequency = normalized * 360;
+  target.bassEnergy = maxVal / 255;
+  return target;
+}
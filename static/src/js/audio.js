@@ -3,23 +3,64 @@
 import { PitchDetector } from "pitchy";
 import * as Meyda from "meyda";
 import FrequencyMap from "note-frequency-map";
+import {
+  isAnalysisWorkletSupported,
+  loadAnalysisWorklet,
+  createAnalysisNode,
+  DEFAULT_WORKLET_OPTIONS,
+} from "./analysis/analysisWorklet.js";
+import { BeatTracker } from "./analysis/BeatTracker.js";
+import { HarmonyAnalyzer } from "./analysis/HarmonyAnalyzer.js";
+import { LoudnessMeter } from "./analysis/LoudnessMeter.js";
+import { AutoGain } from "./analysis/AutoGain.js";
+import { BandAnalyzer } from "./analysis/BandAnalyzer.js";
+import { NoteTracker } from "./analysis/NoteTracker.js";
+import { findBassPeak } from "./analysis/featureKernel.js";
+import { FeatureSource } from "./sources/FeatureSource.js";
 
 /**
  * AudioSource - A flexible audio source for visualization
- * Supports both microphone input and external AnalyserNode (e.g., from a music player)
+ * Supports microphone input (with device selection), MediaStreams, audio/video elements,
+ * external AnalyserNodes (e.g., from a music player) and taps on any AudioNode
+ *
+ * Features are extracted on the audio thread by an AudioWorklet when available.
+ * Browsers without AudioWorklet fall back to ScriptProcessorNode / polling with Meyda.
+ *
+ * Events:
+ * - 'beat' - { time, bpm, beatCount, beatInBar, downbeat, confidence } on every tracked beat
+ * - 'noteon' - A note (see NoteTracker) once it has sounded for minDuration
+ * - 'noteoff' - The same note object when it stops, with its final duration
+ * - 'frame' - { time, audioData } after every analysis update
  */
-class AudioSource {
+class AudioSource extends FeatureSource {
   constructor(options = {}) {
+    super();
+
     this.audioContext = null;
     this.analyser = null;
     this.meydaAnalyser = null;
     this.pitchDetector = null;
     this.source = null;
     this.scriptProcessor = null;  // Store for cleanup
+    this.workletNode = null;      // AudioWorklet analysis node (preferred path)
     this._pollFrameId = null;     // Store animation frame ID for cleanup
-    this.isInitialized = false;
     this.isExternal = false;
 
+    // AudioContext shared with other sources (never closed by this source)
+    this._sharedContext = options.audioContext || null;
+    this._ownsContext = false;    // Whether destroy() may close this.audioContext
+    this._ownedStream = null;     // Microphone stream opened by this source (stopped on destroy)
+    this._tappedNode = null;      // Node tapped by connectNode()
+    this._workletInput = null;    // Node feeding the worklet
+
+    // Left/right time domain capture for stereo visualizers (X/Y scopes)
+    this._stereo = options.stereo ?? false;
+    this._stereoNodes = null;     // { input, upmix, splitter, left, right }
+
+    // Use the AudioWorklet analysis pipeline when the browser supports it
+    this._useWorklet = options.useWorklet ?? true;
+    this._session = 0;  // Bumped on teardown to invalidate pending async setup
+
     // Configurable pitch detection settings
     this._pitchConfig = {
       clarityThreshold: options.clarityThreshold ?? 0.9,
@@ -27,23 +68,29 @@ class AudioSource {
       maxFrequency: options.maxFrequency ?? 4000,
     };
 
-    // Audio features (updated in real-time)
-    this._audioData = {
-      energy: 0,
-      roughness: 0,      // spectralFlatness
-      warmth: 0,         // spectralCentroid (hue)
-      richness: 0,       // perceptualSpread (saturation)
-      sharpness: 0,      // perceptualSharpness (luminance)
-      kurtosis: 0,       // spectralKurtosis
-      pitch: null,       // detected note name (C, D, E, etc.)
-      octave: null,      // detected octave
-      dominantFrequency: 0,  // peak frequency from FFT (Hz)
-      dominantBin: 0,        // which FFT bin has the most energy
-      bassFrequency: 0,      // hue value (0-360) mapped from peak frequency
-      bassEnergy: 0,         // energy of peak (0-1)
-      frequencyData: null,
-      timeDomainData: null,
-    };
+    // Beat/tempo tracking settings (see BeatTracker for available options)
+    this._beatOptions = options.beatOptions || {};
+    this._beatTracker = null;
+    this._previousFrequencyData = null;  // For fallback spectral flux
+
+    // Chroma/key/chord settings (see HarmonyAnalyzer for available options)
+    this._harmonyAnalyzer = new HarmonyAnalyzer(options.harmonyOptions);
+
+    // Loudness metering and auto-gain (see LoudnessMeter and AutoGain for available options)
+    this._loudnessMeter = new LoudnessMeter(options.loudnessOptions);
+    this._autoGain = new AutoGain(options.autoGainOptions);
+    this._loudnessBuffer = null;        // Float time-domain data for the fallback paths
+    this._lastLoudnessSample = null;    // Audio clock position (samples) of the last fallback measurement
+
+    // Named bands and scale bins (see BandAnalyzer for available options)
+    this._bandAnalyzer = new BandAnalyzer(options.bandOptions);
+    this._audioData.bands = this._bandAnalyzer.getState();
+
+    // Polyphonic note tracking (see NoteTracker for available options)
+    this._noteTracker = new NoteTracker(options.noteOptions);
+    this._audioData.notes = this._noteTracker.getState().notes;
+
+    // Audio features (updated in real-time) live in this._audioData, see createEmptyAudioData()
 
     // Smoothing factor for less jittery visualization
     this._smoothingFactor = options.smoothingFactor ?? 0.8;
@@ -57,9 +104,12 @@ class AudioSource {
 
   /**
    * Initialize with microphone input
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Input device to use (see AudioSource.listInputDevices())
+   * @param {MediaTrackConstraints} [options.constraints] - Extra audio constraints, e.g. { echoCancellation: false }
    * @returns {Promise<void>}
    */
-  async initMicrophone() {
+  async initMicrophone(options = {}) {
     if (this.isInitialized) {
       console.warn('AudioSource already initialized. Call destroy() first to reinitialize.');
       return;
@@ -70,19 +120,77 @@ class AudioSource {
     }
 
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: getMicrophoneConstraints(options),
+      });
+      this._ownedStream = stream;
+      await this._initStreamSource(stream);
+    } catch (err) {
+      // Clean up partial state on error
+      this._cleanupPartialInit();
+      throw new Error(`Failed to initialize microphone: ${err.message}`);
+    }
+  }
 
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.smoothingTimeConstant = 0; // No smoothing - instant response
-      this.analyser.fftSize = 8192; // Higher resolution for bass frequencies
+  /**
+   * Connect to a MediaStream (e.g. WebRTC, getDisplayMedia() or canvas capture audio)
+   * The stream's tracks are not stopped on destroy().
+   * @param {MediaStream} stream - Stream with at least one audio track
+   * @returns {Promise<void>}
+   */
+  async connectMediaStream(stream) {
+    if (this.isInitialized) {
+      console.warn('AudioSource already initialized. Call destroy() first to reinitialize.');
+      return;
+    }
+
+    if (typeof MediaStream === 'undefined' || !(stream instanceof MediaStream)) {
+      throw new Error('stream must be a MediaStream instance');
+    }
+    if (stream.getAudioTracks().length === 0) {
+      throw new Error('stream has no audio tracks');
+    }
+
+    try {
+      await this._initStreamSource(stream);
+    } catch (err) {
+      this._cleanupPartialInit();
+      throw new Error(`Failed to connect media stream: ${err.message}`);
+    }
+  }
 
-      this.source = this.audioContext.createMediaStreamSource(stream);
-      this.source.connect(this.analyser);
+  /**
+   * List available audio input devices
+   * Device labels are empty until the page has been granted microphone permission.
+   * @returns {Promise<MediaDeviceInfo[]>}
+   */
+  static async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      throw new Error('enumerateDevices not supported in this browser');
+    }
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === 'audioinput');
+  }
 
-      // NOTE: ScriptProcessorNode is deprecated but still widely supported.
-      // Consider migrating to AudioWorkletNode for better performance in future.
-      // See: https://developer.mozilla.org/en-US/docs/Web/API/AudioWorkletNode
+  /**
+   * Build the analysis graph for a MediaStream (microphone or external stream)
+   * Streams are analysed only - nothing is routed to the speakers.
+   * @private
+   * @param {MediaStream} stream
+   */
+  async _initStreamSource(stream) {
+    this.audioContext = this._createContext();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.smoothingTimeConstant = 0; // No smoothing - instant response
+    this.analyser.fftSize = 8192; // Higher resolution for bass frequencies
+
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.source.connect(this.analyser);
+    this._initStereo(this.source);
+
+    if (!(await this._initWorklet(this.source))) {
+      // Fallback: deprecated ScriptProcessorNode for browsers without AudioWorklet
       this.scriptProcessor = this.audioContext.createScriptProcessor(2048, 1, 1);
       this.analyser.connect(this.scriptProcessor);
       this.scriptProcessor.connect(this.audioContext.destination);
@@ -90,19 +198,21 @@ class AudioSource {
       this.scriptProcessor.onaudioprocess = () => {
         this._updateFrequencyData();
         this._updatePitch();
+        this._updateRhythm(this._computeFrequencyFlux(), this.audioContext.currentTime);
+        this._updateHarmony(this.audioContext.currentTime);
+        this._updateBands(this.audioContext.currentTime);
+        this._updateLoudness(this.audioContext.currentTime);
+        this._updateNotes(this.audioContext.currentTime);
+        this._publishFrame(this.audioContext.currentTime);
       };
 
       // Initialize Meyda analyzer
       this._initMeyda(this.source);
-
-      this.isInitialized = true;
-      this.isExternal = false;
-
-    } catch (err) {
-      // Clean up partial state on error
-      this._cleanupPartialInit();
-      throw new Error(`Failed to initialize microphone: ${err.message}`);
+      this._resetRhythm(this.audioContext.sampleRate / 2048);
     }
+
+    this.isInitialized = true;
+    this.isExternal = false;
   }
 
   /**
@@ -126,16 +236,23 @@ class AudioSource {
     }
 
     this.audioContext = audioContext;
+    this._ownsContext = false;
     this.analyser = analyserNode;
     this.isInitialized = true;
     this.isExternal = true;
+    this._initStereo(this.analyser);
 
     // Initialize pitch detector
     this.pitchDetector = PitchDetector.forFloat32Array(this.analyser.fftSize);
 
-    // For external sources, we need to manually poll for data
-    // since we can't inject a script processor into the existing audio graph
+    // Poll until the worklet is ready (this method stays synchronous), then
+    // let the worklet take over. The worklet taps the analyser's output
+    // without touching the existing graph.
+    this._resetRhythm(60);
     this._startPolling();
+    this._initWorklet(this.analyser).then((ready) => {
+      if (ready) this._stopPolling();
+    });
   }
 
   /**
@@ -154,29 +271,114 @@ class AudioSource {
     }
 
     try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      await this._initMediaElementSource(audioElement);
+    } catch (err) {
+      // Clean up partial state
+      this._cleanupPartialInit();
+      throw new Error(`Failed to connect audio element: ${err.message}`);
+    }
+  }
+
+  /**
+   * Connect to an HTML video element's soundtrack
+   * @param {HTMLVideoElement} videoElement - Video element to analyze
+   * @returns {Promise<void>}
+   */
+  async connectVideoElement(videoElement) {
+    if (this.isInitialized) {
+      console.warn('AudioSource already initialized. Call destroy() first to reinitialize.');
+      return;
+    }
+
+    if (!videoElement || !(videoElement instanceof HTMLVideoElement)) {
+      throw new Error('videoElement must be an HTMLVideoElement instance');
+    }
+
+    try {
+      await this._initMediaElementSource(videoElement);
+    } catch (err) {
+      this._cleanupPartialInit();
+      throw new Error(`Failed to connect video element: ${err.message}`);
+    }
+  }
+
+  /**
+   * Tap an existing AudioNode without changing its connections
+   * The node keeps its outputs; the analyser (and worklet) are added as extra listeners,
+   * and only those connections are removed on destroy().
+   * @param {AudioNode} audioNode - Node to analyse (e.g. a GainNode in your own graph)
+   * @returns {Promise<void>}
+   */
+  async connectNode(audioNode) {
+    if (this.isInitialized) {
+      console.warn('AudioSource already initialized. Call destroy() first to reinitialize.');
+      return;
+    }
+
+    if (typeof AudioNode === 'undefined' || !(audioNode instanceof AudioNode)) {
+      throw new Error('audioNode must be an AudioNode instance');
+    }
+    if (audioNode.numberOfOutputs === 0) {
+      throw new Error('audioNode has no outputs to analyse');
+    }
+
+    try {
+      this.audioContext = audioNode.context;
+      this._ownsContext = false;
       this.analyser = this.audioContext.createAnalyser();
       this.analyser.smoothingTimeConstant = 0; // No smoothing - instant response
       this.analyser.fftSize = 8192; // Higher resolution for bass frequencies
 
-      // This can throw if element already has a source
-      this.source = this.audioContext.createMediaElementSource(audioElement);
-      this.source.connect(this.analyser);
-      this.analyser.connect(this.audioContext.destination);
+      audioNode.connect(this.analyser);
+      this._tappedNode = audioNode;
+      this._initStereo(audioNode);
 
-      // Initialize Meyda analyzer
-      this._initMeyda(this.source);
+      const workletReady = await this._initWorklet(audioNode);
 
-      // Set initialized BEFORE starting polling (poll checks this flag)
       this.isInitialized = true;
       this.isExternal = true;
 
-      // Start polling for data
-      this._startPolling();
+      if (!workletReady) {
+        // Fallback: Meyda + requestAnimationFrame polling
+        this._initMeyda(audioNode);
+        this._resetRhythm(60);
+        this._startPolling();
+      }
     } catch (err) {
-      // Clean up partial state
       this._cleanupPartialInit();
-      throw new Error(`Failed to connect audio element: ${err.message}`);
+      throw new Error(`Failed to connect node: ${err.message}`);
+    }
+  }
+
+  /**
+   * Build the analysis graph for an audio or video element
+   * The element's audio is routed through the analyser to the speakers.
+   * @private
+   * @param {HTMLMediaElement} mediaElement
+   */
+  async _initMediaElementSource(mediaElement) {
+    this.audioContext = this._createContext();
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.smoothingTimeConstant = 0; // No smoothing - instant response
+    this.analyser.fftSize = 8192; // Higher resolution for bass frequencies
+
+    // This can throw if element already has a source
+    this.source = this.audioContext.createMediaElementSource(mediaElement);
+    this.source.connect(this.analyser);
+    this.analyser.connect(this.audioContext.destination);
+    this._initStereo(this.source);
+
+    const workletReady = await this._initWorklet(this.source);
+
+    // Set initialized BEFORE starting polling (poll checks this flag)
+    this.isInitialized = true;
+    this.isExternal = true;
+
+    if (!workletReady) {
+      // Fallback: Meyda + requestAnimationFrame polling
+      this._initMeyda(this.source);
+      this._resetRhythm(60);
+      this._startPolling();
     }
   }
 
@@ -185,23 +387,211 @@ class AudioSource {
    * @private
    */
   _cleanupPartialInit() {
+    this._stopPolling();
+    this.isInitialized = false;
+    this.isExternal = false;
+    this._session++;
+    this._destroyWorklet();
+    this._destroyStereo();
     if (this.scriptProcessor) {
       this.scriptProcessor.onaudioprocess = null;
       this.scriptProcessor.disconnect();
       this.scriptProcessor = null;
     }
+    if (this.meydaAnalyser) {
+      this.meydaAnalyser.stop();
+      this.meydaAnalyser = null;
+    }
     if (this.source) {
       this.source.disconnect();
       this.source = null;
     }
+    this._untapNode();
     if (this.analyser) {
       this.analyser.disconnect();
       this.analyser = null;
     }
-    if (this.audioContext) {
+    if (this.audioContext && this._ownsContext) {
       this.audioContext.close();
-      this.audioContext = null;
     }
+    this.audioContext = null;
+    this._ownsContext = false;
+    this._stopOwnedStream();
+  }
+
+  /**
+   * Get the shared AudioContext or create one owned by this source
+   * @private
+   * @returns {AudioContext}
+   */
+  _createContext() {
+    this._ownsContext = !this._sharedContext;
+    return this._sharedContext || new (window.AudioContext || window.webkitAudioContext)();
+  }
+
+  /**
+   * Split the input into left/right analysers when stereo capture is enabled
+   * Mono inputs are upmixed, so both channels carry the same signal.
+   * @private
+   * @param {AudioNode} inputNode - Node feeding the main analyser
+   */
+  _initStereo(inputNode) {
+    if (!this._stereo) return;
+
+    const context = this.audioContext;
+    const upmix = context.createGain();
+    upmix.channelCount = 2;
+    upmix.channelCountMode = 'explicit';
+    upmix.channelInterpretation = 'speakers';
+
+    const splitter = context.createChannelSplitter(2);
+    const left = context.createAnalyser();
+    const right = context.createAnalyser();
+    [left, right].forEach((analyser) => {
+      analyser.fftSize = 2048;
+      analyser.smoothingTimeConstant = 0;
+    });
+
+    inputNode.connect(upmix);
+    upmix.connect(splitter);
+    splitter.connect(left, 0);
+    splitter.connect(right, 1);
+
+    this._stereoNodes = { input: inputNode, upmix, splitter, left, right };
+  }
+
+  /**
+   * Remove the stereo analysers (the input node keeps its other connections)
+   * @private
+   */
+  _destroyStereo() {
+    if (!this._stereoNodes) return;
+
+    const { input, upmix, splitter } = this._stereoNodes;
+    try {
+      input.disconnect(upmix);
+    } catch (err) {
+      // Already disconnected
+    }
+    upmix.disconnect();
+    splitter.disconnect();
+    this._stereoNodes = null;
+    this._audioData.timeDomainLeft = null;
+    this._audioData.timeDomainRight = null;
+  }
+
+  /**
+   * Remove the analyser from a node tapped by connectNode()
+   * @private
+   */
+  _untapNode() {
+    if (!this._tappedNode) return;
+
+    try {
+      this._tappedNode.disconnect(this.analyser);
+    } catch (err) {
+      // Already disconnected
+    }
+    this._tappedNode = null;
+  }
+
+  /**
+   * Stop the microphone stream opened by initMicrophone()
+   * @private
+   */
+  _stopOwnedStream() {
+    if (!this._ownedStream) return;
+
+    this._ownedStream.getTracks().forEach((track) => track.stop());
+    this._ownedStream = null;
+  }
+
+  /**
+   * Set up the AudioWorklet analysis node on an input node
+   * @private
+   * @param {AudioNode} inputNode - Node whose output should be analysed
+   * @returns {Promise<boolean>} true if the worklet is running, false to use the fallback path
+   */
+  async _initWorklet(inputNode) {
+    const context = this.audioContext;
+    const session = this._session;
+    if (!this._useWorklet || !isAnalysisWorkletSupported(context)) {
+      return false;
+    }
+
+    try {
+      await loadAnalysisWorklet(context);
+
+      // Bail out if destroy() or a failed init ran while the module was loading
+      if (this._session !== session || this.audioContext !== context) {
+        return false;
+      }
+
+      const node = createAnalysisNode(context, {
+        pitchBufferSize: this._getPitchBufferSize(),
+      });
+      node.port.onmessage = (event) => this._handleWorkletFrame(event.data);
+      inputNode.connect(node);
+      this.workletNode = node;
+      this._workletInput = inputNode;
+      this._resetRhythm(context.sampleRate / DEFAULT_WORKLET_OPTIONS.featureBufferSize);
+      return true;
+    } catch (err) {
+      console.warn(`AudioWorklet analysis unavailable, using fallback: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Pitch window size for the worklet - enough samples for minFrequency, capped for audio-thread cost
+   * @private
+   */
+  _getPitchBufferSize() {
+    const sampleRate = this.audioContext?.sampleRate || 44100;
+    const minPeriod = sampleRate / Math.max(this._pitchConfig.minFrequency, 1);
+    let size = 1024;
+    while (size < minPeriod * 2 && size < 4096) size <<= 1;
+    return size;
+  }
+
+  /**
+   * Handle a feature frame posted by the analysis worklet
+   * @private
+   */
+  _handleWorkletFrame(frame) {
+    if (!frame || frame.type !== 'frame' || !this.isInitialized) return;
+
+    this._updateFrequencyData();
+    this._updateFeatures(frame);
+    this._applyPitch(frame.pitch, frame.clarity);
+    this._updateRhythm(frame.spectralFlux, frame.time);
+    this._updateHarmony(frame.time);
+    this._updateBands(frame.time);
+    this._updateLoudness(frame.time, frame);
+    this._updateNotes(frame.time);
+    this._publishFrame(frame.time);
+  }
+
+  /**
+   * Disconnect and release the analysis worklet node
+   * @private
+   */
+  _destroyWorklet() {
+    if (!this.workletNode) return;
+
+    this.workletNode.port.onmessage = null;
+    this.workletNode.port.postMessage({ type: 'stop' });
+    this.workletNode.port.close();
+
+    // Only remove our own edge - the input may belong to someone else's graph
+    try {
+      this._workletInput?.disconnect(this.workletNode);
+    } catch (err) {
+      // Already disconnected
+    }
+    this.workletNode.disconnect();
+    this.workletNode = null;
+    this._workletInput = null;
   }
 
   /**
@@ -248,17 +638,35 @@ class AudioSource {
 
       this._updateFrequencyData();
       this._updatePitch();
+      this._updateRhythm(this._computeFrequencyFlux(), this.audioContext.currentTime);
+      this._updateHarmony(this.audioContext.currentTime);
+      this._updateBands(this.audioContext.currentTime);
+      this._updateLoudness(this.audioContext.currentTime);
+      this._updateNotes(this.audioContext.currentTime);
 
       // For external sources without Meyda, calculate features from frequency data
       if (this.isExternal && !this.meydaAnalyser) {
         this._calculateFeaturesFromFrequencyData();
       }
 
+      this._publishFrame(this.audioContext.currentTime);
+
       this._pollFrameId = requestAnimationFrame(poll);
     };
     poll();
   }
 
+  /**
+   * Stop polling for audio data
+   * @private
+   */
+  _stopPolling() {
+    if (this._pollFrameId) {
+      cancelAnimationFrame(this._pollFrameId);
+      this._pollFrameId = null;
+    }
+  }
+
   /**
    * Update frequency and time domain data
    * @private
@@ -276,6 +684,16 @@ class AudioSource {
     this.analyser.getByteFrequencyData(this._audioData.frequencyData);
     this.analyser.getByteTimeDomainData(this._audioData.timeDomainData);
 
+    if (this._stereoNodes) {
+      const { left, right } = this._stereoNodes;
+      if (!this._audioData.timeDomainLeft) {
+        this._audioData.timeDomainLeft = new Uint8Array(left.fftSize);
+        this._audioData.timeDomainRight = new Uint8Array(right.fftSize);
+      }
+      left.getByteTimeDomainData(this._audioData.timeDomainLeft);
+      right.getByteTimeDomainData(this._audioData.timeDomainRight);
+    }
+
     // Find dominant frequency from FFT
     this._updateDominantFrequency();
   }
@@ -288,40 +706,193 @@ class AudioSource {
   _updateDominantFrequency() {
     if (!this._audioData.frequencyData || !this.audioContext) return;
 
+    findBassPeak(this._audioData.frequencyData, this.audioContext.sampleRate, this._audioData);
+  }
+
+  /**
+   * Spectral flux of the byte frequency data (onset strength for the fallback paths)
+   * @private
+   * @returns {number}
+   */
+  _computeFrequencyFlux() {
     const freqData = this._audioData.frequencyData;
+    if (!freqData) return 0;
+
+    if (!this._previousFrequencyData || this._previousFrequencyData.length !== freqData.length) {
+      this._previousFrequencyData = new Uint8Array(freqData);
+      return 0;
+    }
+
+    const previous = this._previousFrequencyData;
+    let flux = 0;
+    for (let i = 0; i < freqData.length; i++) {
+      const diff = freqData[i] - previous[i];
+      if (diff > 0) flux += diff;
+    }
+    previous.set(freqData);
+
+    return flux / 255;
+  }
+
+  /**
+   * Start a fresh beat tracker for the given onset frame rate
+   * @private
+   * @param {number} frameRate - Rate at which onset frames will arrive (Hz)
+   */
+  _resetRhythm(frameRate) {
+    this._beatTracker = new BeatTracker({ ...this._beatOptions, frameRate });
+    this._previousFrequencyData = null;
+    this._applyRhythmState(this._beatTracker.getState());
+  }
+
+  /**
+   * Feed one onset-strength frame to the beat tracker and publish the result
+   * @private
+   * @param {number} onsetStrength - Onset detection function value
+   * @param {number} time - Frame time on the AudioContext clock (seconds)
+   */
+  _updateRhythm(onsetStrength, time) {
+    if (!this._beatTracker) return;
+
+    const rhythm = this._beatTracker.process(onsetStrength, time);
+    this._applyRhythmState(rhythm);
+
+    if (rhythm.beat && this.hasListeners('beat')) {
+      this.emit('beat', {
+        time,
+        bpm: rhythm.bpm,
+        beatCount: rhythm.beatCount,
+        beatInBar: rhythm.beatInBar,
+        downbeat: rhythm.downbeat,
+        confidence: rhythm.confidence,
+      });
+    }
+  }
+
+  /**
+   * Update chroma, key and chord from the current frequency data
+   * @private
+   * @param {number} time - Frame time on the AudioContext clock (seconds)
+   */
+  _updateHarmony(time) {
+    if (!this._audioData.frequencyData || !this.analyser || !this.audioContext) return;
+
+    const harmony = this._harmonyAnalyzer.process(
+      this._audioData.frequencyData,
+      this.audioContext.sampleRate,
+      time,
+      { minDecibels: this.analyser.minDecibels ?? -100, maxDecibels: this.analyser.maxDecibels ?? -30 },
+    );
+    this._applyHarmonyState(harmony);
+  }
+
+  /**
+   * Copy harmony analyzer state into the audio data
+   * @private
+   */
+  _applyHarmonyState(harmony) {
+    const data = this._audioData;
+    data.chroma = harmony.chroma;
+    data.key = harmony.key;
+    data.mode = harmony.mode;
+    data.keyConfidence = harmony.keyConfidence;
+    data.chord = harmony.chord;
+    data.chordConfidence = harmony.chordConfidence;
+  }
+
+  /**
+   * Update band levels and peaks from the current frequency data
+   * @private
+   * @param {number} time - Frame time on the AudioContext clock (seconds)
+   */
+  _updateBands(time) {
+    if (!this._audioData.frequencyData || !this.audioContext) return;
+
+    this._bandAnalyzer.process(this._audioData.frequencyData, this.audioContext.sampleRate, time);
+  }
+
+  /**
+   * Update loudness, true peak and auto-gain
+   * The worklet measures every sample and posts the sums with its frame. The fallback
+   * paths measure the samples that arrived since the last update from the analyser's
+   * (mono) time-domain data, which reads up to 3 dB low for wide stereo material.
+   * @private
+   * @param {number} time - Frame time on the AudioContext clock (seconds)
+   * @param {Object} [frame] - Worklet frame carrying loudnessEnergy, loudnessSamples and truePeak
+   */
+  _updateLoudness(time, frame = null) {
+    if (!this.audioContext) return;
     const sampleRate = this.audioContext.sampleRate;
-    const binCount = freqData.length;
-    const nyquist = sampleRate / 2;
-    const binSize = nyquist / binCount;
-
-    // Find loudest frequency in BASS range only (20-120Hz)
-    // Map that frequency directly to hue - NO smoothing
-    const minBassHz = 20;
-    const maxBassHz = 120;
-    const minBassBin = Math.floor(minBassHz / binSize);
-    const maxBassBin = Math.ceil(maxBassHz / binSize);
-
-    let maxVal = 0;
-    let peakBin = minBassBin;
-
-    for (let i = minBassBin; i <= Math.min(maxBassBin, binCount - 1); i++) {
-      if (freqData[i] > maxVal) {
-        maxVal = freqData[i];
-        peakBin = i;
+
+    if (frame) {
+      this._loudnessMeter.addMeasurement(frame.loudnessEnergy, frame.loudnessSamples, frame.truePeak, sampleRate);
+    } else if (this.analyser) {
+      const size = this.analyser.fftSize;
+      if (!this._loudnessBuffer || this._loudnessBuffer.length !== size) {
+        this._loudnessBuffer = new Float32Array(size);
+      }
+
+      const position = Math.round(time * sampleRate);
+      const count = this._lastLoudnessSample === null
+        ? size
+        : Math.min(size, position - this._lastLoudnessSample);
+
+      if (count > 0) {
+        this._lastLoudnessSample = position;
+        this.analyser.getFloatTimeDomainData(this._loudnessBuffer);
+        this._loudnessMeter.process([this._loudnessBuffer], sampleRate, size - count, size);
       }
     }
 
-    // Convert bin to frequency
-    const peakFreq = peakBin * binSize;
+    const decibelRange = (this.analyser?.maxDecibels ?? -30) - (this.analyser?.minDecibels ?? -100);
+    const loudness = this._loudnessMeter.getState();
+    this._applyLoudnessState(loudness, this._autoGain.process(loudness, time, this._audioData.bassEnergy, decibelRange));
+  }
 
-    // Map 20-120Hz to hue 0-360 (linear, simple)
-    const normalized = (peakFreq - minBassHz) / (maxBassHz - minBassHz);
-    const hue = normalized * 360;
+  /**
+   * Track notes from the current frequency data and pitch, and emit note events
+   * @private
+   * @param {number} time - Frame time on the AudioContext clock (seconds)
+   */
+  _updateNotes(time) {
+    if (!this.audioContext) return;
+
+    const notes = this._noteTracker.process(this._audioData.frequencyData, this.audioContext.sampleRate, time, {
+      pitch: this._audioData.pitchFrequency,
+      level: this._audioData.level,
+      minDecibels: this.analyser?.minDecibels ?? -100,
+      maxDecibels: this.analyser?.maxDecibels ?? -30,
+    });
+    this._emitNoteEvents(notes);
+  }
 
-    this._audioData.dominantFrequency = peakFreq;
-    this._audioData.dominantBin = peakBin;
-    this._audioData.bassFrequency = hue;
-    this._audioData.bassEnergy = maxVal / 255;
+  /**
+   * Copy loudness meter and auto-gain state into the audio data
+   * @private
+   */
+  _applyLoudnessState(loudness, autoGain) {
+    const data = this._audioData;
+    data.momentaryLoudness = loudness.momentaryLoudness;
+    data.shortTermLoudness = loudness.shortTermLoudness;
+    data.truePeak = loudness.truePeak;
+    data.gain = autoGain.gain;
+    data.level = autoGain.level;
+    data.bassLevel = autoGain.bassLevel;
+  }
+
+  /**
+   * Copy beat tracker state into the audio data
+   * @private
+   */
+  _applyRhythmState(rhythm) {
+    const data = this._audioData;
+    data.onset = rhythm.onset;
+    data.beat = rhythm.beat;
+    data.downbeat = rhythm.downbeat;
+    data.bpm = rhythm.bpm;
+    data.beatPhase = rhythm.beatPhase;
+    data.beatCount = rhythm.beatCount;
+    data.beatInBar = rhythm.beatInBar;
   }
 
   /**
@@ -340,22 +911,32 @@ class AudioSource {
 
     try {
       const [pitch, clarity] = this.pitchDetector.findPitch(input, this.audioContext.sampleRate);
-
-      // Only use pitch if clarity is above threshold and within frequency range
-      if (clarity > this._pitchConfig.clarityThreshold &&
-          pitch > this._pitchConfig.minFrequency &&
-          pitch < this._pitchConfig.maxFrequency) {
-        const note = FrequencyMap.noteFromFreq(pitch);
-        this._audioData.pitch = note.name;
-        this._audioData.octave = note.octave;
-      } else {
-        this._audioData.pitch = null;
-        this._audioData.octave = null;
-      }
+      this._applyPitch(pitch, clarity);
     } catch (e) {
       // Pitch detection can fail on certain inputs - this is expected behavior
+      this._applyPitch(0, 0);
+    }
+  }
+
+  /**
+   * Map a detected pitch to note name/octave, gated by the pitch config
+   * @private
+   * @param {number} pitch - Detected frequency in Hz
+   * @param {number} clarity - Detection clarity (0-1)
+   */
+  _applyPitch(pitch, clarity) {
+    // Only use pitch if clarity is above threshold and within frequency range
+    if (clarity > this._pitchConfig.clarityThreshold &&
+        pitch > this._pitchConfig.minFrequency &&
+        pitch < this._pitchConfig.maxFrequency) {
+      const note = FrequencyMap.noteFromFreq(pitch);
+      this._audioData.pitch = note.name;
+      this._audioData.octave = note.octave;
+      this._audioData.pitchFrequency = pitch;
+    } else {
       this._audioData.pitch = null;
       this._audioData.octave = null;
+      this._audioData.pitchFrequency = 0;
     }
   }
 
@@ -436,38 +1017,28 @@ class AudioSource {
   }
 
   /**
-   * Get current audio data
-   * @param {boolean} copy - If true, returns a shallow copy (default: false for performance)
-   * @returns {Object} Audio data with all features
+   * Set smoothing factor (0-1, higher = smoother but more latency)
+   * @param {number} factor
    */
-  getAudioData(copy = false) {
-    return copy ? { ...this._audioData } : this._audioData;
+  setSmoothingFactor(factor) {
+    this._smoothingFactor = Math.max(0, Math.min(1, factor));
   }
 
   /**
-   * Get individual audio features (for backwards compatibility)
+   * Change the analysed bands, bins or peak-hold settings (see BandAnalyzer)
+   * @param {Object} options - e.g. { bands: { kick: [40, 100], snare: [150, 250] }, scale: 'mel' }
    */
-  get energy() { return this._audioData.energy; }
-  get roughness() { return this._audioData.roughness; }
-  get warmth() { return this._audioData.warmth; }
-  get richness() { return this._audioData.richness; }
-  get sharpness() { return this._audioData.sharpness; }
-  get kurtosis() { return this._audioData.kurtosis; }
-  get pitch() { return this._audioData.pitch; }
-  get octave() { return this._audioData.octave; }
-  get dominantFrequency() { return this._audioData.dominantFrequency; }
-  get dominantBin() { return this._audioData.dominantBin; }
-  get bassFrequency() { return this._audioData.bassFrequency; }
-  get bassEnergy() { return this._audioData.bassEnergy; }
-  get frequencyData() { return this._audioData.frequencyData; }
-  get timeDomainData() { return this._audioData.timeDomainData; }
+  setBands(options) {
+    this._bandAnalyzer.configure(options);
+  }
 
   /**
-   * Set smoothing factor (0-1, higher = smoother but more latency)
-   * @param {number} factor
+   * Set how quickly auto-gain adapts (see AutoGain)
+   * @param {number} attackTime - Time constant when the input gets louder (seconds)
+   * @param {number} releaseTime - Time constant when the input gets quieter (seconds)
    */
-  setSmoothingFactor(factor) {
-    this._smoothingFactor = Math.max(0, Math.min(1, factor));
+  setAutoGainAdaptation(attackTime, releaseTime) {
+    this._autoGain.setAdaptation(attackTime, releaseTime);
   }
 
   /**
@@ -484,12 +1055,14 @@ class AudioSource {
    */
   destroy() {
     // Cancel polling first
-    if (this._pollFrameId) {
-      cancelAnimationFrame(this._pollFrameId);
-      this._pollFrameId = null;
-    }
+    this._stopPolling();
 
     this.isInitialized = false;
+    this._session++;
+
+    // Worklet and stereo analysers tap external graphs too, so always disconnect them
+    this._destroyWorklet();
+    this._destroyStereo();
 
     if (this.meydaAnalyser) {
       this.meydaAnalyser.stop();
@@ -507,19 +1080,63 @@ class AudioSource {
       this.source.disconnect();
     }
 
+    // Tapped nodes belong to the caller's graph - only remove our analyser
+    this._untapNode();
+
     if (this.analyser && !this.isExternal) {
       this.analyser.disconnect();
     }
 
-    if (this.audioContext && !this.isExternal) {
+    if (this.audioContext && !this.isExternal && this._ownsContext) {
       this.audioContext.close();
     }
 
+    // Release the microphone (streams passed to connectMediaStream() are left running)
+    this._stopOwnedStream();
+
     this.source = null;
     this.analyser = null;
     this.audioContext = null;
+    this._ownsContext = false;
     this.pitchDetector = null;
+
+    // Reset rhythm state so a re-initialized source starts unlocked
+    if (this._beatTracker) {
+      this._beatTracker.reset();
+      this._applyRhythmState(this._beatTracker.getState());
+      this._beatTracker = null;
+    }
+    this._previousFrequencyData = null;
+
+    // Same for harmony - a new input starts without a key
+    this._harmonyAnalyzer.reset();
+    this._applyHarmonyState(this._harmonyAnalyzer.getState());
+
+    // And loudness - the next input sets its own gain
+    this._loudnessMeter.reset();
+    this._autoGain.reset();
+    this._loudnessBuffer = null;
+    this._lastLoudnessSample = null;
+    this._applyLoudnessState(this._loudnessMeter.getState(), this._autoGain.getState());
+    this._bandAnalyzer.reset();
+
+    // Release held notes so listeners (e.g. MIDI out) don't leave them hanging
+    this._emitNoteEvents(this._noteTracker.flush());
+  }
+}
+
+/**
+ * getUserMedia audio constraints for initMicrophone() options
+ * @private
+ */
+function getMicrophoneConstraints({ deviceId, constraints } = {}) {
+  if (!deviceId && !constraints) return true;
+
+  const audio = { ...constraints };
+  if (deviceId) {
+    audio.deviceId = { exact: deviceId };
   }
+  return audio;
 }
 
 // ============================================
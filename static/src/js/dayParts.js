@@ -0,0 +1,24 @@
+/**
+ * Day parts of the dynamic background: the hour each one starts at and its two
+ * gradient colors (left to right). Shared by timebytime.js and the visualizers,
+ * without timebytime.js's page side effects.
+ */
+export const DAY_PARTS = {
+  morning: { start: 6, colors: ['rgba(255,253,227,1)', '#ff912c'] },
+  afternoon: { start: 12, colors: ['rgba(248,194,224,1)', 'rgba(194,233,251,1)'] },
+  evening: { start: 17, colors: ['rgba(0,55,241,1)', 'rgba(255,73,111,1)'] },
+  night: { start: 22, colors: ['rgba(255,248,239,1)', 'rgba(73,51,109,1)'] },
+};
+
+/**
+ * Day part of a time (morning 6-12, afternoon 12-17, evening 17-22, night 22-6)
+ * @param {Date} [date=new Date()] - Local time
+ * @returns {string} 'morning', 'afternoon', 'evening' or 'night'
+ */
+export function getDayPart(date = new Date()) {
+  const hours = date.getHours();
+  return hours >= DAY_PARTS.morning.start && hours < DAY_PARTS.afternoon.start ? 'morning' :
+         hours >= DAY_PARTS.afternoon.start && hours < DAY_PARTS.evening.start ? 'afternoon' :
+         hours >= DAY_PARTS.evening.start && hours < DAY_PARTS.night.start ? 'evening' :
+         'night';
+}
@@ -0,0 +1,99 @@
+/**
+ * EventEmitter - Minimal event subscription helper
+ * Used by AudioSource and other modules that publish events (e.g. 'beat')
+ */
+export class EventEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error('listener must be a function');
+    }
+
+    if (!this._listeners.has(event)) {
+      this._listeners.set(event, new Set());
+    }
+    this._listeners.get(event).add(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Subscribe to a single occurrence of an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Previously registered listener
+   */
+  off(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      this._listeners.delete(event);
+    }
+  }
+
+  /**
+   * Remove all listeners, optionally only for one event
+   * @param {string} [event] - Event name
+   */
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.clear();
+    } else {
+      this._listeners.delete(event);
+    }
+  }
+
+  /**
+   * Emit an event to all listeners
+   * A throwing listener is logged and does not stop the others.
+   * @protected
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  emit(event, payload) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return;
+
+    // Iterate over a copy so listeners can unsubscribe during dispatch
+    [...listeners].forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (err) {
+        console.error(`Error in '${event}' listener:`, err);
+      }
+    });
+  }
+
+  /**
+   * Check whether an event has listeners
+   * @param {string} event - Event name
+   * @returns {boolean}
+   */
+  hasListeners(event) {
+    return this._listeners.has(event);
+  }
+}
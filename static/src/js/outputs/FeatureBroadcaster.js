@@ -0,0 +1,279 @@
+/**
+ * Features broadcast by default
+ */
+export const DEFAULT_BROADCAST_FEATURES = [
+  'energy', 'level', 'bassLevel', 'roughness', 'warmth', 'richness', 'sharpness',
+  'pitch', 'octave', 'pitchFrequency', 'bassEnergy',
+  'bpm', 'beatPhase', 'beatCount', 'beatInBar', 'bands', 'chroma', 'key', 'chord',
+];
+
+/**
+ * Events broadcast by default
+ */
+export const DEFAULT_BROADCAST_EVENTS = ['beat', 'noteon', 'noteoff'];
+
+// Event payload -> OSC-friendly argument list
+const EVENT_ARGS = {
+  beat: ({ beatInBar, bpm, downbeat }) => [beatInBar ?? 0, bpm ?? 0, downbeat ? 1 : 0],
+  noteon: ({ midi, velocity }) => [midi, velocity ?? 1],
+  noteoff: ({ midi }) => [midi],
+};
+
+/**
+ * FeatureBroadcaster - Publish a source's audio data to a WebSocket
+ *
+ * Sends the selected getAudioData() fields as JSON frames, at most maxRate per second,
+ * plus beat and note events as they happen. The musicolors Flask app relays these to
+ * OSC (see /ws/features in app.py), so TouchDesigner, Resolume, Max and similar tools
+ * on the same machine can follow the analysis, and to the displays subscribed to
+ * /ws/stream (see RemoteAudioSource).
+ *
+ * Messages:
+ * - { type: 'frame', time, features: { energy: 0.4, chroma: [...], bands: {...}, notes: [60, 64] } }
+ * - { type: 'event', name: 'beat', args: [beatInBar, bpm, downbeat] }
+ * - { type: 'event', name: 'noteon', args: [midi, velocity] } / name: 'noteoff', args: [midi]
+ * - { type: 'control', preset: 'Sphere', options: {...} } - see sendControl()
+ *
+ * Typed arrays are sent as plain arrays and notes as their MIDI numbers. Frames are
+ * skipped while the socket is still sending earlier ones, so a slow consumer never
+ * builds up latency. The socket reconnects after reconnectDelay if it closes.
+ *
+ * @example
+ * const broadcaster = new FeatureBroadcaster(visualizer.audioSource, {
+ *   features: ['level', 'pitch', 'bands'],
+ *   maxRate: 30,
+ * });
+ * broadcaster.start();
+ */
+export class FeatureBroadcaster {
+  /**
+   * @param {FeatureSource} source - AudioSource, MixAudioSource, ReplayAudioSource, ...
+   * @param {Object} options - Configuration options
+   * @param {string} [options.url] - WebSocket URL (default: /ws/features on the page's host)
+   * @param {string[]} [options.features=DEFAULT_BROADCAST_FEATURES] - Audio data fields to send
+   * @param {string[]} [options.events=DEFAULT_BROADCAST_EVENTS] - Events to send ('beat', 'noteon', 'noteoff')
+   * @param {number} [options.maxRate=30] - Most frames per second
+   * @param {number} [options.reconnectDelay=2] - Seconds before reconnecting a closed socket (0 = don't)
+   * @param {number} [options.maxBufferedAmount=65536] - Skip frames while this many bytes are unsent
+   * @param {Function} [options.WebSocket] - WebSocket constructor (e.g. a fake in tests)
+   */
+  constructor(source, options = {}) {
+    if (!source || typeof source.on !== 'function') {
+      throw new Error('source must be an AudioSource or other FeatureSource');
+    }
+
+    this.source = source;
+    this.url = options.url ?? defaultURL();
+    this._WebSocket = options.WebSocket ?? (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this._reconnectDelay = options.reconnectDelay ?? 2;
+    this._maxBufferedAmount = options.maxBufferedAmount ?? 65536;
+
+    this._socket = null;
+    this._unsubscribe = null;
+    this._reconnectTimer = null;
+    this._lastSent = -Infinity;
+
+    this.setFeatures(options.features ?? DEFAULT_BROADCAST_FEATURES);
+    this.setMaxRate(options.maxRate ?? 30);
+    this._events = validateEvents(options.events ?? DEFAULT_BROADCAST_EVENTS);
+  }
+
+  /**
+   * Whether the broadcaster is started (it may be waiting to reconnect)
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._unsubscribe !== null;
+  }
+
+  /**
+   * Whether the socket is open
+   * @returns {boolean}
+   */
+  get isConnected() {
+    return this._socket?.readyState === 1;
+  }
+
+  /**
+   * Open the socket and start sending
+   */
+  start() {
+    if (this.isRunning) {
+      console.warn('FeatureBroadcaster already running');
+      return;
+    }
+    if (!this._WebSocket) {
+      throw new Error('WebSocket not supported in this environment');
+    }
+
+    this._unsubscribe = [
+      this.source.on('frame', ({ time, audioData }) => this._onFrame(time, audioData)),
+      ...this._events.map((name) => this.source.on(name, (payload) => this._onEvent(name, payload))),
+    ];
+    this._connect();
+  }
+
+  /**
+   * Stop sending and close the socket
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this._unsubscribe.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribe = null;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    if (this._socket) {
+      const socket = this._socket;
+      this._socket = null;
+      socket.close();
+    }
+  }
+
+  /**
+   * Choose the audio data fields to send
+   * @param {string[]} features - Field names, e.g. ['energy', 'pitch', 'bands']
+   */
+  setFeatures(features) {
+    if (!Array.isArray(features) || features.some((name) => typeof name !== 'string' || name === '')) {
+      throw new Error('features must be an array of audio data field names');
+    }
+    this._features = [...features];
+  }
+
+  /**
+   * Set the most frames sent per second
+   * @param {number} maxRate - Frames per second (Infinity = every frame)
+   */
+  setMaxRate(maxRate) {
+    if (!(maxRate > 0)) {
+      throw new Error('maxRate must be a positive number');
+    }
+    this._minInterval = 1000 / maxRate;
+  }
+
+  /**
+   * Send a control message to the displays subscribed to the stream (see RemoteAudioSource)
+   * @param {Object} message - e.g. { preset: 'Sphere', options: { ... } }
+   * @returns {boolean} Whether the message was sent (false while disconnected)
+   */
+  sendControl(message) {
+    if (!this.isConnected) return false;
+    this._send({ ...message, type: 'control' });
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _connect() {
+    const socket = new this._WebSocket(this.url);
+    this._socket = socket;
+
+    socket.onclose = () => {
+      if (this._socket !== socket) return;   // Closed by stop()
+      this._socket = null;
+      if (this.isRunning && this._reconnectDelay > 0) {
+        this._reconnectTimer = setTimeout(() => {
+          this._reconnectTimer = null;
+          if (this.isRunning) this._connect();
+        }, this._reconnectDelay * 1000);
+      }
+    };
+    // Errors are followed by 'close', which handles reconnecting
+    socket.onerror = () => {};
+  }
+
+  /**
+   * @private
+   */
+  _onFrame(time, audioData) {
+    if (!this.isConnected) return;
+
+    const now = timestamp();
+    if (now - this._lastSent < this._minInterval) return;
+    if (this._socket.bufferedAmount > this._maxBufferedAmount) return;
+    this._lastSent = now;
+
+    const features = {};
+    this._features.forEach((name) => {
+      const value = name === 'notes'
+        ? (audioData.notes || []).map((note) => note.midi)
+        : toSerializable(audioData[name]);
+      if (value !== undefined) features[name] = value;
+    });
+
+    this._send({ type: 'frame', time, features });
+  }
+
+  /**
+   * @private
+   */
+  _onEvent(name, payload) {
+    if (!this.isConnected) return;
+    this._send({ type: 'event', name, args: EVENT_ARGS[name](payload) });
+  }
+
+  /**
+   * @private
+   */
+  _send(message) {
+    try {
+      this._socket.send(JSON.stringify(message));
+    } catch (err) {
+      console.warn('FeatureBroadcaster send failed:', err.message);
+    }
+  }
+}
+
+/**
+ * /ws/features on the page's host (localhost:8000 outside a browser)
+ * @private
+ */
+function defaultURL() {
+  if (typeof location === 'undefined' || !location.host) {
+    return 'ws://localhost:8000/ws/features';
+  }
+  return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws/features`;
+}
+
+/**
+ * Convert typed arrays (also inside objects such as bands) to plain arrays
+ * @private
+ */
+function toSerializable(value) {
+  if (ArrayBuffer.isView(value)) {
+    return Array.from(value);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = toSerializable(value[key]);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events)) {
+    throw new Error('events must be an array of event names');
+  }
+  events.forEach((name) => {
+    if (!EVENT_ARGS[name]) {
+      throw new Error(`Unknown event: ${name}. Expected one of: ${Object.keys(EVENT_ARGS).join(', ')}`);
+    }
+  });
+  return [...events];
+}
+
+/**
+ * @private
+ */
+function timestamp() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
@@ -0,0 +1,409 @@
+// MIDI status bytes
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const CLOCK = 0xf8;
+const START = 0xfa;
+const STOP = 0xfc;
+
+// MIDI clock resolution (pulses per quarter note)
+const CLOCK_PPQN = 24;
+
+/**
+ * Default feature-to-CC mappings
+ */
+export const DEFAULT_CONTROLS = [
+  { feature: 'energy', cc: 20, min: 0, max: 1 },
+  { feature: 'warmth', cc: 21, min: 0, max: 360 },
+  { feature: 'roughness', cc: 22, min: 0, max: 1 },
+];
+
+/**
+ * MidiOutput - Send a source's notes, tempo and features to a Web MIDI output
+ *
+ * - notes: the source's 'noteon'/'noteoff' events as note on/off messages
+ *   (velocity 1-127 from the note's 0-1 velocity)
+ * - clock: MIDI clock (24 pulses per beat) following the source's bpm and beat
+ *   position, with Start when the tempo first locks and Stop on stop()
+ * - controls: audio data fields as control changes, each mapped from [min, max]
+ *   onto 0-127 (min > max inverts) and sent when the value changes
+ *
+ * Clock pulses are scheduled slightly ahead with Web MIDI timestamps, so they stay
+ * evenly spaced however often the source publishes frames. While the tempo is
+ * unlocked no pulses are sent, so receivers hold their last tempo.
+ *
+ * A MIDIAccess object can be passed in (e.g. one already granted, or a fake in
+ * tests); otherwise start() requests one with navigator.requestMIDIAccess().
+ *
+ * @example
+ * const midi = new MidiOutput(visualizer.audioSource, {
+ *   output: 'IAC Driver Bus 1',
+ *   channel: 2,
+ *   controls: [
+ *     { feature: 'level', cc: 1 },
+ *     { feature: 'bands.bass', cc: 2 },
+ *     { feature: (data) => data.chroma?.[0] ?? 0, cc: 3 },
+ *   ],
+ * });
+ * await midi.start();
+ */
+export class MidiOutput {
+  /**
+   * @param {FeatureSource} source - AudioSource, MixAudioSource, ReplayAudioSource, ...
+   * @param {Object} options - Configuration options
+   * @param {MIDIAccess} [options.midiAccess] - MIDI access to use (requested on start() otherwise)
+   * @param {string} [options.output] - Output port id or name (default: the first output)
+   * @param {number} [options.channel=1] - MIDI channel (1-16) for notes and controls
+   * @param {boolean} [options.notes=true] - Send note on/off
+   * @param {boolean} [options.clock=true] - Send MIDI clock
+   * @param {Object[]} [options.controls=DEFAULT_CONTROLS] - Feature mappings, see setControls()
+   * @param {number} [options.controlInterval=0.02] - Minimum seconds between messages for one control
+   * @param {number} [options.clockLookahead=0.1] - Seconds of clock pulses scheduled ahead
+   */
+  constructor(source, options = {}) {
+    if (!source || typeof source.on !== 'function') {
+      throw new Error('source must be an AudioSource or other FeatureSource');
+    }
+
+    this.source = source;
+    this.midiAccess = options.midiAccess || null;
+    this._outputName = options.output ?? null;
+    this._channel = validateChannel(options.channel ?? 1);
+    this._notesEnabled = options.notes ?? true;
+    this._clockEnabled = options.clock ?? true;
+    this._controlInterval = options.controlInterval ?? 0.02;
+    this._clockLookahead = options.clockLookahead ?? 0.1;
+
+    this._output = null;
+    this._unsubscribe = null;
+    this._controls = [];
+    this._heldNotes = new Map();   // Note key ('source:id') -> { channel, midi }
+    this._noteCounts = new Map();  // channel * 128 + midi -> notes holding it
+    this._clockStarted = false;
+    this._clockPulse = 0;          // Pulses scheduled so far, on the source's beat grid
+
+    this.setControls(options.controls ?? DEFAULT_CONTROLS);
+  }
+
+  /**
+   * List the available MIDI outputs
+   * @param {MIDIAccess} [midiAccess] - Access to use (requested otherwise)
+   * @returns {Promise<{id: string, name: string, manufacturer: string}[]>}
+   */
+  static async listOutputs(midiAccess) {
+    const access = midiAccess || await requestAccess();
+    return [...access.outputs.values()].map((port) => ({
+      id: port.id,
+      name: port.name,
+      manufacturer: port.manufacturer || '',
+    }));
+  }
+
+  /**
+   * Whether messages are being sent
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._unsubscribe !== null;
+  }
+
+  /**
+   * The selected output port (null before start() or when none is available)
+   * @returns {MIDIOutput|null}
+   */
+  get output() {
+    return this._output;
+  }
+
+  /**
+   * Get MIDI access, select the output and start sending
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.isRunning) {
+      console.warn('MidiOutput already running');
+      return;
+    }
+
+    if (!this.midiAccess) {
+      this.midiAccess = await requestAccess();
+    }
+    this._output = this._findOutput(this._outputName);
+
+    this._unsubscribe = [
+      this.source.on('noteon', (note) => this._onNoteOn(note)),
+      this.source.on('noteoff', (note) => this._onNoteOff(note)),
+      this.source.on('frame', ({ audioData }) => this._onFrame(audioData)),
+    ];
+  }
+
+  /**
+   * Stop sending: releases held notes and stops the clock
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this._unsubscribe.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribe = null;
+    this._releaseAll();
+  }
+
+  /**
+   * Switch to another output port (held notes are released on the old one)
+   * @param {string} output - Output port id or name
+   */
+  setOutput(output) {
+    const port = this.midiAccess ? this._findOutput(output) : null;
+    if (this.midiAccess && !port) {
+      throw new Error(`Unknown MIDI output: ${output}`);
+    }
+
+    this._releaseAll();
+    this._outputName = output;
+    if (this.isRunning) {
+      this._output = port;
+    }
+  }
+
+  /**
+   * Replace the feature-to-CC mappings
+   * @param {Object[]} controls - Mappings:
+   *   - feature {string|Function} - Audio data field (dotted paths such as 'bands.bass'
+   *     work) or a function of the audio data returning a number
+   *   - cc {number} - Controller number (0-127)
+   *   - min {number} [0] - Value sent as 0
+   *   - max {number} [1] - Value sent as 127
+   *   - channel {number} [channel option] - MIDI channel (1-16)
+   */
+  setControls(controls) {
+    if (!Array.isArray(controls)) {
+      throw new Error('controls must be an array of { feature, cc, min, max } mappings');
+    }
+
+    this._controls = controls.map((control) => {
+      const { feature, cc, min = 0, max = 1 } = control;
+      if (typeof feature !== 'string' && typeof feature !== 'function') {
+        throw new Error('control feature must be a field name or a function');
+      }
+      if (!(Number.isInteger(cc) && cc >= 0 && cc <= 127)) {
+        throw new Error(`control cc must be an integer 0-127 (got ${cc})`);
+      }
+      if (typeof min !== 'number' || typeof max !== 'number' || min === max) {
+        throw new Error('control min and max must be different numbers');
+      }
+
+      return {
+        read: typeof feature === 'function' ? feature : createFieldReader(feature),
+        cc,
+        min,
+        max,
+        status: CONTROL_CHANGE | (validateChannel(control.channel ?? this._channel) - 1),
+        value: -1,        // Last value sent
+        lastSent: -Infinity,
+      };
+    });
+  }
+
+  /**
+   * Find an output by id or name (first output when none is given)
+   * @private
+   */
+  _findOutput(output) {
+    const ports = [...this.midiAccess.outputs.values()];
+    if (output === null || output === undefined) {
+      return ports[0] || null;
+    }
+    return ports.find((port) => port.id === output) ||
+      ports.find((port) => port.name === output) ||
+      null;
+  }
+
+  /**
+   * @private
+   */
+  _onNoteOn(note) {
+    if (!this._notesEnabled) return;
+
+    const key = noteKey(note);
+    if (this._heldNotes.has(key)) return;
+
+    const channel = this._channel - 1;
+    const slot = channel * 128 + note.midi;
+    const velocity = Math.max(1, Math.min(127, Math.round((note.velocity ?? 1) * 127)));
+    this._heldNotes.set(key, { channel, midi: note.midi });
+    this._noteCounts.set(slot, (this._noteCounts.get(slot) || 0) + 1);
+    this._send([NOTE_ON | channel, note.midi, velocity]);
+  }
+
+  /**
+   * @private
+   */
+  _onNoteOff(note) {
+    const key = noteKey(note);
+    const held = this._heldNotes.get(key);
+    if (!held) return;
+
+    this._heldNotes.delete(key);
+    this._releaseNote(held);
+  }
+
+  /**
+   * Send note off once no other note holds the same key on the same channel
+   * (a mix can forward the same pitch from two inputs)
+   * @private
+   */
+  _releaseNote({ channel, midi }) {
+    const slot = channel * 128 + midi;
+    const count = (this._noteCounts.get(slot) || 1) - 1;
+    if (count > 0) {
+      this._noteCounts.set(slot, count);
+      return;
+    }
+
+    this._noteCounts.delete(slot);
+    this._send([NOTE_OFF | channel, midi, 0]);
+  }
+
+  /**
+   * @private
+   */
+  _onFrame(audioData) {
+    const now = timestamp();
+    if (this._clockEnabled) {
+      this._updateClock(audioData, now);
+    }
+    this._updateControls(audioData, now);
+  }
+
+  /**
+   * Schedule clock pulses up to clockLookahead ahead of the source's beat position
+   * @private
+   */
+  _updateClock(audioData, now) {
+    const bpm = audioData.bpm;
+    if (!(bpm > 0)) return;
+
+    const pulsesPerMs = (bpm * CLOCK_PPQN) / 60000;
+    const position = ((audioData.beatCount || 0) + (audioData.beatPhase || 0)) * CLOCK_PPQN;
+    const target = Math.floor(position + this._clockLookahead * 1000 * pulsesPerMs);
+
+    // Resync instead of flooding or stalling when the beat grid jumps by more than a beat
+    if (!this._clockStarted || Math.abs(target - this._clockPulse) > CLOCK_PPQN) {
+      this._clockPulse = Math.floor(position);
+    }
+    if (!this._clockStarted) {
+      this._clockStarted = true;
+      this._send([START], now);
+    }
+
+    while (this._clockPulse < target) {
+      this._clockPulse++;
+      const time = now + (this._clockPulse - position) / pulsesPerMs;
+      this._send([CLOCK], Math.max(now, time));
+    }
+  }
+
+  /**
+   * Send changed controls, at most once per controlInterval each
+   * @private
+   */
+  _updateControls(audioData, now) {
+    const interval = this._controlInterval * 1000;
+    this._controls.forEach((control) => {
+      if (now - control.lastSent < interval) return;
+
+      const raw = Number(control.read(audioData));
+      if (!Number.isFinite(raw)) return;
+
+      const normalized = (raw - control.min) / (control.max - control.min);
+      const value = Math.round(Math.max(0, Math.min(1, normalized)) * 127);
+      if (value === control.value) return;
+
+      control.value = value;
+      control.lastSent = now;
+      this._send([control.status, control.cc, value]);
+    });
+  }
+
+  /**
+   * Note off for every held note, Stop if the clock was started, and forget sent controls
+   * @private
+   */
+  _releaseAll() {
+    this._heldNotes.forEach((held) => this._releaseNote(held));
+    this._heldNotes.clear();
+    this._noteCounts.clear();
+
+    if (this._clockStarted) {
+      this._clockStarted = false;
+      this._send([STOP]);
+    }
+
+    this._controls.forEach((control) => {
+      control.value = -1;
+      control.lastSent = -Infinity;
+    });
+  }
+
+  /**
+   * Send a message, dropping the output if it went away
+   * @private
+   */
+  _send(data, time) {
+    if (!this._output) return;
+
+    try {
+      this._output.send(data, time);
+    } catch (err) {
+      console.warn(`MIDI output '${this._output.name}' unavailable, messages dropped:`, err.message);
+      this._output = null;
+    }
+  }
+}
+
+/**
+ * Request Web MIDI access (without sysex)
+ * @private
+ */
+async function requestAccess() {
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    throw new Error('Web MIDI not supported in this browser');
+  }
+  return navigator.requestMIDIAccess({ sysex: false });
+}
+
+/**
+ * Reader for a (possibly dotted) audio data field
+ * @private
+ */
+function createFieldReader(path) {
+  const keys = path.split('.');
+  if (keys.length === 1) return (data) => data[path];
+  return (data) => keys.reduce((value, key) => (value == null ? value : value[key]), data);
+}
+
+/**
+ * Unique key of a note event (mixed notes carry their input name)
+ * @private
+ */
+function noteKey(note) {
+  return `${note.source ?? ''}:${note.id}`;
+}
+
+/**
+ * Current time in the Web MIDI timestamp base (ms)
+ * @private
+ */
+function timestamp() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * @private
+ */
+function validateChannel(channel) {
+  if (!(Number.isInteger(channel) && channel >= 1 && channel <= 16)) {
+    throw new Error(`MIDI channel must be an integer 1-16 (got ${channel})`);
+  }
+  return channel;
+}
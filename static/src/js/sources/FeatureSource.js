@@ -0,0 +1,150 @@
+import { EventEmitter } from '../events.js';
+import { LOUDNESS_FLOOR } from '../analysis/LoudnessMeter.js';
+
+/**
+ * Create an audio data object with every field at its idle value
+ * This is the shape returned by getAudioData() on every source.
+ * @returns {Object}
+ */
+export function createEmptyAudioData() {
+  return {
+    energy: 0,
+    roughness: 0,      // spectralFlatness
+    warmth: 0,         // spectralCentroid (hue)
+    richness: 0,       // perceptualSpread (saturation)
+    sharpness: 0,      // perceptualSharpness (luminance)
+    kurtosis: 0,       // spectralKurtosis
+    pitch: null,       // detected note name (C, D, E, etc.)
+    octave: null,      // detected octave
+    pitchFrequency: 0, // detected pitch in Hz (0 when none)
+    notes: [],         // sounding notes, lowest first (see NoteTracker)
+    dominantFrequency: 0,  // peak frequency from FFT (Hz)
+    dominantBin: 0,        // which FFT bin has the most energy
+    bassFrequency: 0,      // hue value (0-360) mapped from peak frequency
+    bassEnergy: 0,         // energy of peak (0-1)
+    frequencyData: null,
+    timeDomainData: null,
+    timeDomainLeft: null,  // left channel time domain data (AudioSource with stereo: true)
+    timeDomainRight: null, // right channel time domain data (AudioSource with stereo: true)
+    bands: null,           // band levels (0-1) by name, plus peaks, bins and binPeaks (see BandAnalyzer)
+    onset: false,          // true on the frame an onset is detected
+    beat: false,           // true on the frame a tracked beat lands
+    downbeat: false,       // true on the frame a bar's first beat lands
+    bpm: 0,                // estimated tempo (0 when not locked)
+    beatPhase: 0,          // position between beats (0-1)
+    beatCount: 0,          // beats since tracking started (use to detect new beats)
+    beatInBar: 0,          // position of the latest beat in the bar (0 = downbeat)
+    chroma: null,          // Float32Array(12) pitch-class energy C..B (max = 1)
+    key: null,             // estimated key tonic (C, C#, ... B)
+    mode: null,            // 'major' or 'minor'
+    keyConfidence: 0,      // 0-1
+    chord: null,           // chord label (e.g. 'Am', 'G7'), null when unclear
+    chordConfidence: 0,    // 0-1
+    momentaryLoudness: LOUDNESS_FLOOR,  // BS.1770 loudness over 400 ms (LUFS)
+    shortTermLoudness: LOUDNESS_FLOOR,  // BS.1770 loudness over 3 s (LUFS)
+    truePeak: LOUDNESS_FLOOR,           // highest true peak in the last 3 s (dBTP)
+    gain: 0,               // auto-gain applied to level/bassLevel (dB)
+    level: 0,              // auto-gained momentary loudness (0-1)
+    bassLevel: 0,          // auto-gained bassEnergy (0-1)
+  };
+}
+
+/**
+ * FeatureSource - Base class for anything a visualizer can read audio data from
+ *
+ * Subclasses keep this._audioData up to date and call _publishFrame() after each
+ * analysis update. Visualizers only rely on getAudioData(), so any subclass can be
+ * passed to BaseVisualizer.connectAudioSource().
+ *
+ * Events:
+ * - 'frame' - { time, audioData } after every analysis update
+ */
+export class FeatureSource extends EventEmitter {
+  constructor() {
+    super();
+
+    this.isInitialized = false;
+    this._audioData = createEmptyAudioData();
+  }
+
+  /**
+   * Get current audio data
+   * @param {boolean} copy - If true, returns a shallow copy (default: false for performance)
+   * @returns {Object} Audio data with all features
+   */
+  getAudioData(copy = false) {
+    return copy ? { ...this._audioData } : this._audioData;
+  }
+
+  /**
+   * Get individual audio features (for backwards compatibility)
+   */
+  get energy() { return this.getAudioData().energy; }
+  get roughness() { return this.getAudioData().roughness; }
+  get warmth() { return this.getAudioData().warmth; }
+  get richness() { return this.getAudioData().richness; }
+  get sharpness() { return this.getAudioData().sharpness; }
+  get kurtosis() { return this.getAudioData().kurtosis; }
+  get pitch() { return this.getAudioData().pitch; }
+  get octave() { return this.getAudioData().octave; }
+  get dominantFrequency() { return this.getAudioData().dominantFrequency; }
+  get dominantBin() { return this.getAudioData().dominantBin; }
+  get bassFrequency() { return this.getAudioData().bassFrequency; }
+  get bassEnergy() { return this.getAudioData().bassEnergy; }
+  get frequencyData() { return this.getAudioData().frequencyData; }
+  get timeDomainData() { return this.getAudioData().timeDomainData; }
+  get beat() { return this.getAudioData().beat; }
+  get bpm() { return this.getAudioData().bpm; }
+  get beatPhase() { return this.getAudioData().beatPhase; }
+  get downbeat() { return this.getAudioData().downbeat; }
+
+  /**
+   * Set smoothing factor (0-1). Sources without smoothing ignore it.
+   * @param {number} factor
+   */
+  setSmoothingFactor(factor) {}
+
+  /**
+   * Set how quickly auto-gain adapts. Sources without auto-gain ignore it.
+   * @param {number} attackTime - Time constant when the input gets louder (seconds)
+   * @param {number} releaseTime - Time constant when the input gets quieter (seconds)
+   */
+  setAutoGainAdaptation(attackTime, releaseTime) {}
+
+  /**
+   * Resume playback/processing if suspended
+   */
+  async resume() {}
+
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Notify 'frame' listeners that the audio data was updated
+   * @protected
+   * @param {number} time - Frame time in seconds
+   */
+  _publishFrame(time) {
+    if (this.hasListeners('frame')) {
+      this.emit('frame', { time, audioData: this._audioData });
+    }
+  }
+
+  /**
+   * Emit 'noteoff' and then 'noteon' for the notes a NoteTracker ended and started
+   * @protected
+   * @param {{started: Object[], ended: Object[]}} notes - NoteTracker state
+   */
+  _emitNoteEvents({ started, ended }) {
+    if (ended.length > 0 && this.hasListeners('noteoff')) {
+      ended.forEach((note) => this.emit('noteoff', note));
+    }
+    if (started.length > 0 && this.hasListeners('noteon')) {
+      started.forEach((note) => this.emit('noteon', note));
+    }
+  }
+}
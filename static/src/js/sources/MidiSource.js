@@ -0,0 +1,452 @@
+import { FeatureSource } from './FeatureSource.js';
+import { PITCH_CLASSES } from '../analysis/HarmonyAnalyzer.js';
+
+// MIDI status nibbles / controllers
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const PITCH_BEND = 0xe0;
+const SUSTAIN_PEDAL = 64;
+const ALL_SOUND_OFF = 120;
+const ALL_NOTES_OFF = 123;
+
+/**
+ * Default CC-to-feature mappings (mod wheel -> roughness, brightness -> warmth)
+ */
+export const DEFAULT_MIDI_CONTROLS = [
+  { cc: 1, feature: 'roughness', min: 0, max: 1 },
+  { cc: 74, feature: 'warmth', min: 0, max: 360 },
+];
+
+/**
+ * MidiSource - Drive visualizers from MIDI input instead of audio
+ *
+ * Implements the same getAudioData() contract as AudioSource, so it can be passed to
+ * BaseVisualizer.connectAudioSource() or mixed in a MixAudioSource:
+ * - velocity of the loudest held note -> energy and level (configurable), falling
+ *   off over releaseTime once every note is released
+ * - most recent held note -> pitch, octave and pitchFrequency (including pitch bend)
+ * - held notes -> notes (same shape as NoteTracker notes) and chroma
+ * - control changes -> any numeric field, mapped from 0-127 onto [min, max]
+ * - onset is true on the first update after a note-on
+ *
+ * The sustain pedal (CC 64) holds released notes until it is lifted.
+ *
+ * Events:
+ * - 'noteon' / 'noteoff' - Note objects, as from AudioSource
+ * - 'frame' - { time, audioData } after every MIDI message and every getAudioData() update
+ *
+ * @example
+ * const keys = new MidiSource({ input: 'Digital Piano', controls: [{ cc: 1, feature: 'roughness' }] });
+ * await keys.connect();
+ * visualizer.initWithSource(keys);
+ */
+export class MidiSource extends FeatureSource {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {MIDIAccess} [options.midiAccess] - MIDI access to use (requested on connect() otherwise)
+   * @param {string} [options.input] - Input port id or name (default: all inputs, including ones plugged in later)
+   * @param {number} [options.channel] - Only listen to this channel (1-16, default: all)
+   * @param {string[]} [options.velocityFeatures=['energy', 'level']] - Fields that follow note velocity (0-1)
+   * @param {number} [options.releaseTime=0.3] - Seconds for velocity fields to fall to ~37% after the last note-off
+   * @param {number} [options.pitchBendRange=2] - Semitones at full pitch bend
+   * @param {Object[]} [options.controls=DEFAULT_MIDI_CONTROLS] - CC mappings, see setControls()
+   */
+  constructor(options = {}) {
+    super();
+
+    if (options.channel !== undefined && !(Number.isInteger(options.channel) && options.channel >= 1 && options.channel <= 16)) {
+      throw new Error(`MIDI channel must be an integer 1-16 (got ${options.channel})`);
+    }
+
+    this.midiAccess = options.midiAccess || null;
+    this._inputName = options.input ?? null;
+    this._channel = options.channel ?? null;
+    this._velocityFeatures = options.velocityFeatures ?? ['energy', 'level'];
+    this._releaseTime = options.releaseTime ?? 0.3;
+    this._pitchBendRange = options.pitchBendRange ?? 2;
+
+    this._ports = new Map();        // Port -> message listener
+    this._onStateChange = null;
+    this._heldNotes = [];           // Sounding notes, oldest first
+    this._sustained = false;
+    this._pedalHeld = new Set();    // Notes whose key is up but the sustain pedal holds
+    this._pitchBend = 0;            // Semitones
+    this._velocity = 0;             // Velocity fields' value at _lastTime
+    this._lastTime = null;
+    this._onsetPending = false;
+    this._nextId = 1;
+
+    this._audioData.notes = [];
+    this._audioData.chroma = new Float32Array(12);
+
+    this.setControls(options.controls ?? DEFAULT_MIDI_CONTROLS);
+  }
+
+  /**
+   * List the available MIDI inputs
+   * @param {MIDIAccess} [midiAccess] - Access to use (requested otherwise)
+   * @returns {Promise<{id: string, name: string, manufacturer: string}[]>}
+   */
+  static async listInputs(midiAccess) {
+    const access = midiAccess || await requestAccess();
+    return [...access.inputs.values()].map((port) => ({
+      id: port.id,
+      name: port.name,
+      manufacturer: port.manufacturer || '',
+    }));
+  }
+
+  /**
+   * Get MIDI access and start listening
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.isInitialized) {
+      console.warn('MidiSource already connected. Call destroy() first to reconnect.');
+      return;
+    }
+
+    if (!this.midiAccess) {
+      this.midiAccess = await requestAccess();
+    }
+
+    const ports = this._matchingInputs();
+    if (this._inputName !== null && ports.length === 0) {
+      throw new Error(`Unknown MIDI input: ${this._inputName}`);
+    }
+    ports.forEach((port) => this._listen(port));
+
+    // Follow hot-plugged keyboards when listening to every input
+    if (this._inputName === null && typeof this.midiAccess.addEventListener === 'function') {
+      this._onStateChange = () => this._matchingInputs().forEach((port) => this._listen(port));
+      this.midiAccess.addEventListener('statechange', this._onStateChange);
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Replace the CC mappings
+   * @param {Object[]} controls - Mappings:
+   *   - cc {number} - Controller number (0-127; 64 is the sustain pedal and not mappable)
+   *   - feature {string} - Audio data field to set
+   *   - min {number} [0] - Value at CC 0
+   *   - max {number} [1] - Value at CC 127
+   */
+  setControls(controls) {
+    if (!Array.isArray(controls)) {
+      throw new Error('controls must be an array of { cc, feature, min, max } mappings');
+    }
+
+    this._controls = new Map();
+    controls.forEach(({ cc, feature, min = 0, max = 1 }) => {
+      if (!(Number.isInteger(cc) && cc >= 0 && cc <= 127) || cc === SUSTAIN_PEDAL) {
+        throw new Error(`control cc must be an integer 0-127 other than ${SUSTAIN_PEDAL} (got ${cc})`);
+      }
+      if (typeof feature !== 'string' || feature === '') {
+        throw new Error('control feature must be an audio data field name');
+      }
+      if (typeof min !== 'number' || typeof max !== 'number') {
+        throw new Error('control min and max must be numbers');
+      }
+
+      const mappings = this._controls.get(cc) || [];
+      mappings.push({ feature, min, max });
+      this._controls.set(cc, mappings);
+      this._audioData[feature] = min;
+    });
+  }
+
+  /**
+   * Process a raw MIDI message, as if it came from an input
+   * Useful for MIDI arriving another way (e.g. over a WebSocket) and in tests.
+   * @param {Uint8Array|number[]} data - MIDI message bytes
+   * @param {number} [timeStamp] - Message time (ms, performance.now() base)
+   */
+  receive(data, timeStamp = now()) {
+    const status = data[0] & 0xf0;
+    if (status < NOTE_OFF || status > PITCH_BEND) return;   // System messages (clock, sysex, ...)
+    if (this._channel !== null && (data[0] & 0x0f) !== this._channel - 1) return;
+
+    const time = timeStamp / 1000;
+    this._advance(time);
+
+    if (status === NOTE_ON && data[2] > 0) {
+      this._noteOn(data[1], data[2] / 127, time);
+    } else if (status === NOTE_OFF || status === NOTE_ON) {
+      this._noteOff(data[1], time);
+    } else if (status === CONTROL_CHANGE) {
+      this._controlChange(data[1], data[2], time);
+    } else if (status === PITCH_BEND) {
+      this._pitchBend = (((data[2] << 7) | data[1]) - 8192) / 8192 * this._pitchBendRange;
+    } else {
+      return;
+    }
+
+    this._updatePitch();
+    this._publishFrame(time);
+  }
+
+  /**
+   * Get current audio data
+   * @param {boolean} copy - If true, returns a shallow copy (default: false for performance)
+   * @returns {Object} Audio data with all features
+   */
+  getAudioData(copy = false) {
+    if (this.isInitialized) {
+      const time = now() / 1000;
+      this._advance(time);
+      this._publishFrame(time);
+    }
+    return super.getAudioData(copy);
+  }
+
+  /**
+   * Stop listening and release all notes
+   */
+  destroy() {
+    this._ports.forEach((listener, port) => {
+      if (typeof port.removeEventListener === 'function') {
+        port.removeEventListener('midimessage', listener);
+      } else if (port.onmidimessage === listener) {
+        port.onmidimessage = null;
+      }
+    });
+    this._ports.clear();
+
+    if (this._onStateChange) {
+      this.midiAccess.removeEventListener('statechange', this._onStateChange);
+      this._onStateChange = null;
+    }
+
+    const time = now() / 1000;
+    this._sustained = false;
+    [...this._heldNotes].forEach((note) => this._release(note, time));
+    this._velocity = 0;
+    this._pitchBend = 0;
+    this._lastTime = null;
+    this._velocityFeatures.forEach((feature) => {
+      this._audioData[feature] = 0;
+    });
+    this._updatePitch();
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Inputs selected by the input option
+   * @private
+   */
+  _matchingInputs() {
+    const ports = [...this.midiAccess.inputs.values()]
+      .filter((port) => port.state === undefined || port.state === 'connected');
+    if (this._inputName === null) return ports;
+
+    const byId = ports.filter((port) => port.id === this._inputName);
+    return byId.length > 0 ? byId : ports.filter((port) => port.name === this._inputName);
+  }
+
+  /**
+   * Attach a message listener to a port (once)
+   * @private
+   */
+  _listen(port) {
+    if (this._ports.has(port)) return;
+
+    const listener = (event) => this.receive(event.data, event.timeStamp);
+    if (typeof port.addEventListener === 'function') {
+      port.addEventListener('midimessage', listener);
+      port.open?.();
+    } else {
+      port.onmidimessage = listener;
+    }
+    this._ports.set(port, listener);
+  }
+
+  /**
+   * Move velocity fields and note durations forward to a time
+   * @private
+   */
+  _advance(time) {
+    const dt = this._lastTime === null ? 0 : Math.max(0, Math.min(time - this._lastTime, 1));
+    this._lastTime = time;
+
+    const held = this._heldNotes;
+    if (held.length > 0) {
+      let velocity = 0;
+      held.forEach((note) => {
+        velocity = Math.max(velocity, note.velocity);
+        note.duration = Math.max(0, time - note.startTime);
+      });
+      this._velocity = velocity;
+    } else if (dt > 0) {
+      this._velocity *= this._releaseTime > 0 ? Math.exp(-dt / this._releaseTime) : 0;
+      if (this._velocity < 1e-4) this._velocity = 0;
+    }
+
+    const data = this._audioData;
+    this._velocityFeatures.forEach((feature) => {
+      data[feature] = this._velocity;
+    });
+
+    // Onset lasts for one update, like an audio onset frame
+    data.onset = this._onsetPending;
+    this._onsetPending = false;
+  }
+
+  /**
+   * @private
+   */
+  _noteOn(midi, velocity, time) {
+    // A repeated key without note-off (or under the sustain pedal) restarts the note
+    const existing = this._heldNotes.find((note) => note.midi === midi);
+    if (existing) this._release(existing, time);
+
+    const pitch = PITCH_CLASSES[midi % 12];
+    const octave = Math.floor(midi / 12) - 1;
+    const note = {
+      id: this._nextId++,
+      midi,
+      pitch,
+      octave,
+      name: `${pitch}${octave}`,
+      frequency: midiToFrequency(midi),
+      cents: 0,
+      velocity,
+      startTime: time,
+      duration: 0,
+      active: true,
+    };
+    this._heldNotes.push(note);
+
+    this._velocity = Math.max(this._velocity, velocity);
+    this._velocityFeatures.forEach((feature) => {
+      this._audioData[feature] = this._velocity;
+    });
+    this._audioData.onset = true;
+    this._onsetPending = true;
+
+    if (this.hasListeners('noteon')) {
+      this.emit('noteon', note);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _noteOff(midi, time) {
+    const note = this._heldNotes.find((held) => held.midi === midi && !this._pedalHeld.has(held));
+    if (!note) return;
+
+    if (this._sustained) {
+      this._pedalHeld.add(note);
+    } else {
+      this._release(note, time);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _controlChange(cc, value, time) {
+    if (cc === SUSTAIN_PEDAL) {
+      this._sustained = value >= 64;
+      if (!this._sustained) {
+        [...this._pedalHeld].forEach((note) => this._release(note, time));
+      }
+      return;
+    }
+
+    if (cc === ALL_SOUND_OFF || cc === ALL_NOTES_OFF) {
+      this._sustained = false;
+      [...this._heldNotes].forEach((note) => this._release(note, time));
+      return;
+    }
+
+    const mappings = this._controls.get(cc);
+    if (!mappings) return;
+    mappings.forEach(({ feature, min, max }) => {
+      this._audioData[feature] = min + (value / 127) * (max - min);
+    });
+  }
+
+  /**
+   * End a held note and emit 'noteoff'
+   * @private
+   */
+  _release(note, time) {
+    const index = this._heldNotes.indexOf(note);
+    if (index < 0) return;
+
+    this._heldNotes.splice(index, 1);
+    note.active = false;
+    note.duration = Math.max(0, time - note.startTime);
+    this._pedalHeld.delete(note);
+
+    if (this.hasListeners('noteoff')) {
+      this.emit('noteoff', note);
+    }
+  }
+
+  /**
+   * Refresh pitch, notes and chroma from the held notes
+   * @private
+   */
+  _updatePitch() {
+    const data = this._audioData;
+    const held = this._heldNotes;
+    const latest = held[held.length - 1];
+
+    data.pitch = latest ? latest.pitch : null;
+    data.octave = latest ? latest.octave : null;
+    data.pitchFrequency = latest ? midiToFrequency(latest.midi + this._pitchBend) : 0;
+
+    const bend = this._pitchBend;
+    data.notes = held.slice().sort((a, b) => a.midi - b.midi);
+    data.notes.forEach((note) => {
+      note.frequency = midiToFrequency(note.midi + bend);
+      note.cents = bend * 100;
+    });
+
+    // Chroma: strongest held velocity per pitch class, normalized so the loudest = 1
+    const chroma = data.chroma;
+    chroma.fill(0);
+    let max = 0;
+    held.forEach((note) => {
+      const pitchClass = note.midi % 12;
+      chroma[pitchClass] = Math.max(chroma[pitchClass], note.velocity);
+      max = Math.max(max, chroma[pitchClass]);
+    });
+    if (max > 0) {
+      for (let i = 0; i < 12; i++) chroma[i] /= max;
+    }
+  }
+}
+
+/**
+ * Request Web MIDI access (without sysex)
+ * @private
+ */
+async function requestAccess() {
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    throw new Error('Web MIDI not supported in this browser');
+  }
+  return navigator.requestMIDIAccess({ sysex: false });
+}
+
+/**
+ * Frequency (Hz) of a possibly fractional MIDI note number (A4 = 69)
+ * @private
+ */
+function midiToFrequency(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Current time in ms (Web MIDI event timestamp base)
+ * @private
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
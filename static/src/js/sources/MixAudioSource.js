@@ -0,0 +1,739 @@
+import { AudioSource } from '../audio.js';
+import { FeatureSource } from './FeatureSource.js';
+import { LOUDNESS_FLOOR } from '../analysis/LoudnessMeter.js';
+
+/**
+ * Audio data fields driven by each feature group
+ * A group always comes from (or is blended over) the same sources, so related
+ * fields such as pitch/octave or beatCount/beatInBar stay consistent.
+ */
+const FEATURE_GROUPS = {
+  energy: ['energy'],
+  timbre: ['roughness', 'warmth', 'richness', 'sharpness', 'kurtosis'],
+  pitch: ['pitch', 'octave', 'pitchFrequency', 'notes'],
+  bass: ['dominantFrequency', 'dominantBin', 'bassFrequency', 'bassEnergy'],
+  spectrum: ['frequencyData', 'timeDomainData', 'timeDomainLeft', 'timeDomainRight', 'bands'],
+  rhythm: ['onset', 'beat', 'downbeat', 'bpm', 'beatPhase', 'beatCount', 'beatInBar'],
+  harmony: ['chroma', 'key', 'mode', 'keyConfidence', 'chord', 'chordConfidence'],
+  loudness: ['momentaryLoudness', 'shortTermLoudness', 'truePeak', 'gain', 'level', 'bassLevel'],
+};
+
+const GROUP_NAMES = Object.keys(FEATURE_GROUPS);
+
+// Shared notes array for when no input has notes
+const NO_NOTES = Object.freeze([]);
+
+/**
+ * MixAudioSource - Combine several inputs into one audio data stream
+ *
+ * Each input is a named source with a weight and the feature groups it may drive:
+ * - energy: weighted sum of the inputs' energy
+ * - timbre: average weighted by each input's weighted energy
+ * - pitch: pitch and notes from the loudest (weighted) input that has a pitch or notes
+ * - bass: from the input with the strongest weighted bass peak
+ * - spectrum: frequencyData/time domain data (mono and stereo)/bands of the loudest (weighted) input
+ * - rhythm: from a tempo-locked input, sticking with it while it stays locked
+ * - harmony: chroma, key and chord of the loudest (weighted) input with a chroma
+ * - loudness: inputs' loudness summed as uncorrelated signals (weight applied as gain)
+ *   and the highest true peak; gain/level/bassLevel (already auto-gained per input)
+ *   from the loudest (weighted) input
+ *
+ * getAudioData().sources maps every field to the name of the input it came from
+ * (null when no input provided it).
+ *
+ * Events:
+ * - 'beat' - The rhythm input's beat payload plus { source }
+ * - 'noteon' / 'noteoff' - Notes from every input that may drive pitch, plus { source }
+ *   (note ids are per input, so match note-offs on source and id)
+ * - 'frame' - { time, audioData } whenever an input publishes a frame
+ *
+ * @example
+ * const mix = new MixAudioSource();
+ * await mix.addMicrophone('vocal', { features: ['pitch', 'timbre'] });
+ * await mix.addAudioElement('track', audioEl, {
+ *   weight: 0.8,
+ *   features: ['energy', 'bass', 'spectrum', 'rhythm'],
+ * });
+ * visualizer.initWithSource(mix);
+ * mix.getAudioData().sources.pitch;   // 'vocal'
+ */
+export class MixAudioSource extends FeatureSource {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.audioOptions={}] - Default options for AudioSources created by add*() methods
+   * @param {AudioContext} [options.audioContext] - Context shared by created inputs (created on demand otherwise)
+   */
+  constructor(options = {}) {
+    super();
+
+    this._audioOptions = options.audioOptions || {};
+    this._ownsContext = !options.audioContext;
+    this.audioContext = options.audioContext || null;
+
+    this._inputs = [];
+    this._pendingNames = new Set();   // Names of inputs still connecting (see _addCreated())
+    this._generation = 0;             // Bumped by destroy(), so adds still connecting drop their source
+    this._mixing = false;
+
+    // Rhythm state, kept so switching inputs doesn't jump beatCount
+    this._rhythmInput = null;
+    this._rhythmSourceCount = 0;
+    this._beatCount = 0;
+
+    this._audioData.sources = {};
+    this._resetAttribution();
+  }
+
+  /**
+   * Names of the feature groups an input can drive
+   * @returns {string[]}
+   */
+  static get featureGroups() {
+    return [...GROUP_NAMES];
+  }
+
+  /**
+   * Names of the attached inputs
+   * @returns {string[]}
+   */
+  get sourceNames() {
+    return this._inputs.map((input) => input.name);
+  }
+
+  /**
+   * Attach an existing source
+   * @param {string} name - Unique input name (used for attribution)
+   * @param {FeatureSource} source - AudioSource, ReplayAudioSource or any FeatureSource
+   * @param {Object} [options]
+   * @param {number} [options.weight=1] - Gain applied to the input's energy/bass and its share of blended features
+   * @param {string[]} [options.features] - Feature groups this input may drive (default: all)
+   * @returns {FeatureSource} The source
+   */
+  addSource(name, source, options = {}) {
+    this._checkName(name);
+    return this._attach(name, source, options, false);
+  }
+
+  /**
+   * Create an input from the microphone
+   * @param {string} name - Unique input name
+   * @param {Object} [options] - See addSource(), plus audioOptions for the created AudioSource
+   *   and deviceId/constraints as for AudioSource.initMicrophone()
+   * @returns {Promise<AudioSource>}
+   */
+  async addMicrophone(name, options = {}) {
+    return this._addCreated(name, options, (source) => (
+      source.initMicrophone({ deviceId: options.deviceId, constraints: options.constraints })
+    ));
+  }
+
+  /**
+   * Create an input from a MediaStream
+   * @param {string} name - Unique input name
+   * @param {MediaStream} stream - Stream with at least one audio track
+   * @param {Object} [options] - See addSource(), plus audioOptions for the created AudioSource
+   * @returns {Promise<AudioSource>}
+   */
+  async addMediaStream(name, stream, options = {}) {
+    return this._addCreated(name, options, (source) => source.connectMediaStream(stream));
+  }
+
+  /**
+   * Create an input from an HTML audio element
+   * @param {string} name - Unique input name
+   * @param {HTMLAudioElement} audioElement - Audio element to analyze
+   * @param {Object} [options] - See addSource(), plus audioOptions for the created AudioSource
+   * @returns {Promise<AudioSource>}
+   */
+  async addAudioElement(name, audioElement, options = {}) {
+    return this._addCreated(name, options, (source) => source.connectAudioElement(audioElement));
+  }
+
+  /**
+   * Create an input from an HTML video element
+   * @param {string} name - Unique input name
+   * @param {HTMLVideoElement} videoElement - Video element to analyze
+   * @param {Object} [options] - See addSource(), plus audioOptions for the created AudioSource
+   * @returns {Promise<AudioSource>}
+   */
+  async addVideoElement(name, videoElement, options = {}) {
+    return this._addCreated(name, options, (source) => source.connectVideoElement(videoElement));
+  }
+
+  /**
+   * Create an input tapping an AudioNode (uses the node's context)
+   * @param {string} name - Unique input name
+   * @param {AudioNode} audioNode - Node to analyse
+   * @param {Object} [options] - See addSource(), plus audioOptions for the created AudioSource
+   * @returns {Promise<AudioSource>}
+   */
+  async addNode(name, audioNode, options = {}) {
+    return this._addCreated(
+      name,
+      options,
+      (source) => source.connectNode(audioNode),
+      () => new AudioSource({ ...this._audioOptions, ...options.audioOptions }),
+    );
+  }
+
+  /**
+   * Create an input from an external AnalyserNode
+   * @param {string} name - Unique input name
+   * @param {AnalyserNode} analyserNode - External analyser node
+   * @param {AudioContext} [audioContext] - Its context (defaults to analyserNode.context)
+   * @param {Object} [options] - See addSource(), plus audioOptions for the created AudioSource
+   * @returns {AudioSource}
+   */
+  addAnalyser(name, analyserNode, audioContext = analyserNode?.context, options = {}) {
+    this._checkName(name);
+    const source = new AudioSource({ ...this._audioOptions, ...options.audioOptions });
+    try {
+      source.connectExternalAnalyser(analyserNode, audioContext);
+      return this._attach(name, source, options, true);
+    } catch (err) {
+      source.destroy();
+      throw err;
+    }
+  }
+
+  /**
+   * Detach an input (inputs created by add*() methods are destroyed)
+   * @param {string} name - Input name
+   */
+  removeSource(name) {
+    const index = this._inputs.findIndex((input) => input.name === name);
+    if (index === -1) return;
+
+    const [input] = this._inputs.splice(index, 1);
+    input.unsubscribe.forEach((unsubscribe) => unsubscribe());
+    if (input.owned) {
+      input.source.destroy();
+    }
+    if (this._rhythmInput === input) {
+      this._rhythmInput = null;
+    }
+
+    this.isInitialized = this._inputs.length > 0;
+  }
+
+  /**
+   * Get an attached source by name
+   * @param {string} name - Input name
+   * @returns {FeatureSource|null}
+   */
+  getSource(name) {
+    return this._findInput(name)?.source || null;
+  }
+
+  /**
+   * Change an input's weight
+   * @param {string} name - Input name
+   * @param {number} weight - New weight (0 mutes the input)
+   */
+  setWeight(name, weight) {
+    this._requireInput(name).weight = validateWeight(weight);
+  }
+
+  /**
+   * Change the feature groups an input may drive
+   * @param {string} name - Input name
+   * @param {string[]|null} features - Feature groups (null for all)
+   */
+  setFeatures(name, features) {
+    this._requireInput(name).features = validateFeatures(features);
+  }
+
+  /**
+   * Get combined audio data
+   * @param {boolean} copy - If true, returns a shallow copy (default: false for performance)
+   * @returns {Object} Audio data with all features, plus `sources` attribution
+   */
+  getAudioData(copy = false) {
+    this._mix();
+    if (!copy) return this._audioData;
+    return { ...this._audioData, sources: { ...this._audioData.sources } };
+  }
+
+  /**
+   * Set smoothing factor on every input
+   * @param {number} factor
+   */
+  setSmoothingFactor(factor) {
+    this._inputs.forEach((input) => input.source.setSmoothingFactor(factor));
+  }
+
+  /**
+   * Set how quickly auto-gain adapts on every input
+   * @param {number} attackTime - Time constant when the input gets louder (seconds)
+   * @param {number} releaseTime - Time constant when the input gets quieter (seconds)
+   */
+  setAutoGainAdaptation(attackTime, releaseTime) {
+    this._inputs.forEach((input) => input.source.setAutoGainAdaptation?.(attackTime, releaseTime));
+  }
+
+  /**
+   * Resume all inputs
+   */
+  async resume() {
+    if (this.audioContext && this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+    await Promise.all(this._inputs.map((input) => input.source.resume()));
+  }
+
+  /**
+   * Detach all inputs, destroying the ones this mix created
+   */
+  destroy() {
+    [...this._inputs].forEach((input) => this.removeSource(input.name));
+
+    if (this.audioContext && this._ownsContext) {
+      this.audioContext.close();
+    }
+    this.audioContext = null;
+    this.isInitialized = false;
+    this._pendingNames.clear();
+    this._generation++;
+  }
+
+  /**
+   * Create an AudioSource on the shared context
+   * @private
+   */
+  _createAudioSource(options) {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return new AudioSource({
+      ...this._audioOptions,
+      ...options.audioOptions,
+      audioContext: this.audioContext,
+    });
+  }
+
+  /**
+   * Create an AudioSource, connect it and attach it as an owned input
+   * The name is reserved while connecting, so concurrent adds can't both take it, and
+   * the source is destroyed (closing its stream) if connecting or attaching fails or
+   * the mix is destroyed meanwhile. Options are checked first, before asking for a device.
+   * @private
+   * @param {Function} connect - Connects the source, e.g. (source) => source.initMicrophone()
+   * @param {Function} [create] - Creates the source (default: on the shared context)
+   */
+  async _addCreated(name, options, connect, create = () => this._createAudioSource(options)) {
+    this._checkName(name);
+    validateWeight(options.weight ?? 1);
+    validateFeatures(options.features);
+
+    const generation = this._generation;
+    this._pendingNames.add(name);
+    let source = null;
+    try {
+      source = create();
+      await connect(source);
+      if (this._generation !== generation) {
+        throw new Error(`MixAudioSource was destroyed while '${name}' was connecting`);
+      }
+      return this._attach(name, source, options, true);
+    } catch (err) {
+      source?.destroy();
+      throw err;
+    } finally {
+      // After destroy() the name may already be reserved by a newer add
+      if (this._generation === generation) this._pendingNames.delete(name);
+    }
+  }
+
+  /**
+   * Register a source as an input (the caller has checked the name)
+   * @private
+   */
+  _attach(name, source, options, owned) {
+    if (!source || typeof source.getAudioData !== 'function') {
+      throw new Error('source must be an AudioSource or other FeatureSource');
+    }
+
+    const input = {
+      name,
+      source,
+      owned,
+      weight: validateWeight(options.weight ?? 1),
+      features: validateFeatures(options.features),
+      unsubscribe: [],
+    };
+
+    if (typeof source.on === 'function') {
+      input.unsubscribe.push(
+        source.on('frame', ({ time }) => this._onInputFrame(time)),
+        source.on('beat', (beat) => this._onInputBeat(input, beat)),
+        source.on('noteon', (note) => this._onInputNote(input, 'noteon', note)),
+        source.on('noteoff', (note) => this._onInputNote(input, 'noteoff', note)),
+      );
+    }
+
+    this._inputs.push(input);
+    this.isInitialized = true;
+    return source;
+  }
+
+  /**
+   * @private
+   */
+  _checkName(name) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('name must be a non-empty string');
+    }
+    if (this._findInput(name) || this._pendingNames.has(name)) {
+      throw new Error(`A source named '${name}' already exists`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _findInput(name) {
+    return this._inputs.find((input) => input.name === name);
+  }
+
+  /**
+   * @private
+   */
+  _requireInput(name) {
+    const input = this._findInput(name);
+    if (!input) {
+      throw new Error(`Unknown source: ${name}`);
+    }
+    return input;
+  }
+
+  /**
+   * Re-publish input frames as mix frames
+   * @private
+   */
+  _onInputFrame(time) {
+    if (this._mixing || !this.hasListeners('frame')) return;
+    this._mix();
+    this._publishFrame(time);
+  }
+
+  /**
+   * Forward beats from the input currently driving rhythm
+   * @private
+   */
+  _onInputBeat(input, beat) {
+    if (input !== this._rhythmInput || !this.hasListeners('beat')) return;
+    this.emit('beat', { ...beat, source: input.name });
+  }
+
+  /**
+   * Forward note events from inputs that may drive pitch
+   * All of them are forwarded (not just the current pitch input) so every note-on
+   * gets its note-off.
+   * @private
+   */
+  _onInputNote(input, type, note) {
+    if (input.weight <= 0 || (input.features && !input.features.has('pitch'))) return;
+    if (!this.hasListeners(type)) return;
+    this.emit(type, { ...note, source: input.name });
+  }
+
+  /**
+   * Recompute the combined audio data from all inputs
+   * @private
+   */
+  _mix() {
+    // Reading inputs can publish frames (e.g. ReplayAudioSource), guard re-entry
+    if (this._mixing) return;
+    this._mixing = true;
+
+    try {
+      const entries = this._inputs
+        .filter((input) => input.weight > 0 && input.source.isInitialized !== false)
+        .map((input) => {
+          const data = input.source.getAudioData();
+          return { input, data, loudness: input.weight * (data.energy || 0) };
+        });
+
+      this._mixEnergy(this._candidates(entries, 'energy'));
+      this._mixTimbre(this._candidates(entries, 'timbre'));
+      this._mixPitch(this._candidates(entries, 'pitch'));
+      this._mixBass(this._candidates(entries, 'bass'));
+      this._mixSpectrum(this._candidates(entries, 'spectrum'));
+      this._mixRhythm(this._candidates(entries, 'rhythm'));
+      this._mixHarmony(this._candidates(entries, 'harmony'));
+      this._mixLoudness(this._candidates(entries, 'loudness'));
+    } finally {
+      this._mixing = false;
+    }
+  }
+
+  /**
+   * Entries allowed to drive a feature group
+   * @private
+   */
+  _candidates(entries, group) {
+    return entries.filter(({ input }) => !input.features || input.features.has(group));
+  }
+
+  /**
+   * @private
+   */
+  _mixEnergy(entries) {
+    let energy = 0;
+    entries.forEach(({ loudness }) => {
+      energy += loudness;
+    });
+    this._audioData.energy = energy;
+    this._attribute('energy', loudest(entries));
+  }
+
+  /**
+   * @private
+   */
+  _mixTimbre(entries) {
+    const data = this._audioData;
+    const fields = FEATURE_GROUPS.timbre;
+
+    let total = 0;
+    entries.forEach(({ loudness }) => {
+      total += loudness;
+    });
+
+    fields.forEach((field) => {
+      if (entries.length === 0) {
+        data[field] = 0;
+        return;
+      }
+
+      let value = 0;
+      entries.forEach((entry) => {
+        // Silent inputs fall back to an even split by weight
+        const share = total > 0 ? entry.loudness / total : 1 / entries.length;
+        value += (entry.data[field] || 0) * share;
+      });
+      data[field] = value;
+    });
+
+    this._attribute('timbre', loudest(entries));
+  }
+
+  /**
+   * @private
+   */
+  _mixPitch(entries) {
+    const data = this._audioData;
+    const source = loudest(entries.filter((entry) =>
+      entry.data.pitchFrequency > 0 || entry.data.pitch || entry.data.notes?.length > 0));
+
+    data.pitch = source ? source.data.pitch : null;
+    data.octave = source ? source.data.octave : null;
+    data.pitchFrequency = source ? (source.data.pitchFrequency || 0) : 0;
+    data.notes = source?.data.notes || NO_NOTES;
+    this._attribute('pitch', source);
+  }
+
+  /**
+   * @private
+   */
+  _mixBass(entries) {
+    const data = this._audioData;
+
+    let source = null;
+    let strongest = 0;
+    entries.forEach((entry) => {
+      const strength = entry.input.weight * (entry.data.bassEnergy || 0);
+      if (strength > strongest) {
+        strongest = strength;
+        source = entry;
+      }
+    });
+
+    data.dominantFrequency = source ? source.data.dominantFrequency : 0;
+    data.dominantBin = source ? source.data.dominantBin : 0;
+    data.bassFrequency = source ? source.data.bassFrequency : 0;
+    data.bassEnergy = Math.min(strongest, 1);
+    this._attribute('bass', source);
+  }
+
+  /**
+   * @private
+   */
+  _mixSpectrum(entries) {
+    const data = this._audioData;
+    const source = loudest(entries) || entries[0] || null;
+
+    data.frequencyData = source ? source.data.frequencyData : null;
+    data.timeDomainData = source ? source.data.timeDomainData : null;
+    data.timeDomainLeft = source ? (source.data.timeDomainLeft || null) : null;
+    data.timeDomainRight = source ? (source.data.timeDomainRight || null) : null;
+    data.bands = source ? (source.data.bands || null) : null;
+    this._attribute('spectrum', source);
+  }
+
+  /**
+   * @private
+   */
+  _mixRhythm(entries) {
+    const data = this._audioData;
+
+    // Stay with the current rhythm input while it is tempo-locked
+    let source = entries.find((entry) => entry.input === this._rhythmInput && entry.data.bpm > 0);
+    if (!source) {
+      entries.forEach((entry) => {
+        if (entry.data.bpm > 0 && (!source || entry.input.weight > source.input.weight)) {
+          source = entry;
+        }
+      });
+    }
+    if (!source) {
+      source = entries.find((entry) => entry.input === this._rhythmInput) || loudest(entries) || null;
+    }
+
+    if (!source) {
+      this._rhythmInput = null;
+      data.onset = false;
+      data.beat = false;
+      data.downbeat = false;
+      data.bpm = 0;
+      data.beatPhase = 0;
+      data.beatInBar = 0;
+      data.beatCount = this._beatCount;
+      this._attribute('rhythm', null);
+      return;
+    }
+
+    const sourceCount = source.data.beatCount || 0;
+    if (source.input !== this._rhythmInput) {
+      this._rhythmInput = source.input;
+    } else if (sourceCount > this._rhythmSourceCount) {
+      this._beatCount += sourceCount - this._rhythmSourceCount;
+    }
+    this._rhythmSourceCount = sourceCount;
+
+    data.onset = !!source.data.onset;
+    data.beat = !!source.data.beat;
+    data.downbeat = !!source.data.downbeat;
+    data.bpm = source.data.bpm || 0;
+    data.beatPhase = source.data.beatPhase || 0;
+    data.beatInBar = source.data.beatInBar || 0;
+    data.beatCount = this._beatCount;
+    this._attribute('rhythm', source);
+  }
+
+  /**
+   * @private
+   */
+  _mixHarmony(entries) {
+    const data = this._audioData;
+    const source = loudest(entries.filter((entry) => entry.data.chroma));
+
+    data.chroma = source ? source.data.chroma : null;
+    data.key = source ? source.data.key : null;
+    data.mode = source ? source.data.mode : null;
+    data.keyConfidence = source ? (source.data.keyConfidence || 0) : 0;
+    data.chord = source ? source.data.chord : null;
+    data.chordConfidence = source ? (source.data.chordConfidence || 0) : 0;
+    this._attribute('harmony', source);
+  }
+
+  /**
+   * @private
+   */
+  _mixLoudness(entries) {
+    const data = this._audioData;
+
+    let momentaryPower = 0;
+    let shortTermPower = 0;
+    let peak = LOUDNESS_FLOOR;
+    entries.forEach(({ input, data: inputData }) => {
+      const gain = 20 * Math.log10(input.weight);
+      momentaryPower += decibelsToPower(inputData.momentaryLoudness, gain);
+      shortTermPower += decibelsToPower(inputData.shortTermLoudness, gain);
+      if (inputData.truePeak > LOUDNESS_FLOOR) {
+        peak = Math.max(peak, inputData.truePeak + gain);
+      }
+    });
+
+    data.momentaryLoudness = powerToDecibels(momentaryPower);
+    data.shortTermLoudness = powerToDecibels(shortTermPower);
+    data.truePeak = Math.max(peak, LOUDNESS_FLOOR);
+
+    const source = loudest(entries);
+    data.gain = source ? (source.data.gain || 0) : 0;
+    data.level = source ? (source.data.level || 0) : 0;
+    data.bassLevel = source ? (source.data.bassLevel || 0) : 0;
+    this._attribute('loudness', source);
+  }
+
+  /**
+   * Record which input a feature group came from
+   * @private
+   */
+  _attribute(group, entry) {
+    const name = entry ? entry.input.name : null;
+    FEATURE_GROUPS[group].forEach((field) => {
+      this._audioData.sources[field] = name;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _resetAttribution() {
+    GROUP_NAMES.forEach((group) => this._attribute(group, null));
+  }
+}
+
+/**
+ * Entry with the highest weighted energy (first entry when all are silent)
+ * @private
+ */
+function loudest(entries) {
+  let best = entries[0] || null;
+  entries.forEach((entry) => {
+    if (entry.loudness > best.loudness) best = entry;
+  });
+  return best;
+}
+
+/**
+ * Loudness (LUFS) plus a gain (dB) to linear power, treating the floor as silence
+ * @private
+ */
+function decibelsToPower(loudness, gain) {
+  return loudness > LOUDNESS_FLOOR ? Math.pow(10, (loudness + gain) / 10) : 0;
+}
+
+/**
+ * @private
+ */
+function powerToDecibels(power) {
+  return power > 0 ? Math.max(10 * Math.log10(power), LOUDNESS_FLOOR) : LOUDNESS_FLOOR;
+}
+
+/**
+ * @private
+ */
+function validateWeight(weight) {
+  if (typeof weight !== 'number' || !(weight >= 0)) {
+    throw new Error('weight must be a non-negative number');
+  }
+  return weight;
+}
+
+/**
+ * @private
+ */
+function validateFeatures(features) {
+  if (features === undefined || features === null) return null;
+  if (!Array.isArray(features)) {
+    throw new Error('features must be an array of feature group names');
+  }
+
+  features.forEach((group) => {
+    if (!FEATURE_GROUPS[group]) {
+      throw new Error(`Unknown feature group: ${group}. Expected one of: ${GROUP_NAMES.join(', ')}`);
+    }
+  });
+  return new Set(features);
+}
@@ -0,0 +1,406 @@
+import { FeatureSource, createEmptyAudioData } from './FeatureSource.js';
+import { PITCH_CLASSES } from '../analysis/HarmonyAnalyzer.js';
+
+// Fields interpolated between the two latest frames (everything else holds)
+const INTERPOLATED_FIELDS = new Set([
+  'energy', 'roughness', 'warmth', 'richness', 'sharpness', 'kurtosis',
+  'bassEnergy', 'keyConfidence', 'chordConfidence',
+  'momentaryLoudness', 'shortTermLoudness', 'truePeak', 'gain', 'level', 'bassLevel',
+]);
+
+// Fields that fade to 0 once the stream has been silent for holdTime
+const LEVEL_FIELDS = ['energy', 'level', 'bassEnergy', 'bassLevel'];
+
+// One-frame flags: true on the first update after the frame or event that set them
+const EDGE_FIELDS = ['onset', 'beat', 'downbeat'];
+
+const NO_NOTES = Object.freeze([]);
+
+// Audio data fields a frame may set (anything else in a message is ignored)
+const KNOWN_FIELDS = new Set(Object.keys(createEmptyAudioData()));
+
+/**
+ * RemoteAudioSource - Audio data streamed from another machine over a WebSocket
+ *
+ * Consumes the messages FeatureBroadcaster publishes (relayed by the musicolors Flask
+ * app on /ws/stream), so display screens can render the analysis of one machine at
+ * the mixing desk through the usual getAudioData() interface.
+ *
+ * Frames are played out `delay` seconds behind the sender so continuous features can
+ * be interpolated between the two latest frames. When frames stop arriving the last
+ * values are held for holdTime, then the level fields fade out over releaseTime and
+ * held notes are released. The socket reconnects after reconnectDelay if it closes.
+ *
+ * Frames should include beatCount (the broadcaster's default) so visualizers see
+ * every beat even when frames are rate limited; beat events fill in otherwise.
+ *
+ * Events:
+ * - 'beat' - { time, bpm, beatInBar, downbeat }
+ * - 'noteon' / 'noteoff' - Note objects, as from AudioSource
+ * - 'control' - Control messages from the sender, e.g. { type: 'control', preset: 'Sphere' }
+ * - 'preset' - { name, options, transition } for control messages with a preset
+ * - 'connected' / 'disconnected' - The socket opened or closed
+ * - 'frame' - { time, audioData } after every getAudioData() update
+ *
+ * @example
+ * const remote = new RemoteAudioSource({ url: 'ws://desk.local:8000/ws/stream' });
+ * remote.connect();
+ * visualizer.initWithSource(remote);
+ */
+export class RemoteAudioSource extends FeatureSource {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {string} [options.url] - WebSocket URL (default: /ws/stream on the page's host)
+   * @param {number} [options.delay=0.05] - Seconds to play out behind the sender (room to interpolate)
+   * @param {number} [options.holdTime=0.5] - Seconds to hold the last frame when frames stop
+   * @param {number} [options.releaseTime=0.3] - Seconds for level fields to fall to ~37% after holdTime
+   * @param {number} [options.reconnectDelay=2] - Seconds before reconnecting a closed socket (0 = don't)
+   * @param {Function} [options.WebSocket] - WebSocket constructor (e.g. a fake in tests)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.url = options.url ?? defaultURL();
+    this._WebSocket = options.WebSocket ?? (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this._delay = options.delay ?? 0.05;
+    this._holdTime = options.holdTime ?? 0.5;
+    this._releaseTime = options.releaseTime ?? 0.3;
+    this._reconnectDelay = options.reconnectDelay ?? 2;
+
+    this._socket = null;
+    this._reconnectTimer = null;
+    this._previous = null;        // { time, features } - second latest frame
+    this._latest = null;          // { time, features } - latest frame
+    this._offset = null;          // Local clock minus sender clock (s)
+    this._edges = { onset: false, beat: false, downbeat: false };
+    this._heldNotes = new Map();  // MIDI number -> note from 'noteon' events
+    this._nextId = 1;
+  }
+
+  /**
+   * Whether the socket is open
+   * @returns {boolean}
+   */
+  get isConnected() {
+    return this._socket?.readyState === 1;
+  }
+
+  /**
+   * Connect to the stream (keeps retrying while the server is unreachable)
+   */
+  connect() {
+    if (this.isInitialized) {
+      console.warn('RemoteAudioSource already connected. Call destroy() first to reconnect.');
+      return;
+    }
+    if (!this._WebSocket) {
+      throw new Error('WebSocket not supported in this environment');
+    }
+
+    this.isInitialized = true;
+    this._open();
+  }
+
+  /**
+   * Handle one message from the stream (called for every socket message)
+   * Also usable directly, e.g. with messages from another transport.
+   * @param {string|Object} message - JSON text or decoded message
+   */
+  receive(message) {
+    if (typeof message === 'string') {
+      try {
+        message = JSON.parse(message);
+      } catch (err) {
+        return;
+      }
+    }
+    if (!message || typeof message !== 'object') return;
+
+    if (message.type === 'frame') {
+      this._receiveFrame(message);
+    } else if (message.type === 'event') {
+      this._receiveEvent(message);
+    } else if (message.type === 'control') {
+      this.emit('control', message);
+      if (typeof message.preset === 'string') {
+        this.emit('preset', { name: message.preset, options: message.options || {}, transition: message.transition ?? null });
+      }
+    }
+  }
+
+  /**
+   * Get current audio data
+   * @param {boolean} copy - If true, returns a shallow copy (default: false for performance)
+   * @returns {Object} Audio data with all features
+   */
+  getAudioData(copy = false) {
+    this._sync();
+    return super.getAudioData(copy);
+  }
+
+  /**
+   * Close the socket and release all notes
+   */
+  destroy() {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+
+    if (this._socket) {
+      const socket = this._socket;
+      this._socket = null;
+      socket.close();
+    }
+
+    this._releaseNotes();
+    LEVEL_FIELDS.forEach((field) => {
+      this._audioData[field] = 0;
+    });
+    this._previous = null;
+    this._latest = null;
+    this._offset = null;
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * @private
+   */
+  _open() {
+    const socket = new this._WebSocket(this.url);
+    this._socket = socket;
+
+    socket.onopen = () => {
+      if (this._socket === socket) this.emit('connected');
+    };
+    socket.onmessage = (event) => {
+      if (this._socket === socket) this.receive(event.data);
+    };
+    socket.onclose = () => {
+      if (this._socket !== socket) return;   // Closed by destroy()
+      this._socket = null;
+      this.emit('disconnected');
+      if (this.isInitialized && this._reconnectDelay > 0) {
+        this._reconnectTimer = setTimeout(() => {
+          this._reconnectTimer = null;
+          if (this.isInitialized) this._open();
+        }, this._reconnectDelay * 1000);
+      }
+    };
+    // Errors are followed by 'close', which handles reconnecting
+    socket.onerror = () => {};
+  }
+
+  /**
+   * Store a frame and follow the sender's clock
+   * @private
+   */
+  _receiveFrame({ time, features }) {
+    if (typeof time !== 'number' || !features || typeof features !== 'object') return;
+
+    const offset = now() - time;
+    if (this._latest && time < this._latest.time - 1) {
+      // Sender restarted its clock
+      this._previous = null;
+      this._latest = null;
+      this._offset = null;
+    }
+    if (this._latest && time <= this._latest.time) return;   // Late or duplicate
+
+    // Track the fastest delivery seen, creeping up slowly in case the clocks drift
+    if (this._offset === null || offset < this._offset) {
+      this._offset = offset;
+    } else {
+      this._offset += (offset - this._offset) * 0.01;
+    }
+
+    const frame = { time, features: this._decodeFeatures(features) };
+    EDGE_FIELDS.forEach((field) => {
+      if (frame.features[field]) this._edges[field] = true;
+    });
+
+    this._previous = this._latest;
+    this._latest = frame;
+  }
+
+  /**
+   * @private
+   */
+  _receiveEvent({ name, args }) {
+    if (!Array.isArray(args)) return;
+    const time = this._offset === null ? 0 : now() - this._offset;
+
+    if (name === 'beat') {
+      const [beatInBar = 0, bpm = 0, downbeat = 0] = args;
+      const data = this._audioData;
+      this._edges.beat = true;
+      this._edges.downbeat = downbeat > 0;
+      data.beatInBar = beatInBar;
+      data.bpm = bpm;
+      if (!this._latest || this._latest.features.beatCount === undefined) {
+        data.beatCount++;
+      }
+      this.emit('beat', { time, bpm, beatInBar, downbeat: downbeat > 0 });
+    } else if (name === 'noteon' && typeof args[0] === 'number') {
+      const existing = this._heldNotes.get(args[0]);
+      if (existing) this._endNote(existing, time);
+
+      const note = createNote(args[0], args[1] ?? 1, this._nextId++, time);
+      this._heldNotes.set(note.midi, note);
+      this.emit('noteon', note);
+    } else if (name === 'noteoff' && typeof args[0] === 'number') {
+      const note = this._heldNotes.get(args[0]);
+      if (note) this._endNote(note, time);
+    }
+  }
+
+  /**
+   * Convert a frame's JSON features back to audio data values
+   * @private
+   */
+  _decodeFeatures(features) {
+    const decoded = {};
+    Object.keys(features).forEach((name) => {
+      if (!KNOWN_FIELDS.has(name)) return;
+      const value = features[name];
+
+      if (name === 'chroma') {
+        decoded.chroma = Array.isArray(value) ? Float32Array.from(value) : null;
+      } else if (name === 'frequencyData' || name.startsWith('timeDomain')) {
+        decoded[name] = Array.isArray(value) ? Uint8Array.from(value) : null;
+      } else if (name === 'bands') {
+        decoded.bands = value && typeof value === 'object' ? decodeBands(value) : null;
+      } else if (name === 'notes') {
+        decoded.notes = Array.isArray(value) ? value.map((midi) => this._noteFor(midi)) : NO_NOTES;
+      } else {
+        decoded[name] = value;
+      }
+    });
+    return decoded;
+  }
+
+  /**
+   * Note for a MIDI number in a frame: the one started by a 'noteon' event,
+   * the same note in the previous frame, or a new one
+   * @private
+   */
+  _noteFor(midi) {
+    return this._heldNotes.get(midi)
+      || this._latest?.features.notes?.find((note) => note.midi === midi)
+      || createNote(midi, 1, this._nextId++, this._latest?.time ?? 0);
+  }
+
+  /**
+   * Write the frame at the playout time into the audio data
+   * @private
+   */
+  _sync() {
+    const latest = this._latest;
+    if (!latest) return;
+
+    const time = now() - this._offset - this._delay;
+    const data = this._audioData;
+    const previous = this._previous;
+    const span = previous ? latest.time - previous.time : 0;
+    const t = span > 0 ? Math.max(0, Math.min((time - previous.time) / span, 1)) : 1;
+
+    Object.keys(latest.features).forEach((name) => {
+      if (EDGE_FIELDS.includes(name)) return;
+      const value = latest.features[name];
+      const from = previous?.features[name];
+      data[name] = INTERPOLATED_FIELDS.has(name) && typeof from === 'number' && typeof value === 'number'
+        ? from + (value - from) * t
+        : value;
+    });
+
+    EDGE_FIELDS.forEach((field) => {
+      data[field] = this._edges[field];
+      this._edges[field] = false;
+    });
+
+    // Stream went quiet: hold, then fade out
+    const silence = time - latest.time - this._holdTime;
+    if (silence > 0) {
+      const fade = this._releaseTime > 0 ? Math.exp(-silence / this._releaseTime) : 0;
+      LEVEL_FIELDS.forEach((field) => {
+        if (typeof data[field] === 'number') data[field] *= fade;
+      });
+      this._releaseNotes();
+      data.notes = NO_NOTES;
+    }
+
+    this._publishFrame(time);
+  }
+
+  /**
+   * @private
+   */
+  _endNote(note, time) {
+    this._heldNotes.delete(note.midi);
+    note.active = false;
+    note.duration = Math.max(0, time - note.startTime);
+    this.emit('noteoff', note);
+  }
+
+  /**
+   * End every note started by 'noteon' events
+   * @private
+   */
+  _releaseNotes() {
+    if (this._heldNotes.size === 0) return;
+    const time = this._offset === null ? 0 : now() - this._offset;
+    [...this._heldNotes.values()].forEach((note) => this._endNote(note, time));
+  }
+}
+
+/**
+ * /ws/stream on the page's host (localhost:8000 outside a browser)
+ * @private
+ */
+function defaultURL() {
+  if (typeof location === 'undefined' || !location.host) {
+    return 'ws://localhost:8000/ws/stream';
+  }
+  return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws/stream`;
+}
+
+/**
+ * Restore band bins as Float32Arrays
+ * @private
+ */
+function decodeBands(bands) {
+  const decoded = { ...bands };
+  ['bins', 'binPeaks'].forEach((name) => {
+    if (Array.isArray(bands[name])) decoded[name] = Float32Array.from(bands[name]);
+  });
+  return decoded;
+}
+
+/**
+ * Note object in the shape NoteTracker produces
+ * @private
+ */
+function createNote(midi, velocity, id, time) {
+  const pitch = PITCH_CLASSES[((midi % 12) + 12) % 12];
+  const octave = Math.floor(midi / 12) - 1;
+  return {
+    id,
+    midi,
+    pitch,
+    octave,
+    name: `${pitch}${octave}`,
+    frequency: 440 * Math.pow(2, (midi - 69) / 12),
+    cents: 0,
+    velocity,
+    startTime: time,
+    duration: 0,
+    active: true,
+  };
+}
+
+/**
+ * Wall-clock time in seconds
+ * @private
+ */
+function now() {
+  return (typeof performance !== 'undefined' ? performance.now() : Date.now()) / 1000;
+}
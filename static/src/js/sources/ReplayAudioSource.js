@@ -0,0 +1,320 @@
+import { FeatureSource } from './FeatureSource.js';
+import { FeatureTimeline } from '../analysis/FeatureTimeline.js';
+import { BandAnalyzer } from '../analysis/BandAnalyzer.js';
+import { NoteTracker } from '../analysis/NoteTracker.js';
+
+/**
+ * ReplayAudioSource - Play a recorded feature timeline back as an audio source
+ *
+ * Works anywhere an AudioSource does (e.g. BaseVisualizer.connectAudioSource()),
+ * using a FeatureRecorder recording or an OfflineAnalyzer timeline instead of live audio.
+ *
+ * With the default 'realtime' clock, playback follows wall-clock time. With the
+ * 'manual' clock, time only moves through advance() and seek(), which makes
+ * playback fully deterministic (useful for tests and frame-by-frame rendering).
+ *
+ * Band levels are computed from the recorded spectrum, so they need a recording made
+ * with frequencyBins (and are coarser than live bands); otherwise they stay at 0.
+ * Notes are tracked from the recorded pitch, so replayed note events are monophonic.
+ *
+ * Events:
+ * - 'beat' - { time, bpm, beatCount, beatInBar, downbeat } for every recorded beat passed
+ * - 'noteon' / 'noteoff' - Notes of the recorded pitch (see NoteTracker)
+ * - 'frame' - { time, audioData } whenever the playback position is updated
+ * - 'ended' - Playback reached the end (not emitted when looping)
+ *
+ * @example
+ * const replay = new ReplayAudioSource(JSON.parse(savedJson), { loop: true });
+ * visualizer.connectAudioSource(replay);
+ * replay.play();
+ *
+ * @example
+ * // Deterministic stepping
+ * const replay = new ReplayAudioSource(timeline, { clock: 'manual' });
+ * replay.advance(1 / 60);
+ * sphere.update(replay.getAudioData(), 1 / 60);
+ */
+export class ReplayAudioSource extends FeatureSource {
+  /**
+   * @param {FeatureTimeline|Object|string} recording - Timeline, or its toJSON() output (object or string)
+   * @param {Object} options - Configuration options
+   * @param {boolean} [options.loop=false] - Restart from the beginning when the end is reached
+   * @param {number} [options.playbackRate=1] - Playback speed multiplier
+   * @param {string} [options.clock='realtime'] - 'realtime' or 'manual'
+   * @param {boolean} [options.autoplay=false] - Start playing immediately
+   * @param {Object} [options.bandOptions] - Options passed to BandAnalyzer
+   * @param {Object} [options.noteOptions] - Options passed to NoteTracker
+   */
+  constructor(recording, options = {}) {
+    super();
+
+    this.timeline = recording instanceof FeatureTimeline
+      ? recording
+      : FeatureTimeline.fromJSON(recording);
+
+    if (options.clock !== undefined && options.clock !== 'realtime' && options.clock !== 'manual') {
+      throw new Error(`Unknown clock: ${options.clock}`);
+    }
+
+    this.loop = options.loop ?? false;
+    this._clock = options.clock ?? 'realtime';
+    this._playbackRate = options.playbackRate ?? 1;
+
+    this._isPlaying = false;
+    this._currentTime = 0;
+    this._clockOrigin = 0;    // Wall-clock time (s) when playback was last anchored
+    this._timeOrigin = 0;     // Playback position at _clockOrigin
+    this._lastIndex = -1;     // Last frame whose events were emitted
+
+    this._bandAnalyzer = new BandAnalyzer(options.bandOptions);
+    this._audioData.bands = this._bandAnalyzer.getState();
+
+    this._noteTracker = new NoteTracker(options.noteOptions);
+    this._audioData.notes = this._noteTracker.getState().notes;
+
+    this.isInitialized = true;
+    this.seek(0);
+
+    if (options.autoplay) {
+      this.play();
+    }
+  }
+
+  /**
+   * Current playback position in seconds
+   * @returns {number}
+   */
+  get currentTime() {
+    this._sync();
+    return this._currentTime;
+  }
+
+  /**
+   * End of the recording in seconds
+   * @returns {number}
+   */
+  get duration() {
+    return this.timeline.startTime + this.timeline.duration;
+  }
+
+  /**
+   * Whether playback is running
+   * @returns {boolean}
+   */
+  get isPlaying() {
+    this._sync();
+    return this._isPlaying;
+  }
+
+  /**
+   * Playback speed multiplier
+   * @returns {number}
+   */
+  get playbackRate() {
+    return this._playbackRate;
+  }
+
+  set playbackRate(rate) {
+    if (!(rate > 0)) {
+      throw new Error('playbackRate must be a positive number');
+    }
+    this._sync();
+    this._anchor();
+    this._playbackRate = rate;
+  }
+
+  /**
+   * Start or continue playback (restarts if the end was reached)
+   */
+  play() {
+    if (this._isPlaying) return;
+
+    if (this._currentTime >= this.duration) {
+      this.seek(0);
+    }
+    this._isPlaying = true;
+    this._anchor();
+  }
+
+  /**
+   * Pause playback at the current position
+   */
+  pause() {
+    this._sync();
+    this._isPlaying = false;
+  }
+
+  /**
+   * Pause and rewind to the beginning
+   */
+  stop() {
+    this.pause();
+    this.seek(0);
+  }
+
+  /**
+   * Jump to a position without emitting events for the frames skipped over
+   * @param {number} time - Position in seconds
+   */
+  seek(time) {
+    this._currentTime = Math.max(0, Math.min(time, this.duration));
+    this._anchor();
+
+    // Frames before the new position count as already played
+    const index = this.timeline.indexAt(this._currentTime);
+    this._lastIndex = this.timeline.timeAt(index) < this._currentTime ? index : index - 1;
+    this._readFrame();
+  }
+
+  /**
+   * Move playback forward, emitting events for every frame passed
+   * Intended for the 'manual' clock; works while paused.
+   * @param {number} seconds - Wall-clock seconds to advance (scaled by playbackRate)
+   */
+  advance(seconds) {
+    this._moveTo(this._currentTime + seconds * this._playbackRate);
+    this._anchor();
+  }
+
+  /**
+   * Get current audio data
+   * @param {boolean} copy - If true, returns a shallow copy (default: false for performance)
+   * @returns {Object} Audio data with all features
+   */
+  getAudioData(copy = false) {
+    this._sync();
+    return super.getAudioData(copy);
+  }
+
+  /**
+   * Change the analysed bands, bins or peak-hold settings (mirrors AudioSource.setBands())
+   * @param {Object} options - See BandAnalyzer
+   */
+  setBands(options) {
+    this._bandAnalyzer.configure(options);
+    this._readFrame();
+  }
+
+  /**
+   * Resume playback (mirrors AudioSource.resume())
+   */
+  async resume() {
+    this.play();
+  }
+
+  /**
+   * Stop playback
+   */
+  destroy() {
+    this._isPlaying = false;
+    this.isInitialized = false;
+    this._emitNoteEvents(this._noteTracker.flush());
+  }
+
+  /**
+   * Bring the playback position up to date with the realtime clock
+   * @private
+   */
+  _sync() {
+    if (!this._isPlaying || this._clock !== 'realtime') return;
+
+    const target = this._timeOrigin + (now() - this._clockOrigin) * this._playbackRate;
+    if (target !== this._currentTime) {
+      this._moveTo(target);
+    }
+  }
+
+  /**
+   * Re-anchor the realtime clock at the current position
+   * @private
+   */
+  _anchor() {
+    this._clockOrigin = now();
+    this._timeOrigin = this._currentTime;
+  }
+
+  /**
+   * Move to a later position, handling looping, the end of the recording and events
+   * @private
+   */
+  _moveTo(time) {
+    const end = this.duration;
+
+    if (time >= end && end > 0) {
+      this._emitFramesUntil(this.timeline.length - 1);
+
+      if (this.loop) {
+        time %= end;
+        this._lastIndex = -1;
+        this._currentTime = time;
+        this._anchor();
+      } else {
+        time = end;
+        if (this._isPlaying || this._currentTime < end) {
+          this._isPlaying = false;
+          this._currentTime = end;
+          this._readFrame();
+          this.emit('ended');
+          return;
+        }
+      }
+    }
+
+    this._currentTime = Math.max(0, time);
+    if (this._currentTime >= this.timeline.startTime) {
+      this._emitFramesUntil(this.timeline.indexAt(this._currentTime));
+    }
+    this._readFrame();
+  }
+
+  /**
+   * Emit 'beat' events for recorded frames up to and including index
+   * @private
+   */
+  _emitFramesUntil(index) {
+    if (!this.hasListeners('beat')) {
+      this._lastIndex = Math.max(this._lastIndex, index);
+      return;
+    }
+
+    const fields = this.timeline.fields;
+    for (let i = this._lastIndex + 1; i <= index; i++) {
+      if (fields.beat[i] > 0) {
+        this.emit('beat', {
+          time: this.timeline.timeAt(i),
+          bpm: fields.bpm[i],
+          beatCount: fields.beatCount[i],
+          beatInBar: fields.beatInBar[i],
+          downbeat: fields.downbeat[i] > 0,
+        });
+      }
+    }
+    this._lastIndex = Math.max(this._lastIndex, index);
+  }
+
+  /**
+   * Read the frame at the current position into the audio data
+   * @private
+   */
+  _readFrame() {
+    this.timeline.getFrameAt(this._currentTime, this._audioData);
+    if (this._audioData.frequencyData && this.timeline.sampleRate) {
+      this._bandAnalyzer.process(this._audioData.frequencyData, this.timeline.sampleRate, this._currentTime);
+    }
+
+    const notes = this._noteTracker.process(null, this.timeline.sampleRate, this._currentTime, {
+      pitch: this._audioData.pitchFrequency,
+      level: this._audioData.level,
+    });
+    this._emitNoteEvents(notes);
+    this._publishFrame(this._currentTime);
+  }
+}
+
+/**
+ * Wall-clock time in seconds
+ * @private
+ */
+function now() {
+  return (typeof performance !== 'undefined' ? performance.now() : Date.now()) / 1000;
+}
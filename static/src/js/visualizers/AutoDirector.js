@@ -0,0 +1,335 @@
+import { EventEmitter } from '../events.js';
+import { SectionDetector, SECTION_CHANGES } from '../analysis/SectionDetector.js';
+import { CAMERA_MOVES } from './BaseVisualizer.js';
+import { visualizerRegistry } from './VisualizerRegistry.js';
+
+// Changes acted on as they happen; the rest wait for the next phrase
+const IMMEDIATE_CHANGES = new Set(['drop', 'silence', 'resume']);
+
+const ACTIONS = ['next', 'random', 'palette', 'camera', 'none'];
+
+/**
+ * Default palettes cycled through by 'palette' actions
+ */
+export const DEFAULT_PALETTES = [
+  ['#6366f1', '#8b5cf6', '#a855f7', '#d946ef', '#ec4899'],
+  ['#0EA5E9', '#38BDF8', '#2DD4BF', '#34D399'],
+  ['#F97316', '#FB923C', '#F43F5E', '#E11D48'],
+  ['#552586', '#6A359C', '#804FB3', '#B589D6'],
+  ['#FACC15', '#F59E0B', '#EF4444', '#B91C1C'],
+];
+
+/**
+ * Default rules: what to do on each section change ('rotate' = maxDwell reached)
+ */
+export const DEFAULT_RULES = {
+  drop: { action: 'next', camera: 'push', transition: { type: 'zoom', duration: 0.5 } },
+  breakdown: { action: 'next', camera: 'pull', transition: { type: 'dissolve', beats: 4 } },
+  rise: { action: 'palette', camera: 'orbit-right' },
+  fall: { action: 'palette', camera: 'orbit-left' },
+  silence: { action: 'none', camera: 'reset' },
+  resume: { action: 'next', transition: { type: 'crossfade', duration: 1 } },
+  rotate: { action: 'next', transition: { type: 'crossfade', beats: 8, align: 'downbeat' } },
+};
+
+/**
+ * AutoDirector - Switch presets, palettes and camera moves with the music's structure
+ *
+ * Follows the Visualizer's audio source with a SectionDetector and, on each section
+ * change, applies the matching rule:
+ * - 'next' / 'random' - switch to the next / a random playlist entry
+ * - 'palette' - recolor the current visualizer with the next palette
+ * - 'camera' - only the rule's camera move
+ * - 'none' - nothing (the rule's camera move, if any, still applies)
+ *
+ * Switches never land mid-phrase: rise, fall, breakdown and rotate changes wait for
+ * the next phrase start (every phraseBars bars, counted from the beat tracker's
+ * downbeats). Drops start a phrase of their own, and silence/resume have no phrase to
+ * wait for, so those act at once. Without a tempo there is no phrase grid and changes
+ * act when detected.
+ *
+ * Nothing switches within minDwell seconds of the last preset or palette switch:
+ * immediate changes in that window are ignored, phrase-aligned ones wait. After
+ * maxDwell seconds without a switch the 'rotate' rule applies, so long steady sections
+ * still move on. Camera moves alone don't restart the dwell.
+ *
+ * Events:
+ * - 'section' - { change, time } for every detected change
+ * - 'switch' - { change, time, preset, palette, camera } when a rule changes something
+ *
+ * @example
+ * const director = new AutoDirector(visualizer, {
+ *   playlist: [
+ *     'Sphere',
+ *     { preset: 'Bars', palette: ['#0EA5E9', '#2DD4BF'], camera: 'rise' },
+ *   ],
+ *   rules: { rise: { action: 'next', transition: { type: 'wipe', beats: 4 } } },
+ *   minDwell: 30,
+ * });
+ * director.start();
+ */
+export class AutoDirector extends EventEmitter {
+  /**
+   * @param {Visualizer} visualizer - Visualizer to direct (its audio source is followed)
+   * @param {Object} options - Configuration options
+   * @param {Array<string|Object>} [options.playlist] - Presets to rotate through (default: all
+   *   registered presets), as names or { preset, options, palette, camera, transition }
+   * @param {string} [options.order='sequential'] - 'sequential' or 'random' order for 'next'
+   * @param {Object} [options.rules] - Rules by change, merged over DEFAULT_RULES: { action,
+   *   camera, transition } (transition overrides the entry's and the Visualizer's default)
+   * @param {Array<Array<string|number>>} [options.palettes=DEFAULT_PALETTES] - Palettes for 'palette' actions
+   * @param {number} [options.minDwell=16] - Minimum seconds between switches
+   * @param {number|null} [options.maxDwell=120] - Seconds before the 'rotate' rule applies (null = never)
+   * @param {number} [options.cameraDuration=4] - Seconds per camera move
+   * @param {Object} [options.sectionOptions] - SectionDetector options (phraseBars, thresholds, ...)
+   */
+  constructor(visualizer, options = {}) {
+    super();
+
+    if (!visualizer || typeof visualizer.setPreset !== 'function') {
+      throw new Error('visualizer must be a Visualizer');
+    }
+    const order = options.order ?? 'sequential';
+    if (order !== 'sequential' && order !== 'random') {
+      throw new Error(`Unknown order: ${order}. Expected 'sequential' or 'random'`);
+    }
+    const palettes = options.palettes ?? DEFAULT_PALETTES;
+    if (!Array.isArray(palettes) || palettes.some((palette) => !Array.isArray(palette) || palette.length < 2)) {
+      throw new Error('palettes must be an array of palettes of at least 2 colors');
+    }
+
+    this.visualizer = visualizer;
+    this.order = order;
+    this.palettes = palettes;
+    this.minDwell = options.minDwell ?? 16;
+    this.maxDwell = options.maxDwell === undefined ? 120 : options.maxDwell;
+    this.cameraDuration = options.cameraDuration ?? 4;
+
+    this.sections = new SectionDetector(options.sectionOptions);
+    this.setPlaylist(options.playlist ?? visualizerRegistry.list().map((preset) => preset.name));
+    this.setRules(options.rules ?? {});
+
+    this._source = null;
+    this._unsubscribe = null;
+    this._paletteIndex = -1;
+    this._lastTime = null;
+    this._lastSwitch = null;   // Frame time of the last switch (s)
+    this._pending = null;      // Change waiting for a phrase start
+  }
+
+  /**
+   * Whether the director is following the audio source
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._unsubscribe !== null;
+  }
+
+  /**
+   * Change waiting for the next phrase start (null when none)
+   * @returns {string|null}
+   */
+  get pending() {
+    return this._pending;
+  }
+
+  /**
+   * Start following the Visualizer's audio source
+   * Call again after replacing the source (e.g. initWithSource()) to follow the new one.
+   */
+  start() {
+    const source = this.visualizer.audioSource;
+    if (!source) {
+      throw new Error('Visualizer has no audio source. Call one of its initWith...() methods first.');
+    }
+    if (this.isRunning && this._source === source) {
+      console.warn('AutoDirector already running');
+      return;
+    }
+
+    this.stop();
+    this._source = source;
+    this._unsubscribe = source.on('frame', ({ time, audioData }) => this._onFrame(audioData, time));
+  }
+
+  /**
+   * Stop following the audio source (the current preset stays)
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this._unsubscribe();
+    this._unsubscribe = null;
+    this._source = null;
+    this._pending = null;
+    this._lastTime = null;
+    this._lastSwitch = null;
+    this.sections.reset();
+  }
+
+  /**
+   * Replace the playlist
+   * @param {Array<string|Object>} playlist - Preset names or { preset, options, palette, camera, transition }
+   */
+  setPlaylist(playlist) {
+    if (!Array.isArray(playlist) || playlist.length === 0) {
+      throw new Error('playlist must be a non-empty array');
+    }
+
+    this._playlist = playlist.map((item) => {
+      const entry = typeof item === 'string' ? { preset: item } : { ...item };
+      const preset = visualizerRegistry.get(entry.preset);
+      if (!preset) {
+        throw new Error(`Unknown preset in playlist: ${entry.preset}`);
+      }
+      if (entry.camera !== undefined) validateCamera(entry.camera);
+      entry.preset = preset.name;
+      return entry;
+    });
+    this._playlistIndex = this._playlist.findIndex((entry) => entry.preset === this.visualizer.preset);
+  }
+
+  /**
+   * Replace the rules (merged over DEFAULT_RULES)
+   * @param {Object} rules - By change ('drop', 'breakdown', 'rise', 'fall', 'silence',
+   *   'resume', 'rotate'): { action, camera, transition }
+   */
+  setRules(rules) {
+    const merged = {};
+    for (const change of [...SECTION_CHANGES, 'rotate']) {
+      const rule = { ...DEFAULT_RULES[change], ...rules[change] };
+      if (!ACTIONS.includes(rule.action)) {
+        throw new Error(`Unknown action for ${change}: ${rule.action}. Expected one of: ${ACTIONS.join(', ')}`);
+      }
+      if (rule.camera != null) validateCamera(rule.camera);
+      merged[change] = rule;
+    }
+    this._rules = merged;
+  }
+
+  /**
+   * Apply a change's rule now, regardless of dwell time and phrase
+   * @param {string} change - 'drop', 'breakdown', 'rise', 'fall', 'silence', 'resume' or 'rotate'
+   */
+  trigger(change) {
+    if (!this._rules[change]) {
+      throw new Error(`Unknown change: ${change}`);
+    }
+    this._apply(change, this._lastTime ?? 0);
+  }
+
+  /**
+   * @private
+   */
+  _onFrame(audioData, time) {
+    // Clock jumped backwards (seek / new source) - the dwell starts over
+    if (this._lastTime != null && time < this._lastTime) {
+      this._lastSwitch = null;
+      this._pending = null;
+    }
+    this._lastTime = time;
+    this._lastSwitch ??= time;
+
+    const state = this.sections.process(audioData, time);
+    const dwell = time - this._lastSwitch;
+
+    if (state.change) {
+      this.emit('section', { change: state.change, time });
+
+      if (IMMEDIATE_CHANGES.has(state.change)) {
+        this._pending = null;
+        if (dwell >= this.minDwell) {
+          this._apply(state.change, time);
+        }
+        return;
+      }
+      this._pending = state.change;
+    } else if (this.maxDwell !== null && dwell >= this.maxDwell && !this._pending && !state.silent) {
+      this._pending = 'rotate';
+    }
+
+    if (!this._pending || dwell < this.minDwell) return;
+
+    const hasPhrases = audioData.bpm > 0;
+    if (state.phraseStart || !hasPhrases) {
+      const change = this._pending;
+      this._pending = null;
+      this._apply(change, time);
+    }
+  }
+
+  /**
+   * Apply a change's rule to the visualizer
+   * @private
+   */
+  _apply(change, time) {
+    const rule = this._rules[change];
+    let { action } = rule;
+    if (!this.visualizer.visualizer) return;
+
+    let entry = null;
+    let palette;
+    if ((action === 'next' || action === 'random') && this._playlist.length < 2) {
+      // Nothing to switch to - recolor instead
+      action = 'palette';
+    }
+
+    if (action === 'next' || action === 'random') {
+      this._playlistIndex = this._pickEntry(action === 'random' || this.order === 'random');
+      entry = this._playlist[this._playlistIndex];
+      const transition = rule.transition !== undefined ? rule.transition : entry.transition;
+      this.visualizer.setPreset(entry.preset, entry.options, transition)
+        .catch((err) => console.warn('AutoDirector preset switch failed:', err));
+      palette = entry.palette;
+    } else if (action === 'palette') {
+      this._paletteIndex = (this._paletteIndex + 1) % this.palettes.length;
+      palette = this.palettes[this._paletteIndex];
+    }
+
+    // After setPreset() this is the incoming visualizer
+    const target = this.visualizer.visualizer;
+    if (palette) target.setPalette(palette);
+
+    const camera = rule.camera ?? entry?.camera ?? null;
+    if (camera) target.moveCamera(camera, { duration: this.cameraDuration });
+
+    // Camera moves alone don't count as switches
+    if (action !== 'none' && action !== 'camera') {
+      this._lastSwitch = time;
+    } else if (!camera) {
+      return;
+    }
+    this.emit('switch', {
+      change,
+      time,
+      preset: this.visualizer.preset,
+      palette: palette ?? null,
+      camera,
+    });
+  }
+
+  /**
+   * Index of the playlist entry to switch to
+   * @private
+   */
+  _pickEntry(random) {
+    const count = this._playlist.length;
+    if (!random) {
+      return (this._playlistIndex + 1) % count;
+    }
+    if (this._playlistIndex < 0) {
+      return Math.floor(Math.random() * count);
+    }
+    // Any entry but the current one
+    return (this._playlistIndex + 1 + Math.floor(Math.random() * (count - 1))) % count;
+  }
+}
+
+/**
+ * @private
+ */
+function validateCamera(move) {
+  if (!CAMERA_MOVES[move]) {
+    throw new Error(`Unknown camera move: ${move}. Expected one of: ${Object.keys(CAMERA_MOVES).join(', ')}`);
+  }
+}
@@ -0,0 +1,362 @@
+import * as THREE from 'three';
+import { BaseVisualizer } from './BaseVisualizer.js';
+import { PaletteCycler } from './palettes.js';
+
+const LAYOUTS = ['linear', 'radial'];
+
+// Scene dimensions (world units, camera at z = 5 with a 45° field of view)
+const BAR_LENGTH = 2.6;        // Longest linear bar
+const RADIAL_INNER = 0.8;      // Radius the radial bars start from
+const RADIAL_LENGTH = 1.1;     // Longest radial bar
+const BAR_DEPTH = 0.05;
+const CAP_HEIGHT = 0.04;       // Thickness of the peak caps
+
+/**
+ * BarsVisualizer - Classic spectrum analyzer
+ *
+ * Features:
+ * - Linear or radial bars from frequencyData on a log-frequency axis
+ * - Peak caps that hold, then fall
+ * - Mirrored mode: the spectrum twice, lows in the middle (linear) or at the bottom (radial)
+ * - Gradient colors from the shared palettes, shifting on downbeats (energy
+ *   transients when no tempo is locked); setPalette() works as for the sphere
+ *
+ * Bars and caps are two instanced meshes, so the bar count costs no extra draw calls.
+ */
+export class BarsVisualizer extends BaseVisualizer {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options (see BaseVisualizer)
+   * @param {number} [options.barCount=64] - Number of bars (4-512)
+   * @param {string} [options.layout='linear'] - 'linear' or 'radial'
+   * @param {boolean} [options.mirror=false] - Show the spectrum mirrored
+   * @param {number} [options.minFrequency=30] - Lowest frequency shown (Hz)
+   * @param {number} [options.maxFrequency=16000] - Highest frequency shown (Hz)
+   * @param {number} [options.gap=0.2] - Space between bars (fraction of the bar pitch)
+   * @param {number} [options.releaseTime=0.12] - Time constant of falling bars (s)
+   * @param {boolean} [options.peaks=true] - Show peak caps
+   * @param {number} [options.peakHold=0.4] - Seconds a peak cap holds before falling
+   * @param {number} [options.peakFall=0.6] - Peak cap fall speed (bar lengths per second)
+   * @param {number} [options.sampleRate] - Sample rate of the analysed audio (default: the source's, or 44100)
+   */
+  constructor(container, options = {}) {
+    super(container, options);
+  }
+
+  /**
+   * Initialize all properties before setup() is called
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    const options = this.options;
+    const barCount = options.barCount ?? 64;
+    if (!(Number.isInteger(barCount) && barCount >= 4 && barCount <= 512)) {
+      throw new Error('barCount must be an integer from 4 to 512');
+    }
+    const layout = options.layout ?? 'linear';
+    if (!LAYOUTS.includes(layout)) {
+      throw new Error(`Unknown layout: ${layout}. Expected one of: ${LAYOUTS.join(', ')}`);
+    }
+    const minFrequency = options.minFrequency ?? 30;
+    const maxFrequency = options.maxFrequency ?? 16000;
+    if (!(minFrequency > 0 && maxFrequency > minFrequency)) {
+      throw new Error('minFrequency must be positive and below maxFrequency');
+    }
+
+    this._barCount = barCount;
+    this._layout = layout;
+    this._mirror = options.mirror ?? false;
+    this._minFrequency = minFrequency;
+    this._maxFrequency = maxFrequency;
+    this._gap = Math.max(0, Math.min(options.gap ?? 0.2, 0.9));
+    this._releaseTime = options.releaseTime ?? 0.12;
+    this._showPeaks = options.peaks ?? true;
+    this._peakHold = options.peakHold ?? 0.4;
+    this._peakFall = options.peakFall ?? 0.6;
+
+    // One band per bar, or per pair of mirrored bars
+    this._bandCount = this._mirror ? Math.ceil(barCount / 2) : barCount;
+    this._levels = new Float32Array(this._bandCount);
+    this._peaks = new Float32Array(this._bandCount);
+    this._peakHolds = new Float32Array(this._bandCount);
+    this._binMap = null;
+
+    // Palette stepping (as SphereVisualizer)
+    this._palette = new PaletteCycler();
+
+    // Slot layout: position and direction of each bar
+    this._slotX = new Float32Array(barCount);
+    this._slotY = new Float32Array(barCount);
+    this._slotAngle = new Float32Array(barCount);
+    this._slotBand = new Uint16Array(barCount);
+    this._barWidth = 0;
+    this._barLength = 0;
+
+    // Reusable objects to avoid allocations in the hot path
+    this._matrix = new THREE.Matrix4();
+    this._position = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._scale = new THREE.Vector3();
+    this._zAxis = new THREE.Vector3(0, 0, 1);
+    this._tempColor = new THREE.Color();
+    this._white = new THREE.Color(0xffffff);
+
+    this._bars = null;
+    this._caps = null;
+  }
+
+  /**
+   * Setup - instanced bars and peak caps
+   * @override
+   */
+  setup() {
+    // Bars grow along +y from their base
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
+    geometry.translate(0, 0.5, 0);
+
+    // Flat palette colors, not tone mapped (like the sphere's shader)
+    this._bars = new THREE.InstancedMesh(
+      geometry,
+      new THREE.MeshBasicMaterial({ toneMapped: false }),
+      this._barCount,
+    );
+    this._bars.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this.scene.add(this._bars);
+
+    this._caps = new THREE.InstancedMesh(
+      new THREE.BoxGeometry(1, 1, 1),
+      new THREE.MeshBasicMaterial({ toneMapped: false }),
+      this._barCount,
+    );
+    this._caps.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    this._caps.visible = this._showPeaks;
+    this.scene.add(this._caps);
+
+    this._layoutSlots();
+    this._updateInstances();
+  }
+
+  /**
+   * Update - spectrum, peaks and palette
+   * @override
+   */
+  update(audioData, deltaTime) {
+    if (!this._bars) return;
+
+    const dt = Math.max(deltaTime, 0);
+    this._updateLevels(audioData.frequencyData, dt);
+    this._updatePeaks(dt);
+    this._palette.update(audioData, dt);
+    this._updateInstances();
+  }
+
+  /**
+   * Read the band levels from the frequency data
+   * @private
+   */
+  _updateLevels(frequencyData, dt) {
+    const levels = this._levels;
+    const release = this._releaseTime > 0 ? 1 - Math.exp(-dt / this._releaseTime) : 1;
+    const binMap = frequencyData ? this._getBinMap(frequencyData.length) : null;
+
+    for (let band = 0; band < this._bandCount; band++) {
+      let value = 0;
+      if (binMap) {
+        const from = binMap[band * 2];
+        const to = binMap[band * 2 + 1];
+        // Loudest bin in the band
+        for (let bin = from; bin <= to; bin++) {
+          if (frequencyData[bin] > value) value = frequencyData[bin];
+        }
+        value /= 255;
+      }
+
+      // Rise at once, fall smoothly
+      levels[band] = value >= levels[band] ? value : levels[band] + (value - levels[band]) * release;
+    }
+  }
+
+  /**
+   * Hold, then drop the peak caps
+   * @private
+   */
+  _updatePeaks(dt) {
+    const { _levels: levels, _peaks: peaks, _peakHolds: holds } = this;
+
+    for (let band = 0; band < this._bandCount; band++) {
+      if (levels[band] >= peaks[band]) {
+        peaks[band] = levels[band];
+        holds[band] = this._peakHold;
+      } else if (holds[band] > 0) {
+        holds[band] -= dt;
+      } else {
+        peaks[band] = Math.max(levels[band], peaks[band] - this._peakFall * dt);
+      }
+    }
+  }
+
+  /**
+   * Write the bar and cap transforms and colors
+   * @private
+   */
+  _updateInstances() {
+    const bandCount = this._bandCount;
+    const length = this._barLength;
+    const width = this._barWidth;
+
+    for (let slot = 0; slot < this._barCount; slot++) {
+      const band = this._slotBand[slot];
+      const level = this._levels[band];
+      const x = this._slotX[slot];
+      const y = this._slotY[slot];
+      const angle = this._slotAngle[slot];
+
+      // Bars point along their angle (0 = up)
+      this._quaternion.setFromAxisAngle(this._zAxis, angle);
+      this._position.set(x, y, 0);
+      this._scale.set(width, Math.max(level * length, 0.001), BAR_DEPTH);
+      this._matrix.compose(this._position, this._quaternion, this._scale);
+      this._bars.setMatrixAt(slot, this._matrix);
+
+      // Color along the spectrum, brighter when louder
+      this._palette.colorAt(bandCount > 1 ? band / (bandCount - 1) : 0, this._tempColor);
+      this._tempColor.multiplyScalar(0.45 + 0.55 * level);
+      this._bars.setColorAt(slot, this._tempColor);
+
+      if (this._showPeaks) {
+        const offset = this._peaks[band] * length + CAP_HEIGHT;
+        this._position.set(x - Math.sin(angle) * offset, y + Math.cos(angle) * offset, 0);
+        this._scale.set(width, CAP_HEIGHT, BAR_DEPTH);
+        this._matrix.compose(this._position, this._quaternion, this._scale);
+        this._caps.setMatrixAt(slot, this._matrix);
+
+        this._palette.colorAt(bandCount > 1 ? band / (bandCount - 1) : 0, this._tempColor);
+        this._tempColor.lerp(this._white, 0.5);
+        this._caps.setColorAt(slot, this._tempColor);
+      }
+    }
+
+    this._bars.instanceMatrix.needsUpdate = true;
+    this._bars.instanceColor.needsUpdate = true;
+    if (this._showPeaks) {
+      this._caps.instanceMatrix.needsUpdate = true;
+      this._caps.instanceColor.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Place the bars for the layout and viewport
+   * @private
+   */
+  _layoutSlots() {
+    const count = this._barCount;
+
+    for (let slot = 0; slot < count; slot++) {
+      this._slotBand[slot] = this._mirror ? mirroredBand(slot, count) : slot;
+    }
+
+    if (this._layout === 'radial') {
+      const pitch = (2 * Math.PI * RADIAL_INNER) / count;
+      this._barWidth = pitch * (1 - this._gap);
+      this._barLength = RADIAL_LENGTH;
+
+      for (let slot = 0; slot < count; slot++) {
+        // Clockwise from the top; mirrored spectra meet at the bottom
+        const angle = -((slot + 0.5) / count) * 2 * Math.PI;
+        this._slotAngle[slot] = angle;
+        this._slotX[slot] = -Math.sin(angle) * RADIAL_INNER;
+        this._slotY[slot] = Math.cos(angle) * RADIAL_INNER;
+      }
+      return;
+    }
+
+    // Linear: fill 90% of the visible width at z = 0
+    const visibleHeight = 2 * this.camera.position.z * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+    const span = visibleHeight * (this.width / this.height) * 0.9;
+    const pitch = span / count;
+    this._barWidth = pitch * (1 - this._gap);
+    this._barLength = BAR_LENGTH;
+
+    for (let slot = 0; slot < count; slot++) {
+      this._slotAngle[slot] = 0;
+      this._slotX[slot] = -span / 2 + (slot + 0.5) * pitch;
+      this._slotY[slot] = -BAR_LENGTH / 2;
+    }
+  }
+
+  /**
+   * First and last FFT bin of each band on the log-frequency axis (cached)
+   * @private
+   */
+  _getBinMap(binCount) {
+    const sampleRate = this.getSampleRate();
+    if (this._binMap && this._binMap.binCount === binCount && this._binMap.sampleRate === sampleRate) {
+      return this._binMap.bins;
+    }
+
+    const binWidth = sampleRate / 2 / binCount;
+    const ratio = this._maxFrequency / this._minFrequency;
+    const bins = new Uint16Array(this._bandCount * 2);
+
+    for (let band = 0; band < this._bandCount; band++) {
+      const low = this._minFrequency * Math.pow(ratio, band / this._bandCount);
+      const high = this._minFrequency * Math.pow(ratio, (band + 1) / this._bandCount);
+      // Narrow low bands share a bin with their neighbours
+      const from = Math.min(Math.floor(low / binWidth), binCount - 1);
+      const to = Math.min(Math.max(Math.ceil(high / binWidth) - 1, from), binCount - 1);
+      bins[band * 2] = from;
+      bins[band * 2 + 1] = to;
+    }
+
+    this._binMap = { binCount, sampleRate, bins };
+    return bins;
+  }
+
+  /**
+   * Step through windows of a custom palette instead of the shared palettes
+   * @override
+   */
+  onPaletteChange(palette) {
+    this._palette.setPalette(palette);
+  }
+
+  /**
+   * Handle resize
+   * @override
+   */
+  onResize(width, height) {
+    this._layoutSlots();
+    this._updateInstances();
+  }
+
+  /**
+   * Cleanup
+   * @override
+   */
+  onDestroy() {
+    // Instance buffers (geometry and materials go with the scene)
+    this._bars?.dispose();
+    this._caps?.dispose();
+    this._bars = null;
+    this._caps = null;
+    this._binMap = null;
+  }
+
+  get name() {
+    return 'Bars';
+  }
+
+  get description() {
+    return 'Spectrum analyzer bars, linear or radial, with falling peak caps';
+  }
+}
+
+/**
+ * Band shown by a bar when the spectrum is mirrored: lows in the middle, highs at both ends
+ * @private
+ */
+function mirroredBand(slot, count) {
+  const half = Math.floor(count / 2);
+  return slot < count / 2 ? Math.ceil(count / 2) - 1 - slot : slot - half;
+}
@@ -1,4 +1,20 @@
 import * as THREE from 'three';
+import { createEmptyAudioData } from '../sources/FeatureSource.js';
+import { QualityGovernor } from './QualityGovernor.js';
+
+/**
+ * Camera moves for moveCamera(), as changes to the camera's spherical position
+ * around the origin (relative to the current position; 'reset' returns home)
+ */
+export const CAMERA_MOVES = {
+  push: (spherical) => { spherical.radius *= 0.75; },
+  pull: (spherical) => { spherical.radius *= 1.3; },
+  'orbit-left': (spherical) => { spherical.theta -= Math.PI / 4; },
+  'orbit-right': (spherical) => { spherical.theta += Math.PI / 4; },
+  rise: (spherical) => { spherical.phi -= 0.35; },
+  sink: (spherical) => { spherical.phi += 0.35; },
+  reset: (spherical, home) => { spherical.copy(home); },
+};
 
 /**
  * BaseVisualizer - Abstract base class for all visualizer presets
@@ -11,21 +27,25 @@ import * as THREE from 'three';
  */
 export class BaseVisualizer {
   /**
-   * @param {HTMLElement} container - DOM element to render into
+   * @param {HTMLElement|null} container - DOM element to render into (null with options.renderer)
    * @param {Object} options - Configuration options
    * @param {number} [options.width] - Canvas width (default: container width)
    * @param {number} [options.height] - Canvas height (default: container height)
-   * @param {boolean} [options.antialias=true] - Enable antialiasing
-   * @param {number} [options.pixelRatio] - Device pixel ratio (default: auto)
+   * @param {THREE.WebGLRenderer} [options.renderer] - Draw with this renderer instead of creating one
+   *   (shared by several visualizers, e.g. on an OffscreenCanvas in a worker; mounted, resized
+   *   with the window and disposed by its owner)
+   * @param {boolean} [options.antialias] - Enable antialiasing (default: per quality tier)
+   * @param {number} [options.pixelRatio] - Highest pixel ratio (default: device pixel ratio; the quality tier may lower it)
+   * @param {QualityGovernor|Object} [options.quality] - Shared QualityGovernor, or options for a new one
    */
   constructor(container, options = {}) {
-    if (!container) {
+    if (!container && !options.renderer) {
       throw new Error('Container element is required');
     }
 
-    this.container = container;
-    this.width = options.width || container.clientWidth || 400;
-    this.height = options.height || container.clientHeight || 400;
+    this.container = container || null;
+    this.width = options.width || container?.clientWidth || 400;
+    this.height = options.height || container?.clientHeight || 400;
     this.options = options;
 
     // Animation state
@@ -34,6 +54,14 @@ export class BaseVisualizer {
     this._animationFrameId = null;
     this._lastTime = 0;
 
+    // Camera move in progress (see moveCamera())
+    this._cameraHome = null;
+    this._cameraMove = null;
+
+    // Called with this visualizer after every frame is drawn, e.g. to capture it
+    // (a WebGL canvas can only be copied before the browser presents it)
+    this.onAfterRender = null;
+
     // Dark theme color palette (matching Resonance aesthetic)
     this.colors = {
       background: 0x0a0a0a,
@@ -52,24 +80,34 @@ export class BaseVisualizer {
         0xec4899, // Pink
       ]
     };
+    this._defaultGradient = this.colors.gradient;
+
+    // Adaptive quality (may be shared, e.g. across the facade's presets)
+    this.quality = options.quality instanceof QualityGovernor
+      ? options.quality
+      : new QualityGovernor(options.quality);
 
     // Initialize Three.js components
     this._initScene();
     this._initRenderer(options);
     this._initCamera();
 
-    // Mount canvas to container
-    this.container.appendChild(this.renderer.domElement);
-
-    // Handle resize
-    this._boundResizeHandler = this._handleResize.bind(this);
-    window.addEventListener('resize', this._boundResizeHandler);
+    // Mount canvas to container and handle resize (a shared renderer's owner does both)
+    this._boundResizeHandler = null;
+    if (this._ownsRenderer) {
+      this.container.appendChild(this.renderer.domElement);
+      this._boundResizeHandler = this._handleResize.bind(this);
+      window.addEventListener('resize', this._boundResizeHandler);
+    }
 
     // Pre-setup hook for child class property initialization
     this._initProperties();
 
     // Setup hook for subclasses
     this.setup();
+
+    // Follow tier changes once the subclass is set up
+    this._unsubscribeQuality = this.quality.on('tierchange', ({ settings }) => this._applyQuality(settings));
   }
 
   /**
@@ -85,19 +123,57 @@ export class BaseVisualizer {
    * @private
    */
   _initRenderer(options) {
-    this.renderer = new THREE.WebGLRenderer({
+    this._ownsRenderer = !options.renderer;
+    this.renderer = options.renderer || new THREE.WebGLRenderer({
       alpha: true,
-      antialias: options.antialias !== false,
+      antialias: options.antialias ?? this.quality.settings.antialias,
       powerPreference: 'high-performance',
     });
 
     this.renderer.setClearColor(this.colors.background, 0); // Transparent
-    this.renderer.setPixelRatio(options.pixelRatio || Math.min(window.devicePixelRatio, 2));
-    this.renderer.setSize(this.width, this.height);
+    this.renderer.setPixelRatio(this._getPixelRatio(this.quality.settings));
+    this._setRendererSize(this.width, this.height);
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.0;
   }
 
+  /**
+   * Size the renderer (an OffscreenCanvas has no style to size)
+   * @private
+   */
+  _setRendererSize(width, height) {
+    this.renderer.setSize(width, height, this.renderer.domElement.style !== undefined);
+  }
+
+  /**
+   * Pixel ratio for a quality tier
+   * @private
+   */
+  _getPixelRatio(settings) {
+    return Math.min(this.options.pixelRatio || window.devicePixelRatio, settings.pixelRatio);
+  }
+
+  /**
+   * Apply a quality tier: pixel ratio here, the rest in onQualityChange()
+   * @private
+   */
+  _applyQuality(settings) {
+    if (this.isDestroyed) return;
+
+    this.renderer.setPixelRatio(this._getPixelRatio(settings));
+    this.onQualityChange(settings);
+  }
+
+  /**
+   * Quality hook - override in subclasses to scale geometry detail, particle count and effects
+   * Read this.quality.settings in setup() for the starting tier. Antialiasing only
+   * applies to new renderers, so it is not changed here.
+   * @param {Object} settings - Tier settings (see QUALITY_TIERS)
+   */
+  onQualityChange(settings) {
+    // Override in subclass if needed
+  }
+
   /**
    * Initialize camera - override in subclass if needed
    * @private
@@ -138,8 +214,22 @@ export class BaseVisualizer {
    * @param {number} audioData.sharpness - Perceptual sharpness (0-1)
    * @param {string|null} audioData.pitch - Detected note (C, D, E, F, G, A, B) or null
    * @param {number|null} audioData.octave - Detected octave (0-8) or null
+   * @param {Object[]} audioData.notes - Sounding notes, lowest first ({ name, midi, frequency, velocity, ... })
    * @param {Uint8Array} audioData.frequencyData - Raw frequency bin data
    * @param {Uint8Array} audioData.timeDomainData - Raw time domain data
+   * @param {Object} audioData.bands - Band levels by name (sub, bass, lowMid, mid, high, air), plus peaks, bins and binPeaks
+   * @param {boolean} audioData.beat - True on the analysis frame a tracked beat lands
+   * @param {boolean} audioData.downbeat - True on the analysis frame a bar's first beat lands
+   * @param {number} audioData.bpm - Estimated tempo (0 when no tempo is locked)
+   * @param {number} audioData.beatPhase - Position between beats (0-1)
+   * @param {number} audioData.beatCount - Beats since tracking started (compare across frames to detect beats)
+   * @param {number} audioData.beatInBar - Position of the latest beat in the bar (0 = downbeat)
+   * @param {Float32Array|null} audioData.chroma - Pitch-class energy C..B (max 1)
+   * @param {string|null} audioData.key - Estimated key tonic, with audioData.mode ('major'/'minor')
+   * @param {string|null} audioData.chord - Chord label (e.g. 'Am', 'G7') or null
+   * @param {number} audioData.level - Auto-gained loudness (0-1), consistent across inputs and volumes
+   * @param {number} audioData.bassLevel - Auto-gained bass peak energy (0-1)
+   * @param {number} audioData.momentaryLoudness - BS.1770 loudness over 400 ms (LUFS)
    * @param {number} deltaTime - Time since last frame in seconds
    */
   update(audioData, deltaTime) {
@@ -154,6 +244,89 @@ export class BaseVisualizer {
     this.renderer.render(this.scene, this.camera);
   }
 
+  /**
+   * Render the scene into a render target, e.g. for a transition
+   * Override together with render() if the visualizer renders in several passes.
+   * @param {THREE.WebGLRenderer} renderer - Renderer to use (not necessarily this.renderer)
+   * @param {THREE.WebGLRenderTarget} target - Target to render into
+   */
+  renderToTarget(renderer, target) {
+    renderer.setRenderTarget(target);
+    renderer.render(this.scene, this.camera);
+    renderer.setRenderTarget(null);
+  }
+
+  /**
+   * Recolor the visualizer
+   * Sets colors.gradient (used by getGradientColor()) and calls onPaletteChange().
+   * @param {Array<string|number>|null} palette - Colors ('#6366f1' or 0x6366f1), or null for the defaults
+   */
+  setPalette(palette) {
+    if (palette !== null && (!Array.isArray(palette) || palette.length < 2)) {
+      throw new Error('palette must be an array of at least 2 colors (or null)');
+    }
+
+    this.colors.gradient = palette
+      ? palette.map((color) => new THREE.Color(color).getHex())
+      : this._defaultGradient;
+    this.onPaletteChange(palette);
+  }
+
+  /**
+   * Palette hook - override in subclasses that keep their own colors
+   * @param {Array<string|number>|null} palette - New colors, or null for the defaults
+   */
+  onPaletteChange(palette) {
+    // Override in subclass if needed
+  }
+
+  /**
+   * Glide the camera around the origin
+   * @param {string} move - One of CAMERA_MOVES: 'push', 'pull', 'orbit-left', 'orbit-right', 'rise', 'sink', 'reset'
+   * @param {Object} [options]
+   * @param {number} [options.duration=4] - Seconds for the move
+   */
+  moveCamera(move, options = {}) {
+    if (!CAMERA_MOVES[move]) {
+      throw new Error(`Unknown camera move: ${move}. Expected one of: ${Object.keys(CAMERA_MOVES).join(', ')}`);
+    }
+    if (!this.camera) return;
+
+    const from = new THREE.Spherical().setFromVector3(this.camera.position);
+    this._cameraHome ??= from.clone();
+
+    const to = from.clone();
+    CAMERA_MOVES[move](to, this._cameraHome);
+    // Stay within reach of the starting framing
+    to.radius = Math.max(this._cameraHome.radius * 0.5, Math.min(to.radius, this._cameraHome.radius * 2));
+    to.makeSafe();
+
+    this._cameraMove = { from, to, current: new THREE.Spherical(), elapsed: 0, duration: options.duration ?? 4 };
+  }
+
+  /**
+   * Advance the camera move
+   * @private
+   */
+  _updateCameraMove(deltaTime) {
+    const move = this._cameraMove;
+    if (!move || !this.camera) return;
+
+    move.elapsed += deltaTime;
+    const t = move.duration > 0 ? Math.min(move.elapsed / move.duration, 1) : 1;
+    const eased = t * t * (3 - 2 * t);
+
+    move.current.set(
+      move.from.radius + (move.to.radius - move.from.radius) * eased,
+      move.from.phi + (move.to.phi - move.from.phi) * eased,
+      move.from.theta + (move.to.theta - move.from.theta) * eased,
+    );
+    this.camera.position.setFromSpherical(move.current);
+    this.camera.lookAt(0, 0, 0);
+
+    if (t >= 1) this._cameraMove = null;
+  }
+
   /**
    * Animation loop - handles timing and calls update/render
    * @private
@@ -168,45 +341,44 @@ export class BaseVisualizer {
     const deltaTime = this._lastTime === 0 ? 0 : (currentTime - this._lastTime) / 1000;
     this._lastTime = currentTime;
 
+    const workStart = performance.now();
+
     // Get audio data from source if available
     const audioData = this._audioSource ? this._audioSource.getAudioData() : this._getEmptyAudioData();
 
-    // Update visualizer
-    this.update(audioData, deltaTime);
+    this.step(audioData, deltaTime);
 
-    // Render
-    this.render();
+    // Report frame timing (may change the tier for the next frame)
+    this.quality.frame(deltaTime, (performance.now() - workStart) / 1000);
 
     // Continue loop
     this._animationFrameId = requestAnimationFrame((t) => this._animate(t));
   }
 
+  /**
+   * Advance and draw one frame, as the animation loop does
+   * Call it directly to render at a fixed frame rate (see OfflineRenderer).
+   * @param {Object} audioData - Audio data (see update())
+   * @param {number} deltaTime - Seconds since the previous frame
+   */
+  step(audioData, deltaTime) {
+    this.update(audioData, deltaTime);
+    this._updateCameraMove(deltaTime);
+    this.render();
+    this.onAfterRender?.(this);
+  }
+
   /**
    * Get empty audio data structure for when no source is connected
    * @private
    */
   _getEmptyAudioData() {
-    return {
-      energy: 0,
-      roughness: 0,
-      warmth: 0,
-      richness: 0,
-      sharpness: 0,
-      kurtosis: 0,
-      pitch: null,
-      octave: null,
-      dominantFrequency: 0,
-      dominantBin: 0,
-      bassFrequency: 0,
-      bassEnergy: 0,
-      frequencyData: null,
-      timeDomainData: null,
-    };
+    return createEmptyAudioData();
   }
 
   /**
    * Connect an audio source for visualization
-   * @param {AudioSource} audioSource - AudioSource instance
+   * @param {FeatureSource} audioSource - AudioSource, ReplayAudioSource or any FeatureSource
    */
   connectAudioSource(audioSource) {
     this._audioSource = audioSource;
@@ -277,7 +449,7 @@ export class BaseVisualizer {
     }
 
     // Update renderer size
-    this.renderer.setSize(width, height);
+    this._setRendererSize(width, height);
 
     // Call resize hook for subclasses
     this.onResize(width, height);
@@ -311,20 +483,26 @@ export class BaseVisualizer {
     // Disconnect audio source
     this.disconnectAudioSource();
 
+    // Stop following quality changes
+    if (this._unsubscribeQuality) {
+      this._unsubscribeQuality();
+      this._unsubscribeQuality = null;
+    }
+
     // Call cleanup hook
     this.onDestroy();
 
     // Dispose Three.js objects
     this._disposeScene(this.scene);
 
-    // Remove canvas from DOM
-    if (this.renderer.domElement.parentNode) {
-      this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+    // Remove canvas from DOM and dispose renderer (unless shared)
+    if (this._ownsRenderer) {
+      if (this.renderer.domElement.parentNode) {
+        this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+      }
+      this.renderer.dispose();
     }
 
-    // Dispose renderer
-    this.renderer.dispose();
-
     // Clear references
     this.scene = null;
     this.camera = null;
@@ -449,6 +627,19 @@ export class BaseVisualizer {
     return color1.lerp(color2, t);
   }
 
+  /**
+   * Sample rate of the analysed audio, for mapping frequencyData bins to Hz
+   * @returns {number} options.sampleRate, else the source's, else 44100
+   */
+  getSampleRate() {
+    const source = this._audioSource;
+    return this.options.sampleRate
+      || source?.audioContext?.sampleRate
+      || source?.timeline?.sampleRate
+      || source?.sampleRate
+      || 44100;
+  }
+
   /**
    * Map a value from one range to another
    * @param {number} value - Input value
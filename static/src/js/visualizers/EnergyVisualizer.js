@@ -0,0 +1,54 @@
+import { LegacyVisualizer } from './LegacyVisualizer.js';
+
+// Silver gradient of the original mode
+const DEFAULT_GRADIENT = ['#DADEDF', '#8C979A'];
+
+/**
+ * EnergyVisualizer - The original Energy mode
+ *
+ * A silver sphere whose radius follows the energy. setPalette() recolors it with
+ * the palette's first two colors.
+ */
+export class EnergyVisualizer extends LegacyVisualizer {
+  /**
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    super._initProperties();
+    this._gradient = DEFAULT_GRADIENT;
+  }
+
+  /**
+   * @override
+   */
+  setup() {
+    super.setup();
+    this.setGradient(...this._gradient);
+  }
+
+  /**
+   * @override
+   * @protected
+   */
+  refresh(audioData) {
+    this.setRadius((audioData.energy || 0) * 0.75);
+  }
+
+  /**
+   * Use the first two colors of a custom palette
+   * @override
+   */
+  onPaletteChange(palette) {
+    this._gradient = palette ? palette.slice(0, 2) : DEFAULT_GRADIENT;
+    this.setGradient(...this._gradient);
+  }
+
+  get name() {
+    return 'Energy';
+  }
+
+  get description() {
+    return 'Original Energy mode: silver sphere sized by the energy';
+  }
+}
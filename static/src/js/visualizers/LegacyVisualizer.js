@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { BaseVisualizer } from './BaseVisualizer.js';
+
+// Rainbow colors for the notes Do to Si (C to B)
+const RAINBOW_COLORS = ['#FF0000', '#FF7F00', '#FFFF00', '#00FF00', '#0000FF', '#4B0082', '#8B00FF'];
+const NOTE_NAMES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+// The original modes rebuilt the sphere every 4th frame at 60 fps
+const DEFAULT_REFRESH_RATE = 15;
+
+/**
+ * LegacyVisualizer - Shared base for the original Pitch, Energy and Timbre modes
+ *
+ * Reproduces the v1 scene: one sphere seen from above (30° field of view, camera at
+ * (1, 10, 15)) with a two-color gradient shader, whose colors and size are refreshed
+ * 15 times a second as in the original animate loops. Instead of rebuilding the
+ * geometry and material on each refresh, subclasses update the uniforms and scale
+ * of one sphere in refresh().
+ *
+ * The gradient material is unlit, so the scene needs no lights.
+ */
+export class LegacyVisualizer extends BaseVisualizer {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options (see BaseVisualizer)
+   * @param {number} [options.refreshRate=15] - Color and size updates per second (0 = every frame)
+   */
+  constructor(container, options = {}) {
+    super(container, options);
+  }
+
+  /**
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    const refreshRate = this.options.refreshRate ?? DEFAULT_REFRESH_RATE;
+    this._refreshInterval = refreshRate > 0 ? 1 / refreshRate : 0;
+    this._sinceRefresh = Infinity;   // Refresh on the first frame
+    this._sphere = null;
+    this._originalPositions = null;
+  }
+
+  /**
+   * Setup - camera and sphere of the original init()
+   * @override
+   */
+  setup() {
+    const aspect = this.width / this.height;
+    this.camera = new THREE.PerspectiveCamera(30, aspect, 0.1, 1000);
+    this.camera.position.set(1, 10, 15);
+    this.camera.lookAt(0, 0, 0);
+
+    // Unit sphere, sized with its scale
+    const geometry = new THREE.SphereGeometry(1, 128, 128);
+    this._originalPositions = geometry.attributes.position.array.slice();
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        color1: { value: new THREE.Color() },
+        color2: { value: new THREE.Color() },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        #define PI 3.1415926
+        #define TWO_PI PI*2.
+
+        uniform vec3 color1;
+        uniform vec3 color2;
+
+        varying vec2 vUv;
+
+        void main() {
+          vec2 uv = vUv * 2. - 1.;
+
+          float a = atan(uv.x, uv.y) + PI;
+          float r = TWO_PI / 4.;
+          float d = cos(floor(.5 + a / r) * r - a) * length(uv);
+
+          gl_FragColor = vec4(mix(color1, color2, d), 1.0);
+        }
+      `,
+    });
+
+    this._sphere = new THREE.Mesh(geometry, material);
+    this.scene.add(this._sphere);
+  }
+
+  /**
+   * Update - refreshes at refreshRate
+   * @override
+   */
+  update(audioData, deltaTime) {
+    if (!this._sphere) return;
+
+    this._sinceRefresh += deltaTime;
+    if (this._sinceRefresh < this._refreshInterval) return;
+    this._sinceRefresh = 0;
+
+    this.refresh(audioData);
+  }
+
+  /**
+   * Refresh hook - set the sphere's colors and size from the audio data
+   * @protected
+   * @param {Object} audioData - Audio data (see BaseVisualizer.update())
+   */
+  refresh(audioData) {
+    // Override in subclass
+  }
+
+  /**
+   * Set the gradient colors
+   * @protected
+   * @param {string|number} color1 - Color at the center of each face
+   * @param {string|number} color2 - Color at the corners
+   */
+  setGradient(color1, color2) {
+    const { uniforms } = this._sphere.material;
+    uniforms.color1.value.set(color1);
+    uniforms.color2.value.set(color2);
+  }
+
+  /**
+   * Set the sphere's radius
+   * @protected
+   * @param {number} radius - Radius in world units
+   */
+  setRadius(radius) {
+    this._sphere.scale.setScalar(Math.max(radius, 1e-6));
+  }
+
+  /**
+   * Displace the sphere's vertices along their normals
+   * @protected
+   * @param {Function|null} offset - (x, y, z) on the unit sphere -> radius multiplier, or null for a smooth sphere
+   */
+  deform(offset) {
+    const positionAttribute = this._sphere.geometry.getAttribute('position');
+    const positions = positionAttribute.array;
+    const original = this._originalPositions;
+
+    for (let i = 0; i < positions.length; i += 3) {
+      const scale = offset ? offset(original[i], original[i + 1], original[i + 2]) : 1;
+      const safeScale = Number.isFinite(scale) ? scale : 1;
+      positions[i] = original[i] * safeScale;
+      positions[i + 1] = original[i + 1] * safeScale;
+      positions[i + 2] = original[i + 2] * safeScale;
+    }
+
+    positionAttribute.needsUpdate = true;
+    this._sphere.geometry.computeVertexNormals();
+  }
+
+  /**
+   * Cleanup (the sphere is disposed with the scene)
+   * @override
+   */
+  onDestroy() {
+    this._sphere = null;
+    this._originalPositions = null;
+  }
+}
+
+/**
+ * HSL to hex color, as in the original modes (h 0-360, s and l 0-100)
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {string} '#rrggbb'
+ */
+export function hslToHex(h, s, l) {
+  s /= 100;
+  l /= 100;
+
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = l - c / 2;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+
+  if (0 <= h && h < 60) {
+    r = c; g = x;
+  } else if (60 <= h && h < 120) {
+    r = x; g = c;
+  } else if (120 <= h && h < 180) {
+    g = c; b = x;
+  } else if (180 <= h && h < 240) {
+    g = x; b = c;
+  } else if (240 <= h && h < 300) {
+    r = x; b = c;
+  } else if (300 <= h && h < 360) {
+    r = c; b = x;
+  }
+
+  return '#' + [r, g, b].map((channel) => Math.round((channel + m) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Timbre color of the original modes: warmth as hue, richness as saturation and
+ * sharpness as lightness
+ * @param {Object} audioData - Audio data (warmth, richness, sharpness)
+ * @returns {string} '#rrggbb'
+ */
+export function timbreColor(audioData) {
+  return hslToHex(
+    Math.min(audioData.warmth || 0, 360),
+    Math.min((audioData.richness || 0) * 100, 100),
+    Math.min((audioData.sharpness || 0) * 100, 100),
+  );
+}
+
+/**
+ * Rainbow pitch color of the original modes (getColorByPitch())
+ * Natural notes C-B get a hue each, lighter in higher octaves; white while
+ * energy is below 0.01, and a random color for other notes or no pitch.
+ * @param {string|null} pitch - Note name
+ * @param {number|null} octave - Octave
+ * @param {number} energy - Energy
+ * @returns {string} '#rrggbb'
+ */
+export function colorByPitch(pitch, octave, energy) {
+  if (!(energy >= 0.01)) return '#ffffff';
+
+  const pitchIndex = NOTE_NAMES.indexOf(pitch);
+  if (pitchIndex < 0) return randomColor();
+
+  // Lighter with each octave (60% at octave 2)
+  const lightness = 60 * (3 + (octave ?? 0)) / 5;
+
+  // The hue is passed in degrees where three.js expects turns; this wraps into the published colors
+  const color = new THREE.Color().setHSL(pitchIndex * 360 / RAINBOW_COLORS.length, 1, lightness / 100);
+  return '#' + color.getHexString();
+}
+
+/**
+ * @private
+ */
+function randomColor() {
+  return '#' + Math.floor(Math.random() * 0x1000000).toString(16).padStart(6, '0');
+}
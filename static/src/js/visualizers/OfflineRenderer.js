@@ -0,0 +1,179 @@
+import { visualizerRegistry } from './VisualizerRegistry.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { ReplayAudioSource } from '../sources/ReplayAudioSource.js';
+import { FeatureTimeline } from '../analysis/FeatureTimeline.js';
+
+// Built-in presets that draw data a timeline may not have ('waveform' it never has)
+const PRESET_DATA = {
+  Bars: 'spectrum',
+  Spectrogram: 'spectrum',
+  Terrain: 'spectrum',
+  Scope: 'waveform',
+};
+
+/**
+ * OfflineRenderer - Render a visualizer frame by frame from a feature timeline
+ *
+ * Plays the timeline back through a ReplayAudioSource on its manual clock and steps
+ * a preset with a fixed deltaTime (1 / frameRate), encoding every frame as an image.
+ * Frame i shows the music at start + i / frameRate, however long rendering takes, so
+ * the frames line up exactly with the audio when muxed into a video, e.g.
+ * `ffmpeg -framerate 30 -i frame-%05d.png -i track.wav -pix_fmt yuv420p video.mp4`.
+ *
+ * The replay only has what the timeline recorded: spectrum presets (Bars, Spectrogram,
+ * Terrain) need a timeline made with frequencyBins, and no timeline keeps the waveform
+ * the Scope draws. Those combinations are rejected rather than rendered blank.
+ *
+ * @example
+ * const timeline = await new OfflineAnalyzer({ frequencyBins: 128 }).analyzeFile(file);
+ * const renderer = new OfflineRenderer(timeline, { preset: 'Terrain', width: 1920, height: 1080 });
+ * await renderer.render({
+ *   onFrame: async ({ index, blob }) => zip.file(`frame-${String(index).padStart(5, '0')}.png`, blob),
+ *   onProgress: (p) => console.log(p),
+ * });
+ */
+export class OfflineRenderer {
+  /**
+   * @param {FeatureTimeline|Object|string} timeline - OfflineAnalyzer/FeatureRecorder output or its JSON
+   * @param {Object} options - Configuration options
+   * @param {string} [options.preset='Sphere'] - Registered preset name
+   * @param {Object} [options.visualizerOptions={}] - Options for the preset's visualizer
+   * @param {number} [options.width=1280] - Frame width in pixels
+   * @param {number} [options.height=720] - Frame height in pixels
+   * @param {number} [options.frameRate=30] - Frames per second of music
+   * @param {number} [options.start=0] - First frame's position in the timeline (seconds)
+   * @param {number} [options.end] - Position to stop at (default: end of the timeline)
+   * @param {number} [options.preroll=0] - Seconds stepped before start without output, so the visuals settle
+   * @param {string|number} [options.tier='ultra'] - Quality tier (see QUALITY_TIERS)
+   * @param {Array<string|number>} [options.palette] - Colors (see BaseVisualizer.setPalette())
+   * @param {string|null} [options.background=null] - Color behind the visuals (null = transparent)
+   * @param {string} [options.mimeType='image/png'] - Image format
+   * @param {Object} [options.replayOptions] - Options passed to ReplayAudioSource (bandOptions, noteOptions)
+   */
+  constructor(timeline, options = {}) {
+    this.preset = visualizerRegistry.get(options.preset ?? 'Sphere');
+    if (!this.preset) {
+      throw new Error(`Unknown preset: ${options.preset}`);
+    }
+
+    this.frameRate = options.frameRate ?? 30;
+    if (!(this.frameRate > 0)) {
+      throw new Error('frameRate must be positive');
+    }
+
+    this.timeline = timeline instanceof FeatureTimeline ? timeline : FeatureTimeline.fromJSON(timeline);
+    const duration = this.timeline.startTime + this.timeline.duration;
+
+    const needs = PRESET_DATA[this.preset.name];
+    if (needs === 'waveform') {
+      throw new Error(`Preset ${this.preset.name} draws the waveform, which timelines don't keep`);
+    }
+    if (needs === 'spectrum' && !this.timeline.frequencyData) {
+      throw new Error(`Preset ${this.preset.name} needs a timeline with frequencyData `
+        + '(use frequencyBins with OfflineAnalyzer or FeatureRecorder)');
+    }
+
+    this.start = Math.max(0, options.start ?? 0);
+    this.end = Math.min(options.end ?? duration, duration);
+    if (!(this.end > this.start)) {
+      throw new Error('end must be after start (and within the timeline)');
+    }
+
+    this._replayOptions = options.replayOptions || {};
+    this._visualizerOptions = options.visualizerOptions || {};
+    this._width = options.width ?? 1280;
+    this._height = options.height ?? 720;
+    this._preroll = Math.min(options.preroll ?? 0, this.start);
+    this._tier = options.tier ?? 'ultra';
+    this._palette = options.palette ?? null;
+    this._background = options.background ?? null;
+    this._mimeType = options.mimeType ?? 'image/png';
+  }
+
+  /**
+   * Number of frames render() produces
+   * @returns {number}
+   */
+  get frameCount() {
+    return Math.ceil((this.end - this.start) * this.frameRate - 1e-9);
+  }
+
+  /**
+   * Render every frame
+   * @param {Object} [options]
+   * @param {Function} [options.onFrame] - Called with { index, time, blob } per frame; a returned
+   *   promise is awaited before the next frame (e.g. while writing the file)
+   * @param {Function} [options.onProgress] - Called with progress (0-1)
+   * @param {AbortSignal} [options.signal] - Abort the rendering (rejects with signal.reason, like fetch())
+   * @returns {Promise<number>} Number of frames rendered
+   */
+  async render({ onFrame, onProgress, signal } = {}) {
+    const deltaTime = 1 / this.frameRate;
+    const prerollFrames = Math.round(this._preroll * this.frameRate);
+    const frameCount = this.frameCount;
+
+    const replay = new ReplayAudioSource(this.timeline, { ...this._replayOptions, clock: 'manual' });
+    const visualizer = this._createVisualizer();
+    visualizer.connectAudioSource(replay);
+
+    try {
+      replay.seek(this.start - prerollFrames * deltaTime);
+      for (let step = 0; step < prerollFrames + frameCount; step++) {
+        if (signal?.aborted) {
+          throw signal.reason ?? new DOMException('Rendering aborted', 'AbortError');
+        }
+
+        // Same first frame as the live loop: no time has passed yet
+        if (step > 0) replay.advance(deltaTime);
+        visualizer.step(replay.getAudioData(), step > 0 ? deltaTime : 0);
+
+        const index = step - prerollFrames;
+        if (index < 0) continue;
+
+        // Encoded from the frame just drawn, before the canvas is cleared
+        const blob = await canvasToBlob(visualizer.renderer.domElement, this._mimeType);
+        await onFrame?.({ index, time: this.start + index * deltaTime, blob });
+        onProgress?.((index + 1) / frameCount);
+      }
+    } finally {
+      visualizer.destroy();
+      replay.destroy();
+    }
+
+    return frameCount;
+  }
+
+  /**
+   * Create the preset's visualizer on a detached canvas at the output size
+   * @private
+   */
+  _createVisualizer() {
+    const visualizer = new this.preset.VisualizerClass(document.createElement('div'), {
+      ...this._visualizerOptions,
+      width: this._width,
+      height: this._height,
+      pixelRatio: 1,
+      quality: new QualityGovernor({ adaptive: false, tier: this._tier }),
+    });
+
+    if (this._palette) visualizer.setPalette(this._palette);
+    if (this._background !== null) visualizer.renderer.setClearColor(this._background, 1);
+    return visualizer;
+  }
+}
+
+/**
+ * Encode a canvas (toBlob() copies the pixels right away and encodes in the background)
+ * @private
+ */
+function canvasToBlob(canvas, mimeType) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Could not encode frame as ${mimeType}`));
+      }
+    }, mimeType);
+  });
+}
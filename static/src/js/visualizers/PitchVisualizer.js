@@ -0,0 +1,30 @@
+import { LegacyVisualizer, colorByPitch, timbreColor } from './LegacyVisualizer.js';
+
+/**
+ * PitchVisualizer - The original Pitch mode
+ *
+ * A fixed-size sphere whose gradient runs from the timbre color (warmth as hue,
+ * richness as saturation, sharpness as lightness) to the rainbow color of the
+ * detected note.
+ */
+export class PitchVisualizer extends LegacyVisualizer {
+  /**
+   * @override
+   * @protected
+   */
+  refresh(audioData) {
+    this.setRadius(0.7);
+    this.setGradient(
+      timbreColor(audioData),
+      colorByPitch(audioData.pitch, audioData.octave, audioData.energy),
+    );
+  }
+
+  get name() {
+    return 'Pitch';
+  }
+
+  get description() {
+    return 'Original Pitch mode: sphere colored by the detected note and timbre';
+  }
+}
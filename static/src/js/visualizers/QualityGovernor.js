@@ -0,0 +1,254 @@
+import { EventEmitter } from '../events.js';
+
+/**
+ * Quality tiers, lowest first
+ * - pixelRatio: highest renderer pixel ratio (never above the device's or options.pixelRatio)
+ * - detail: geometry detail multiplier (segments, grid size)
+ * - particles: particle count multiplier
+ * - effects: multi-pass effects such as the Scope's trails and glow
+ * - antialias: MSAA, only read when a visualizer's renderer is created
+ */
+export const QUALITY_TIERS = [
+  { name: 'low', pixelRatio: 0.75, detail: 0.25, particles: 0.25, effects: false, antialias: false },
+  { name: 'medium', pixelRatio: 1, detail: 0.5, particles: 0.5, effects: false, antialias: false },
+  { name: 'high', pixelRatio: 1.5, detail: 0.75, particles: 1, effects: true, antialias: true },
+  { name: 'ultra', pixelRatio: 2, detail: 1, particles: 1, effects: true, antialias: true },
+];
+
+// Frame intervals above this are stalls (hidden tab, debugger), not load
+const MAX_INTERVAL = 0.25;
+
+// Averaging time constant for frame and work times (s)
+const SMOOTHING_TIME = 0.5;
+
+// Seconds of samples ignored after a tier change while the new settings settle
+const SETTLE_TIME = 1;
+
+// Longest wait before stepping up again after bouncing between tiers (s)
+const MAX_UPGRADE_TIME = 60;
+
+/**
+ * QualityGovernor - Holds a target frame rate by stepping quality tiers down and up
+ *
+ * BaseVisualizer reports every frame's interval (time since the previous frame)
+ * and work time (update + render on the main thread). The governor steps down one
+ * tier when the average interval stays over budget for downgradeTime seconds, and
+ * up one tier after upgradeTime seconds on budget with the work using less than
+ * `headroom` of it. Each step down right after a step up doubles the wait before
+ * the next step up (up to a minute), so it settles instead of bouncing.
+ *
+ * Work time only covers the CPU side of rendering; a GPU-bound scene shows up as
+ * long intervals with little work, and is stepped down all the same.
+ *
+ * One governor can be shared by several visualizers (the Visualizer facade shares
+ * its governor across presets), so the tier survives preset switches.
+ *
+ * Events:
+ * - 'tierchange' - { tier, name, previous, reason, settings, stats } where reason is
+ *   'down', 'up' or 'manual'
+ * - 'stats' - getStats() once a second while frames are reported
+ */
+export class QualityGovernor extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.targetFps=60] - Frame rate to hold
+   * @param {boolean} [options.adaptive=true] - Step tiers automatically (false = stats only)
+   * @param {string|number} [options.tier='ultra'] - Starting tier (name or index)
+   * @param {string|number} [options.minTier='low'] - Lowest tier to step down to
+   * @param {string|number} [options.maxTier='ultra'] - Highest tier to step up to
+   * @param {number} [options.downgradeTime=1] - Seconds over budget before stepping down
+   * @param {number} [options.upgradeTime=5] - Seconds with headroom before stepping up
+   * @param {number} [options.headroom=0.5] - Share of the frame budget the work may use to step up
+   */
+  constructor(options = {}) {
+    super();
+
+    this.adaptive = options.adaptive ?? true;
+    this.downgradeTime = options.downgradeTime ?? 1;
+    this.upgradeTime = options.upgradeTime ?? 5;
+    this.headroom = options.headroom ?? 0.5;
+    this.setTargetFps(options.targetFps ?? 60);
+
+    this._minTier = this._tierIndex(options.minTier ?? 0);
+    this._maxTier = this._tierIndex(options.maxTier ?? QUALITY_TIERS.length - 1);
+    if (this._minTier > this._maxTier) {
+      throw new Error('minTier must not be above maxTier');
+    }
+    this._tier = this._clampTier(this._tierIndex(options.tier ?? this._maxTier));
+
+    this._stats = {
+      fps: 0,
+      frameTime: 0,      // Average frame interval (ms)
+      workTime: 0,       // Average update + render time (ms)
+      targetFps: this.targetFps,
+      tier: this._tier,
+      tierName: QUALITY_TIERS[this._tier].name,
+      adaptive: this.adaptive,
+    };
+    this._lastStep = null;   // 'up' or 'down'
+    this._upgradeDelay = this.upgradeTime;
+    this.resetTiming();
+  }
+
+  /**
+   * Current tier index (0 = lowest)
+   * @returns {number}
+   */
+  get tier() {
+    return this._tier;
+  }
+
+  /**
+   * Current tier name
+   * @returns {string}
+   */
+  get tierName() {
+    return QUALITY_TIERS[this._tier].name;
+  }
+
+  /**
+   * Current tier settings (see QUALITY_TIERS)
+   * @returns {Object}
+   */
+  get settings() {
+    return QUALITY_TIERS[this._tier];
+  }
+
+  /**
+   * Change the target frame rate
+   * @param {number} fps - Frames per second
+   */
+  setTargetFps(fps) {
+    if (!(fps > 0)) {
+      throw new Error('targetFps must be positive');
+    }
+    this.targetFps = fps;
+    if (this._stats) this._stats.targetFps = fps;
+  }
+
+  /**
+   * Switch to a tier now (adaptive stepping continues from there unless disabled)
+   * @param {string|number} tier - Tier name or index
+   */
+  setTier(tier) {
+    this._setTier(this._clampTier(this._tierIndex(tier)), 'manual');
+  }
+
+  /**
+   * Forget frame timings, e.g. after the animation was paused
+   */
+  resetTiming() {
+    this._frameTime = 0;       // Smoothed interval (s)
+    this._workTime = 0;        // Smoothed work time (s)
+    this._overTime = 0;        // Seconds over budget
+    this._underTime = 0;       // Seconds with headroom
+    this._settle = SETTLE_TIME;
+    this._windowTime = 0;
+    this._windowFrames = 0;
+  }
+
+  /**
+   * Report a frame
+   * @param {number} interval - Seconds since the previous frame
+   * @param {number} workTime - Seconds spent updating and rendering it
+   */
+  frame(interval, workTime) {
+    if (!(interval > 0) || interval > MAX_INTERVAL) {
+      this.resetTiming();
+      return;
+    }
+
+    const smoothing = 1 - Math.exp(-interval / SMOOTHING_TIME);
+    this._frameTime = this._frameTime === 0 ? interval : this._frameTime + (interval - this._frameTime) * smoothing;
+    this._workTime += (workTime - this._workTime) * smoothing;
+
+    // Once a second: frame rate and stats event
+    this._windowTime += interval;
+    this._windowFrames++;
+    if (this._windowTime >= 1) {
+      const stats = this._stats;
+      stats.fps = this._windowFrames / this._windowTime;
+      stats.frameTime = this._frameTime * 1000;
+      stats.workTime = this._workTime * 1000;
+      stats.adaptive = this.adaptive;
+      this._windowTime = 0;
+      this._windowFrames = 0;
+      this.emit('stats', stats);
+    }
+
+    if (this._settle > 0) {
+      this._settle -= interval;
+      return;
+    }
+    if (!this.adaptive) return;
+
+    const budget = 1 / this.targetFps;
+    this._overTime = this._frameTime > budget * 1.2 ? this._overTime + interval : 0;
+    this._underTime = this._frameTime <= budget * 1.05 && this._workTime < budget * this.headroom
+      ? this._underTime + interval
+      : 0;
+
+    if (this._overTime >= this.downgradeTime && this._tier > this._minTier) {
+      if (this._lastStep === 'up') {
+        // Bounced back down: wait longer before trying again
+        this._upgradeDelay = Math.min(this._upgradeDelay * 2, MAX_UPGRADE_TIME);
+      }
+      this._setTier(this._tier - 1, 'down');
+    } else if (this._underTime >= this._upgradeDelay && this._tier < this._maxTier) {
+      this._setTier(this._tier + 1, 'up');
+    }
+  }
+
+  /**
+   * Current stats (reused object - copy it to keep values)
+   * @returns {Object} { fps, frameTime, workTime, targetFps, tier, tierName, adaptive }
+   */
+  getStats() {
+    return this._stats;
+  }
+
+  /**
+   * @private
+   */
+  _setTier(tier, reason) {
+    const previous = this._tier;
+    if (tier === previous) return;
+
+    this._tier = tier;
+    if (reason !== 'manual') this._lastStep = reason;
+    this._stats.tier = tier;
+    this._stats.tierName = QUALITY_TIERS[tier].name;
+
+    // New settings take a moment to show in the timings
+    this._overTime = 0;
+    this._underTime = 0;
+    this._settle = SETTLE_TIME;
+
+    this.emit('tierchange', {
+      tier,
+      name: QUALITY_TIERS[tier].name,
+      previous,
+      reason,
+      settings: QUALITY_TIERS[tier],
+      stats: this._stats,
+    });
+  }
+
+  /**
+   * @private
+   */
+  _tierIndex(tier) {
+    const index = typeof tier === 'number' ? tier : QUALITY_TIERS.findIndex((entry) => entry.name === tier);
+    if (!Number.isInteger(index) || index < 0 || index >= QUALITY_TIERS.length) {
+      throw new Error(`Unknown quality tier: ${tier}. Expected one of: ${QUALITY_TIERS.map((entry) => entry.name).join(', ')}`);
+    }
+    return index;
+  }
+
+  /**
+   * @private
+   */
+  _clampTier(index) {
+    return Math.max(this._minTier, Math.min(index, this._maxTier));
+  }
+}
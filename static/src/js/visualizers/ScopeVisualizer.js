@@ -0,0 +1,435 @@
+import * as THREE from 'three';
+import { BaseVisualizer } from './BaseVisualizer.js';
+import { PaletteCycler } from './palettes.js';
+
+const MODES = ['wave', 'xy'];
+
+// Scene dimensions (world units, camera at z = 5 with a 45° field of view)
+const WAVE_HEIGHT = 1.4;       // Peak amplitude of a full-scale wave
+const XY_RADIUS = 1.6;         // Half the side of the X/Y square at full scale
+const GLOW_OFFSET = 0.012;     // Halo line offset
+const GLOW_OFFSETS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Trigger arms below the zero line by this many byte steps (noise hysteresis)
+const TRIGGER_HYSTERESIS = 2;
+
+// Stereo analysers deliver 2048 samples per channel
+const XY_POINTS = 2048;
+
+/**
+ * ScopeVisualizer - Oscilloscope for timeDomainData
+ *
+ * Features:
+ * - 'wave' mode: a triggered waveform, locked to a rising zero crossing so
+ *   periodic sounds stand still (free-running when no crossing is found)
+ * - 'xy' mode: Lissajous figure with the left channel on x and the right on y,
+ *   for "scope music" (needs an AudioSource created with { stereo: true }; mono
+ *   data draws a diagonal)
+ * - Phosphor trails: each frame is drawn over the previous one faded with the
+ *   trail time, in a pair of ping-pong render targets
+ * - Glowing trace in colors from the shared palettes (setPalette() works as for
+ *   the sphere)
+ * - Trails and glow are left out on quality tiers without effects
+ */
+export class ScopeVisualizer extends BaseVisualizer {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options (see BaseVisualizer)
+   * @param {string} [options.mode='wave'] - 'wave' or 'xy'
+   * @param {number} [options.window=1024] - Samples shown in wave mode (64-8192)
+   * @param {number} [options.gain=1] - Amplitude scale
+   * @param {number} [options.trails=0.15] - Time constant of the phosphor fade (s, 0 = no trails)
+   * @param {boolean} [options.glow=true] - Draw a halo around the trace
+   */
+  constructor(container, options = {}) {
+    super(container, options);
+  }
+
+  /**
+   * Initialize all properties before setup() is called
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    const options = this.options;
+    const mode = options.mode ?? 'wave';
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown mode: ${mode}. Expected one of: ${MODES.join(', ')}`);
+    }
+    const windowSize = options.window ?? 1024;
+    if (!(Number.isInteger(windowSize) && windowSize >= 64 && windowSize <= 8192)) {
+      throw new Error('window must be an integer from 64 to 8192');
+    }
+
+    this._mode = mode;
+    this._window = windowSize;
+    this._gain = options.gain ?? 1;
+    this._trails = Math.max(options.trails ?? 0.15, 0);
+    this._glow = options.glow ?? true;
+    this._effects = this.quality.settings.effects;   // Trails and glow (off on lower quality tiers)
+    this._decay = 0;
+
+    this._palette = new PaletteCycler();
+    this._span = 0;   // Width of the wave (world units)
+
+    this._trace = null;
+    this._halos = [];
+
+    // Phosphor feedback (only with trails)
+    this._targets = null;
+    this._size = new THREE.Vector2();
+    this._quadScene = null;
+    this._quadCamera = null;
+    this._quad = null;
+
+    this._tempColor = new THREE.Color();
+    this._white = new THREE.Color(0xffffff);
+  }
+
+  /**
+   * Setup - trace lines and the feedback quad
+   * @override
+   */
+  setup() {
+    const capacity = this._mode === 'wave' ? this._window : XY_POINTS;
+    const geometry = new THREE.BufferGeometry();
+    const positions = new THREE.BufferAttribute(new Float32Array(capacity * 3), 3);
+    positions.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', positions);
+    geometry.setDrawRange(0, 0);
+
+    // Halos share the trace's geometry, shifted a little in each direction
+    if (this._glow) {
+      GLOW_OFFSETS.forEach(([x, y]) => {
+        const halo = new THREE.Line(geometry, createLineMaterial(0.35));
+        halo.position.set(x * GLOW_OFFSET, y * GLOW_OFFSET, 0);
+        halo.visible = this._effects;
+        this._halos.push(halo);
+        this.scene.add(halo);
+      });
+    }
+
+    this._trace = new THREE.Line(geometry, createLineMaterial(1));
+    this.scene.add(this._trace);
+
+    if (this._trails > 0) {
+      this._initFeedback();
+    }
+
+    this._layout();
+    this._updateColors();
+  }
+
+  /**
+   * Ping-pong targets and the quad that fades / copies them
+   * @private
+   */
+  _initFeedback() {
+    this._targets = [new THREE.WebGLRenderTarget(1, 1), new THREE.WebGLRenderTarget(1, 1)];
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        tPrevious: { value: null },
+        decay: { value: 1 },
+        fadeFloor: { value: 0 },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D tPrevious;
+        uniform float decay;
+        uniform float fadeFloor;
+        varying vec2 vUv;
+
+        void main() {
+          // The floor lets 8-bit trails reach black instead of stalling at a dim level
+          vec3 color = max(texture2D(tPrevious, vUv).rgb * decay - fadeFloor, 0.0);
+          // Premultiplied: dark phosphor stays transparent
+          gl_FragColor = vec4(color, max(color.r, max(color.g, color.b)));
+        }
+      `,
+      blending: THREE.NoBlending,
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    this._quadScene = new THREE.Scene();
+    this._quadScene.add(this._quad);
+    this._quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  /**
+   * Update - trace, colors and trail fade
+   * @override
+   */
+  update(audioData, deltaTime) {
+    if (!this._trace) return;
+
+    const dt = Math.max(deltaTime, 0);
+    if (this._mode === 'wave') {
+      this._updateWave(audioData.timeDomainData);
+    } else {
+      this._updateXY(audioData);
+    }
+
+    this._palette.update(audioData, dt);
+    this._updateColors();
+
+    this._decay = this._trails > 0 ? Math.exp(-dt / this._trails) : 0;
+  }
+
+  /**
+   * Triggered waveform
+   * @private
+   */
+  _updateWave(data) {
+    const attribute = this._trace.geometry.getAttribute('position');
+    const positions = attribute.array;
+
+    if (!data || data.length < 2) {
+      // Flat line while there's no signal
+      positions.fill(0, 0, 6);
+      positions[0] = -this._span / 2;
+      positions[3] = this._span / 2;
+      this._setPointCount(2);
+      return;
+    }
+
+    const count = Math.min(this._window, data.length);
+    const start = findTrigger(data, data.length - count);
+    const step = count > 1 ? this._span / (count - 1) : 0;
+    const scale = (WAVE_HEIGHT * this._gain) / 128;
+
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = -this._span / 2 + i * step;
+      positions[i * 3 + 1] = (data[start + i] - 128) * scale;
+      positions[i * 3 + 2] = 0;
+    }
+    this._setPointCount(count);
+  }
+
+  /**
+   * Lissajous figure: left on x, right on y
+   * @private
+   */
+  _updateXY(audioData) {
+    const left = audioData.timeDomainLeft || audioData.timeDomainData;
+    const right = audioData.timeDomainRight || audioData.timeDomainData;
+    const attribute = this._trace.geometry.getAttribute('position');
+    const positions = attribute.array;
+
+    if (!left || !right) {
+      positions.fill(0, 0, 3);
+      this._setPointCount(1);
+      return;
+    }
+
+    // Most recent samples when the buffers are longer than the trace
+    const count = Math.min(left.length, right.length, XY_POINTS);
+    const leftStart = left.length - count;
+    const rightStart = right.length - count;
+    const scale = (XY_RADIUS * this._gain) / 128;
+
+    for (let i = 0; i < count; i++) {
+      positions[i * 3] = (left[leftStart + i] - 128) * scale;
+      positions[i * 3 + 1] = (right[rightStart + i] - 128) * scale;
+      positions[i * 3 + 2] = 0;
+    }
+    this._setPointCount(count);
+  }
+
+  /**
+   * @private
+   */
+  _setPointCount(count) {
+    const geometry = this._trace.geometry;
+    geometry.setDrawRange(0, count);
+    geometry.getAttribute('position').needsUpdate = true;
+  }
+
+  /**
+   * Core and halo colors from the displayed palette
+   * @private
+   */
+  _updateColors() {
+    this._palette.colorAt(0.7, this._tempColor).lerp(this._white, 0.35);
+    this._trace.material.color.copy(this._tempColor);
+
+    this._palette.colorAt(0.3, this._tempColor);
+    this._halos.forEach((halo) => halo.material.color.copy(this._tempColor));
+  }
+
+  /**
+   * Fit the wave to the viewport
+   * @private
+   */
+  _layout() {
+    const visibleHeight = 2 * this.camera.position.z * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+    this._span = visibleHeight * (this.width / this.height) * 0.9;
+  }
+
+  /**
+   * Render to the canvas
+   * @override
+   */
+  render() {
+    this._renderFrame(this.renderer, null);
+  }
+
+  /**
+   * Render into a target (transitions), with the same trails
+   * @override
+   */
+  renderToTarget(renderer, target) {
+    this._renderFrame(renderer, target);
+  }
+
+  /**
+   * Draw the trace over the faded previous frame, then show the result
+   * @private
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.WebGLRenderTarget|null} output - null for the canvas
+   */
+  _renderFrame(renderer, output) {
+    if (!this._targets || !this._effects) {
+      renderer.setRenderTarget(output);
+      renderer.render(this.scene, this.camera);
+      renderer.setRenderTarget(null);
+      return;
+    }
+
+    renderer.getDrawingBufferSize(this._size);
+    this._targets.forEach((target) => {
+      if (target.width !== this._size.x || target.height !== this._size.y) {
+        target.setSize(this._size.x, this._size.y);
+      }
+    });
+
+    const [previous, current] = this._targets;
+    const uniforms = this._quad.material.uniforms;
+
+    // Fade the previous frame into the current target
+    uniforms.tPrevious.value = previous.texture;
+    uniforms.decay.value = this._decay;
+    uniforms.fadeFloor.value = 1 / 255;
+    renderer.setRenderTarget(current);
+    renderer.render(this._quadScene, this._quadCamera);
+
+    // Add this frame's trace on top
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = false;
+    renderer.render(this.scene, this.camera);
+    renderer.autoClear = autoClear;
+
+    // Copy to the output unchanged
+    uniforms.tPrevious.value = current.texture;
+    uniforms.decay.value = 1;
+    uniforms.fadeFloor.value = 0;
+    renderer.setRenderTarget(output);
+    renderer.render(this._quadScene, this._quadCamera);
+    renderer.setRenderTarget(null);
+
+    this._targets.reverse();
+  }
+
+  /**
+   * Step through windows of a custom palette instead of the shared palettes
+   * @override
+   */
+  onPaletteChange(palette) {
+    this._palette.setPalette(palette);
+    if (this._trace) this._updateColors();
+  }
+
+  /**
+   * Trails and glow only on tiers with effects
+   * @override
+   */
+  onQualityChange(settings) {
+    if (settings.effects === this._effects) return;
+
+    this._effects = settings.effects;
+    this._halos.forEach((halo) => { halo.visible = settings.effects; });
+
+    // Don't bring back the trails from before they were switched off
+    if (settings.effects && this._targets) {
+      this._targets.forEach((target) => {
+        this.renderer.setRenderTarget(target);
+        this.renderer.clear();
+      });
+      this.renderer.setRenderTarget(null);
+    }
+  }
+
+  /**
+   * Handle resize
+   * @override
+   */
+  onResize(width, height) {
+    this._layout();
+  }
+
+  /**
+   * Cleanup (the trace goes with the scene)
+   * @override
+   */
+  onDestroy() {
+    this._targets?.forEach((target) => target.dispose());
+    if (this._quad) {
+      this._quad.geometry.dispose();
+      this._quad.material.dispose();
+    }
+    this._targets = null;
+    this._quad = null;
+    this._quadScene = null;
+    this._trace = null;
+    this._halos = [];
+  }
+
+  get name() {
+    return 'Scope';
+  }
+
+  get description() {
+    return 'Oscilloscope: triggered waveform or stereo X/Y Lissajous with phosphor trails';
+  }
+}
+
+/**
+ * Additive, untoned line material
+ * @private
+ */
+function createLineMaterial(opacity) {
+  return new THREE.LineBasicMaterial({
+    transparent: true,
+    opacity,
+    blending: THREE.AdditiveBlending,
+    depthTest: false,
+    depthWrite: false,
+    toneMapped: false,
+  });
+}
+
+/**
+ * First rising zero crossing at or before maxStart, armed by a dip below the
+ * zero line (0 when there is none, i.e. free-running)
+ * @private
+ */
+function findTrigger(data, maxStart) {
+  let armed = false;
+  for (let i = 0; i <= maxStart; i++) {
+    if (data[i] < 128 - TRIGGER_HYSTERESIS) {
+      armed = true;
+    } else if (armed && data[i] >= 128) {
+      return i;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,457 @@
+import * as THREE from 'three';
+import { BaseVisualizer } from './BaseVisualizer.js';
+
+const VIEWS = ['2d', '3d'];
+const SCALES = ['log', 'linear'];
+
+/**
+ * Colormap control points, evenly spaced from silence to full scale
+ * ('palette' maps black through the visualizer's colors.gradient)
+ */
+export const COLORMAPS = {
+  magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+  inferno: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98c0a', '#f9c932', '#fcffa4'],
+  viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  grayscale: ['#000000', '#ffffff'],
+  palette: null,
+};
+
+// Scene dimensions (world units, camera at z = 5 with a 45° field of view)
+const TERRAIN_WIDTH = 4;       // Frequency axis of the 3D view
+const TERRAIN_DEPTH = 3;       // Time axis of the 3D view
+const TRACE_LIFT = 0.02;       // Pitch trace above the surface
+
+/**
+ * SpectrogramVisualizer - Scrolling spectrogram / waterfall
+ *
+ * Features:
+ * - Each frame's frequencyData is written as one row of a ring-buffer texture,
+ *   so the history scrolls on the GPU without moving any data
+ * - '2d' view: time left to right (newest at the right), frequency bottom to top
+ * - '3d' view: the same history as a terrain, newest row at the front
+ * - Log or linear frequency axis between minFrequency and maxFrequency
+ * - Colormaps: 'magma', 'inferno', 'viridis', 'grayscale', or 'palette' (the
+ *   visualizer's colors, so setPalette() recolors it)
+ * - Pitch trace: the detected pitchFrequency drawn over the history, to follow
+ *   pitch contours against their harmonics
+ *
+ * Rows are written on a time basis (duration / history seconds each), so the
+ * scroll speed doesn't depend on the frame rate.
+ */
+export class SpectrogramVisualizer extends BaseVisualizer {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options (see BaseVisualizer)
+   * @param {string} [options.view='2d'] - '2d' (waterfall) or '3d' (terrain)
+   * @param {string} [options.scale='log'] - 'log' or 'linear' frequency axis
+   * @param {number} [options.minFrequency=40] - Lowest frequency shown (Hz)
+   * @param {number} [options.maxFrequency=10000] - Highest frequency shown (Hz)
+   * @param {number} [options.resolution=512] - Frequency columns (16-2048)
+   * @param {number} [options.history=256] - Rows of history (16-1024)
+   * @param {number} [options.duration=8] - Seconds of history shown
+   * @param {string} [options.colormap='magma'] - One of COLORMAPS
+   * @param {boolean} [options.pitchTrace=true] - Draw the detected pitch over the history
+   * @param {number} [options.terrainHeight=0.8] - Terrain height at full scale (3D view; not options.height, the canvas height)
+   * @param {number} [options.sampleRate] - Sample rate of the analysed audio (default: the source's, or 44100)
+   */
+  constructor(container, options = {}) {
+    super(container, options);
+  }
+
+  /**
+   * Initialize all properties before setup() is called
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    const options = this.options;
+    const view = options.view ?? '2d';
+    if (!VIEWS.includes(view)) {
+      throw new Error(`Unknown view: ${view}. Expected one of: ${VIEWS.join(', ')}`);
+    }
+    const scale = options.scale ?? 'log';
+    if (!SCALES.includes(scale)) {
+      throw new Error(`Unknown scale: ${scale}. Expected one of: ${SCALES.join(', ')}`);
+    }
+    const minFrequency = options.minFrequency ?? 40;
+    const maxFrequency = options.maxFrequency ?? 10000;
+    if (!(minFrequency > 0 && maxFrequency > minFrequency)) {
+      throw new Error('minFrequency must be positive and below maxFrequency');
+    }
+    const resolution = options.resolution ?? 512;
+    if (!(Number.isInteger(resolution) && resolution >= 16 && resolution <= 2048)) {
+      throw new Error('resolution must be an integer from 16 to 2048');
+    }
+    const history = options.history ?? 256;
+    if (!(Number.isInteger(history) && history >= 16 && history <= 1024)) {
+      throw new Error('history must be an integer from 16 to 1024');
+    }
+    const duration = options.duration ?? 8;
+    if (!(duration > 0)) {
+      throw new Error('duration must be positive');
+    }
+
+    this._view = view;
+    this._scale = scale;
+    this._minFrequency = minFrequency;
+    this._maxFrequency = maxFrequency;
+    this._resolution = resolution;
+    this._history = history;
+    this._rowInterval = duration / history;
+    this._colormap = null;
+    this._showPitch = options.pitchTrace ?? true;
+    this._terrainHeight = options.terrainHeight ?? 0.8;
+
+    // Ring buffer: row this._head is the newest
+    this._rows = new Uint8Array(resolution * history);
+    this._pitches = new Float32Array(history);    // Pitch (Hz) of each row, 0 when none
+    this._head = history - 1;
+    this._sinceRow = 0;
+    this._binMap = null;
+
+    this._spectrumTexture = null;
+    this._colormapTexture = null;
+    this._surface = null;
+    this._trace = null;
+    this._width2d = 1;
+    this._height2d = 1;
+
+    this._setColormapName(options.colormap ?? 'magma');
+  }
+
+  /**
+   * Setup - history texture, surface and pitch trace
+   * @override
+   */
+  setup() {
+    this._spectrumTexture = new THREE.DataTexture(this._rows, this._resolution, this._history, THREE.RedFormat);
+    this._spectrumTexture.unpackAlignment = 1;
+    this._spectrumTexture.wrapT = THREE.RepeatWrapping;   // Rows interpolate across the ring's seam
+    this._spectrumTexture.magFilter = THREE.LinearFilter;
+    this._spectrumTexture.minFilter = THREE.LinearFilter;
+    this._spectrumTexture.needsUpdate = true;
+
+    this._colormapTexture = new THREE.DataTexture(new Uint8Array(256 * 4), 256, 1);
+    this._colormapTexture.magFilter = THREE.LinearFilter;
+    this._colormapTexture.minFilter = THREE.LinearFilter;
+    this._updateColormapTexture();
+
+    const terrain = this._view === '3d';
+    const geometry = terrain
+      ? new THREE.PlaneGeometry(
+        TERRAIN_WIDTH,
+        TERRAIN_DEPTH,
+        Math.min(this._resolution, 256) - 1,
+        Math.min(this._history, 128) - 1,
+      )
+      : new THREE.PlaneGeometry(1, 1);
+
+    const material = new THREE.ShaderMaterial({
+      defines: terrain ? { TERRAIN: '' } : {},
+      uniforms: {
+        spectrum: { value: this._spectrumTexture },
+        colormap: { value: this._colormapTexture },
+        head: { value: this._head },
+        rows: { value: this._history },
+        height: { value: this._terrainHeight },
+      },
+      vertexShader: `
+        uniform sampler2D spectrum;
+        uniform float head;
+        uniform float rows;
+        uniform float height;
+        varying vec2 vCoord;
+
+        void main() {
+          // vCoord.x = time (0 = oldest, 1 = newest), vCoord.y = frequency
+          #ifdef TERRAIN
+            vCoord = vec2(1.0 - uv.y, uv.x);
+            float row = mod(head + 1.0 + vCoord.x * (rows - 1.0), rows);
+            vec3 displaced = position;
+            displaced.z += texture2D(spectrum, vec2(vCoord.y, (row + 0.5) / rows)).r * height;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+          #else
+            vCoord = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          #endif
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D spectrum;
+        uniform sampler2D colormap;
+        uniform float head;
+        uniform float rows;
+        varying vec2 vCoord;
+
+        void main() {
+          float row = mod(head + 1.0 + vCoord.x * (rows - 1.0), rows);
+          float level = texture2D(spectrum, vec2(vCoord.y, (row + 0.5) / rows)).r;
+          gl_FragColor = vec4(texture2D(colormap, vec2(level, 0.5)).rgb, 1.0);
+        }
+      `,
+      side: THREE.DoubleSide,
+      toneMapped: false,
+    });
+
+    this._surface = new THREE.Mesh(geometry, material);
+    if (terrain) {
+      // Lie flat, frequency along x, newest row toward the camera
+      this._surface.rotation.x = -Math.PI / 2;
+      this.camera.position.set(0, 2.6, 3.8);
+      this.camera.lookAt(0, 0.2, 0);
+    }
+    this.scene.add(this._surface);
+
+    if (this._showPitch) {
+      const traceGeometry = new THREE.BufferGeometry();
+      traceGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this._history * 3), 3));
+      // RGBA, so rows without a pitch fade out
+      traceGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this._history * 4), 4));
+      this._trace = new THREE.Line(traceGeometry, new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        depthTest: terrain,
+        toneMapped: false,
+      }));
+      this._trace.renderOrder = 1;
+      this.scene.add(this._trace);
+    }
+
+    this._layout();
+  }
+
+  /**
+   * Update - write new rows when due
+   * @override
+   */
+  update(audioData, deltaTime) {
+    if (!this._surface) return;
+
+    this._sinceRow += Math.max(deltaTime, 0);
+    if (this._sinceRow < this._rowInterval) return;
+
+    // Catch up after slow frames, at most one full history
+    const newRows = Math.min(Math.floor(this._sinceRow / this._rowInterval), this._history);
+    this._sinceRow -= Math.floor(this._sinceRow / this._rowInterval) * this._rowInterval;
+
+    for (let i = 0; i < newRows; i++) {
+      this._writeRow(audioData);
+    }
+
+    this._spectrumTexture.needsUpdate = true;
+    this._surface.material.uniforms.head.value = this._head;
+    if (this._trace) this._updateTrace();
+  }
+
+  /**
+   * Switch the colormap
+   * @param {string} name - One of COLORMAPS
+   */
+  setColormap(name) {
+    this._setColormapName(name);
+    if (this._colormapTexture) this._updateColormapTexture();
+  }
+
+  /**
+   * Write the frame's spectrum and pitch as the newest row
+   * @private
+   */
+  _writeRow(audioData) {
+    const frequencyData = audioData.frequencyData;
+    this._head = (this._head + 1) % this._history;
+    const offset = this._head * this._resolution;
+
+    if (!frequencyData) {
+      this._rows.fill(0, offset, offset + this._resolution);
+    } else {
+      const map = this._getBinMap(frequencyData.length);
+      for (let column = 0; column < this._resolution; column++) {
+        const from = map.from[column];
+        const to = map.to[column];
+        let value;
+        if (to - from < 1) {
+          // Narrower than a bin - interpolate
+          const bin = Math.min(Math.floor(from), frequencyData.length - 2);
+          const t = from - bin;
+          value = frequencyData[bin] + (frequencyData[bin + 1] - frequencyData[bin]) * t;
+        } else {
+          // Loudest bin in the column
+          value = 0;
+          const last = Math.min(Math.ceil(to) - 1, frequencyData.length - 1);
+          for (let bin = Math.floor(from); bin <= last; bin++) {
+            if (frequencyData[bin] > value) value = frequencyData[bin];
+          }
+        }
+        this._rows[offset + column] = value;
+      }
+    }
+
+    const pitch = audioData.pitchFrequency || 0;
+    this._pitches[this._head] = pitch >= this._minFrequency && pitch <= this._maxFrequency ? pitch : 0;
+  }
+
+  /**
+   * Fractional FFT bin range of each column (cached)
+   * @private
+   */
+  _getBinMap(binCount) {
+    const sampleRate = this.getSampleRate();
+    if (this._binMap && this._binMap.binCount === binCount && this._binMap.sampleRate === sampleRate) {
+      return this._binMap;
+    }
+
+    const binWidth = sampleRate / 2 / binCount;
+    const from = new Float32Array(this._resolution);
+    const to = new Float32Array(this._resolution);
+    for (let column = 0; column < this._resolution; column++) {
+      from[column] = Math.min(this._frequencyAt(column / this._resolution) / binWidth, binCount - 1);
+      to[column] = Math.min(this._frequencyAt((column + 1) / this._resolution) / binWidth, binCount - 1);
+    }
+
+    this._binMap = { binCount, sampleRate, from, to };
+    return this._binMap;
+  }
+
+  /**
+   * Frequency at a position along the frequency axis (0-1)
+   * @private
+   */
+  _frequencyAt(position) {
+    if (this._scale === 'log') {
+      return this._minFrequency * Math.pow(this._maxFrequency / this._minFrequency, position);
+    }
+    return this._minFrequency + (this._maxFrequency - this._minFrequency) * position;
+  }
+
+  /**
+   * Position of a frequency along the frequency axis (0-1)
+   * @private
+   */
+  _positionOf(frequency) {
+    if (this._scale === 'log') {
+      return Math.log(frequency / this._minFrequency) / Math.log(this._maxFrequency / this._minFrequency);
+    }
+    return (frequency - this._minFrequency) / (this._maxFrequency - this._minFrequency);
+  }
+
+  /**
+   * Redraw the pitch trace from the pitch ring, oldest row first
+   * @private
+   */
+  _updateTrace() {
+    const positions = this._trace.geometry.getAttribute('position');
+    const colors = this._trace.geometry.getAttribute('color');
+    const history = this._history;
+    const terrain = this._view === '3d';
+
+    for (let age = 0; age < history; age++) {
+      const row = (this._head + 1 + age) % history;
+      const pitch = this._pitches[row];
+      const time = age / (history - 1);
+      const frequency = pitch > 0 ? this._positionOf(pitch) : 0;
+
+      if (terrain) {
+        const column = Math.min(Math.floor(frequency * this._resolution), this._resolution - 1);
+        const level = this._rows[row * this._resolution + column] / 255;
+        positions.setXYZ(
+          age,
+          (frequency - 0.5) * TERRAIN_WIDTH,
+          level * this._terrainHeight + TRACE_LIFT,
+          (time - 0.5) * TERRAIN_DEPTH,
+        );
+      } else {
+        positions.setXYZ(age, (time - 0.5) * this._width2d, (frequency - 0.5) * this._height2d, 0);
+      }
+      colors.setXYZW(age, 1, 1, 1, pitch > 0 ? 1 : 0);
+    }
+
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+  }
+
+  /**
+   * Fit the 2D view to the viewport
+   * @private
+   */
+  _layout() {
+    if (this._view !== '2d') return;
+
+    const visibleHeight = 2 * this.camera.position.z * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+    this._width2d = visibleHeight * (this.width / this.height) * 0.9;
+    this._height2d = visibleHeight * 0.8;
+    this._surface.scale.set(this._width2d, this._height2d, 1);
+    if (this._trace) this._updateTrace();
+  }
+
+  /**
+   * @private
+   */
+  _setColormapName(name) {
+    if (!Object.prototype.hasOwnProperty.call(COLORMAPS, name)) {
+      throw new Error(`Unknown colormap: ${name}. Expected one of: ${Object.keys(COLORMAPS).join(', ')}`);
+    }
+    this._colormap = name;
+  }
+
+  /**
+   * Fill the 256-entry colormap lookup texture
+   * @private
+   */
+  _updateColormapTexture() {
+    const stops = (COLORMAPS[this._colormap] ?? [0x000000, ...this.colors.gradient])
+      .map((color) => new THREE.Color(color));
+    const data = this._colormapTexture.image.data;
+    const color = new THREE.Color();
+
+    for (let i = 0; i < 256; i++) {
+      const position = (i / 255) * (stops.length - 1);
+      const index = Math.min(Math.floor(position), stops.length - 2);
+      color.copy(stops[index]).lerp(stops[index + 1], position - index);
+      data[i * 4] = Math.round(color.r * 255);
+      data[i * 4 + 1] = Math.round(color.g * 255);
+      data[i * 4 + 2] = Math.round(color.b * 255);
+      data[i * 4 + 3] = 255;
+    }
+    this._colormapTexture.needsUpdate = true;
+  }
+
+  /**
+   * Follow the palette when the 'palette' colormap is selected
+   * @override
+   */
+  onPaletteChange(palette) {
+    if (this._colormap === 'palette' && this._colormapTexture) {
+      this._updateColormapTexture();
+    }
+  }
+
+  /**
+   * Handle resize
+   * @override
+   */
+  onResize(width, height) {
+    this._layout();
+  }
+
+  /**
+   * Cleanup (the surface and trace go with the scene)
+   * @override
+   */
+  onDestroy() {
+    this._spectrumTexture?.dispose();
+    this._colormapTexture?.dispose();
+    this._spectrumTexture = null;
+    this._colormapTexture = null;
+    this._surface = null;
+    this._trace = null;
+    this._binMap = null;
+  }
+
+  get name() {
+    return 'Spectrogram';
+  }
+
+  get description() {
+    return 'Scrolling spectrogram or 3D terrain with a pitch trace';
+  }
+}
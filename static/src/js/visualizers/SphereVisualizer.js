@@ -1,16 +1,109 @@
 import * as THREE from 'three';
-import { Noise } from 'noisejs';
 import { BaseVisualizer } from './BaseVisualizer.js';
+import { GRADIENT_PALETTES, paletteWindows } from './palettes.js';
+
+const SPHERE_RADIUS = 0.3;
+
+// Noise drift per second along each axis (as the original performance.now() offsets)
+const NOISE_DRIFT = [0.5, 0.3, 0.4];
+
+/**
+ * 3D simplex noise with its analytic gradient (Gustavson and McEwan's webgl-noise,
+ * MIT license), so deformed normals need no neighbouring vertices
+ */
+const NOISE_GLSL = `
+  vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+  vec4 permute(vec4 x) { return mod289(((x * 34.0) + 10.0) * x); }
+  vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+
+  float snoise(vec3 v, out vec3 gradient) {
+    const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+    // First corner
+    vec3 i = floor(v + dot(v, C.yyy));
+    vec3 x0 = v - i + dot(i, C.xxx);
+
+    // Other corners
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    vec3 i1 = min(g.xyz, l.zxy);
+    vec3 i2 = max(g.xyz, l.zxy);
+
+    vec3 x1 = x0 - i1 + C.xxx;
+    vec3 x2 = x0 - i2 + C.yyy;
+    vec3 x3 = x0 - D.yyy;
+
+    // Permutations
+    i = mod289(i);
+    vec4 p = permute(permute(permute(
+        i.z + vec4(0.0, i1.z, i2.z, 1.0))
+      + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+      + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+    // Gradients: 7x7 points over a square, mapped onto an octahedron
+    float n_ = 0.142857142857;
+    vec3 ns = n_ * D.wyz - D.xzx;
+
+    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+    vec4 x_ = floor(j * ns.z);
+    vec4 y_ = floor(j - 7.0 * x_);
+
+    vec4 x = x_ * ns.x + ns.yyyy;
+    vec4 y = y_ * ns.x + ns.yyyy;
+    vec4 h = 1.0 - abs(x) - abs(y);
+
+    vec4 b0 = vec4(x.xy, y.xy);
+    vec4 b1 = vec4(x.zw, y.zw);
+    vec4 s0 = floor(b0) * 2.0 + 1.0;
+    vec4 s1 = floor(b1) * 2.0 + 1.0;
+    vec4 sh = -step(h, vec4(0.0));
+
+    vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+    vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+
+    vec3 p0 = vec3(a0.xy, h.x);
+    vec3 p1 = vec3(a0.zw, h.y);
+    vec3 p2 = vec3(a1.xy, h.z);
+    vec3 p3 = vec3(a1.zw, h.w);
+
+    // Normalise gradients
+    vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+
+    // Mix contributions and their derivatives
+    vec4 m = max(0.5 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+    vec4 m2 = m * m;
+    vec4 m4 = m2 * m2;
+    vec4 pdotx = vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3));
+
+    vec4 temp = m2 * m * pdotx;
+    gradient = -8.0 * (temp.x * x0 + temp.y * x1 + temp.z * x2 + temp.w * x3);
+    gradient += m4.x * p0 + m4.y * p1 + m4.z * p2 + m4.w * p3;
+    gradient *= 105.0;
+
+    return 105.0 * dot(m4, pdotx);
+  }
+`;
 
 /**
  * SphereVisualizer - Pulsing sphere with reflective gradient
  *
  * Features:
- * - Reflective gradient colors that shift on energy transients
- * - Perlin noise vertex deformation for timbre
+ * - Reflective gradient colors that shift on beats (energy transients when no tempo is locked)
+ * - Noise vertex deformation for timbre, computed in the vertex shader
  * - Hyperspace particle tunnel rushing toward camera
  */
 export class SphereVisualizer extends BaseVisualizer {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options (see BaseVisualizer)
+   * @param {number} [options.segments=128] - Sphere segments around and top to bottom at full quality (8-512)
+   */
   constructor(container, options = {}) {
     super(container, options);
     // All property initialization moved to _initProperties()
@@ -22,8 +115,16 @@ export class SphereVisualizer extends BaseVisualizer {
    * @protected
    */
   _initProperties() {
-    // Perlin noise generator
-    this._noise = new Noise(Math.random());
+    const segments = this.options.segments ?? 128;
+    if (!(Number.isInteger(segments) && segments >= 8 && segments <= 512)) {
+      throw new Error('segments must be an integer from 8 to 512');
+    }
+    this._segments = segments;
+    this._detail = this.quality.settings.detail;
+
+    // Noise field: a random region per instance, drifting over time
+    this._noiseSeed = new THREE.Vector3(Math.random(), Math.random(), Math.random()).multiplyScalar(100);
+    this._noiseTime = 0;
 
     // Current size (used for noise threshold)
     this._size = 0;
@@ -32,19 +133,20 @@ export class SphereVisualizer extends BaseVisualizer {
     this._smoothedEnergy = 0;
     this._smoothedRoughness = 0;
 
-    // Energy normalization
-    this._maxEnergySeen = 0.1;
-
-    // Transient detection for gradient palette shifts
+    // Transient detection for gradient palette shifts (fallback when no tempo is locked)
     this._prevEnergy = 0;
     this._transientThreshold = 0.12; // Energy jump needed to trigger palette shift
     this._currentPaletteIndex = 0;
 
+    // Beat tracking - last beat seen from AudioSource
+    this._lastBeatCount = 0;
+
     // Gradient material reference
     this._gradientMaterial = null;
 
-    // Particle system settings (hyperspace tunnel)
+    // Particle system settings (hyperspace tunnel) - lower quality tiers draw fewer
     this._particleCount = 200;
+    this._activeParticles = this._getActiveParticles(this.quality.settings);
     this._particles = null;
     this._particlePositions = null;
     this._particleVelocities = null;
@@ -69,41 +171,8 @@ export class SphereVisualizer extends BaseVisualizer {
       ['#B76E79', '#E0BFB8', '#C9A9A6', '#D4A5A5'],
     ];
 
-    // Multiple gradient palettes - vibrant colors (no black/gray)
-    this._palettes = [
-      // Purple royalty
-      ['#552586', '#6A359C', '#804FB3', '#B589D6'],
-      // Blue to purple
-      ['#2A1AD8', '#4E26E2', '#7231EC', '#B948FF'],
-      // Violet blue
-      ['#3A41C6', '#4634A7', '#4C2C96', '#6A359C'],
-      // Electric purple
-      ['#aa00ff', '#9600ff', '#6f00ff', '#5512fb'],
-      // Ocean violet
-      ['#3D3BBB', '#5B21B6', '#7C3AED', '#A78BFA'],
-      // Pink magenta
-      ['#BE185D', '#DB2777', '#EC4899', '#F472B6'],
-      // Rose pink
-      ['#9F1239', '#BE123C', '#E11D48', '#FB7185'],
-      // Teal cyan
-      ['#0F766E', '#14B8A6', '#2DD4BF', '#5EEAD4'],
-      // Indigo blend
-      ['#3730A3', '#4F46E5', '#6366F1', '#818CF8'],
-      // Fuchsia pop
-      ['#A21CAF', '#C026D3', '#D946EF', '#E879F9'],
-      // Warm purple
-      ['#6B21A8', '#7C3AED', '#8B5CF6', '#A78BFA'],
-      // Blue electric
-      ['#1D4ED8', '#2563EB', '#3B82F6', '#60A5FA'],
-      // Violet pink
-      ['#7C3AED', '#8B5CF6', '#A855F7', '#D946EF'],
-      // Coral sunset
-      ['#DC2626', '#EF4444', '#F87171', '#FCA5A5'],
-      // Emerald
-      ['#047857', '#059669', '#10B981', '#34D399'],
-      // Soft lavender
-      ['#7C3AED', '#8B5CF6', '#A78BFA', '#C4B5FD'],
-    ];
+    // Gradient palettes, cycled on beats
+    this._palettes = GRADIENT_PALETTES;
   }
 
   /**
@@ -159,12 +228,8 @@ export class SphereVisualizer extends BaseVisualizer {
    */
   _createSphere() {
     // Create geometry with small base radius - scale controls final size
-    const geometry = new THREE.SphereGeometry(0.3, 128, 128);
-
-    // Store original positions for noise deformation
-    const positions = geometry.attributes.position.array;
-    this._originalPositions = new Float32Array(positions.length);
-    this._originalPositions.set(positions);
+    // (the vertex shader deforms it, so the buffers never change)
+    const geometry = this._createSphereGeometry();
 
     // Create the gradient material
     this._gradientMaterial = this._createGradientMaterial();
@@ -174,6 +239,23 @@ export class SphereVisualizer extends BaseVisualizer {
     this._group.add(this._sphere);
   }
 
+  /**
+   * Sphere geometry at the current quality's detail
+   * @private
+   */
+  _createSphereGeometry() {
+    const segments = Math.max(8, Math.round(this._segments * this._detail));
+    return new THREE.SphereGeometry(SPHERE_RADIUS, segments, segments);
+  }
+
+  /**
+   * Particles drawn at a quality tier
+   * @private
+   */
+  _getActiveParticles(settings) {
+    return Math.max(1, Math.round(this._particleCount * settings.particles));
+  }
+
   /**
    * Create hyperspace particle system - stars rushing toward camera
    * @private
@@ -239,6 +321,8 @@ export class SphereVisualizer extends BaseVisualizer {
       blending: THREE.AdditiveBlending,
     });
 
+    geometry.setDrawRange(0, this._activeParticles);
+
     this._particles = new THREE.Points(geometry, material);
     this._particles.position.set(0, 0, 0);
 
@@ -265,7 +349,7 @@ export class SphereVisualizer extends BaseVisualizer {
 
     const positions = this._particlePositions;
     const velocities = this._particleVelocities;
-    const count = this._particleCount;
+    const count = this._activeParticles;
 
     // Decay boost speed (frame-rate independent)
     const boostDecay = Math.pow(0.92, deltaTime * 60);
@@ -340,16 +424,39 @@ export class SphereVisualizer extends BaseVisualizer {
         color1: { value: new THREE.Color(palette[1]) },
         color2: { value: new THREE.Color(palette[2]) },
         color3: { value: new THREE.Color(palette[3]) },
+        noiseOffset: { value: new THREE.Vector3() },
+        noiseScale: { value: 3 },
+        noiseIntensity: { value: 0 },
       },
       vertexShader: `
+        uniform vec3 noiseOffset;
+        uniform float noiseScale;
+        uniform float noiseIntensity;
+
         varying vec2 vUv;
         varying vec3 vNormal;
         varying vec3 vViewPosition;
 
+        ${NOISE_GLSL}
+
         void main() {
           vUv = uv;
-          vNormal = normalize(normalMatrix * normal);
-          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+
+          // Push each vertex along its radius: r * (1 + intensity * noise)
+          float radius = length(position);
+          vec3 direction = position / radius;
+          vec3 noiseGradient;
+          float noiseValue = snoise(position * noiseScale + noiseOffset, noiseGradient);
+          float height = max(1.0 + noiseIntensity * noiseValue, 0.05);
+          vec3 displaced = position * height;
+
+          // Analytic normal: the radius minus the tangential slope of the height
+          vec3 slope = noiseIntensity * noiseScale * noiseGradient;
+          slope -= dot(slope, direction) * direction;
+          vec3 objectNormal = normalize(direction - (radius / height) * slope);
+
+          vNormal = normalize(normalMatrix * objectNormal);
+          vec4 mvPosition = modelViewMatrix * vec4(displaced, 1.0);
           vViewPosition = -mvPosition.xyz;
           gl_Position = projectionMatrix * mvPosition;
         }
@@ -412,6 +519,16 @@ export class SphereVisualizer extends BaseVisualizer {
     });
   }
 
+  /**
+   * Cycle through 4-color windows of a custom palette instead of the built-in palettes
+   * @override
+   */
+  onPaletteChange(palette) {
+    this._palettes = palette ? paletteWindows(palette) : GRADIENT_PALETTES;
+    this._currentPaletteIndex = 0;
+    this._updateColors();
+  }
+
   /**
    * Update sphere colors based on current palette
    * @private
@@ -439,25 +556,37 @@ export class SphereVisualizer extends BaseVisualizer {
     const dt = Math.max(deltaTime, 0.001);
     const smoothFactor = 1 - Math.pow(0.85, dt * 60);
 
-    // Normalize energy
-    const rawEnergy = audioData.energy || 0;
-    this._maxEnergySeen = Math.max(this._maxEnergySeen * 0.995, rawEnergy);
-    const normalizedRaw = rawEnergy / Math.max(this._maxEnergySeen, 0.001);
-    const normalizedEnergy = Math.sqrt(normalizedRaw);
+    // Loudness level, already normalized by the source's auto-gain
+    const normalizedEnergy = audioData.level || 0;
     this._smoothedEnergy = this.lerp(this._smoothedEnergy, normalizedEnergy, smoothFactor);
 
     // Timbre for noise deformation (rough/immediate response)
     this._smoothedRoughness = this.lerp(this._smoothedRoughness, audioData.roughness || 0, 0.6);
 
-    // === TRANSIENT DETECTION FOR PALETTE SHIFTS ===
+    // === BEAT / TRANSIENT DETECTION FOR PALETTE SHIFTS ===
     const energyDelta = normalizedEnergy - this._prevEnergy;
     this._prevEnergy = normalizedEnergy;
 
-    // Detect sudden energy increase (transient/hit) - switch to next palette
-    if (energyDelta > this._transientThreshold) {
+    const beatCount = audioData.beatCount || 0;
+    const isNewBeat = beatCount !== this._lastBeatCount;
+    this._lastBeatCount = beatCount;
+
+    if (audioData.bpm > 0) {
+      // Tempo locked - follow the musical grid (beatCount catches beats between frames)
+      if (isNewBeat) {
+        this._currentPaletteIndex = (this._currentPaletteIndex + 1) % this._palettes.length;
+        this._scatterParticles();
+
+        // Cycle particle colors once per bar
+        if (audioData.beatInBar === 0) {
+          this._cycleParticlePalette();
+        }
+      }
+    } else if (energyDelta > this._transientThreshold) {
+      // No tempo - detect sudden energy increase (transient/hit) - switch to next palette
       this._currentPaletteIndex = (this._currentPaletteIndex + 1) % this._palettes.length;
 
-      // Scatter particles and cycle their color palette on beats
+      // Scatter particles and cycle their color palette on hits
       this._scatterParticles();
       this._cycleParticlePalette();
     }
@@ -473,8 +602,8 @@ export class SphereVisualizer extends BaseVisualizer {
     // Update colors
     this._updateColors();
 
-    // Apply perlin noise deformation for timbre
-    this._applyNoiseDeformation();
+    // Noise deformation for timbre
+    this._updateNoiseUniforms(dt);
 
     // Rotation
     this._sphere.rotation.y += dt * (0.3 + this._smoothedEnergy * 0.5);
@@ -484,68 +613,42 @@ export class SphereVisualizer extends BaseVisualizer {
   }
 
   /**
-   * Apply perlin noise deformation - matches original update() with more drama
+   * Drive the vertex shader's noise deformation - matches original update() with more drama
    * @private
    */
-  _applyNoiseDeformation() {
-    if (!this._sphere?.geometry || !this._originalPositions) return;
-
-    const positionAttribute = this._sphere.geometry.getAttribute('position');
-    if (!positionAttribute) return;
+  _updateNoiseUniforms(dt) {
+    const uniforms = this._gradientMaterial?.uniforms;
+    if (!uniforms) return;
 
-    const positions = positionAttribute.array;
-    const original = this._originalPositions;
-    const time = performance.now() * 0.001;
+    this._noiseTime += dt;
+    uniforms.noiseOffset.value.set(
+      this._noiseSeed.x + this._noiseTime * NOISE_DRIFT[0],
+      this._noiseSeed.y + this._noiseTime * NOISE_DRIFT[1],
+      this._noiseSeed.z + this._noiseTime * NOISE_DRIFT[2],
+    );
 
     // Original: scalingFactor = 1 + roughness * 3
     const scalingFactor = 1 + this._smoothedRoughness * 3;
+    uniforms.noiseScale.value = scalingFactor * 3;
 
-    // Apply noise when there's enough energy - more sensitive than original
-    const shouldDeform = this._smoothedEnergy > 0.05;
-
-    // Noise intensity based on roughness (timbre) - MORE dramatic
-    const noiseIntensity = 0.4 + this._smoothedRoughness * 0.6; // 0.4 to 1.0
-
-    for (let i = 0; i < positions.length; i += 3) {
-      const ox = original[i];
-      const oy = original[i + 1];
-      const oz = original[i + 2];
-
-      if (shouldDeform) {
-        // Animated noise with time component
-        const noiseValue = this._noise.perlin3(
-          ox * scalingFactor * 3 + time * 0.5,
-          oy * scalingFactor * 3 + time * 0.3,
-          oz * scalingFactor * 3 + time * 0.4
-        );
-
-        if (!isNaN(noiseValue) && isFinite(noiseValue)) {
-          // Normalize then scale - exact original approach
-          const len = Math.sqrt(ox * ox + oy * oy + oz * oz) || 1;
-          const nx = ox / len;
-          const ny = oy / len;
-          const nz = oz / len;
-
-          // More dramatic deformation based on roughness
-          const scale = len * (1 + noiseIntensity * noiseValue);
-
-          positions[i] = nx * scale;
-          positions[i + 1] = ny * scale;
-          positions[i + 2] = nz * scale;
-        } else {
-          positions[i] = ox;
-          positions[i + 1] = oy;
-          positions[i + 2] = oz;
-        }
-      } else {
-        positions[i] = ox;
-        positions[i + 1] = oy;
-        positions[i + 2] = oz;
-      }
+    // Deform when there's enough energy - more sensitive than original;
+    // intensity based on roughness (timbre) - MORE dramatic, 0.4 to 1.0
+    uniforms.noiseIntensity.value = this._smoothedEnergy > 0.05 ? 0.4 + this._smoothedRoughness * 0.6 : 0;
+  }
+
+  /**
+   * Rebuild the sphere at the tier's detail and draw the tier's share of particles
+   * @override
+   */
+  onQualityChange(settings) {
+    if (settings.detail !== this._detail && this._sphere) {
+      this._detail = settings.detail;
+      this._sphere.geometry.dispose();
+      this._sphere.geometry = this._createSphereGeometry();
     }
 
-    positionAttribute.needsUpdate = true;
-    this._sphere.geometry.computeVertexNormals();
+    this._activeParticles = this._getActiveParticles(settings);
+    this._particles?.geometry.setDrawRange(0, this._activeParticles);
   }
 
   /**
@@ -595,15 +698,13 @@ export class SphereVisualizer extends BaseVisualizer {
     this._particlePalettes = null;
     this._hyperspaceBoostSpeed = 0;
 
-    // Clear sphere arrays and helpers
-    this._originalPositions = null;
+    // Clear helpers
     this._tempColor = null;
 
     if (this._group) {
       this.scene.remove(this._group);
       this._group = null;
     }
-    this._noise = null;
     this._palettes = null;
   }
 
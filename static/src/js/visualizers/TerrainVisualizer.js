@@ -0,0 +1,388 @@
+import * as THREE from 'three';
+import { Noise } from 'noisejs';
+import { BaseVisualizer } from './BaseVisualizer.js';
+import { DAY_PARTS, getDayPart } from '../dayParts.js';
+
+const STYLES = ['wireframe', 'solid'];
+
+// Scene dimensions (world units)
+const TERRAIN_WIDTH = 40;
+const TERRAIN_DEPTH = 60;
+const CAMERA_HEIGHT = 3;
+const SKY_RADIUS = 200;
+
+// Noise layers: [spatial frequency, height at full level], from hills to ripples
+const LAYERS = {
+  low: [0.05, 3.5],
+  mid: [0.15, 1.2],
+  high: [0.5, 0.35],
+};
+
+// Bands from BandAnalyzer's defaults feeding each layer
+const LAYER_BANDS = {
+  low: ['sub', 'bass'],
+  mid: ['lowMid', 'mid'],
+  high: ['high', 'air'],
+};
+
+// Flight: metres travelled per beat when tempo-locked, and per second from energy otherwise
+const DISTANCE_PER_BEAT = 2;
+const FREE_SPEED = [1, 8];     // Speed (m/s) at silence and at full energy
+
+const GRADIENT_STEPS = 64;     // Height colors precomputed from colors.gradient
+const DAY_PART_CHECK = 60;     // Seconds between day part checks in 'auto' mode
+
+/**
+ * TerrainVisualizer - Flight over an audio-reactive landscape
+ *
+ * Features:
+ * - Perlin noise heightmap in three layers - rolling hills, ridges and fine
+ *   ripples - raised by the low, mid and high band levels
+ * - Wireframe or solid (flat shaded) terrain, colored by height from the
+ *   visualizer's gradient (setPalette() recolors it)
+ * - The camera flies forward: a fixed distance per beat when a tempo is locked,
+ *   faster with energy otherwise
+ * - Sky and fog from the day-part palette of the dynamic background (dayParts.js),
+ *   following the time of day or fixed with the dayPart option
+ *
+ * The terrain grid stays in place; heights are resampled each frame at the
+ * travelled offset, so the landscape flows toward the camera.
+ */
+export class TerrainVisualizer extends BaseVisualizer {
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options (see BaseVisualizer)
+   * @param {string} [options.style='wireframe'] - 'wireframe' or 'solid'
+   * @param {number} [options.detail=96] - Grid segments along each side at full quality (16-256)
+   * @param {number} [options.speed=1] - Flight speed multiplier
+   * @param {number} [options.terrainHeight=1] - Relief multiplier (not options.height, the canvas height)
+   * @param {string} [options.dayPart='auto'] - 'auto' (time of day), or one of DAY_PARTS: 'morning', 'afternoon', 'evening', 'night'
+   */
+  constructor(container, options = {}) {
+    super(container, options);
+  }
+
+  /**
+   * Initialize all properties before setup() is called
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    const options = this.options;
+    const style = options.style ?? 'wireframe';
+    if (!STYLES.includes(style)) {
+      throw new Error(`Unknown style: ${style}. Expected one of: ${STYLES.join(', ')}`);
+    }
+    const detail = options.detail ?? 96;
+    if (!(Number.isInteger(detail) && detail >= 16 && detail <= 256)) {
+      throw new Error('detail must be an integer from 16 to 256');
+    }
+
+    this._style = style;
+    this._detail = detail;
+    this._qualityDetail = this.quality.settings.detail;
+    this._speedScale = options.speed ?? 1;
+    this._heightScale = options.terrainHeight ?? 1;
+    this._dayPart = null;
+    this._autoDayPart = false;
+    this._sinceDayPartCheck = 0;
+    validateDayPart(options.dayPart ?? 'auto');
+
+    this._noise = new Noise(Math.random());
+    this._levels = { low: 0, mid: 0, high: 0 };
+    this._speed = FREE_SPEED[0];
+    this._travel = 0;
+
+    this._gradientColors = [];
+    this._tempColor = new THREE.Color();
+
+    this._terrain = null;
+    this._sky = null;
+    this._lights = [];
+  }
+
+  /**
+   * Setup - camera, sky, fog and terrain
+   * @override
+   */
+  setup() {
+    const aspect = this.width / this.height;
+    this.camera = new THREE.PerspectiveCamera(60, aspect, 0.1, SKY_RADIUS * 2);
+    this.camera.position.set(0, CAMERA_HEIGHT, TERRAIN_DEPTH / 2 - 4);
+    this.camera.lookAt(0, CAMERA_HEIGHT * 0.6, -TERRAIN_DEPTH / 2);
+
+    // Sky: vertical gradient from the horizon color up (untoned, no fog)
+    this._sky = new THREE.Mesh(
+      new THREE.SphereGeometry(SKY_RADIUS, 32, 16),
+      new THREE.ShaderMaterial({
+        uniforms: {
+          horizonColor: { value: new THREE.Color() },
+          skyColor: { value: new THREE.Color() },
+        },
+        vertexShader: `
+          varying vec3 vDirection;
+          void main() {
+            vDirection = normalize(position);
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          }
+        `,
+        fragmentShader: `
+          uniform vec3 horizonColor;
+          uniform vec3 skyColor;
+          varying vec3 vDirection;
+          void main() {
+            float t = smoothstep(0.0, 0.6, vDirection.y);
+            gl_FragColor = vec4(mix(horizonColor, skyColor, t), 1.0);
+          }
+        `,
+        side: THREE.BackSide,
+        depthWrite: false,
+        toneMapped: false,
+      }),
+    );
+    this._sky.position.copy(this.camera.position);
+    this.scene.add(this._sky);
+
+    // Terrain fades into the horizon
+    this.scene.fog = new THREE.Fog(0x000000, TERRAIN_DEPTH * 0.3, TERRAIN_DEPTH * 0.9);
+
+    const geometry = this._createGeometry();
+
+    let material;
+    if (this._style === 'wireframe') {
+      material = new THREE.MeshBasicMaterial({ vertexColors: true, wireframe: true, fog: true, toneMapped: false });
+    } else {
+      material = new THREE.MeshStandardMaterial({ vertexColors: true, flatShading: true, roughness: 0.85, metalness: 0.1 });
+
+      const ambient = new THREE.AmbientLight(0xffffff, 0.5);
+      const sun = new THREE.DirectionalLight(0xffffff, 1.2);
+      sun.position.set(-10, 12, -20);
+      this._lights = [ambient, sun];
+      this._lights.forEach((light) => this.scene.add(light));
+    }
+
+    this._terrain = new THREE.Mesh(geometry, material);
+    this.scene.add(this._terrain);
+
+    this._buildGradient();
+    this.setDayPart(this.options.dayPart ?? 'auto');
+    this._updateHeights();
+  }
+
+  /**
+   * Flat grid at the current quality's detail, with a color per vertex
+   * @private
+   */
+  _createGeometry() {
+    const segments = Math.max(16, Math.round(this._detail * this._qualityDetail));
+    const geometry = new THREE.PlaneGeometry(TERRAIN_WIDTH, TERRAIN_DEPTH, segments, segments);
+    geometry.rotateX(-Math.PI / 2);
+    const vertexCount = geometry.getAttribute('position').count;
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+    return geometry;
+  }
+
+  /**
+   * Update - band levels, flight and heightmap
+   * @override
+   */
+  update(audioData, deltaTime) {
+    if (!this._terrain) return;
+
+    const dt = Math.max(deltaTime, 0);
+    this._updateLevels(audioData, dt);
+    this._updateFlight(audioData, dt);
+    this._updateHeights();
+
+    if (this._autoDayPart) {
+      this._sinceDayPartCheck += dt;
+      if (this._sinceDayPartCheck >= DAY_PART_CHECK) {
+        this._sinceDayPartCheck = 0;
+        this._applyDayPart(getDayPart());
+      }
+    }
+  }
+
+  /**
+   * Color the sky and fog with a day part
+   * @param {string} dayPart - 'auto' (follow the time of day), 'morning', 'afternoon', 'evening' or 'night'
+   */
+  setDayPart(dayPart) {
+    validateDayPart(dayPart);
+    this._autoDayPart = dayPart === 'auto';
+    this._sinceDayPartCheck = 0;
+    this._applyDayPart(this._autoDayPart ? getDayPart() : dayPart);
+  }
+
+  /**
+   * Current day part
+   * @returns {string}
+   */
+  get dayPart() {
+    return this._dayPart;
+  }
+
+  /**
+   * @private
+   */
+  _applyDayPart(dayPart) {
+    if (dayPart === this._dayPart) return;
+    this._dayPart = dayPart;
+
+    const [horizon, sky] = DAY_PARTS[dayPart].colors;
+    const { uniforms } = this._sky.material;
+    uniforms.horizonColor.value.setStyle(horizon);
+    uniforms.skyColor.value.setStyle(sky);
+    this.scene.fog.color.copy(uniforms.horizonColor.value);
+  }
+
+  /**
+   * Smoothed layer levels from the band levels (energy without bands)
+   * @private
+   */
+  _updateLevels(audioData, dt) {
+    const bands = audioData.bands;
+    const energy = audioData.energy || 0;
+    // Fast rise, slow fall
+    const rise = 1 - Math.exp(-dt / 0.08);
+    const fall = 1 - Math.exp(-dt / 0.6);
+
+    Object.keys(this._levels).forEach((layer) => {
+      let target = 0;
+      if (bands) {
+        LAYER_BANDS[layer].forEach((name) => {
+          if (bands[name] > target) target = bands[name];
+        });
+      } else {
+        target = energy;
+      }
+      const current = this._levels[layer];
+      this._levels[layer] = current + (target - current) * (target > current ? rise : fall);
+    });
+  }
+
+  /**
+   * Move forward at a speed tied to the tempo (energy without one)
+   * @private
+   */
+  _updateFlight(audioData, dt) {
+    const level = audioData.level ?? audioData.energy ?? 0;
+    const target = audioData.bpm > 0
+      ? (audioData.bpm / 60) * DISTANCE_PER_BEAT * (0.5 + level)
+      : FREE_SPEED[0] + (FREE_SPEED[1] - FREE_SPEED[0]) * Math.min(level, 1);
+
+    // Ease into tempo and energy changes
+    this._speed += (target - this._speed) * (1 - Math.exp(-dt / 1.5));
+    this._travel += this._speed * this._speedScale * dt;
+  }
+
+  /**
+   * Resample the heightmap at the travelled offset and color it by height
+   * @private
+   */
+  _updateHeights() {
+    const geometry = this._terrain.geometry;
+    const positions = geometry.getAttribute('position');
+    const colors = geometry.getAttribute('color');
+    const noise = this._noise;
+    const gradient = this._gradientColors;
+    const lastStep = gradient.length - 1;
+
+    // Quiet music still shows gentle hills
+    const amplitudes = {
+      low: LAYERS.low[1] * (0.25 + this._levels.low) * this._heightScale,
+      mid: LAYERS.mid[1] * this._levels.mid * this._heightScale,
+      high: LAYERS.high[1] * this._levels.high * this._heightScale,
+    };
+    const maxHeight = amplitudes.low + amplitudes.mid + amplitudes.high || 1;
+
+    for (let i = 0; i < positions.count; i++) {
+      const x = positions.getX(i);
+      const z = positions.getZ(i) - this._travel;
+
+      const height = amplitudes.low * noise.perlin2(x * LAYERS.low[0], z * LAYERS.low[0])
+        + amplitudes.mid * noise.perlin2(x * LAYERS.mid[0] + 31.7, z * LAYERS.mid[0])
+        + amplitudes.high * noise.perlin2(x * LAYERS.high[0] - 17.3, z * LAYERS.high[0]);
+      positions.setY(i, height);
+
+      const step = Math.round(Math.max(0, Math.min(1, 0.5 + height / (2 * maxHeight))) * lastStep);
+      const color = gradient[step];
+      colors.setXYZ(i, color.r, color.g, color.b);
+    }
+
+    positions.needsUpdate = true;
+    colors.needsUpdate = true;
+    if (this._style === 'solid') {
+      geometry.computeVertexNormals();
+    }
+  }
+
+  /**
+   * Precompute height colors from colors.gradient
+   * @private
+   */
+  _buildGradient() {
+    this._gradientColors = [];
+    for (let i = 0; i < GRADIENT_STEPS; i++) {
+      this._gradientColors.push(this.getGradientColor(i / (GRADIENT_STEPS - 1)));
+    }
+  }
+
+  /**
+   * Recolor the terrain with the new gradient
+   * @override
+   */
+  onPaletteChange(palette) {
+    if (this._terrain) this._buildGradient();
+  }
+
+  /**
+   * Rebuild the grid at the tier's detail
+   * @override
+   */
+  onQualityChange(settings) {
+    if (settings.detail === this._qualityDetail || !this._terrain) return;
+
+    this._qualityDetail = settings.detail;
+    this._terrain.geometry.dispose();
+    this._terrain.geometry = this._createGeometry();
+    this._updateHeights();
+  }
+
+  /**
+   * Handle resize (the camera aspect is updated by resize())
+   * @override
+   */
+  onResize(width, height) {
+    // Nothing depends on the viewport size
+  }
+
+  /**
+   * Cleanup (terrain, sky and lights go with the scene)
+   * @override
+   */
+  onDestroy() {
+    this._terrain = null;
+    this._sky = null;
+    this._lights = [];
+    this._noise = null;
+    this._gradientColors = [];
+  }
+
+  get name() {
+    return 'Terrain';
+  }
+
+  get description() {
+    return 'Flight over a noise landscape raised by the bands, under a time-of-day sky';
+  }
+}
+
+/**
+ * @private
+ */
+function validateDayPart(dayPart) {
+  if (dayPart !== 'auto' && !DAY_PARTS[dayPart]) {
+    throw new Error(`Unknown dayPart: ${dayPart}. Expected 'auto' or one of: ${Object.keys(DAY_PARTS).join(', ')}`);
+  }
+}
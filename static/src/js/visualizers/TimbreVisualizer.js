@@ -0,0 +1,64 @@
+import { Noise } from 'noisejs';
+import { LegacyVisualizer, colorByPitch, timbreColor } from './LegacyVisualizer.js';
+
+/**
+ * TimbreVisualizer - The original Timbre mode
+ *
+ * The Pitch mode's gradient on a sphere that appears once there is any energy and
+ * is roughened by Perlin noise, with finer lumps the noisier (rougher) the sound.
+ */
+export class TimbreVisualizer extends LegacyVisualizer {
+  /**
+   * @override
+   * @protected
+   */
+  _initProperties() {
+    super._initProperties();
+    this._noise = new Noise(Math.random());
+  }
+
+  /**
+   * @override
+   * @protected
+   */
+  refresh(audioData) {
+    const energy = audioData.energy || 0;
+
+    // Exponential below 0.001 energy, roughly linear above
+    const size = energy < 0.001
+      ? 10 * Math.pow(energy, 2)
+      : Math.min(1000 * energy + 100 * Math.pow(energy, 0.5), 2000);
+
+    if (size > 1) {
+      // The original normalized the vertices before displacing them, so the size
+      // only decides whether the sphere is shown
+      const scalingFactor = 1 + (audioData.roughness || 0) * 3;
+      this.setRadius(1);
+      this.deform((x, y, z) => 1 + 0.3 * this._noise.perlin3(x * scalingFactor, y * scalingFactor, z * scalingFactor));
+    } else {
+      this.setRadius(size * 1.5);
+      this.deform(null);
+    }
+
+    this.setGradient(
+      timbreColor(audioData),
+      colorByPitch(audioData.pitch, audioData.octave, energy),
+    );
+  }
+
+  /**
+   * @override
+   */
+  onDestroy() {
+    super.onDestroy();
+    this._noise = null;
+  }
+
+  get name() {
+    return 'Timbre';
+  }
+
+  get description() {
+    return 'Original Timbre mode: noise-roughened sphere colored by timbre and pitch';
+  }
+}
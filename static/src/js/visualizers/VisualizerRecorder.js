@@ -0,0 +1,259 @@
+import { EventEmitter } from '../events.js';
+
+// Container formats tried in order when no mimeType is given
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+];
+
+/**
+ * VisualizerRecorder - Record a visualizer with its audio into a WebM file
+ *
+ * Captures a canvas with captureStream() and encodes it with MediaRecorder, together
+ * with the audio track of the audio source. Without a canvas to capture, the recorder
+ * draws into its own canvas through drawFrame(), so a recording can continue across
+ * visualizers (the Visualizer facade feeds it the shown preset after every frame, so
+ * preset switches and transitions are recorded as seen).
+ *
+ * The audio comes from the source's analyser (AudioSource, each input of a
+ * MixAudioSource), an AudioNode, a MediaStream or a track. Sources without audio
+ * (ReplayAudioSource, MidiSource, RemoteAudioSource) record silent video.
+ *
+ * Events:
+ * - 'data' - Blob of encoded video, every timeslice milliseconds
+ * - 'error' - Error from MediaRecorder (stop() rejects with it too)
+ *
+ * @example
+ * const recorder = new VisualizerRecorder({ canvas, audio: audioSource });
+ * recorder.start();
+ * // ... later
+ * const blob = await recorder.stop();
+ * videoElement.src = URL.createObjectURL(blob);
+ */
+export class VisualizerRecorder extends EventEmitter {
+  /**
+   * Whether this browser can record canvases
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof MediaRecorder !== 'undefined'
+      && typeof HTMLCanvasElement !== 'undefined'
+      && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+
+  /**
+   * First WebM format this browser can record
+   * @returns {string|null}
+   */
+  static getSupportedMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+  }
+
+  /**
+   * @param {Object} options - Configuration options
+   * @param {HTMLCanvasElement} [options.canvas] - Canvas to capture (default: an own canvas fed with drawFrame())
+   * @param {number} [options.width=1280] - Own canvas width in pixels
+   * @param {number} [options.height=720] - Own canvas height in pixels
+   * @param {string|null} [options.background=null] - Own canvas fill behind each frame (null = transparent)
+   * @param {FeatureSource|AudioNode|MediaStream|MediaStreamTrack|null} [options.audio] - Audio to record
+   * @param {number} [options.frameRate=60] - Highest frame rate captured
+   * @param {string} [options.mimeType] - Container and codecs (default: getSupportedMimeType())
+   * @param {number} [options.videoBitsPerSecond=8000000] - Video bitrate
+   * @param {number} [options.audioBitsPerSecond=128000] - Audio bitrate
+   * @param {number} [options.timeslice=1000] - Milliseconds of video per 'data' event
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!VisualizerRecorder.isSupported()) {
+      throw new Error('Recording requires MediaRecorder and HTMLCanvasElement.captureStream()');
+    }
+
+    this.mimeType = options.mimeType ?? VisualizerRecorder.getSupportedMimeType();
+    if (!this.mimeType || !MediaRecorder.isTypeSupported(this.mimeType)) {
+      throw new Error(`Recording format not supported: ${this.mimeType ?? 'video/webm'}`);
+    }
+
+    this._ownsCanvas = !options.canvas;
+    this.canvas = options.canvas || document.createElement('canvas');
+    if (this._ownsCanvas) {
+      this.canvas.width = options.width ?? 1280;
+      this.canvas.height = options.height ?? 720;
+      this._context = this.canvas.getContext('2d');
+    }
+
+    this._background = options.background ?? null;
+    this._audio = options.audio ?? null;
+    this._frameRate = options.frameRate ?? 60;
+    this._videoBitsPerSecond = options.videoBitsPerSecond ?? 8000000;
+    this._audioBitsPerSecond = options.audioBitsPerSecond ?? 128000;
+    this._timeslice = options.timeslice ?? 1000;
+
+    this._recorder = null;
+    this._stream = null;
+    this._chunks = [];
+    this._releaseAudio = null;   // Disconnects the audio tapped for this recording
+    this._error = null;
+    this._startTime = 0;
+  }
+
+  /**
+   * Whether a recording is in progress
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this._recorder !== null;
+  }
+
+  /**
+   * Seconds recorded so far
+   * @returns {number}
+   */
+  get duration() {
+    return this._recorder ? (performance.now() - this._startTime) / 1000 : 0;
+  }
+
+  /**
+   * Start recording (discards any previous recording)
+   */
+  start() {
+    if (this.isRecording) {
+      console.warn('VisualizerRecorder already recording');
+      return;
+    }
+
+    const audio = tapAudio(this._audio);
+    let stream = null;
+    try {
+      stream = new MediaStream([
+        ...this.canvas.captureStream(this._frameRate).getVideoTracks(),
+        ...audio.tracks,
+      ]);
+      this._recorder = new MediaRecorder(stream, {
+        mimeType: this.mimeType,
+        videoBitsPerSecond: this._videoBitsPerSecond,
+        audioBitsPerSecond: this._audioBitsPerSecond,
+      });
+    } catch (err) {
+      // Let go of the tapped audio and captured tracks, or they'd outlive the failed start
+      (stream ? stream.getTracks() : audio.tracks).forEach((track) => track.stop());
+      audio.release?.();
+      throw err;
+    }
+
+    this._stream = stream;
+    this._releaseAudio = audio.release;
+    this._chunks = [];
+    this._error = null;
+    this._recorder.ondataavailable = ({ data }) => {
+      if (data.size === 0) return;
+      this._chunks.push(data);
+      this.emit('data', data);
+    };
+    this._recorder.onerror = (event) => {
+      this._error = event.error || new Error('Recording failed');
+      this.emit('error', this._error);
+    };
+
+    this._startTime = performance.now();
+    this._recorder.start(this._timeslice);
+  }
+
+  /**
+   * Draw a frame into the recorder's own canvas, scaled to fill it
+   * Call it right after the frame is rendered (see BaseVisualizer.onAfterRender).
+   * @param {CanvasImageSource} image - Usually a visualizer's canvas
+   */
+  drawFrame(image) {
+    if (!this._ownsCanvas) {
+      throw new Error('drawFrame() needs a recorder without a canvas option');
+    }
+    if (!this.isRecording) return;
+
+    const { width, height } = this.canvas;
+    if (this._background === null) {
+      this._context.clearRect(0, 0, width, height);
+    } else {
+      this._context.fillStyle = this._background;
+      this._context.fillRect(0, 0, width, height);
+    }
+    this._context.drawImage(image, 0, 0, width, height);
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob>} The recorded video
+   */
+  stop() {
+    const recorder = this._recorder;
+    if (!recorder) {
+      return Promise.reject(new Error('VisualizerRecorder was not started'));
+    }
+    this._recorder = null;
+
+    return new Promise((resolve, reject) => {
+      recorder.onstop = () => {
+        this._stream.getTracks().forEach((track) => track.stop());
+        this._stream = null;
+        this._releaseAudio?.();
+        this._releaseAudio = null;
+
+        const chunks = this._chunks;
+        this._chunks = [];
+        if (this._error) {
+          reject(this._error);
+        } else {
+          resolve(new Blob(chunks, { type: this.mimeType }));
+        }
+      };
+      recorder.stop();
+    });
+  }
+}
+
+/**
+ * Audio tracks to record from an audio option, and how to let go of them
+ * Nodes are connected to a MediaStream destination of their own context; given
+ * streams and tracks are cloned, so stopping the recording leaves them running.
+ * @private
+ */
+function tapAudio(audio) {
+  if (!audio) return { tracks: [], release: null };
+
+  if (typeof audio.getAudioTracks === 'function') {
+    return { tracks: audio.getAudioTracks().map((track) => track.clone()), release: null };
+  }
+  if (audio.kind === 'audio' && typeof audio.clone === 'function') {
+    return { tracks: [audio.clone()], release: null };
+  }
+
+  const nodes = getAudioNodes(audio);
+  if (nodes.length === 0) return { tracks: [], release: null };
+
+  const destination = nodes[0].context.createMediaStreamDestination();
+  nodes.forEach((node) => node.connect(destination));
+  return {
+    tracks: destination.stream.getAudioTracks(),
+    release: () => nodes.forEach((node) => node.disconnect(destination)),
+  };
+}
+
+/**
+ * Nodes carrying a source's audio: an AudioNode itself, a source's analyser,
+ * or the analysers of a MixAudioSource's inputs (those sharing the first one's context)
+ * @private
+ */
+function getAudioNodes(audio) {
+  if (typeof audio.connect === 'function' && audio.context) return [audio];
+  if (audio.analyser) return [audio.analyser];
+
+  if (Array.isArray(audio.sourceNames)) {
+    const analysers = audio.sourceNames
+      .map((name) => audio.getSource(name)?.analyser)
+      .filter(Boolean);
+    return analysers.filter((node) => node.context === analysers[0].context);
+  }
+  return [];
+}
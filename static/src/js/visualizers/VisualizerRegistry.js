@@ -0,0 +1,121 @@
+import { BaseVisualizer } from './BaseVisualizer.js';
+import { SphereVisualizer } from './SphereVisualizer.js';
+import { BarsVisualizer } from './BarsVisualizer.js';
+import { ScopeVisualizer } from './ScopeVisualizer.js';
+import { SpectrogramVisualizer } from './SpectrogramVisualizer.js';
+import { TerrainVisualizer } from './TerrainVisualizer.js';
+import { PitchVisualizer } from './PitchVisualizer.js';
+import { EnergyVisualizer } from './EnergyVisualizer.js';
+import { TimbreVisualizer } from './TimbreVisualizer.js';
+
+/**
+ * VisualizerRegistry - BaseVisualizer subclasses available as presets, by name
+ *
+ * Names are matched case-insensitively. A class registers under its `name` getter
+ * unless a name is given, and is described by its `description` getter; both are
+ * read from the prototype, so they should return constants.
+ *
+ * @example
+ * class Rings extends BaseVisualizer {
+ *   get name() { return 'Rings'; }
+ *   get description() { return 'Expanding rings on beats'; }
+ *   // setup(), update(), ...
+ * }
+ * visualizerRegistry.register(Rings);
+ * visualizer.setPreset('rings');
+ */
+export class VisualizerRegistry {
+  constructor() {
+    this._presets = new Map();   // Lower-case name -> { name, description, VisualizerClass }
+  }
+
+  /**
+   * Add a visualizer class
+   * @param {typeof BaseVisualizer} VisualizerClass - BaseVisualizer subclass
+   * @param {Object} [options]
+   * @param {string} [options.name] - Preset name (default: the class's name getter)
+   * @param {string} [options.description] - Description (default: the class's description getter)
+   */
+  register(VisualizerClass, options = {}) {
+    if (typeof VisualizerClass !== 'function' || !(VisualizerClass.prototype instanceof BaseVisualizer)) {
+      throw new Error('Presets must be BaseVisualizer subclasses');
+    }
+
+    // Classes that don't override the name getter would all be 'BaseVisualizer'
+    const name = options.name ?? readGetter(VisualizerClass, 'name');
+    if (typeof name !== 'string' || name === '' || (options.name === undefined && name === BaseVisualizer.prototype.name)) {
+      throw new Error('Preset name required: override the name getter or pass options.name');
+    }
+
+    const key = name.toLowerCase();
+    if (this._presets.has(key)) {
+      throw new Error(`Preset already registered: ${this._presets.get(key).name}`);
+    }
+
+    this._presets.set(key, {
+      name,
+      description: options.description ?? readGetter(VisualizerClass, 'description') ?? '',
+      VisualizerClass,
+    });
+  }
+
+  /**
+   * Remove a preset
+   * @param {string} name - Preset name
+   * @returns {boolean} Whether the preset was registered
+   */
+  unregister(name) {
+    return this._presets.delete(String(name).toLowerCase());
+  }
+
+  /**
+   * Whether a preset is registered
+   * @param {string} name - Preset name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this._presets.has(String(name).toLowerCase());
+  }
+
+  /**
+   * Look up a preset
+   * @param {string} name - Preset name
+   * @returns {{name: string, description: string, VisualizerClass: typeof BaseVisualizer}|null}
+   */
+  get(name) {
+    return this._presets.get(String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * All registered presets, in registration order
+   * @returns {{name: string, description: string}[]}
+   */
+  list() {
+    return [...this._presets.values()].map(({ name, description }) => ({ name, description }));
+  }
+}
+
+/**
+ * Registry used by Visualizer.setPreset(), with the built-in visualizers
+ */
+export const visualizerRegistry = new VisualizerRegistry();
+visualizerRegistry.register(SphereVisualizer);
+visualizerRegistry.register(BarsVisualizer);
+visualizerRegistry.register(ScopeVisualizer);
+visualizerRegistry.register(SpectrogramVisualizer);
+visualizerRegistry.register(TerrainVisualizer);
+visualizerRegistry.register(PitchVisualizer);
+visualizerRegistry.register(EnergyVisualizer);
+visualizerRegistry.register(TimbreVisualizer);
+
+/**
+ * Read a getter from a class's prototype without creating an instance
+ * @private
+ */
+function readGetter(VisualizerClass, property) {
+  try {
+    return VisualizerClass.prototype[property];
+  } catch (err) {
+    return undefined;
+  }
+}
@@ -0,0 +1,175 @@
+import { visualizerRegistry } from './VisualizerRegistry.js';
+import { VisualizerTransition } from './VisualizerTransition.js';
+
+/**
+ * VisualizerStage - Shows one preset's visualizer at a time and switches between them
+ *
+ * Builds visualizers from the registry, connected to the audio source, and blends
+ * switches with a VisualizerTransition while running. The Visualizer facade keeps one
+ * on the main thread; with offscreen rendering one runs in the worker instead, behind
+ * a WorkerHost with the same interface.
+ */
+export class VisualizerStage {
+  /**
+   * @param {HTMLElement|null} container - DOM element to render into (null with visualizerOptions.renderer)
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.visualizerOptions={}] - Options passed to every visualizer
+   * @param {QualityGovernor} [options.quality] - Governor shared by every visualizer
+   */
+  constructor(container, options = {}) {
+    this.container = container || null;
+    this.visualizerOptions = options.visualizerOptions || {};
+    this.quality = options.quality;
+
+    this._audioSource = null;
+    this._visualizer = null;
+    this._transition = null;   // VisualizerTransition while switching presets
+
+    // Called with the shown visualizer after every frame is drawn (see BaseVisualizer.onAfterRender)
+    this.onAfterRender = null;
+  }
+
+  /**
+   * Audio source for visualizers created from now on
+   * @param {FeatureSource} audioSource - AudioSource or any FeatureSource
+   */
+  connectAudioSource(audioSource) {
+    this._audioSource = audioSource;
+  }
+
+  /**
+   * Replace the visualizer with a new one (stopped)
+   * @param {string} preset - Registered preset name
+   * @param {Object} [options={}] - Options for this preset, on top of visualizerOptions
+   */
+  create(preset, options = {}) {
+    this._finishTransition(false);
+
+    // Built before the existing visualizer goes, so a preset that fails to build leaves it shown
+    const visualizer = this._buildVisualizer(preset, options);
+    this._visualizer?.destroy();
+    this._visualizer = visualizer;
+  }
+
+  /**
+   * Switch to a preset: a hard cut when stopped, else blended with the transition
+   * (a switch in progress is completed first)
+   * @param {string} preset - Registered preset name
+   * @param {Object} [options={}] - Options for this preset, on top of visualizerOptions
+   * @param {Object|null} [transition=null] - VisualizerTransition options; null = hard cut
+   * @returns {Promise<void>} Resolves when the new preset is fully shown
+   */
+  setPreset(preset, options = {}, transition = null) {
+    this._finishTransition();
+    const wasRunning = this.isRunning;
+    if (!wasRunning || !transition || transition.duration === 0) {
+      this.create(preset, options);
+      if (wasRunning) this._visualizer.start();
+      return Promise.resolve();
+    }
+
+    const from = this._visualizer;
+    const to = this._buildVisualizer(preset, options);
+    let switching;
+    try {
+      switching = new VisualizerTransition(from, to, this._audioSource, transition);
+    } catch (err) {
+      to.destroy();
+      throw err;
+    }
+
+    this._visualizer = to;
+    this._transition = switching;
+    return switching.start().then(() => {
+      if (this._transition === switching) this._finishTransition();
+    });
+  }
+
+  /**
+   * The visualizer shown (the incoming one during a switch)
+   * @returns {BaseVisualizer|null}
+   */
+  get visualizer() {
+    return this._visualizer;
+  }
+
+  /**
+   * Whether the visualizer (or a switch) is running
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._transition !== null || this._visualizer?.isRunning || false;
+  }
+
+  /**
+   * Start the visualizer
+   */
+  start() {
+    this._visualizer?.start();
+  }
+
+  /**
+   * Stop the visualizer (a switch in progress is completed)
+   */
+  stop() {
+    this._finishTransition(false);
+    this._visualizer?.stop();
+  }
+
+  /**
+   * Resize the visualizer
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    this._transition?.from.resize(width, height);
+    this._visualizer?.resize(width, height);
+  }
+
+  /**
+   * Destroy the visualizer
+   */
+  destroy() {
+    this._finishTransition(false);
+    if (this._visualizer) {
+      this._visualizer.destroy();
+      this._visualizer = null;
+    }
+    this._audioSource = null;
+  }
+
+  /**
+   * Create a preset's visualizer, connected to the audio source
+   * @private
+   */
+  _buildVisualizer(preset, options) {
+    const entry = visualizerRegistry.get(preset);
+    if (!entry) {
+      throw new Error(`Unknown preset: ${preset}`);
+    }
+
+    const visualizer = new entry.VisualizerClass(this.container, {
+      quality: this.quality,
+      ...this.visualizerOptions,
+      ...options,
+    });
+    visualizer.connectAudioSource(this._audioSource);
+    visualizer.onAfterRender = (shown) => this.onAfterRender?.(shown);
+    return visualizer;
+  }
+
+  /**
+   * Land a transition in progress: destroy the outgoing visualizer
+   * @private
+   * @param {boolean} [start=true] - Start the incoming visualizer
+   */
+  _finishTransition(start = true) {
+    const transition = this._transition;
+    if (!transition) return;
+
+    this._transition = null;
+    transition.finish();
+    transition.from.destroy();
+    if (start) transition.to.start();
+  }
+}
@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+import { createEmptyAudioData } from '../sources/FeatureSource.js';
+
+// Shader branch per transition type
+const TRANSITION_TYPES = {
+  crossfade: 0,
+  dissolve: 1,
+  wipe: 2,
+  zoom: 3,
+};
+
+/**
+ * Names of the available transition types
+ */
+export const TRANSITIONS = Object.keys(TRANSITION_TYPES);
+
+// Unit vectors for wipe directions (the new visualizer enters from this side)
+const WIPE_DIRECTIONS = {
+  left: [1, 0],
+  right: [-1, 0],
+  up: [0, -1],
+  down: [0, 1],
+};
+
+const ALIGNMENTS = new Set(['beat', 'downbeat']);
+
+/**
+ * VisualizerTransition - Blend from one visualizer to another
+ *
+ * Takes over both visualizers for the duration of the switch: each frame both are
+ * updated with the same audio data, rendered into offscreen render targets with the
+ * incoming visualizer's renderer, and blended onto its canvas. The outgoing canvas is
+ * hidden as soon as blending starts, so the page never shows two canvases.
+ *
+ * Transition types:
+ * - 'crossfade' - Fade between the two
+ * - 'dissolve' - Noise pattern eats the old visualizer away
+ * - 'wipe' - Soft edge moving across the screen (see direction)
+ * - 'zoom' - Fly into the old visualizer while the new one grows into place
+ *
+ * With align, the outgoing visualizer keeps playing until the next beat or downbeat
+ * (or maxWait), so the blend starts on the music. Without a locked tempo it starts
+ * immediately.
+ *
+ * @example
+ * const transition = new VisualizerTransition(oldVisualizer, newVisualizer, audioSource, {
+ *   type: 'dissolve',
+ *   beats: 4,
+ *   align: 'downbeat',
+ * });
+ * await transition.start();
+ * oldVisualizer.destroy();
+ * newVisualizer.start();
+ */
+export class VisualizerTransition {
+  /**
+   * @param {BaseVisualizer} from - Outgoing visualizer (may be running)
+   * @param {BaseVisualizer} to - Incoming visualizer (not started)
+   * @param {FeatureSource|null} source - Audio source both visualizers follow
+   * @param {Object} options - Configuration options
+   * @param {string} [options.type='crossfade'] - 'crossfade', 'dissolve', 'wipe' or 'zoom'
+   * @param {number} [options.duration=1] - Blend length in seconds
+   * @param {number} [options.beats] - Blend length in beats at the current tempo (overrides duration while a tempo is locked)
+   * @param {string} [options.align] - Start on the next 'beat' or 'downbeat'
+   * @param {number} [options.maxWait=4] - Longest wait for the aligned beat (seconds)
+   * @param {string} [options.direction='left'] - Side the new visualizer wipes in from: 'left', 'right', 'up', 'down'
+   * @param {number} [options.softness=0.1] - Width of dissolve and wipe edges (0-1)
+   */
+  constructor(from, to, source, options = {}) {
+    const type = options.type ?? 'crossfade';
+    if (!(type in TRANSITION_TYPES)) {
+      throw new Error(`Unknown transition: ${type}. Expected one of: ${Object.keys(TRANSITION_TYPES).join(', ')}`);
+    }
+    const direction = options.direction ?? 'left';
+    if (!WIPE_DIRECTIONS[direction]) {
+      throw new Error(`Unknown wipe direction: ${direction}`);
+    }
+    if (options.align !== undefined && options.align !== null && !ALIGNMENTS.has(options.align)) {
+      throw new Error(`Unknown transition alignment: ${options.align}. Expected 'beat' or 'downbeat'`);
+    }
+    if (!((options.duration ?? 1) >= 0)) {
+      throw new Error('Transition duration must be a non-negative number');
+    }
+
+    this.from = from;
+    this.to = to;
+    this.source = source;
+    this.type = type;
+    this._duration = options.duration ?? 1;
+    this._beats = options.beats ?? null;
+    this._align = options.align ?? null;
+    this._maxWait = options.maxWait ?? 4;
+
+    this._state = 'idle';          // 'idle' -> 'waiting' -> 'blending' -> 'done'
+    this._elapsed = 0;
+    this._lastTime = 0;
+    this._lastBeatCount = null;
+    this._animationFrameId = null;
+    this._resolve = null;
+
+    this._initComposite(TRANSITION_TYPES[type], WIPE_DIRECTIONS[direction], options.softness ?? 0.1);
+  }
+
+  /**
+   * Whether the transition is waiting or blending
+   * @returns {boolean}
+   */
+  get isRunning() {
+    return this._state === 'waiting' || this._state === 'blending';
+  }
+
+  /**
+   * Blend position (0-1)
+   * @returns {number}
+   */
+  get progress() {
+    if (this._state === 'done') return 1;
+    if (this._state !== 'blending') return 0;
+    return this._duration > 0 ? Math.min(this._elapsed / this._duration, 1) : 1;
+  }
+
+  /**
+   * Take over both visualizers and run the transition
+   * @returns {Promise<void>} Resolves when done (or finish()ed); neither visualizer is running then
+   */
+  start() {
+    if (this._state !== 'idle') {
+      console.warn('VisualizerTransition already started');
+      return this._finished;
+    }
+
+    this.from.stop();
+    this.to.stop();
+    this._setVisible(this.to, false);
+
+    this._finished = new Promise((resolve) => {
+      this._resolve = resolve;
+    });
+    this._state = this._align ? 'waiting' : 'blending';
+    if (this._state === 'blending') this._beginBlend(this._readAudioData());
+
+    this._lastTime = 0;
+    this._animationFrameId = requestAnimationFrame((t) => this._animate(t));
+    return this._finished;
+  }
+
+  /**
+   * Jump to the end (the incoming visualizer shown, nothing running)
+   */
+  finish() {
+    if (this._state === 'done') return;
+
+    if (this._animationFrameId) {
+      cancelAnimationFrame(this._animationFrameId);
+      this._animationFrameId = null;
+    }
+    this._setVisible(this.from, false);
+    this._setVisible(this.to, true);
+    this._state = 'done';
+    this.dispose();
+    this._resolve?.();
+  }
+
+  /**
+   * Release the render targets and blend material
+   */
+  dispose() {
+    this._targets.forEach((target) => target.dispose());
+    this._quad.geometry.dispose();
+    this._quad.material.dispose();
+  }
+
+  /**
+   * @private
+   */
+  _initComposite(mode, direction, softness) {
+    this._targets = [new THREE.WebGLRenderTarget(1, 1), new THREE.WebGLRenderTarget(1, 1)];
+    this._size = new THREE.Vector2();
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        tFrom: { value: this._targets[0].texture },
+        tTo: { value: this._targets[1].texture },
+        progress: { value: 0 },
+        mode: { value: mode },
+        direction: { value: new THREE.Vector2(...direction) },
+        softness: { value: Math.max(softness, 1e-3) },
+        aspect: { value: 1 },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = vec4(position.xy, 0.0, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D tFrom;
+        uniform sampler2D tTo;
+        uniform float progress;
+        uniform int mode;
+        uniform vec2 direction;
+        uniform float softness;
+        uniform float aspect;
+        varying vec2 vUv;
+
+        float hash(vec2 p) {
+          return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+
+        float valueNoise(vec2 p) {
+          vec2 i = floor(p);
+          vec2 f = fract(p);
+          vec2 u = f * f * (3.0 - 2.0 * f);
+          return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+                     mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+        }
+
+        // Sample with transparent borders (for zoomed coordinates)
+        vec4 sampleClamped(sampler2D tex, vec2 uv) {
+          vec2 inside = step(vec2(0.0), uv) * step(uv, vec2(1.0));
+          return texture2D(tex, uv) * inside.x * inside.y;
+        }
+
+        void main() {
+          vec4 from = texture2D(tFrom, vUv);
+          vec4 to = texture2D(tTo, vUv);
+          float t = progress;
+
+          if (mode == 1) {
+            // Dissolve: noise threshold sweeping from 0 to 1
+            vec2 p = vUv * vec2(aspect, 1.0) * 6.0;
+            float n = 0.65 * valueNoise(p) + 0.35 * valueNoise(p * 4.0);
+            t = smoothstep(n - softness, n + softness, progress * (1.0 + 2.0 * softness) - softness);
+          } else if (mode == 2) {
+            // Wipe: soft edge travelling along direction
+            float position = dot(vUv - 0.5, direction) + 0.5;
+            t = smoothstep(position - softness, position + softness, progress * (1.0 + 2.0 * softness) - softness);
+          } else if (mode == 3) {
+            // Zoom-through: magnify the old view while the new one grows from the centre
+            vec2 centered = vUv - 0.5;
+            from = sampleClamped(tFrom, 0.5 + centered / (1.0 + 3.0 * progress));
+            to = sampleClamped(tTo, 0.5 + centered / mix(0.4, 1.0, progress));
+            t = smoothstep(0.25, 0.75, progress);
+          }
+
+          gl_FragColor = mix(from, to, t);
+        }
+      `,
+      depthTest: false,
+      depthWrite: false,
+      toneMapped: false,   // Both views are already tone mapped
+      transparent: true,
+    });
+
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    this._quadScene = new THREE.Scene();
+    this._quadScene.add(this._quad);
+    this._quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  /**
+   * @private
+   */
+  _animate(currentTime) {
+    if (!this.isRunning) return;
+
+    const deltaTime = this._lastTime === 0 ? 0 : (currentTime - this._lastTime) / 1000;
+    this._lastTime = currentTime;
+
+    // One read per frame: sources like MidiSource clear one-frame flags when read
+    const audioData = this._readAudioData();
+
+    if (this._state === 'waiting') {
+      this._elapsed += deltaTime;
+      if (this._isAlignedBeat(audioData) || this._elapsed >= this._maxWait) {
+        this._beginBlend(audioData);
+      } else {
+        this.from.update(audioData, deltaTime);
+        this.from.render();
+        this.from.onAfterRender?.(this.from);
+      }
+    } else {
+      this._elapsed += deltaTime;
+    }
+
+    if (this._state === 'blending') {
+      this.from.update(audioData, deltaTime);
+      this.to.update(audioData, deltaTime);
+      this._composite();
+      this.to.onAfterRender?.(this.to);
+
+      if (this._elapsed >= this._duration) {
+        this._animationFrameId = null;
+        this.finish();
+        return;
+      }
+    }
+
+    this._animationFrameId = requestAnimationFrame((t) => this._animate(t));
+  }
+
+  /**
+   * Swap the canvases and fix the blend length
+   * @private
+   */
+  _beginBlend(audioData) {
+    this._state = 'blending';
+    this._elapsed = 0;
+    if (this._beats !== null && audioData.bpm > 0) {
+      this._duration = this._beats * 60 / audioData.bpm;
+    }
+    this._setVisible(this.from, false);
+    this._setVisible(this.to, true);
+  }
+
+  /**
+   * Whether this frame lands on the beat the transition waits for
+   * @private
+   */
+  _isAlignedBeat(audioData) {
+    if (!(audioData.bpm > 0)) return true;   // No tempo to align to
+
+    const beatCount = audioData.beatCount;
+    const isNewBeat = this._lastBeatCount !== null && beatCount !== this._lastBeatCount;
+    this._lastBeatCount = beatCount;
+
+    return isNewBeat && (this._align === 'beat' || audioData.beatInBar === 0);
+  }
+
+  /**
+   * Render both visualizers offscreen and blend them onto the incoming canvas
+   * @private
+   */
+  _composite() {
+    const renderer = this.to.renderer;
+    renderer.getDrawingBufferSize(this._size);
+    this._targets.forEach((target) => {
+      if (target.width !== this._size.x || target.height !== this._size.y) {
+        target.setSize(this._size.x, this._size.y);
+      }
+    });
+
+    this.from.renderToTarget(renderer, this._targets[0]);
+    this.to.renderToTarget(renderer, this._targets[1]);
+
+    const uniforms = this._quad.material.uniforms;
+    const t = this.progress;
+    uniforms.progress.value = t * t * (3 - 2 * t);   // Ease in and out
+    uniforms.aspect.value = this._size.y > 0 ? this._size.x / this._size.y : 1;
+    renderer.setRenderTarget(null);
+    renderer.render(this._quadScene, this._quadCamera);
+  }
+
+  /**
+   * @private
+   */
+  _readAudioData() {
+    return this.source ? this.source.getAudioData() : createEmptyAudioData();
+  }
+
+  /**
+   * @private
+   */
+  _setVisible(visualizer, visible) {
+    const canvas = visualizer.renderer?.domElement;
+    if (canvas?.style) canvas.style.display = visible ? '' : 'none';
+  }
+}
@@ -0,0 +1,336 @@
+import { visualizerRegistry } from './VisualizerRegistry.js';
+
+/**
+ * Presets the default worker can create: the built-ins, registered when
+ * VisualizerRegistry.js loads (presets registered later exist on the main thread only)
+ */
+export const WORKER_PRESETS = new Set(visualizerRegistry.list().map(({ name }) => name));
+
+/**
+ * WorkerHost - Main-thread side of a visualizer rendering in a Web Worker
+ *
+ * Transfers a canvas to the worker (visualizerWorker.js) as an OffscreenCanvas, where
+ * a VisualizerStage runs the Three.js scenes, preset switches and transitions, so work
+ * on the main thread can't stall the animation. The host posts the audio source's data
+ * once per main-thread frame; the worker keeps animating with the latest data in between.
+ *
+ * The host has the VisualizerStage interface, so the Visualizer facade uses either, and
+ * stands in for the worker's visualizer (setPalette(), moveCamera(), invoke()). Quality
+ * tiers are still decided by the facade's QualityGovernor, from frame timings the worker
+ * reports.
+ *
+ * Calls into the worker's visualizer are asynchronous: errors from setPalette() and
+ * moveCamera() are logged, invoke() and setPreset() return promises.
+ */
+export class WorkerHost {
+  /**
+   * Whether this browser can render in a worker
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined'
+      && typeof HTMLCanvasElement !== 'undefined'
+      && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * @param {HTMLElement} container - DOM element to render into
+   * @param {Object} options - Configuration options
+   * @param {QualityGovernor} options.quality - Governor that sets the worker's quality tier
+   * @param {Object} [options.visualizerOptions={}] - Options passed to every visualizer (must be cloneable)
+   * @param {string|URL} [options.workerUrl] - Worker script (default: visualizerWorker.js next to this module),
+   *   e.g. one that registers custom presets and calls runVisualizerWorker() (musicolors/worker)
+   */
+  constructor(container, options = {}) {
+    if (!container) {
+      throw new Error('Container element is required');
+    }
+    if (!options.quality) {
+      throw new Error('quality (a QualityGovernor) is required');
+    }
+
+    this.container = container;
+    this.options = options.visualizerOptions || {};
+    this.quality = options.quality;
+    this.width = this.options.width || container.clientWidth || 400;
+    this.height = this.options.height || container.clientHeight || 400;
+
+    this.isRunning = false;
+    this.isDestroyed = false;
+    this._customWorker = Boolean(options.workerUrl);
+    this._created = false;
+    this._audioSource = null;
+    this._frameId = null;
+    this._requests = new Map();   // Request id -> { resolve, reject }
+    this._nextRequest = 0;
+
+    // The canvas stays in the page; the worker draws on it
+    this.canvas = document.createElement('canvas');
+    this._setCanvasSize();
+    this.container.appendChild(this.canvas);
+    const offscreen = this.canvas.transferControlToOffscreen();
+
+    // Spelled out for bundlers, which only bundle the worker from this exact form
+    this._worker = options.workerUrl
+      ? new Worker(options.workerUrl, { type: 'module' })
+      : new Worker(new URL('./visualizerWorker.js', import.meta.url), { type: 'module' });
+    this._worker.onmessage = (event) => this._handleMessage(event.data);
+    this._worker.onerror = (event) => console.error('Visualizer worker failed:', event.message);
+
+    this._post({
+      type: 'init',
+      canvas: offscreen,
+      width: this.width,
+      height: this.height,
+      visualizerOptions: { ...this.options, pixelRatio: this.options.pixelRatio || window.devicePixelRatio },
+      tier: this.quality.tier,
+    }, [offscreen]);
+
+    this._unsubscribeQuality = this.quality.on('tierchange', ({ tier }) => this._post({ type: 'quality', tier }));
+
+    this._boundResizeHandler = this._handleResize.bind(this);
+    window.addEventListener('resize', this._boundResizeHandler);
+  }
+
+  /**
+   * Feed the worker from an audio source (posted once per frame while running)
+   * @param {FeatureSource} audioSource - AudioSource or any FeatureSource
+   */
+  connectAudioSource(audioSource) {
+    this._audioSource = audioSource;
+    this._post({
+      type: 'source',
+      sampleRate: audioSource.audioContext?.sampleRate || audioSource.timeline?.sampleRate || null,
+    });
+  }
+
+  /**
+   * Disconnect the audio source (the worker keeps the last data)
+   */
+  disconnectAudioSource() {
+    this._audioSource = null;
+  }
+
+  /**
+   * (Re)create the worker's visualizer, stopped
+   * @param {string} preset - Preset name
+   * @param {Object} [options={}] - Preset options (must be cloneable)
+   */
+  create(preset, options = {}) {
+    this.stop();
+    this._created = true;
+    this._post({ type: 'create', preset, options });
+  }
+
+  /**
+   * Whether the worker can create a preset (a custom worker is assumed to know its own)
+   * @param {string} name - Registered preset name
+   * @returns {boolean}
+   */
+  hasPreset(name) {
+    return this._customWorker || WORKER_PRESETS.has(name);
+  }
+
+  /**
+   * The worker's visualizer, represented by the host once created
+   * @returns {WorkerHost|null}
+   */
+  get visualizer() {
+    return this._created && !this.isDestroyed ? this : null;
+  }
+
+  /**
+   * Switch the worker's preset (see Visualizer.setPreset())
+   * @param {string} name - Preset name
+   * @param {Object} [options={}] - Preset options (must be cloneable)
+   * @param {Object|null} [transition=null] - VisualizerTransition options
+   * @returns {Promise<void>} Resolves when the new preset is fully shown
+   */
+  setPreset(name, options = {}, transition = null) {
+    return this._request({ type: 'preset', name, options, transition });
+  }
+
+  /**
+   * Recolor the worker's visualizer (see BaseVisualizer.setPalette())
+   * @param {Array<string|number>|null} palette - Colors, or null for the defaults
+   */
+  setPalette(palette) {
+    this._post({ type: 'invoke', method: 'setPalette', args: [palette] });
+  }
+
+  /**
+   * Glide the worker's camera (see BaseVisualizer.moveCamera())
+   * @param {string} move - Camera move
+   * @param {Object} [options]
+   */
+  moveCamera(move, options = {}) {
+    this._post({ type: 'invoke', method: 'moveCamera', args: [move, options] });
+  }
+
+  /**
+   * Call a method of the worker's visualizer, e.g. invoke('setDayPart', 'night')
+   * @param {string} method - Method name
+   * @param {...*} args - Arguments (must be cloneable)
+   * @returns {Promise<*>} The method's (cloned) result
+   */
+  invoke(method, ...args) {
+    return this._request({ type: 'invoke', method, args });
+  }
+
+  /**
+   * Start the animation (and posting audio data)
+   */
+  start() {
+    if (this.isRunning || this.isDestroyed) return;
+
+    this.isRunning = true;
+    this._post({ type: 'start' });
+    this._postFrame();
+  }
+
+  /**
+   * Stop the animation
+   */
+  stop() {
+    if (this._frameId) {
+      cancelAnimationFrame(this._frameId);
+      this._frameId = null;
+    }
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this._post({ type: 'stop' });
+  }
+
+  /**
+   * Resize the visualizer
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this._setCanvasSize();
+    this._post({ type: 'resize', width, height });
+  }
+
+  /**
+   * Stop the worker and remove the canvas
+   */
+  destroy() {
+    if (this.isDestroyed) return;
+
+    this.stop();
+    this.isDestroyed = true;
+
+    if (this._boundResizeHandler) {
+      window.removeEventListener('resize', this._boundResizeHandler);
+      this._boundResizeHandler = null;
+    }
+    this._unsubscribeQuality();
+
+    // The worker cleans up and closes itself
+    this._post({ type: 'destroy' });
+    this._worker.onmessage = null;
+    this._worker = null;
+
+    // Pending switches end with the visualizer, as they do on the main thread
+    this._requests.forEach(({ resolve }) => resolve());
+    this._requests.clear();
+
+    this.canvas.parentNode?.removeChild(this.canvas);
+    this._audioSource = null;
+    this.container = null;
+  }
+
+  /**
+   * Post the audio data, once per frame while running
+   * @private
+   */
+  _postFrame() {
+    if (!this.isRunning) {
+      this._frameId = null;
+      return;
+    }
+
+    if (this._audioSource) {
+      this._post({ type: 'frame', audioData: this._audioSource.getAudioData() });
+    }
+    this._frameId = requestAnimationFrame(() => this._postFrame());
+  }
+
+  /**
+   * @private
+   */
+  _post(message, transfer) {
+    this._worker?.postMessage(message, transfer);
+  }
+
+  /**
+   * Post a message the worker answers ('settled' or 'error')
+   * @private
+   */
+  _request(message) {
+    if (this.isDestroyed) return Promise.resolve();
+
+    const id = this._nextRequest++;
+    return new Promise((resolve, reject) => {
+      this._requests.set(id, { resolve, reject });
+      this._post({ ...message, id });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'timings': {
+        // Frame intervals and work times, in pairs
+        const { timings } = message;
+        for (let i = 0; i < timings.length; i += 2) {
+          this.quality.frame(timings[i], timings[i + 1]);
+        }
+        break;
+      }
+      case 'settled':
+      case 'error': {
+        const request = this._requests.get(message.id);
+        if (!request) {
+          if (message.type === 'error') console.error('Visualizer worker:', message.message);
+          break;
+        }
+        this._requests.delete(message.id);
+        if (message.type === 'settled') {
+          request.resolve(message.result);
+        } else {
+          request.reject(new Error(message.message));
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Canvas size on the page (the worker sets its resolution)
+   * @private
+   */
+  _setCanvasSize() {
+    this.canvas.style.width = `${this.width}px`;
+    this.canvas.style.height = `${this.height}px`;
+  }
+
+  /**
+   * Handle window resize
+   * @private
+   */
+  _handleResize() {
+    // Use container dimensions if not explicitly sized
+    if (!this.options.width || !this.options.height) {
+      this.resize(
+        this.container.clientWidth || this.width,
+        this.container.clientHeight || this.height
+      );
+    }
+  }
+}
@@ -1,8 +1,10 @@
 /**
  * Musicolors Visualizer Module
  *
- * Provides a unified API for audio-reactive sphere visualization.
- * Features multiple material modes and background particle effects.
+ * Provides a unified API for audio-reactive visualization.
+ * Visualizers are presets from a registry (the sphere by default, spectrum bars,
+ * an oscilloscope, a spectrogram, a terrain flight and the original Pitch, Energy
+ * and Timbre modes) and can be switched at runtime without touching the audio source.
  *
  * @example
  * // Basic usage with microphone
@@ -22,11 +24,76 @@
  * const visualizer = new Visualizer(container);
  * await visualizer.initWithAudioElement(audioEl);
  * visualizer.start();
+ *
+ * @example
+ * // Replay a recorded session (no audio needed)
+ * const visualizer = new Visualizer(container);
+ * visualizer.initWithReplay(await (await fetch('session.json')).json(), { loop: true });
+ * visualizer.start();
+ *
+ * @example
+ * // Display screen following the analysis machine's stream
+ * const visualizer = new Visualizer(container);
+ * visualizer.initWithRemote({ url: 'ws://desk.local:8000/ws/stream' });
+ * visualizer.start();
+ *
+ * @example
+ * // Custom visualizer as a preset
+ * visualizerRegistry.register(MyVisualizer);   // BaseVisualizer subclass
+ * visualizer.setPreset('My Visualizer', { color: 'red' });
+ *
+ * @example
+ * // Record what's on screen, with the audio, as WebM
+ * visualizer.startRecording();
+ * const video = await visualizer.stopRecording();
+ *
+ * @example
+ * // Render a track's music video frame by frame
+ * const timeline = await new OfflineAnalyzer().analyzeFile(file);
+ * await visualizer.renderFrames(timeline, { frameRate: 30, onFrame: ({ index, blob }) => save(index, blob) });
+ *
+ * @example
+ * // Switch presets, palettes and camera moves with the track's sections
+ * const director = new AutoDirector(visualizer, { playlist: ['Sphere', 'My Visualizer'] });
+ * director.start();
  */
 
 import { AudioSource } from '../audio.js';
-import { BaseVisualizer } from './BaseVisualizer.js';
+import { OfflineAnalyzer } from '../analysis/OfflineAnalyzer.js';
+import { FeatureTimeline } from '../analysis/FeatureTimeline.js';
+import { BeatTracker } from '../analysis/BeatTracker.js';
+import { LoudnessMeter } from '../analysis/LoudnessMeter.js';
+import { AutoGain } from '../analysis/AutoGain.js';
+import { BandAnalyzer } from '../analysis/BandAnalyzer.js';
+import { NoteTracker } from '../analysis/NoteTracker.js';
+import { SectionDetector } from '../analysis/SectionDetector.js';
+import { FeatureRecorder } from '../analysis/FeatureRecorder.js';
+import { FeatureSource } from '../sources/FeatureSource.js';
+import { DAY_PARTS, getDayPart } from '../dayParts.js';
+import { ReplayAudioSource } from '../sources/ReplayAudioSource.js';
+import { MixAudioSource } from '../sources/MixAudioSource.js';
+import { MidiSource } from '../sources/MidiSource.js';
+import { RemoteAudioSource } from '../sources/RemoteAudioSource.js';
+import { MidiOutput } from '../outputs/MidiOutput.js';
+import { FeatureBroadcaster } from '../outputs/FeatureBroadcaster.js';
+import { BaseVisualizer, CAMERA_MOVES } from './BaseVisualizer.js';
+import { QualityGovernor, QUALITY_TIERS } from './QualityGovernor.js';
+import { VisualizerStage } from './VisualizerStage.js';
+import { WorkerHost } from './WorkerHost.js';
+import { VisualizerRecorder } from './VisualizerRecorder.js';
+import { OfflineRenderer } from './OfflineRenderer.js';
 import { SphereVisualizer } from './SphereVisualizer.js';
+import { BarsVisualizer } from './BarsVisualizer.js';
+import { ScopeVisualizer } from './ScopeVisualizer.js';
+import { SpectrogramVisualizer, COLORMAPS } from './SpectrogramVisualizer.js';
+import { TerrainVisualizer } from './TerrainVisualizer.js';
+import { LegacyVisualizer } from './LegacyVisualizer.js';
+import { PitchVisualizer } from './PitchVisualizer.js';
+import { EnergyVisualizer } from './EnergyVisualizer.js';
+import { TimbreVisualizer } from './TimbreVisualizer.js';
+import { VisualizerRegistry, visualizerRegistry } from './VisualizerRegistry.js';
+import { VisualizerTransition, TRANSITIONS } from './VisualizerTransition.js';
+import { AutoDirector, DEFAULT_RULES, DEFAULT_PALETTES } from './AutoDirector.js';
 
 /**
  * Main Visualizer class - the primary API for consumers
@@ -37,7 +104,13 @@ export class Visualizer {
    *
    * @param {HTMLElement} container - DOM element to render into
    * @param {Object} options - Configuration options
-   * @param {Object} [options.visualizerOptions={}] - Options passed to the SphereVisualizer
+   * @param {Object} [options.visualizerOptions={}] - Options passed to every visualizer (width, pixelRatio, ...)
+   * @param {string} [options.preset='Sphere'] - Initial visualizer preset (see listPresets())
+   * @param {Object} [options.presetOptions={}] - Options for the initial preset only
+   * @param {Object|null} [options.transition=null] - Default transition for setPreset() (null = hard cut, see VisualizerTransition)
+   * @param {Object} [options.quality] - Adaptive quality options (see QualityGovernor), e.g. { targetFps: 30 }
+   * @param {boolean|Object} [options.offscreen=false] - Render in a Web Worker on an OffscreenCanvas (see WorkerHost);
+   *   { workerUrl } loads the worker from another URL
    */
   constructor(container, options = {}) {
     if (!container) {
@@ -46,21 +119,66 @@ export class Visualizer {
 
     this.container = container;
     this.visualizerOptions = options.visualizerOptions || {};
+    this.transition = options.transition ?? null;
+
+    // Adaptive quality, shared by every preset so the tier carries over on switches
+    // (quality.getStats(), quality.on('tierchange', ...), quality.setTier('medium'))
+    this.quality = new QualityGovernor(options.quality);
+
+    // Stage showing the presets: here, or in a worker behind a WorkerHost
+    this._stage = null;
+    if (options.offscreen) {
+      if (WorkerHost.isSupported()) {
+        this._stage = new WorkerHost(container, {
+          workerUrl: options.offscreen.workerUrl,
+          visualizerOptions: this.visualizerOptions,
+          quality: this.quality,
+        });
+      } else {
+        console.warn('OffscreenCanvas rendering unavailable, rendering on the main thread');
+      }
+    }
+    this._stage ??= new VisualizerStage(container, {
+      visualizerOptions: this.visualizerOptions,
+      quality: this.quality,
+    });
 
     // Create audio source
     this.audioSource = new AudioSource(options.audioOptions);
 
-    // Visualizer instance (created when initialized)
-    this._visualizer = null;
+    // Visualizer created when initialized
     this._isInitialized = false;
+
+    // VisualizerRecorder while recording
+    this._recorder = null;
+
+    // Active preset (validated here so a typo fails before initialization)
+    this._preset = null;
+    this._presetOptions = {};
+    this.setPreset(options.preset ?? 'Sphere', options.presetOptions);
   }
 
   /**
    * Initialize with microphone input
+   * @param {Object} [options]
+   * @param {string} [options.deviceId] - Input device (see AudioSource.listInputDevices())
+   * @param {MediaTrackConstraints} [options.constraints] - Extra audio constraints, e.g. { echoCancellation: false }
+   * @returns {Promise<void>}
+   */
+  async initWithMicrophone(options = {}) {
+    await this.audioSource.initMicrophone(options);
+    this._createVisualizer();
+    this._isInitialized = true;
+  }
+
+  /**
+   * Initialize with a MediaStream (WebRTC, screen capture, ...)
+   *
+   * @param {MediaStream} stream - Stream with at least one audio track
    * @returns {Promise<void>}
    */
-  async initWithMicrophone() {
-    await this.audioSource.initMicrophone();
+  async initWithMediaStream(stream) {
+    await this.audioSource.connectMediaStream(stream);
     this._createVisualizer();
     this._isInitialized = true;
   }
@@ -90,22 +208,160 @@ export class Visualizer {
     this._isInitialized = true;
   }
 
+  /**
+   * Initialize with an HTML video element
+   *
+   * @param {HTMLVideoElement} videoElement - Video element
+   * @returns {Promise<void>}
+   */
+  async initWithVideoElement(videoElement) {
+    await this.audioSource.connectVideoElement(videoElement);
+    this._createVisualizer();
+    this._isInitialized = true;
+  }
+
+  /**
+   * Initialize by tapping any AudioNode in an existing graph
+   * The node's own connections are left untouched.
+   *
+   * @param {AudioNode} audioNode - Node to analyse
+   * @returns {Promise<void>}
+   */
+  async initWithNode(audioNode) {
+    await this.audioSource.connectNode(audioNode);
+    this._createVisualizer();
+    this._isInitialized = true;
+  }
+
+  /**
+   * Initialize with a recorded feature timeline
+   * Replaces the audio source with a ReplayAudioSource and starts playback.
+   *
+   * @param {FeatureTimeline|Object|string} recording - FeatureRecorder/OfflineAnalyzer output or its JSON
+   * @param {Object} [options] - Options passed to ReplayAudioSource
+   * @returns {ReplayAudioSource}
+   */
+  initWithReplay(recording, options = {}) {
+    const replay = new ReplayAudioSource(recording, options);
+    this.initWithSource(replay);
+    replay.play();
+    return replay;
+  }
+
+  /**
+   * Initialize with MIDI input instead of audio
+   * Replaces the audio source with a MidiSource.
+   *
+   * @param {Object} [options] - Options passed to MidiSource (input, channel, controls, ...)
+   * @returns {Promise<MidiSource>}
+   */
+  async initWithMidi(options = {}) {
+    const midi = new MidiSource(options);
+    await midi.connect();
+    this.initWithSource(midi);
+    return midi;
+  }
+
+  /**
+   * Initialize with audio data streamed from another machine
+   * Replaces the audio source with a RemoteAudioSource. Control messages with a preset
+   * (see FeatureBroadcaster.sendControl()) switch the visualizer.
+   *
+   * @param {Object} [options] - Options passed to RemoteAudioSource (url, delay, holdTime, ...)
+   * @returns {RemoteAudioSource}
+   */
+  initWithRemote(options = {}) {
+    const remote = new RemoteAudioSource(options);
+    remote.on('preset', ({ name, options: presetOptions, transition }) => {
+      if (this.audioSource !== remote) return;
+      try {
+        // Offscreen, the worker rejects presets it can't build
+        this.setPreset(name, presetOptions, transition ?? this.transition)
+          .catch((err) => console.warn(err.message));
+      } catch (err) {
+        console.warn(err.message);
+      }
+    });
+    this.initWithSource(remote);
+    remote.connect();
+    return remote;
+  }
+
+  /**
+   * Initialize with any audio source, e.g. a MixAudioSource combining several inputs
+   * The current audio source is destroyed and replaced; the visualizer owns the new one.
+   *
+   * @param {FeatureSource} source - AudioSource, MixAudioSource, ReplayAudioSource, ...
+   */
+  initWithSource(source) {
+    if (!source || typeof source.getAudioData !== 'function') {
+      throw new Error('source must be an AudioSource or other FeatureSource');
+    }
+
+    if (this.audioSource !== source) {
+      this.audioSource?.destroy();
+      this.audioSource = source;
+    }
+    this._createVisualizer();
+    this._isInitialized = true;
+  }
+
   /**
    * Create the visualizer instance
    * @private
    */
   _createVisualizer() {
-    // Destroy existing visualizer if any
-    if (this._visualizer) {
-      this._visualizer.destroy();
-      this._visualizer = null;
+    this._stage.connectAudioSource(this.audioSource);
+    this._stage.create(this._preset, this._presetOptions);
+  }
+
+  /**
+   * Switch the visualizer to a registered preset
+   * The audio source keeps running; a running visualizer keeps running. While running,
+   * the switch blends with the given transition (a switch in progress is completed first).
+   *
+   * @param {string} name - Preset name (case-insensitive, see listPresets())
+   * @param {Object} [options={}] - Options for this preset, on top of visualizerOptions
+   * @param {Object|null} [transition=this.transition] - VisualizerTransition options, e.g.
+   *   { type: 'dissolve', duration: 2 } or { type: 'wipe', beats: 4, align: 'downbeat' }; null = hard cut
+   * @returns {Promise<void>} Resolves when the new preset is fully shown
+   */
+  setPreset(name, options = {}, transition = this.transition) {
+    const preset = visualizerRegistry.get(name);
+    if (!preset) {
+      const available = visualizerRegistry.list().map((entry) => entry.name).join(', ');
+      throw new Error(`Unknown preset: ${name}. Available presets: ${available}`);
     }
+    if (this._stage instanceof WorkerHost && !this._stage.hasPreset(preset.name)) {
+      throw new Error(`Preset ${preset.name} is not available in the worker (only built-in presets are)`);
+    }
+
+    // Kept only once the stage has switched, so a preset that fails to build isn't rebuilt later
+    const switched = this._isInitialized
+      ? this._stage.setPreset(preset.name, options, transition)
+      : Promise.resolve();
+    this._preset = preset.name;
+    this._presetOptions = options;
+    return switched;
+  }
 
-    // Create sphere visualizer
-    this._visualizer = new SphereVisualizer(this.container, this.visualizerOptions);
+  /**
+   * Registered presets (built-in and from visualizerRegistry.register())
+   * @returns {{name: string, description: string, active: boolean}[]}
+   */
+  listPresets() {
+    return visualizerRegistry.list().map((preset) => ({
+      ...preset,
+      active: preset.name === this._preset,
+    }));
+  }
 
-    // Connect audio source
-    this._visualizer.connectAudioSource(this.audioSource);
+  /**
+   * Name of the active preset
+   * @returns {string}
+   */
+  get preset() {
+    return this._preset;
   }
 
   /**
@@ -113,16 +369,16 @@ export class Visualizer {
    */
   start() {
     if (!this._isInitialized) {
-      throw new Error('Visualizer not initialized. Call initWithMicrophone(), initWithAnalyser(), or initWithAudioElement() first.');
+      throw new Error('Visualizer not initialized. Call one of the initWith...() methods (e.g. initWithMicrophone()) first.');
     }
-    this._visualizer?.start();
+    this._stage.start();
   }
 
   /**
    * Stop the visualization
    */
   stop() {
-    this._visualizer?.stop();
+    this._stage.stop();
   }
 
   /**
@@ -130,15 +386,98 @@ export class Visualizer {
    * @returns {boolean}
    */
   get isRunning() {
-    return this._visualizer?.isRunning || false;
+    return this._stage.isRunning;
   }
 
   /**
    * Get the current visualizer instance
-   * @returns {SphereVisualizer|null}
+   * With offscreen rendering this is the WorkerHost: setPalette(), moveCamera() and
+   * invoke() reach the visualizer in the worker.
+   * @returns {BaseVisualizer|WorkerHost|null}
    */
   get visualizer() {
-    return this._visualizer;
+    return this._stage.visualizer;
+  }
+
+  /**
+   * Record the visualization with the audio source's audio (see VisualizerRecorder)
+   * Preset switches and transitions are recorded as shown. With offscreen rendering the
+   * worker's canvas is captured directly, where the browser supports that.
+   *
+   * @param {Object} [options] - VisualizerRecorder options, e.g. { frameRate: 30, background: '#000' }
+   *   (width and height default to the canvas' size in pixels)
+   * @returns {VisualizerRecorder} The recorder ('data' events, duration)
+   */
+  startRecording(options = {}) {
+    if (!this._isInitialized) {
+      throw new Error('Visualizer not initialized. Call one of the initWith...() methods (e.g. initWithMicrophone()) first.');
+    }
+    if (this._recorder) {
+      throw new Error('Already recording');
+    }
+
+    const recorderOptions = { audio: this.audioSource, ...options };
+    if (this._stage instanceof WorkerHost) {
+      recorderOptions.canvas = this._stage.canvas;
+    } else {
+      // Copy every frame shown into the recorder's canvas, whichever visualizer drew it
+      const canvas = this._stage.visualizer.renderer.domElement;
+      recorderOptions.width ??= canvas.width;
+      recorderOptions.height ??= canvas.height;
+    }
+
+    const recorder = new VisualizerRecorder(recorderOptions);
+    if (!(this._stage instanceof WorkerHost)) {
+      this._stage.onAfterRender = (visualizer) => recorder.drawFrame(visualizer.renderer.domElement);
+    }
+    recorder.start();
+    this._recorder = recorder;
+    return recorder;
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Blob>} The recorded WebM video
+   */
+  stopRecording() {
+    const recorder = this._recorder;
+    if (!recorder) {
+      return Promise.reject(new Error('Not recording'));
+    }
+
+    this._recorder = null;
+    if (!(this._stage instanceof WorkerHost)) {
+      this._stage.onAfterRender = null;
+    }
+    return recorder.stop();
+  }
+
+  /**
+   * Whether a recording is in progress
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return this._recorder !== null;
+  }
+
+  /**
+   * Render a feature timeline frame by frame with the active preset (see OfflineRenderer)
+   * Runs beside the live visualizer, which keeps running.
+   *
+   * @param {FeatureTimeline|Object|string} timeline - OfflineAnalyzer/FeatureRecorder output or its JSON
+   * @param {Object} [options] - OfflineRenderer options (preset, width, height, frameRate, start, end, ...)
+   *   plus render() callbacks: onFrame({ index, time, blob }), onProgress(progress) and signal
+   * @returns {Promise<number>} Number of frames rendered
+   */
+  renderFrames(timeline, options = {}) {
+    const preset = options.preset ?? this._preset;
+    const presetOptions = visualizerRegistry.get(preset)?.name === this._preset ? this._presetOptions : {};
+    const renderer = new OfflineRenderer(timeline, {
+      ...options,
+      preset,
+      visualizerOptions: { ...this.visualizerOptions, ...presetOptions, ...options.visualizerOptions },
+    });
+    return renderer.render(options);
   }
 
   /**
@@ -155,23 +494,25 @@ export class Visualizer {
    * @param {number} height - New height
    */
   resize(width, height) {
-    this._visualizer?.resize(width, height);
+    this._stage.resize(width, height);
   }
 
   /**
    * Cleanup and destroy the visualizer
    */
   destroy() {
-    if (this._visualizer) {
-      this._visualizer.destroy();
-      this._visualizer = null;
+    if (this._recorder) {
+      this.stopRecording().catch(() => {});
     }
+    this._stage.destroy();
 
     if (this.audioSource) {
       this.audioSource.destroy();
       this.audioSource = null;
     }
 
+    this.quality.removeAllListeners();
+
     this._isInitialized = false;
     this.container = null;
   }
@@ -181,7 +522,48 @@ export class Visualizer {
 export {
   AudioSource,
   BaseVisualizer,
+  CAMERA_MOVES,
+  QualityGovernor,
+  QUALITY_TIERS,
+  VisualizerStage,
+  WorkerHost,
+  VisualizerRecorder,
+  OfflineRenderer,
   SphereVisualizer,
+  BarsVisualizer,
+  ScopeVisualizer,
+  SpectrogramVisualizer,
+  COLORMAPS,
+  TerrainVisualizer,
+  DAY_PARTS,
+  getDayPart,
+  LegacyVisualizer,
+  PitchVisualizer,
+  EnergyVisualizer,
+  TimbreVisualizer,
+  VisualizerRegistry,
+  visualizerRegistry,
+  VisualizerTransition,
+  TRANSITIONS,
+  AutoDirector,
+  DEFAULT_RULES,
+  DEFAULT_PALETTES,
+  OfflineAnalyzer,
+  FeatureTimeline,
+  BeatTracker,
+  FeatureRecorder,
+  FeatureSource,
+  ReplayAudioSource,
+  MixAudioSource,
+  MidiSource,
+  RemoteAudioSource,
+  LoudnessMeter,
+  AutoGain,
+  BandAnalyzer,
+  NoteTracker,
+  SectionDetector,
+  MidiOutput,
+  FeatureBroadcaster,
 };
 
 // Default export
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+
+/**
+ * Four-color gradient palettes shared by the built-in visualizers, which step
+ * through them on beats (vibrant colors, no black/gray)
+ */
+export const GRADIENT_PALETTES = [
+  // Purple royalty
+  ['#552586', '#6A359C', '#804FB3', '#B589D6'],
+  // Blue to purple
+  ['#2A1AD8', '#4E26E2', '#7231EC', '#B948FF'],
+  // Violet blue
+  ['#3A41C6', '#4634A7', '#4C2C96', '#6A359C'],
+  // Electric purple
+  ['#aa00ff', '#9600ff', '#6f00ff', '#5512fb'],
+  // Ocean violet
+  ['#3D3BBB', '#5B21B6', '#7C3AED', '#A78BFA'],
+  // Pink magenta
+  ['#BE185D', '#DB2777', '#EC4899', '#F472B6'],
+  // Rose pink
+  ['#9F1239', '#BE123C', '#E11D48', '#FB7185'],
+  // Teal cyan
+  ['#0F766E', '#14B8A6', '#2DD4BF', '#5EEAD4'],
+  // Indigo blend
+  ['#3730A3', '#4F46E5', '#6366F1', '#818CF8'],
+  // Fuchsia pop
+  ['#A21CAF', '#C026D3', '#D946EF', '#E879F9'],
+  // Warm purple
+  ['#6B21A8', '#7C3AED', '#8B5CF6', '#A78BFA'],
+  // Blue electric
+  ['#1D4ED8', '#2563EB', '#3B82F6', '#60A5FA'],
+  // Violet pink
+  ['#7C3AED', '#8B5CF6', '#A855F7', '#D946EF'],
+  // Coral sunset
+  ['#DC2626', '#EF4444', '#F87171', '#FCA5A5'],
+  // Emerald
+  ['#047857', '#059669', '#10B981', '#34D399'],
+  // Soft lavender
+  ['#7C3AED', '#8B5CF6', '#A78BFA', '#C4B5FD'],
+];
+
+/**
+ * Turn a custom palette into 4-color gradient palettes to step through: one
+ * window of 4 consecutive colors (wrapping around) starting at each color
+ * @param {Array<string|number>} palette - Colors
+ * @returns {Array<Array<string|number>>}
+ */
+export function paletteWindows(palette) {
+  return palette.map((_, start) => [0, 1, 2, 3].map((offset) => palette[(start + offset) % palette.length]));
+}
+
+/**
+ * PaletteCycler - Steps through gradient palettes with the music
+ *
+ * Moves to the next palette on downbeats (energy transients when no tempo is
+ * locked) and blends the displayed 4-color gradient toward it.
+ */
+export class PaletteCycler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.blendTime=0.3] - Seconds to blend into a new palette
+   * @param {number} [options.transientThreshold=0.12] - Level jump that steps the palette without a tempo
+   */
+  constructor(options = {}) {
+    this.blendTime = options.blendTime ?? 0.3;
+    this.transientThreshold = options.transientThreshold ?? 0.12;
+
+    this._palettes = GRADIENT_PALETTES;
+    this._index = 0;
+    this._lastBeatCount = 0;
+    this._prevLevel = 0;
+
+    // Displayed gradient, blending toward the current palette
+    this.colors = [0, 1, 2, 3].map(() => new THREE.Color());
+    this._targets = [0, 1, 2, 3].map(() => new THREE.Color());
+    this._setTargets(true);
+  }
+
+  /**
+   * Step on downbeats or transients and blend toward the current palette
+   * @param {Object} audioData - Audio data (level, bpm, beatCount, beatInBar)
+   * @param {number} deltaTime - Seconds since the last update
+   */
+  update(audioData, deltaTime) {
+    const level = audioData.level || 0;
+    const levelDelta = level - this._prevLevel;
+    this._prevLevel = level;
+
+    const beatCount = audioData.beatCount || 0;
+    const isNewBeat = beatCount !== this._lastBeatCount;
+    this._lastBeatCount = beatCount;
+
+    const shift = audioData.bpm > 0
+      ? isNewBeat && audioData.beatInBar === 0
+      : levelDelta > this.transientThreshold;
+    if (shift) {
+      this._index = (this._index + 1) % this._palettes.length;
+      this._setTargets(false);
+    }
+
+    const blend = this.blendTime > 0 ? 1 - Math.exp(-Math.max(deltaTime, 0) / this.blendTime) : 1;
+    for (let i = 0; i < 4; i++) {
+      this.colors[i].lerp(this._targets[i], blend);
+    }
+  }
+
+  /**
+   * Step through windows of a custom palette instead of the shared palettes
+   * @param {Array<string|number>|null} palette - Colors, or null for GRADIENT_PALETTES
+   */
+  setPalette(palette) {
+    this._palettes = palette ? paletteWindows(palette) : GRADIENT_PALETTES;
+    this._index = 0;
+    this._setTargets(true);
+  }
+
+  /**
+   * Sample the displayed gradient
+   * @param {number} t - Position along the gradient (0-1)
+   * @param {THREE.Color} target - Color to write into
+   * @returns {THREE.Color} target
+   */
+  colorAt(t, target) {
+    const position = Math.max(0, Math.min(1, t)) * 3;
+    const index = Math.min(Math.floor(position), 2);
+    return target.copy(this.colors[index]).lerp(this.colors[index + 1], position - index);
+  }
+
+  /**
+   * Point the displayed gradient at the current palette
+   * @private
+   * @param {boolean} immediate - Jump instead of blending
+   */
+  _setTargets(immediate) {
+    const palette = this._palettes[this._index];
+    for (let i = 0; i < 4; i++) {
+      this._targets[i].set(palette[i]);
+      if (immediate) this.colors[i].copy(this._targets[i]);
+    }
+  }
+}
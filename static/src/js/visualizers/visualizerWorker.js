@@ -0,0 +1,7 @@
+/**
+ * Default worker for WorkerHost (see workerRuntime.js), with the built-in presets
+ */
+
+import { runVisualizerWorker } from './workerRuntime.js';
+
+runVisualizerWorker();
@@ -0,0 +1,178 @@
+/**
+ * Worker Runtime - Renders the visualizer on an OffscreenCanvas, off the main thread
+ *
+ * runVisualizerWorker() answers a WorkerHost from inside its worker: it runs a
+ * VisualizerStage (presets, transitions) whose visualizers share one WebGLRenderer on
+ * the transferred canvas, fed with the audio data the host posts each frame. Frame
+ * timings go back to the host's QualityGovernor, which decides the tier and posts it here.
+ *
+ * visualizerWorker.js is the default worker. A custom one (WorkerHost's workerUrl)
+ * registers its presets with the visualizerRegistry exported here, then calls
+ * runVisualizerWorker(). This module has no side effects, and unlike the main module
+ * it doesn't pull the worker into its own bundle.
+ *
+ * Messages from the host: init, source, create, preset, invoke, start, stop, resize,
+ * frame, quality, destroy. Messages carrying an id are answered with 'settled' or
+ * 'error'; other failures are reported as 'error' without an id.
+ */
+
+import * as THREE from 'three';
+import { BaseVisualizer } from './BaseVisualizer.js';
+import { VisualizerStage } from './VisualizerStage.js';
+import { visualizerRegistry } from './VisualizerRegistry.js';
+import { QualityGovernor } from './QualityGovernor.js';
+import { FeatureSource } from '../sources/FeatureSource.js';
+
+// For custom presets in custom workers
+export { BaseVisualizer, visualizerRegistry };
+
+// Frames of timings per message to the host
+const TIMING_BATCH = 15;
+
+/**
+ * Audio data posted by the host
+ * @private
+ */
+class PostedFeatureSource extends FeatureSource {
+  constructor() {
+    super();
+    this.sampleRate = null;   // Of the host's source, for BaseVisualizer.getSampleRate()
+    this._read = false;
+  }
+
+  /**
+   * Take the host's latest data
+   * @param {Object} audioData
+   */
+  receive(audioData) {
+    this._audioData = audioData;
+    this._read = false;
+    this.isInitialized = true;
+  }
+
+  /**
+   * Latest data; beat and downbeat hold for one read, however many frames render per post
+   * @override
+   */
+  getAudioData(copy = false) {
+    if (this._read) {
+      this._audioData.beat = false;
+      this._audioData.downbeat = false;
+    }
+    this._read = true;
+    return super.getAudioData(copy);
+  }
+}
+
+/**
+ * Governor that hands frame timings to the host instead of deciding tiers
+ * @private
+ */
+class RelayedQualityGovernor extends QualityGovernor {
+  constructor(options) {
+    super({ ...options, adaptive: false });
+    this._timings = [];
+  }
+
+  /**
+   * @override
+   */
+  frame(interval, workTime) {
+    this._timings.push(interval, workTime);
+    if (this._timings.length >= TIMING_BATCH * 2) {
+      self.postMessage({ type: 'timings', timings: this._timings });
+      this._timings = [];
+    }
+  }
+}
+
+/**
+ * Answer the WorkerHost that started this worker (call once, in the worker)
+ */
+export function runVisualizerWorker() {
+  // Workers without requestAnimationFrame render on a timer
+  if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+    self.cancelAnimationFrame = (id) => clearTimeout(id);
+  }
+
+  const source = new PostedFeatureSource();
+  let renderer = null;
+  let stage = null;
+  let quality = null;
+
+  const handlers = {
+    init({ canvas, width, height, visualizerOptions, tier }) {
+      quality = new RelayedQualityGovernor({ tier });
+      renderer = new THREE.WebGLRenderer({
+        canvas,
+        alpha: true,
+        antialias: visualizerOptions.antialias ?? quality.settings.antialias,
+        powerPreference: 'high-performance',
+      });
+      stage = new VisualizerStage(null, {
+        visualizerOptions: { ...visualizerOptions, width, height, renderer },
+        quality,
+      });
+      stage.connectAudioSource(source);
+    },
+
+    source({ sampleRate }) {
+      source.sampleRate = sampleRate;
+    },
+
+    create({ preset, options }) {
+      stage.create(preset, options);
+    },
+
+    preset({ name, options, transition }) {
+      return stage.setPreset(name, options, transition);
+    },
+
+    invoke({ method, args }) {
+      const target = stage.visualizer;
+      if (typeof target?.[method] !== 'function') {
+        throw new Error(`Visualizer has no method ${method}`);
+      }
+      return target[method](...args);
+    },
+
+    start() {
+      stage.start();
+    },
+
+    stop() {
+      stage.stop();
+    },
+
+    resize({ width, height }) {
+      // Presets created later read their size from the options
+      Object.assign(stage.visualizerOptions, { width, height });
+      stage.resize(width, height);
+    },
+
+    frame({ audioData }) {
+      source.receive(audioData);
+    },
+
+    quality({ tier }) {
+      quality.setTier(tier);
+    },
+
+    destroy() {
+      stage.destroy();
+      renderer.dispose();
+      self.close();
+    },
+  };
+
+  self.onmessage = async ({ data }) => {
+    const { id } = data;
+    try {
+      const result = await handlers[data.type](data);
+      if (id !== undefined) self.postMessage({ type: 'settled', id, result });
+    } catch (err) {
+      self.postMessage({ type: 'error', id, message: err.message });
+    }
+  };
+}